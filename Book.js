@@ -0,0 +1,187 @@
+/**
+ * Book Model Schema
+ * Textbooks that solutions are filed under
+ */
+
+const mongoose = require('mongoose');
+const { slugify } = require('./utils/validators');
+
+// Words left out when comparing titles, so "NCERT Maths Class 10" matches "ncert maths 10"
+const TITLE_FILLER_WORDS = ['class', 'std', 'standard', 'grade', 'the', 'for'];
+
+// A resized rendition of the cover image
+const coverVariantSchema = new mongoose.Schema({
+  key: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  format: String
+}, { _id: false });
+
+const bookSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Book title is required'],
+    trim: true,
+    maxLength: [100, 'Book title cannot exceed 100 characters']
+  },
+
+  // Comparable form of the title used to avoid duplicate books
+  normalizedTitle: {
+    type: String,
+    required: true
+  },
+
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+
+  publisher: {
+    type: String,
+    trim: true,
+    maxLength: [100, 'Publisher cannot exceed 100 characters']
+  },
+
+  edition: {
+    type: String,
+    trim: true,
+    maxLength: [50, 'Edition cannot exceed 50 characters'],
+    default: null
+  },
+
+  // School class the book is written for, e.g. "10"
+  grade: {
+    type: String,
+    trim: true,
+    maxLength: [20, 'Class cannot exceed 20 characters']
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    maxLength: [50, 'Subject cannot exceed 50 characters']
+  },
+
+  coverImage: {
+    url: String,
+    storageKey: String,
+    variants: {
+      thumbnail: coverVariantSchema,
+      card: coverVariantSchema,
+      full: coverVariantSchema
+    }
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// The same title can exist once per edition
+bookSchema.index({ normalizedTitle: 1, edition: 1 }, { unique: true });
+bookSchema.index({ grade: 1, subject: 1 });
+
+// Static method to get the comparable form of a title
+bookSchema.statics.normalizeTitle = function(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/&#?\w+;/g, ' ') // entities left by input escaping
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(word => word && !TITLE_FILLER_WORDS.includes(word))
+    .join(' ');
+};
+
+// Pre-validate middleware to derive the normalized title and a unique slug
+bookSchema.pre('validate', async function(next) {
+  try {
+    if (this.isModified('title')) {
+      this.normalizedTitle = this.constructor.normalizeTitle(this.title);
+    }
+
+    if (!this.slug || this.isModified('title') || this.isModified('edition')) {
+      const base = slugify([this.title, this.edition].filter(Boolean).join(' '), 'book');
+      let slug = base;
+
+      // Inside a transaction, books created earlier in it count too
+      for (let suffix = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }).session(this.$session()); suffix += 1) {
+        slug = `${base}-${suffix}`;
+      }
+
+      this.slug = slug;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to find a book by ID or slug
+bookSchema.statics.findByIdOrSlug = function(value) {
+  if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+    return this.findById(value);
+  }
+  return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Static method to find a book by (a variant of) its title
+bookSchema.statics.findByTitle = function(title) {
+  return this.findOne({ normalizedTitle: this.normalizeTitle(title) }).sort({ createdAt: 1 });
+};
+
+// Static method to get the book a free-text title refers to, creating it when missing
+// (options: session to work in, created to collect the book when it is new)
+bookSchema.statics.findOrCreateByTitle = async function(title, fields = {}, { session = null, created = null } = {}) {
+  const existing = await this.findByTitle(title).session(session);
+  if (existing) return existing;
+
+  try {
+    const book = await new this({ title, ...fields }).save({ session });
+    if (created) created.push(book);
+    return book;
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return this.findByTitle(title).session(session);
+    throw error;
+  }
+};
+
+// Static method to list every stored file key of a cover image value
+bookSchema.statics.collectCoverKeys = function(cover) {
+  if (!cover) return [];
+
+  const keys = [cover.storageKey];
+
+  if (cover.variants) {
+    ['thumbnail', 'card', 'full'].forEach((name) => {
+      const variant = cover.variants[name];
+      if (variant && variant.key) keys.push(variant.key);
+    });
+  }
+
+  return [...new Set(keys.filter(Boolean))];
+};
+
+// Instance method to list every stored file key of the cover image
+bookSchema.methods.getCoverStorageKeys = function() {
+  return this.constructor.collectCoverKeys(this.coverImage);
+};
+
+module.exports = mongoose.model('Book', bookSchema);
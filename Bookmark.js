@@ -0,0 +1,42 @@
+/**
+ * Bookmark Model Schema
+ * Solutions a student saved for revision
+ */
+
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Bookmarking is idempotent; the index also serves the newest-first list
+bookmarkSchema.index({ user: 1, video: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Which of the given solutions a user has bookmarked
+ * @param {*} userId - User ID, or null for anonymous visitors
+ * @param {Array} videoIds - Solution IDs
+ * @returns {Promise<Set<string>>} - Bookmarked solution IDs
+ */
+bookmarkSchema.statics.findBookmarkedIds = async function(userId, videoIds) {
+  if (!userId || videoIds.length === 0) return new Set();
+
+  const ids = await this.distinct('video', { user: userId, video: { $in: videoIds } });
+  return new Set(ids.map(String));
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
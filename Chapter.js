@@ -0,0 +1,114 @@
+/**
+ * Chapter Model Schema
+ * Numbered chapters of a book, in reading order
+ */
+
+const mongoose = require('mongoose');
+const { escapeRegex } = require('./utils/validators');
+
+const chapterSchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+
+  number: {
+    type: Number,
+    required: [true, 'Chapter number is required'],
+    min: [0, 'Chapter number cannot be negative']
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxLength: [80, 'Chapter name cannot exceed 80 characters'],
+    default: ''
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One chapter per number within a book; also serves ordered listing
+chapterSchema.index({ book: 1, number: 1 }, { unique: true });
+
+// Virtual for the display label, also copied onto videos as `chapter`
+chapterSchema.virtual('label').get(function() {
+  return this.name ? `Chapter ${this.number} - ${this.name}` : `Chapter ${this.number}`;
+});
+
+/**
+ * Split a free-text chapter such as "Ch. 4: Polynomials" into number and name
+ * @param {string} label - Chapter text
+ * @returns {object} - { number (null when there is none), name }
+ */
+chapterSchema.statics.parseLabel = function(label) {
+  const text = String(label || '').trim();
+  const match = text.match(/\d+/);
+
+  if (!match) return { number: null, name: text };
+
+  const clean = (part) => part
+    .replace(/\b(chapter|chap|ch)\b\.?/gi, ' ')
+    .replace(/^[\s.:()\-–—]+|[\s.:()\-–—]+$/g, '')
+    .trim();
+
+  return {
+    number: parseInt(match[0], 10),
+    name: clean(text.slice(match.index + match[0].length)) || clean(text.slice(0, match.index))
+  };
+};
+
+// Static method to list the chapters of a book in order
+chapterSchema.statics.findForBook = function(bookId) {
+  return this.find({ book: bookId }).sort({ number: 1 });
+};
+
+// Tries at appending an unnumbered chapter when concurrent requests take the same number
+const MAX_APPEND_ATTEMPTS = 3;
+
+// Static method to get the chapter a free-text label refers to, creating it when missing
+// (options: session to work in, created to collect the chapter when it is new)
+chapterSchema.statics.findOrCreateForBook = async function(bookId, label, { session = null, created = null } = {}) {
+  const { number, name } = this.parseLabel(label);
+  const create = async (fields) => {
+    const chapter = await new this(fields).save({ session });
+    if (created) created.push(chapter);
+    return chapter;
+  };
+
+  let chapter;
+  if (number === null) {
+    // Unnumbered chapters are matched by name and appended after the last one
+    const findByName = () => this.findOne({ book: bookId, name: new RegExp(`^${escapeRegex(name)}$`, 'i') }).session(session);
+
+    for (let attempt = 1; ; attempt += 1) {
+      chapter = await findByName();
+      if (chapter) return chapter;
+
+      const last = await this.findOne({ book: bookId }).sort({ number: -1 }).session(session);
+      try {
+        return await create({ book: bookId, number: last ? last.number + 1 : 1, name });
+      } catch (error) {
+        // Another request took the number first: it created this chapter or the next number is tried
+        if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  chapter = await this.findOne({ book: bookId, number }).session(session);
+  if (chapter) return chapter;
+
+  try {
+    return await create({ book: bookId, number, name });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return this.findOne({ book: bookId, number }).session(session);
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Chapter', chapterSchema);
@@ -0,0 +1,114 @@
+/**
+ * Comment Model Schema
+ * Doubts and replies on a solution, one level of replies per thread
+ */
+
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'approved', 'hidden'];
+
+const commentSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  // The thread's first comment; null for the first comment itself
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxLength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+
+  // Pending comments are only shown to their author and moderators
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+
+  // Replies from the team that answer the doubt
+  isOfficial: {
+    type: Boolean,
+    default: false
+  },
+
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+
+  // Users who upvoted; kept out of responses
+  upvotedBy: {
+    type: [mongoose.Schema.Types.ObjectId],
+    select: false
+  },
+
+  editedAt: {
+    type: Date,
+    default: null
+  },
+
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  moderatedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Threads of a solution, and the replies in each thread
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 });
+// Moderation queue
+commentSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Conditions for the comments a user may see on a solution
+ * @param {object|null} user - Signed-in user, or null
+ * @param {boolean} moderator - Whether the user moderates comments
+ * @returns {object} - Query conditions on status and author
+ */
+commentSchema.statics.visibleTo = function(user, moderator = false) {
+  if (moderator) return {};
+  if (!user) return { status: 'approved' };
+
+  return { $or: [{ status: 'approved' }, { status: 'pending', author: user._id }] };
+};
+
+/**
+ * Which of the given comments a user has upvoted
+ * @param {*} userId - User ID, or null for anonymous visitors
+ * @param {Array} commentIds - Comment IDs
+ * @returns {Promise<Set<string>>} - Upvoted comment IDs
+ */
+commentSchema.statics.findUpvotedIds = async function(userId, commentIds) {
+  if (!userId || commentIds.length === 0) return new Set();
+
+  const ids = await this.distinct('_id', { _id: { $in: commentIds }, upvotedBy: userId });
+  return new Set(ids.map(String));
+};
+
+commentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Comment', commentSchema);
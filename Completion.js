@@ -0,0 +1,96 @@
+/**
+ * Completion Model Schema
+ * Solutions a student marked as done, for study progress
+ */
+
+const mongoose = require('mongoose');
+
+const completionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  }
+
+}, {
+  timestamps: { createdAt: 'completedAt', updatedAt: false }
+});
+
+completionSchema.index({ user: 1, video: 1 }, { unique: true });
+
+/**
+ * Which of the given solutions a user has marked as done
+ * @param {*} userId - User ID, or null for anonymous visitors
+ * @param {Array} videoIds - Solution IDs
+ * @returns {Promise<Set<string>>} - Completed solution IDs
+ */
+completionSchema.statics.findCompletedIds = async function(userId, videoIds) {
+  if (!userId || videoIds.length === 0) return new Set();
+
+  const ids = await this.distinct('video', { user: userId, video: { $in: videoIds } });
+  return new Set(ids.map(String));
+};
+
+/**
+ * Study progress of a user per book and chapter
+ *
+ * Solutions are grouped by their bookTitle and chapter text, and only active
+ * solutions count towards the totals.
+ *
+ * @param {*} userId - User ID
+ * @param {object} book - { bookId } or { bookTitle } for one book; empty for every book the user has started
+ * @returns {Promise<Array<object>>} - [{ bookTitle, total, completed, percent, chapters: [{ chapter, total, completed, percent }] }]
+ */
+completionSchema.statics.getProgress = async function(userId, { bookId, bookTitle } = {}) {
+  const Video = this.model('Video');
+  const completedIds = await this.distinct('video', { user: userId });
+
+  const match = Video.publicFilter();
+  if (bookId) {
+    match.bookId = new mongoose.Types.ObjectId(String(bookId));
+  } else if (bookTitle) {
+    match.bookTitle = bookTitle;
+  } else {
+    match.bookTitle = { $in: await Video.distinct('bookTitle', { _id: { $in: completedIds }, ...Video.publicFilter() }) };
+  }
+
+  const groupByChapter = { _id: { bookTitle: '$bookTitle', chapter: '$chapter' }, count: { $sum: 1 } };
+  const [totals, done] = await Promise.all([
+    Video.aggregate([{ $match: match }, { $group: groupByChapter }]),
+    Video.aggregate([{ $match: { ...match, _id: { $in: completedIds } } }, { $group: groupByChapter }])
+  ]);
+
+  const key = ({ bookTitle: title, chapter }) => `${title}\u0000${chapter}`;
+  const doneByChapter = new Map(done.map(row => [key(row._id), row.count]));
+  const percent = (completed, total) => (total ? Math.round((completed / total) * 100) : 0);
+
+  const books = new Map();
+  totals.forEach((row) => {
+    const { bookTitle: title, chapter } = row._id;
+    if (!books.has(title)) books.set(title, { bookTitle: title, total: 0, completed: 0, chapters: [] });
+
+    const book = books.get(title);
+    const completed = doneByChapter.get(key(row._id)) || 0;
+    book.total += row.count;
+    book.completed += completed;
+    book.chapters.push({ chapter, total: row.count, completed, percent: percent(completed, row.count) });
+  });
+
+  const compare = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+  return [...books.values()]
+    .sort((a, b) => compare(a.bookTitle, b.bookTitle))
+    .map(book => ({
+      ...book,
+      percent: percent(book.completed, book.total),
+      chapters: book.chapters.sort((a, b) => compare(a.chapter, b.chapter))
+    }));
+};
+
+module.exports = mongoose.model('Completion', completionSchema);
@@ -0,0 +1,99 @@
+/**
+ * Contact Message Model Schema
+ * Stores messages sent through the Contact Us form and the team's replies
+ */
+
+const mongoose = require('mongoose');
+
+const replySchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: [true, 'Reply body is required'],
+    trim: true,
+    maxLength: [5000, 'Reply cannot exceed 5000 characters']
+  },
+
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  delivered: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const contactMessageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxLength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxLength: [150, 'Subject cannot exceed 150 characters']
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxLength: [5000, 'Message cannot exceed 5000 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['new', 'read', 'replied'],
+    default: 'new'
+  },
+
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+
+  readAt: {
+    type: Date,
+    default: null
+  },
+
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+
+  replies: [replySchema],
+
+  ipAddress: {
+    type: String
+  },
+
+  userAgent: {
+    type: String
+  }
+
+}, {
+  timestamps: true
+});
+
+// Index for the admin inbox listing
+contactMessageSchema.index({ isArchived: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ContactMessage', contactMessageSchema);
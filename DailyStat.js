@@ -0,0 +1,119 @@
+/**
+ * Daily Stat Model Schema
+ * Views per day of each solution, book and chapter
+ */
+
+const mongoose = require('mongoose');
+
+const SCOPES = ['video', 'book', 'chapter'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dailyStatSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: SCOPES,
+    required: true
+  },
+
+  // The solution, book or chapter counted
+  ref: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Start of the day (UTC)
+  date: {
+    type: Date,
+    required: true
+  },
+
+  views: {
+    type: Number,
+    default: 0
+  }
+
+}, {
+  timestamps: false
+});
+
+dailyStatSchema.index({ scope: 1, ref: 1, date: 1 }, { unique: true });
+dailyStatSchema.index({ scope: 1, date: 1 });
+
+/**
+ * Start of the UTC day of a date
+ */
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+/**
+ * Add a counted view to the rollups of its solution, book and chapter
+ * @param {object} refs - { videoId, bookId, chapterId } (book and chapter are optional)
+ * @param {Date} at - Time of the view
+ */
+dailyStatSchema.statics.recordView = function({ videoId, bookId, chapterId }, at = new Date()) {
+  const date = startOfDay(at);
+  const refs = [['video', videoId], ['book', bookId], ['chapter', chapterId]].filter(([, ref]) => ref);
+
+  return this.bulkWrite(refs.map(([scope, ref]) => ({
+    updateOne: {
+      filter: { scope, ref, date },
+      update: { $inc: { views: 1 } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+/**
+ * Views per day for one solution, book or chapter, or for all solutions when ref is omitted
+ * @param {string} scope - "video", "book" or "chapter"
+ * @param {*} ref - ID of the counted record, or null for the total of the scope
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Promise<Array<object>>} - [{ date: "YYYY-MM-DD", views }] with a zero for days without views
+ */
+dailyStatSchema.statics.getSeries = async function(scope, ref, from, to) {
+  const first = startOfDay(from);
+  const last = startOfDay(to);
+
+  const match = { scope, date: { $gte: first, $lte: last } };
+  if (ref) match.ref = new mongoose.Types.ObjectId(String(ref));
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$date', views: { $sum: '$views' } } }
+  ]);
+  const viewsByDay = new Map(rows.map(row => [row._id.getTime(), row.views]));
+
+  const series = [];
+  for (let day = first.getTime(); day <= last.getTime(); day += DAY_MS) {
+    series.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      views: viewsByDay.get(day) || 0
+    });
+  }
+
+  return series;
+};
+
+/**
+ * Most viewed solutions, books or chapters in a period
+ * @param {string} scope - "video", "book" or "chapter"
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @param {number} limit - Maximum entries
+ * @returns {Promise<Array<object>>} - [{ ref, views }], most viewed first
+ */
+dailyStatSchema.statics.getTop = async function(scope, from, to, limit = 10) {
+  const rows = await this.aggregate([
+    { $match: { scope, date: { $gte: startOfDay(from), $lte: startOfDay(to) } } },
+    { $group: { _id: '$ref', views: { $sum: '$views' } } },
+    { $sort: { views: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({ ref: row._id, views: row.views }));
+};
+
+dailyStatSchema.statics.startOfDay = startOfDay;
+
+module.exports = mongoose.model('DailyStat', dailyStatSchema);
@@ -0,0 +1,89 @@
+/**
+ * Like Model Schema
+ * One like per solution and user, or per anonymous device
+ */
+
+const mongoose = require('mongoose');
+
+const likeSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  // Set for signed-in users
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // SHA-256 of the device ID sent by anonymous visitors
+  deviceHash: {
+    type: String,
+    default: null
+  },
+
+  // SHA-256 of the IP address of anonymous likes, to limit how many come from one network
+  networkHash: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// The unique indexes make liking idempotent even for concurrent requests
+likeSchema.index(
+  { video: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+likeSchema.index(
+  { video: 1, deviceHash: 1 },
+  { unique: true, partialFilterExpression: { deviceHash: { $type: 'string' } } }
+);
+likeSchema.index(
+  { video: 1, networkHash: 1, createdAt: -1 },
+  { partialFilterExpression: { networkHash: { $type: 'string' } } }
+);
+likeSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Query conditions identifying the likes of one liker
+ * @param {object} liker - { userId } or { deviceHash, networkHash }
+ * @returns {object} - Conditions on user or deviceHash
+ */
+likeSchema.statics.likerFilter = function(liker) {
+  return liker.userId ? { user: liker.userId } : { deviceHash: liker.deviceHash };
+};
+
+/**
+ * Number of anonymous likes of a solution from one network since a given time
+ * @param {object} videoId - Solution ID
+ * @param {string} networkHash - Hash of the IP address
+ * @param {Date} since - Start of the period
+ * @returns {Promise<number>} - Number of likes
+ */
+likeSchema.statics.countFromNetwork = function(videoId, networkHash, since) {
+  return this.countDocuments({ video: videoId, networkHash, createdAt: { $gte: since } });
+};
+
+/**
+ * Which of the given solutions a liker has liked
+ * @param {object|null} liker - { userId } or { deviceHash, networkHash }; null for nobody
+ * @param {Array} videoIds - Solution IDs
+ * @returns {Promise<Set<string>>} - Liked solution IDs
+ */
+likeSchema.statics.findLikedIds = async function(liker, videoIds) {
+  if (!liker || videoIds.length === 0) return new Set();
+
+  const likes = await this.find({ ...this.likerFilter(liker), video: { $in: videoIds } })
+    .select('video')
+    .lean();
+
+  return new Set(likes.map(like => String(like.video)));
+};
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,161 @@
+/**
+ * Playlist Model Schema
+ * Ordered collections of solutions, e.g. a revision course
+ */
+
+const mongoose = require('mongoose');
+const { slugify } = require('./utils/validators');
+
+// Upper bound on solutions in one playlist
+const MAX_ITEMS = 200;
+
+// One solution in a playlist; the array order is the playlist order
+const itemSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  // Short hint shown with the item, e.g. "Do this one before the exercise"
+  note: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Note cannot exceed 200 characters'],
+    default: ''
+  },
+
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const playlistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Playlist title is required'],
+    trim: true,
+    maxLength: [120, 'Playlist title cannot exceed 120 characters']
+  },
+
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+
+  items: {
+    type: [itemSchema],
+    validate: {
+      validator: items => items.length <= MAX_ITEMS,
+      message: `A playlist can hold at most ${MAX_ITEMS} solutions`
+    }
+  },
+
+  // Unpublished playlists are hidden from the public pages
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Finding the playlists a solution belongs to
+playlistSchema.index({ 'items.video': 1 });
+
+// Virtual for the number of solutions
+playlistSchema.virtual('itemCount').get(function() {
+  return this.items ? this.items.length : 0;
+});
+
+// Pre-validate middleware to derive a unique slug from the title
+playlistSchema.pre('validate', async function(next) {
+  try {
+    if (!this.slug || this.isModified('title')) {
+      const base = slugify(this.title, 'playlist');
+      let slug = base;
+
+      for (let suffix = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }); suffix += 1) {
+        slug = `${base}-${suffix}`;
+      }
+
+      this.slug = slug;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to find a playlist by ID or slug
+playlistSchema.statics.findByIdOrSlug = function(value) {
+  if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+    return this.findById(value);
+  }
+  return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+/**
+ * Published playlists each solution belongs to, with the solution's position in them
+ *
+ * Positions count visible solutions only, matching the public playlist page.
+ *
+ * @param {Array} videoIds - Solution IDs
+ * @returns {Promise<Map>} - Video ID string => [{ _id, title, slug, position, total }]
+ */
+playlistSchema.statics.getMemberships = async function(videoIds) {
+  const memberships = new Map(videoIds.map(id => [String(id), []]));
+  if (videoIds.length === 0) return memberships;
+
+  const playlists = await this.find({ isActive: true, 'items.video': { $in: videoIds } })
+    .select('title slug items.video')
+    .sort({ title: 1 })
+    .lean();
+  if (playlists.length === 0) return memberships;
+
+  const allVideoIds = playlists.flatMap(playlist => playlist.items.map(item => item.video));
+  const Video = this.model('Video');
+  const visibleIds = await Video.distinct('_id', { _id: { $in: allVideoIds }, ...Video.publicFilter() });
+  const visible = new Set(visibleIds.map(String));
+
+  playlists.forEach((playlist) => {
+    const items = playlist.items.filter(item => visible.has(String(item.video)));
+
+    items.forEach((item, index) => {
+      const entries = memberships.get(String(item.video));
+      if (!entries) return;
+
+      entries.push({
+        _id: playlist._id,
+        title: playlist.title,
+        slug: playlist.slug,
+        position: index + 1,
+        total: items.length
+      });
+    });
+  });
+
+  return memberships;
+};
+
+module.exports = mongoose.model('Playlist', playlistSchema);
@@ -0,0 +1,70 @@
+/**
+ * Rating Model Schema
+ * One star rating per solution and user
+ */
+
+const mongoose = require('mongoose');
+
+const ratingSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  stars: {
+    type: Number,
+    required: [true, 'Stars are required'],
+    min: [1, 'Rating must be at least 1 star'],
+    max: [5, 'Rating cannot exceed 5 stars']
+  }
+
+}, {
+  timestamps: true
+});
+
+ratingSchema.index({ video: 1, user: 1 }, { unique: true });
+
+/**
+ * Recompute the average rating and rating count stored on a solution
+ * @param {*} videoId - Solution ID
+ * @returns {Promise<object>} - { ratingAverage, ratingCount }
+ */
+ratingSchema.statics.refreshVideoRating = async function(videoId) {
+  const [summary] = await this.aggregate([
+    { $match: { video: new mongoose.Types.ObjectId(String(videoId)) } },
+    { $group: { _id: null, average: { $avg: '$stars' }, count: { $sum: 1 } } }
+  ]);
+
+  const fields = {
+    ratingAverage: summary ? Math.round(summary.average * 100) / 100 : 0,
+    ratingCount: summary ? summary.count : 0
+  };
+  await this.model('Video').updateOne({ _id: videoId }, fields);
+
+  return fields;
+};
+
+/**
+ * The stars a user gave each of the given solutions
+ * @param {*} userId - User ID, or null for anonymous visitors
+ * @param {Array} videoIds - Solution IDs
+ * @returns {Promise<Map>} - Video ID string => stars
+ */
+ratingSchema.statics.findUserRatings = async function(userId, videoIds) {
+  if (!userId || videoIds.length === 0) return new Map();
+
+  const ratings = await this.find({ user: userId, video: { $in: videoIds } })
+    .select('video stars')
+    .lean();
+
+  return new Map(ratings.map(rating => [String(rating.video), rating.stars]));
+};
+
+module.exports = mongoose.model('Rating', ratingSchema);
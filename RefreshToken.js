@@ -0,0 +1,64 @@
+/**
+ * Refresh Token Model Schema
+ * Stores hashed refresh tokens so sessions can be rotated and revoked
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  subject: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+
+  createdByIp: {
+    type: String
+  },
+
+  userAgent: {
+    type: String
+  }
+
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for token usability
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every session of a subject
+refreshTokenSchema.statics.revokeAllForSubject = function(subject) {
+  return this.updateMany(
+    { subject, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,83 @@
+/**
+ * Report Model Schema
+ * "This solution has a mistake" reports and their triage
+ */
+
+const mongoose = require('mongoose');
+
+const REASONS = ['wrong-answer', 'wrong-question', 'unclear', 'incomplete', 'media-problem', 'other'];
+
+const STATUSES = ['open', 'resolved', 'dismissed'];
+
+const reportSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: [true, 'Reason is required']
+  },
+
+  details: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Details cannot exceed 1000 characters'],
+    default: ''
+  },
+
+  // Where in a video solution the mistake is, in seconds
+  timestamp: {
+    type: Number,
+    min: [0, 'Timestamp cannot be negative'],
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// A user can have one open report per solution
+reportSchema.index(
+  { video: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, video: 1, createdAt: -1 });
+
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Report', reportSchema);
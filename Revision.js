@@ -0,0 +1,120 @@
+/**
+ * Revision Model Schema
+ * One entry per change of a solution's details, with a field-level diff
+ */
+
+const mongoose = require('mongoose');
+
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+// Details of a solution that are versioned. Stored files aren't: replaced files are
+// deleted, so the file name and page count only show in the diff.
+const TRACKED_FIELDS = [
+  'title', 'description', 'type', 'bookId', 'chapterId', 'bookTitle', 'chapter',
+  'exercise', 'questionFrom', 'questionTo', 'youtubeUrl', 'youtubeVideoId',
+  'tags', 'difficulty', 'subject', 'grade', 'status', 'publishedAt', 'fileName', 'pageCount', 'isActive'
+];
+
+// Tracked fields a revert doesn't bring back (files, and the trash state and publishing
+// status which have their own routes)
+const NON_REVERTIBLE_FIELDS = ['fileName', 'pageCount', 'isActive', 'status', 'publishedAt'];
+
+// One changed field
+const changeSchema = new mongoose.Schema({
+  field: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const revisionSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+
+  changes: [changeSchema],
+
+  // The tracked fields after the change; reverting copies them back
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Set on reverts: the revision that was brought back
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Revision',
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ video: 1, createdAt: -1 });
+
+/**
+ * Copy the tracked fields of a solution into a plain object
+ * @param {object|null} video - Video document or plain object
+ * @returns {object} - Tracked field values (missing values as null)
+ */
+revisionSchema.statics.takeSnapshot = function(video) {
+  const source = video && typeof video.toObject === 'function' ? video.toObject() : (video || {});
+  const snapshot = {};
+
+  TRACKED_FIELDS.forEach((field) => {
+    const value = source[field];
+    snapshot[field] = value === undefined ? null : value;
+  });
+
+  return snapshot;
+};
+
+/**
+ * List the tracked fields that differ between two snapshots
+ * @returns {Array} - [{ field, from, to }]
+ */
+revisionSchema.statics.diff = function(before, after) {
+  // Compare through JSON so ObjectIds, dates and arrays compare by value
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+  return TRACKED_FIELDS
+    .filter(field => !same(before[field], after[field]))
+    .map(field => ({ field, from: before[field] === undefined ? null : before[field], to: after[field] }));
+};
+
+/**
+ * Record a change of a solution; updates that change nothing aren't recorded
+ * @param {object} options - { video, before, action, author, revertedTo }; before is a
+ *   snapshot of the solution ahead of the change, or null when it was just created
+ * @returns {Promise<object|null>} - The revision, or null when nothing changed
+ */
+revisionSchema.statics.record = async function({ video, before = null, action, author = null, revertedTo = null }) {
+  const snapshot = this.takeSnapshot(video);
+  // A new solution lists the details it was created with, leaving out empty ones
+  const changes = this.diff(before || {}, snapshot)
+    .filter(change => before || !(change.to === null || (Array.isArray(change.to) && change.to.length === 0)));
+
+  if (before && changes.length === 0) return null;
+
+  return this.create({ video: video._id, action, changes, snapshot, author, revertedTo });
+};
+
+revisionSchema.statics.ACTIONS = ACTIONS;
+revisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+revisionSchema.statics.NON_REVERTIBLE_FIELDS = NON_REVERTIBLE_FIELDS;
+
+module.exports = mongoose.model('Revision', revisionSchema);
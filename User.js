@@ -0,0 +1,179 @@
+/**
+ * User Model Schema
+ * Defines accounts and roles for staff and students
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { generateOpaqueToken, hashToken } = require('./utils/tokens');
+const { ROLES } = require('./utils/permissions');
+const { isValidEmail } = require('./utils/validators');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxLength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minLength: [3, 'Username must be at least 3 characters'],
+    maxLength: [30, 'Username cannot exceed 30 characters'],
+    match: [/^[a-z0-9_.-]+$/, 'Username may only contain letters, numbers, dots, dashes and underscores']
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: isValidEmail,
+      message: 'Please provide a valid email address'
+    }
+  },
+
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minLength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'student'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.emailVerificationTokenHash;
+      delete ret.emailVerificationExpires;
+      delete ret.passwordResetTokenHash;
+      delete ret.passwordResetExpires;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Pre-save middleware to hash changed passwords
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  this.password = await bcrypt.hash(this.password, 12);
+
+  // Access tokens issued before a password change stop working
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+
+  next();
+});
+
+// Instance method to check a login password
+userSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Instance method for the claims embedded in access tokens
+userSchema.methods.toPrincipal = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    username: this.username,
+    email: this.email,
+    role: this.role,
+    emailVerified: this.emailVerified
+  };
+};
+
+// Instance method to check whether a token was issued before the last password change
+userSchema.methods.changedPasswordAfter = function(issuedAtSeconds) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAtSeconds;
+};
+
+// Instance method to create an email verification token (returns the raw token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateOpaqueToken();
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Instance method to create a password reset token (returns the raw token)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateOpaqueToken();
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
+// Static method to find a user holding an unexpired one-time token
+userSchema.statics.findByToken = function(field, token) {
+  return this.findOne({
+    [`${field}TokenHash`]: hashToken(token),
+    [`${field}Expires`]: { $gt: new Date() }
+  });
+};
+
+// Static method to find a user by username or email for login
+userSchema.statics.findByLogin = function(login) {
+  const value = String(login).trim().toLowerCase();
+  return this.findOne({ $or: [{ username: value }, { email: value }] }).select('+password');
+};
+
+module.exports = mongoose.model('User', userSchema);
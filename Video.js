@@ -1,193 +1,522 @@
-/**
- * Video Model Schema
- * Defines the structure for video/solution documents in MongoDB
- */
-
-const mongoose = require('mongoose');
-
-const videoSchema = new mongoose.Schema({
-  title: {
-    type: String,
-    required: [true, 'Video title is required'],
-    trim: true,
-    maxLength: [200, 'Title cannot exceed 200 characters']
-  },
-
-  description: {
-    type: String,
-    required: [true, 'Video description is required'],
-    trim: true,
-    maxLength: [1000, 'Description cannot exceed 1000 characters']
-  },
-
-  bookTitle: {
-    type: String,
-    required: [true, 'Book title is required'],
-    trim: true,
-    maxLength: [100, 'Book title cannot exceed 100 characters']
-  },
-
-  chapter: {
-    type: String,
-    required: [true, 'Chapter is required'],
-    trim: true,
-    maxLength: [50, 'Chapter cannot exceed 50 characters']
-  },
-
-  type: {
-    type: String,
-    enum: ['video', 'image'],
-    required: [true, 'Content type is required'],
-    default: 'video'
-  },
-
-  youtubeUrl: {
-    type: String,
-    required: function() {
-      return this.type === 'video';
-    },
-    validate: {
-      validator: function(url) {
-        if (this.type !== 'video') return true;
-        const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
-        return youtubeRegex.test(url);
-      },
-      message: 'Please provide a valid YouTube URL'
-    }
-  },
-
-  youtubeVideoId: {
-    type: String,
-    required: function() {
-      return this.type === 'video';
-    }
-  },
-
-  thumbnailUrl: {
-    type: String,
-    default: function() {
-      if (this.youtubeVideoId) {
-        return `https://img.youtube.com/vi/${this.youtubeVideoId}/maxresdefault.jpg`;
-      }
-      return null;
-    }
-  },
-
-  fileUrl: {
-    type: String,
-    required: function() {
-      return this.type === 'image';
-    }
-  },
-
-  fileName: {
-    type: String
-  },
-
-  fileSize: {
-    type: Number
-  },
-
-  duration: {
-    type: String, // e.g., "10:30" for 10 minutes 30 seconds
-    default: null
-  },
-
-  views: {
-    type: Number,
-    default: 0
-  },
-
-  likes: {
-    type: Number,
-    default: 0
-  },
-
-  isActive: {
-    type: Boolean,
-    default: true
-  },
-
-  tags: [{
-    type: String,
-    trim: true,
-    maxLength: [30, 'Tag cannot exceed 30 characters']
-  }],
-
-  difficulty: {
-    type: String,
-    enum: ['easy', 'medium', 'hard'],
-    default: 'medium'
-  },
-
-  subject: {
-    type: String,
-    trim: true,
-    maxLength: [50, 'Subject cannot exceed 50 characters']
-  },
-
-  grade: {
-    type: String,
-    trim: true,
-    maxLength: [20, 'Grade cannot exceed 20 characters']
-  },
-
-  uploadedBy: {
-    type: String,
-    default: 'Admin',
-    trim: true
-  },
-
-  publishedAt: {
-    type: Date,
-    default: Date.now
-  }
-
-}, {
-  timestamps: true, // Adds createdAt and updatedAt automatically
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
-});
-
-// Virtual for embedded YouTube URL
-videoSchema.virtual('youtubeEmbedUrl').get(function() {
-  if (this.youtubeVideoId) {
-    return `https://www.youtube.com/embed/${this.youtubeVideoId}`;
-  }
-  return null;
-});
-
-// Pre-save middleware to extract YouTube video ID
-videoSchema.pre('save', function(next) {
-  if (this.youtubeUrl && this.type === 'video') {
-    const match = this.youtubeUrl.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/);
-    if (match) {
-      this.youtubeVideoId = match[1];
-      this.thumbnailUrl = `https://img.youtube.com/vi/${this.youtubeVideoId}/maxresdefault.jpg`;
-    }
-  }
-  next();
-});
-
-// Index for better query performance
-videoSchema.index({ bookTitle: 1, chapter: 1 });
-videoSchema.index({ type: 1, isActive: 1 });
-videoSchema.index({ createdAt: -1 });
-videoSchema.index({ subject: 1, grade: 1 });
-
-// Static method to get videos by book and chapter
-videoSchema.statics.getByBookAndChapter = function(bookTitle, chapter) {
-  return this.find({ 
-    bookTitle: new RegExp(bookTitle, 'i'), 
-    chapter: new RegExp(chapter, 'i'),
-    isActive: true 
-  }).sort({ createdAt: -1 });
-};
-
-// Instance method to increment views
-videoSchema.methods.incrementViews = function() {
-  this.views += 1;
-  return this.save();
-};
-
+/**
+ * Video Model Schema
+ * Defines the structure for video/solution documents in MongoDB
+ */
+
+const mongoose = require('mongoose');
+const searchIndex = require('./utils/searchIndex');
+const { escapeRegex } = require('./utils/validators');
+
+// A resized rendition of an uploaded image
+const imageVariantSchema = new mongoose.Schema({
+  key: String,
+  url: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  format: String
+}, { _id: false });
+
+// One page of an image solution; the first page doubles as the cover
+const pageSchema = new mongoose.Schema({
+  fileUrl: {
+    type: String,
+    required: [true, 'Page file URL is required']
+  },
+  storageKey: String,
+  fileName: String,
+  fileSize: Number,
+  width: Number,
+  height: Number,
+  imageVariants: {
+    thumbnail: imageVariantSchema,
+    card: imageVariantSchema,
+    full: imageVariantSchema
+  }
+});
+
+// Publishing states: drafts and archived solutions are only shown to staff, scheduled
+// ones go live at publishedAt
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// File fields copied from the first page onto the video itself
+const COVER_FIELDS = ['fileUrl', 'storageKey', 'fileName', 'fileSize', 'width', 'height', 'imageVariants'];
+
+const videoSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Video title is required'],
+    trim: true,
+    maxLength: [200, 'Title cannot exceed 200 characters']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Video description is required'],
+    trim: true,
+    maxLength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  bookTitle: {
+    type: String,
+    required: [true, 'Book title is required'],
+    trim: true,
+    maxLength: [100, 'Book title cannot exceed 100 characters']
+  },
+
+  chapter: {
+    type: String,
+    required: [true, 'Chapter is required'],
+    trim: true,
+    maxLength: [100, 'Chapter cannot exceed 100 characters']
+  },
+
+  // Catalog records; bookTitle and chapter above are kept as copies of their titles
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    default: null
+  },
+
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+
+  // Exercise within the chapter, e.g. "4.2"
+  exercise: {
+    type: String,
+    trim: true,
+    maxLength: [20, 'Exercise cannot exceed 20 characters'],
+    default: null
+  },
+
+  // Questions the solution covers, inclusive; a single question has questionFrom === questionTo
+  questionFrom: {
+    type: Number,
+    min: [1, 'Question numbers start at 1'],
+    default: null
+  },
+
+  questionTo: {
+    type: Number,
+    min: [1, 'Question numbers start at 1'],
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: ['video', 'image', 'pdf'],
+    required: [true, 'Content type is required'],
+    default: 'video'
+  },
+
+  youtubeUrl: {
+    type: String,
+    required: function() {
+      return this.type === 'video';
+    },
+    validate: {
+      validator: function(url) {
+        if (this.type !== 'video') return true;
+        const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
+        return youtubeRegex.test(url);
+      },
+      message: 'Please provide a valid YouTube URL'
+    }
+  },
+
+  youtubeVideoId: {
+    type: String,
+    required: function() {
+      return this.type === 'video';
+    }
+  },
+
+  thumbnailUrl: {
+    type: String,
+    default: function() {
+      if (this.youtubeVideoId) {
+        return `https://img.youtube.com/vi/${this.youtubeVideoId}/maxresdefault.jpg`;
+      }
+      return null;
+    }
+  },
+
+  fileUrl: {
+    type: String,
+    required: function() {
+      return this.type === 'image' || this.type === 'pdf';
+    }
+  },
+
+  storageKey: {
+    type: String, // key of the file in the configured storage driver
+    default: null
+  },
+
+  fileName: {
+    type: String
+  },
+
+  fileSize: {
+    type: Number
+  },
+
+  // Number of pages of a PDF solution
+  pageCount: {
+    type: Number,
+    default: null
+  },
+
+  // Dimensions of the uploaded image (or PDF preview) after applying its orientation
+  width: {
+    type: Number,
+    default: null
+  },
+
+  height: {
+    type: Number,
+    default: null
+  },
+
+  // Resized renditions of the image, or of the first page of a PDF
+  imageVariants: {
+    thumbnail: imageVariantSchema,
+    card: imageVariantSchema,
+    full: imageVariantSchema
+  },
+
+  // Ordered pages of a multi-page image solution (the fields above mirror the first page)
+  pages: [pageSchema],
+
+  duration: {
+    type: String, // e.g., "10:30" for 10 minutes 30 seconds
+    default: null
+  },
+
+  views: {
+    type: Number,
+    default: 0
+  },
+
+  likes: {
+    type: Number,
+    default: 0
+  },
+
+  // Kept in sync by Rating.refreshVideoRating
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Set when the solution is moved to the trash; the retention job purges it after a while
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    maxLength: [30, 'Tag cannot exceed 30 characters']
+  }],
+
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    maxLength: [50, 'Subject cannot exceed 50 characters']
+  },
+
+  grade: {
+    type: String,
+    trim: true,
+    maxLength: [20, 'Grade cannot exceed 20 characters']
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'published'
+  },
+
+  // When the solution went (or goes) live; null for drafts
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for embedded YouTube URL
+videoSchema.virtual('youtubeEmbedUrl').get(function() {
+  if (this.youtubeVideoId) {
+    return `https://www.youtube.com/embed/${this.youtubeVideoId}`;
+  }
+  return null;
+});
+
+// Virtual for the covered questions, e.g. "Q7" or "Q1–Q5"
+videoSchema.virtual('questionLabel').get(function() {
+  if (!this.questionFrom) return null;
+  if (!this.questionTo || this.questionTo === this.questionFrom) return `Q${this.questionFrom}`;
+  return `Q${this.questionFrom}–Q${this.questionTo}`;
+});
+
+// Pre-save middleware to extract YouTube video ID
+videoSchema.pre('save', function(next) {
+  if (this.youtubeUrl && this.type === 'video') {
+    const match = this.youtubeUrl.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/);
+    if (match) {
+      this.youtubeVideoId = match[1];
+      this.thumbnailUrl = `https://img.youtube.com/vi/${this.youtubeVideoId}/maxresdefault.jpg`;
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to keep the cover fields in sync with the first page
+videoSchema.pre('save', function(next) {
+  if (this.isModified('pages') && this.pages.length > 0) {
+    Object.assign(this, this.constructor.getCoverFields(this.pages[0]));
+  }
+  next();
+});
+
+// Keep this process's search index in step with writes
+videoSchema.pre('save', function(next) {
+  this.$locals.searchFieldsChanged = this.isNew ||
+    searchIndex.SEARCH_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+videoSchema.post('save', function(doc) {
+  if (doc.$locals.searchFieldsChanged) searchIndex.indexVideo(doc);
+});
+
+videoSchema.post('findOneAndUpdate', function(doc) {
+  // Without { new: true } the hook receives the document as it was before the update
+  const options = this.getOptions();
+  if (doc && (options.new || options.returnDocument === 'after')) {
+    searchIndex.indexVideo(doc);
+  } else {
+    searchIndex.invalidate();
+  }
+});
+
+videoSchema.post('findOneAndDelete', function(doc) {
+  if (doc) searchIndex.removeVideo(doc._id);
+});
+
+// Whether an update document changes an indexed field (counter updates such as likes don't)
+const touchesSearchFields = (update) => {
+  if (!update || typeof update !== 'object') return false;
+  if (Array.isArray(update)) return update.some(touchesSearchFields); // aggregation pipeline
+
+  return Object.entries(update).some(([key, value]) => (key.startsWith('$')
+    ? touchesSearchFields(value)
+    : searchIndex.SEARCH_FIELDS.includes(key.split('.')[0])));
+};
+
+videoSchema.post(['updateOne', 'updateMany'], { document: false, query: true }, function() {
+  if (touchesSearchFields(this.getUpdate())) searchIndex.invalidate();
+});
+
+videoSchema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, function() {
+  searchIndex.invalidate();
+});
+
+// Index for better query performance
+videoSchema.index({ bookTitle: 1, chapter: 1 });
+videoSchema.index({ type: 1, isActive: 1 });
+videoSchema.index({ createdAt: -1 });
+videoSchema.index({ isActive: 1, deletedAt: -1 });
+videoSchema.index({ status: 1, publishedAt: 1 });
+videoSchema.index({ ratingAverage: -1, ratingCount: -1 });
+videoSchema.index({ subject: 1, grade: 1 });
+videoSchema.index({ uploadedBy: 1 });
+videoSchema.index({ bookId: 1, chapterId: 1 });
+videoSchema.index({ chapterId: 1, exercise: 1, questionFrom: 1, questionTo: 1 });
+
+// Matches "7", "Q7", "1-5", "Q1–Q5" and "1 to 5"
+const QUESTION_RANGE_PATTERN = /^(?:q(?:uestions?)?\.?\s*)?(\d{1,3})(?:\s*(?:-|–|—|to)\s*(?:q(?:uestions?)?\.?\s*)?(\d{1,3}))?$/i;
+
+/**
+ * Parse the questions a solution covers
+ * @param {string} text - e.g. "Q7" or "Q1–Q5"; empty clears the range
+ * @returns {object|null} - { questionFrom, questionTo }, or null when the text isn't a valid range
+ */
+videoSchema.statics.parseQuestionRange = function(text) {
+  const value = String(text === undefined || text === null ? '' : text).trim();
+  if (!value) return { questionFrom: null, questionTo: null };
+
+  const match = value.match(QUESTION_RANGE_PATTERN);
+  if (!match) return null;
+
+  const questionFrom = parseInt(match[1], 10);
+  const questionTo = match[2] ? parseInt(match[2], 10) : questionFrom;
+  if (questionFrom < 1 || questionTo < questionFrom) return null;
+
+  return { questionFrom, questionTo };
+};
+
+// Query conditions for solutions covering a question
+videoSchema.statics.coveringQuestion = function(question) {
+  return {
+    questionFrom: { $lte: question },
+    questionTo: { $gte: question }
+  };
+};
+
+/**
+ * Conditions for the solutions visitors can see: not in the trash, published, and past their publish date
+ * (solutions saved before publishing states existed have no status and count as published)
+ * @param {Date} now - Reference time
+ * @returns {object} - Query conditions
+ */
+videoSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    status: { $in: ['published', null] },
+    publishedAt: { $not: { $gt: now } }
+  };
+};
+
+/**
+ * Whether visitors can see a solution; the in-memory counterpart of publicFilter
+ * @param {object} video - Video document or plain object (needs isActive, status and publishedAt)
+ * @returns {boolean}
+ */
+videoSchema.statics.isPublic = function(video, now = new Date()) {
+  if (!video || !video.isActive) return false;
+  if (video.status && video.status !== 'published') return false;
+
+  return !video.publishedAt || new Date(video.publishedAt) <= now;
+};
+
+/**
+ * Work out the publishing state of a solution from a submitted status and publish date
+ * @param {object} input - { status, publishedAt } as submitted; either may be missing
+ * @param {object|null} current - The solution being edited, or null for a new one
+ * @returns {object} - { fields } to save, or { status, message } when they don't fit together
+ */
+videoSchema.statics.resolvePublishing = function({ status, publishedAt }, current = null) {
+  const currentStatus = current ? current.status || 'published' : null;
+  const nextStatus = status || currentStatus || 'published';
+
+  if (nextStatus === 'scheduled') {
+    const goLive = publishedAt
+      ? new Date(publishedAt)
+      : (currentStatus === 'scheduled' ? current.publishedAt : null);
+
+    if (!goLive || goLive <= new Date()) {
+      return { status: 400, message: 'Scheduled solutions need a publish date in the future' };
+    }
+    return { fields: { status: nextStatus, publishedAt: goLive } };
+  }
+
+  if (nextStatus === 'published') {
+    // Going live now, unless the solution already is
+    const alreadyLive = currentStatus === 'published' && current.publishedAt;
+    return { fields: { status: nextStatus, publishedAt: alreadyLive ? current.publishedAt : new Date() } };
+  }
+
+  if (nextStatus === 'draft') {
+    return { fields: { status: nextStatus, publishedAt: null } };
+  }
+
+  // Archived solutions keep the date they went live
+  return { fields: { status: nextStatus } };
+};
+
+// Static method to get videos by book and chapter
+videoSchema.statics.getByBookAndChapter = function(bookTitle, chapter) {
+  return this.find({ 
+    bookTitle: new RegExp(escapeRegex(bookTitle), 'i'), 
+    chapter: new RegExp(escapeRegex(chapter), 'i'),
+    ...this.publicFilter()
+  }).sort({ createdAt: -1 });
+};
+
+// Static method to list every storage key referenced by a set of video file fields
+videoSchema.statics.collectStorageKeys = function(fields) {
+  if (!fields) return [];
+
+  const keys = [fields.storageKey];
+
+  if (fields.imageVariants) {
+    ['thumbnail', 'card', 'full'].forEach((name) => {
+      const variant = fields.imageVariants[name];
+      if (variant && variant.key) keys.push(variant.key);
+    });
+  }
+
+  (fields.pages || []).forEach((page) => {
+    keys.push(...this.collectStorageKeys(page));
+  });
+
+  return [...new Set(keys.filter(Boolean))];
+};
+
+// Static method to get the video file fields that mirror a page
+videoSchema.statics.getCoverFields = function(page) {
+  const source = page && typeof page.toObject === 'function' ? page.toObject() : page;
+  const fields = {};
+
+  COVER_FIELDS.forEach((field) => {
+    fields[field] = source ? source[field] : null;
+  });
+
+  return fields;
+};
+
+// Instance method to turn a legacy single-image video into a one-page solution
+videoSchema.methods.ensurePages = function() {
+  if (this.type === 'image' && this.pages.length === 0 && this.fileUrl) {
+    this.pages.push(this.constructor.getCoverFields(this));
+  }
+  return this.pages;
+};
+
+// Instance method to list every stored file key of this video
+videoSchema.methods.getStorageKeys = function() {
+  return this.constructor.collectStorageKeys(this);
+};
+
+videoSchema.statics.STATUSES = STATUSES;
+
 module.exports = mongoose.model('Video', videoSchema);
\ No newline at end of file
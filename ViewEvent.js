@@ -0,0 +1,55 @@
+/**
+ * View Event Model Schema
+ * Counted views of a solution, used to ignore repeat views by the same viewer
+ */
+
+const mongoose = require('mongoose');
+
+const viewEventSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+
+  // Hash of the signed-in user, the anonymous device or the IP and user agent
+  viewerHash: {
+    type: String,
+    required: true
+  },
+
+  // Index of the dedup window the view fell in (time / window length)
+  bucket: {
+    type: Number,
+    required: true
+  },
+
+  // Copied from the solution so events can be grouped without a lookup
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    default: null
+  },
+
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One counted view per viewer and solution in each window
+viewEventSchema.index({ video: 1, viewerHash: 1, bucket: 1 }, { unique: true });
+
+// Let MongoDB remove old events; the daily stats keep the totals
+viewEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ViewEvent', viewEventSchema);
@@ -0,0 +1,65 @@
+/**
+ * Watch History Model Schema
+ * The solutions a signed-in user opened, one entry per solution
+ */
+
+const mongoose = require('mongoose');
+
+// Entries not opened again for this long are dropped
+const RETENTION_DAYS = 365;
+
+const watchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: [true, 'Solution is required']
+  },
+
+  // Copied from the solution for "continue where you left off" per book
+  bookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    default: null
+  },
+
+  openCount: {
+    type: Number,
+    default: 1
+  },
+
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, lastViewedAt: -1 });
+watchHistorySchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Record that a user opened a solution
+ * @param {*} userId - User ID
+ * @param {object} video - Solution (needs _id and bookId)
+ */
+watchHistorySchema.statics.record = function(userId, video) {
+  return this.updateOne(
+    { user: userId, video: video._id },
+    {
+      $set: { bookId: video.bookId || null, lastViewedAt: new Date() },
+      $inc: { openCount: 1 }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('WatchHistory', watchHistorySchema);
@@ -0,0 +1,198 @@
+/**
+ * Account Controller
+ * Handles self-service account settings for signed-in users
+ */
+
+const User = require('./User');
+const RefreshToken = require('./RefreshToken');
+const Bookmark = require('./Bookmark');
+const WatchHistory = require('./WatchHistory');
+const Completion = require('./Completion');
+const { validationResult } = require('express-validator');
+const { issueTokens } = require('./utils/tokens');
+const { sendMail } = require('./utils/mailer');
+const { verificationEmail } = require('./utils/emailTemplates');
+
+// @desc    Get the signed-in user's account
+// @route   GET /api/account
+// @access  Private
+const getAccount = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  });
+};
+
+// @desc    Update name or email (a new email must be verified again)
+// @route   PUT /api/account
+// @access  Private
+const updateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email } = req.body;
+    const user = req.user;
+    let verificationToken = null;
+
+    if (name !== undefined) user.name = name;
+
+    if (email !== undefined && email !== user.email) {
+      user.email = email;
+      user.emailVerified = false;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      try {
+        await sendMail(verificationEmail(user, verificationToken));
+      } catch (error) {
+        console.error('Send mail error:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: verificationToken
+        ? 'Account updated. Check your new email address for a verification link.'
+        : 'Account updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update account error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'That email address is already in use'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Change password and sign out other sessions
+// @route   PUT /api/account/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Every existing session ends; this one continues with a fresh token pair
+    await RefreshToken.revokeAllForSubject(user.id);
+    const principal = user.toPrincipal();
+    const tokens = await issueTokens(principal, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        user: principal,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Permanently delete the signed-in user's account
+// @route   DELETE /api/account
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Staff accounts own content; an admin has to deactivate those instead
+    if (user.role !== 'student') {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff accounts cannot be deleted from account settings'
+      });
+    }
+
+    await RefreshToken.revokeAllForSubject(user.id);
+    await Promise.all([
+      Bookmark.deleteMany({ user: user._id }),
+      WatchHistory.deleteMany({ user: user._id }),
+      Completion.deleteMany({ user: user._id })
+    ]);
+    await user.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAccount,
+  updateAccount,
+  changePassword,
+  deleteAccount
+};
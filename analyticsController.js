@@ -0,0 +1,364 @@
+/**
+ * Analytics Controller
+ * Date-range reports for the admin dashboard: views, top content, growth and uploaders
+ */
+
+const mongoose = require('mongoose');
+const Video = require('./Video');
+const Book = require('./Book');
+const Chapter = require('./Chapter');
+const Like = require('./Like');
+const User = require('./User');
+const DailyStat = require('./DailyStat');
+const { validationResult } = require('express-validator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period used when the request doesn't give one
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest period one report may cover
+const MAX_RANGE_DAYS = 366;
+
+// Bucket formats for content growth; weeks are ISO weeks, e.g. "2024-W07"
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+/**
+ * Resolve the from/to query parameters to whole UTC days
+ * @param {object} query - Request query
+ * @returns {object} - { from, to } (to is the start of the last day), or { status, message }
+ */
+const resolvePeriod = (query) => {
+  const to = DailyStat.startOfDay(query.to ? new Date(query.to) : new Date());
+  const from = DailyStat.startOfDay(query.from
+    ? new Date(query.from)
+    : to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (from > to) {
+    return { status: 400, message: 'The start date must not be after the end date' };
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { status: 400, message: `A report can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+};
+
+/**
+ * Describe a period in responses
+ */
+const formatPeriod = ({ from, to }) => ({
+  from: from.toISOString().slice(0, 10),
+  to: to.toISOString().slice(0, 10)
+});
+
+/**
+ * Bucket label of a day, matching the $dateToString formats in INTERVAL_FORMATS
+ */
+const bucketLabel = (date, interval) => {
+  const iso = date.toISOString();
+  if (interval === 'day') return iso.slice(0, 10);
+  if (interval === 'month') return iso.slice(0, 7);
+
+  // ISO week: the week belongs to the year of its Thursday
+  const thursday = new Date(date.getTime() + (4 - (date.getUTCDay() || 7)) * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Names for the refs of a top list, keyed by ID string
+ */
+const describeRefs = async (scope, refs) => {
+  const ids = refs.map(ref => ref.ref);
+
+  if (scope === 'book') {
+    const books = await Book.find({ _id: { $in: ids } }).select('title slug').lean();
+    return new Map(books.map(book => [String(book._id), { title: book.title, slug: book.slug }]));
+  }
+
+  if (scope === 'chapter') {
+    const chapters = await Chapter.find({ _id: { $in: ids } }).populate('book', 'title slug');
+    return new Map(chapters.map(chapter => [String(chapter._id), {
+      title: chapter.label,
+      book: chapter.book ? { title: chapter.book.title, slug: chapter.book.slug } : null
+    }]));
+  }
+
+  const videos = await Video.find({ _id: { $in: ids } }).select('title bookTitle chapter type isActive').lean();
+  return new Map(videos.map(video => [String(video._id), {
+    title: video.title,
+    bookTitle: video.bookTitle,
+    chapter: video.chapter,
+    type: video.type,
+    isActive: video.isActive
+  }]));
+};
+
+// @desc    Get views per day in a period, overall or for one solution, book or chapter
+// @route   GET /api/analytics/views
+// @access  Private (admin)
+const getViewsOverTime = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = resolvePeriod(req.query);
+    if (period.status) {
+      return res.status(period.status).json({ success: false, message: period.message });
+    }
+
+    const { scope = 'video', ref } = req.query;
+    const series = await DailyStat.getSeries(scope, ref || null, period.from, period.to);
+
+    res.status(200).json({
+      success: true,
+      data: series,
+      total: series.reduce((sum, day) => sum + day.views, 0),
+      period: formatPeriod(period)
+    });
+
+  } catch (error) {
+    console.error('Get views over time error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching view analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the most viewed solutions, books or chapters in a period
+// @route   GET /api/analytics/top
+// @access  Private (admin)
+const getTopContent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = resolvePeriod(req.query);
+    if (period.status) {
+      return res.status(period.status).json({ success: false, message: period.message });
+    }
+
+    const scope = req.query.scope || 'video';
+    const limit = parseInt(req.query.limit) || 10;
+
+    const top = await DailyStat.getTop(scope, period.from, period.to, limit);
+    const names = await describeRefs(scope, top);
+
+    res.status(200).json({
+      success: true,
+      scope,
+      data: top.map(entry => ({
+        _id: entry.ref,
+        views: entry.views,
+        // Deleted records keep their views but lose their name
+        ...(names.get(String(entry.ref)) || { title: 'Deleted' })
+      })),
+      period: formatPeriod(period)
+    });
+
+  } catch (error) {
+    console.error('Get top content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching top content',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get new solutions per day, week or month, split by subject or class
+// @route   GET /api/analytics/growth
+// @access  Private (admin)
+const getContentGrowth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = resolvePeriod(req.query);
+    if (period.status) {
+      return res.status(period.status).json({ success: false, message: period.message });
+    }
+
+    const { groupBy = 'subject', interval = 'week' } = req.query;
+
+    const [rows, totalBefore] = await Promise.all([
+      Video.aggregate([
+        { $match: { isActive: true, createdAt: { $gte: period.from, $lt: new Date(period.to.getTime() + DAY_MS) } } },
+        {
+          $group: {
+            _id: {
+              bucket: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt', timezone: 'UTC' } },
+              group: { $ifNull: [`$${groupBy}`, ''] }
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Video.countDocuments({ isActive: true, createdAt: { $lt: period.from } })
+    ]);
+
+    // Every bucket in the period, in order, so quiet weeks show as zero
+    const buckets = [];
+    for (let day = period.from.getTime(); day <= period.to.getTime(); day += DAY_MS) {
+      const label = bucketLabel(new Date(day), interval);
+      if (buckets[buckets.length - 1] !== label) buckets.push(label);
+    }
+
+    const groups = [...new Set(rows.map(row => row._id.group))].sort();
+    const series = groups.map((group) => {
+      const counts = new Map(rows
+        .filter(row => row._id.group === group)
+        .map(row => [row._id.bucket, row.count]));
+
+      return {
+        group: group || 'Unspecified',
+        counts: buckets.map(bucket => counts.get(bucket) || 0)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      groupBy,
+      interval,
+      buckets,
+      data: series,
+      totalBefore,
+      added: rows.reduce((sum, row) => sum + row.count, 0),
+      period: formatPeriod(period)
+    });
+
+  } catch (error) {
+    console.error('Get content growth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching content growth',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get uploads, views and likes per uploader in a period
+// @route   GET /api/analytics/uploaders
+// @access  Private (admin)
+const getUploaderEngagement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const period = resolvePeriod(req.query);
+    if (period.status) {
+      return res.status(period.status).json({ success: false, message: period.message });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const end = new Date(period.to.getTime() + DAY_MS);
+
+    // Views and likes are credited to whoever uploaded the solution
+    const byUploader = [
+      {
+        $lookup: {
+          from: Video.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'video'
+        }
+      },
+      { $unwind: '$video' },
+      { $group: { _id: '$video.uploadedBy', total: { $sum: '$total' } } }
+    ];
+
+    const [uploads, views, likes] = await Promise.all([
+      Video.aggregate([
+        { $match: { createdAt: { $gte: period.from, $lt: end } } },
+        { $group: { _id: '$uploadedBy', total: { $sum: 1 } } }
+      ]),
+      DailyStat.aggregate([
+        { $match: { scope: 'video', date: { $gte: period.from, $lte: period.to } } },
+        { $group: { _id: '$ref', total: { $sum: '$views' } } },
+        ...byUploader
+      ]),
+      Like.aggregate([
+        { $match: { createdAt: { $gte: period.from, $lt: end } } },
+        { $group: { _id: '$video', total: { $sum: 1 } } },
+        ...byUploader
+      ])
+    ]);
+
+    const rows = new Map();
+    const add = (entries, field) => entries.forEach((entry) => {
+      const key = String(entry._id || '');
+      if (!rows.has(key)) rows.set(key, { uploader: entry._id || null, uploads: 0, views: 0, likes: 0 });
+      rows.get(key)[field] = entry.total;
+    });
+    add(uploads, 'uploads');
+    add(views, 'views');
+    add(likes, 'likes');
+
+    const ranked = [...rows.values()]
+      .sort((a, b) => b.views - a.views || b.likes - a.likes || b.uploads - a.uploads)
+      .slice(0, limit);
+
+    const userIds = ranked.map(row => row.uploader).filter(id => mongoose.isValidObjectId(id));
+    const users = await User.find({ _id: { $in: userIds } }).select('name email role').lean();
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    res.status(200).json({
+      success: true,
+      data: ranked.map(row => ({
+        uploader: usersById.get(String(row.uploader)) || null,
+        uploads: row.uploads,
+        views: row.views,
+        likes: row.likes,
+        likesPerView: row.views ? Math.round((row.likes / row.views) * 1000) / 1000 : 0
+      })),
+      period: formatPeriod(period)
+    });
+
+  } catch (error) {
+    console.error('Get uploader engagement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching uploader engagement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getViewsOverTime,
+  getTopContent,
+  getContentGrowth,
+  getUploaderEngagement
+};
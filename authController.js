@@ -0,0 +1,439 @@
+/**
+ * Auth Controller
+ * Handles registration, login, sessions, email verification and password resets
+ */
+
+const bcrypt = require('bcryptjs');
+const { validationResult } = require('express-validator');
+const User = require('./User');
+const RefreshToken = require('./RefreshToken');
+const { generateOpaqueToken, hashToken, issueTokens } = require('./utils/tokens');
+const { sendMail } = require('./utils/mailer');
+const { verificationEmail, passwordResetEmail } = require('./utils/emailTemplates');
+
+// Compared against when the username is unknown so response timing doesn't leak it
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('toppers-hike-timing-guard', 10);
+
+/**
+ * Send an email without failing the request; users can ask for it again
+ */
+const trySendMail = async (message) => {
+  try {
+    await sendMail(message);
+    return true;
+  } catch (error) {
+    console.error('Send mail error:', error);
+    return false;
+  }
+};
+
+// @desc    Register a student account
+// @route   POST /api/auth/register
+// @access  Public
+const register = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, username, email, password } = req.body;
+
+    // Self-registration always creates students; staff are created by admins
+    const user = new User({ name, username, email, password, role: 'student' });
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    await trySendMail(verificationEmail(user, token));
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created. Check your email for a verification link.',
+      data: user.toPrincipal()
+    });
+
+  } catch (error) {
+    console.error('Register error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with that username or email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log in and receive access/refresh tokens
+// @route   POST /api/auth/login
+// @access  Public
+const login = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { username, password } = req.body;
+
+    const user = await User.findByLogin(username);
+    const passwordMatches = await bcrypt.compare(
+      password,
+      user ? user.password : DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !passwordMatches) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated'
+      });
+    }
+
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const principal = user.toPrincipal();
+    const tokens = await issueTokens(principal, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: {
+        user: principal,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const stored = await RefreshToken.findOne({ tokenHash });
+
+    if (!stored || stored.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(stored.subject);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeAllForSubject(stored.subject);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // Revoke the presented token in one step before issuing the next one, so of two
+    // requests with the same token only one gets through
+    const nextRefreshToken = generateOpaqueToken();
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { revokedAt: new Date(), replacedByHash: hashToken(nextRefreshToken) },
+      { new: true }
+    );
+
+    // A rotated token being presented again means it was stolen: end every session
+    if (!rotated) {
+      await RefreshToken.revokeAllForSubject(stored.subject);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    // Re-read the user so role changes apply from the next access token on
+    const principal = user.toPrincipal();
+    const tokens = await issueTokens(principal, req, nextRefreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: principal,
+        ...tokens
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Revoke a refresh token
+// @route   POST /api/auth/logout
+// @access  Public (requires the refresh token being revoked)
+const logout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(req.body.refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Confirm an email address
+// @route   POST /api/auth/verify-email
+// @access  Public (requires the emailed token)
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByToken('emailVerification', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive && !user.emailVerified) {
+      const token = user.createEmailVerificationToken();
+      await user.save();
+      await trySendMail(verificationEmail(user, token));
+    }
+
+    // Same answer either way so the endpoint can't be used to probe for accounts
+    res.status(200).json({
+      success: true,
+      message: 'If that account needs verification, a new link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await trySendMail(passwordResetEmail(user, token));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires the emailed token)
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByToken('passwordReset', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    await RefreshToken.revokeAllForSubject(user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. You can now log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the currently authenticated user
+// @route   GET /api/auth/me
+// @access  Private
+const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.toPrincipal()
+  });
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getMe
+};
@@ -0,0 +1,556 @@
+/**
+ * Book Controller
+ * Handles the book and chapter catalog that solutions are filed under
+ */
+
+const Book = require('./Book');
+const Chapter = require('./Chapter');
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+const { persistImage } = require('./middleware/upload');
+const { removeFiles } = require('./utils/storage');
+const { escapeRegex } = require('./utils/validators');
+
+// Fields of a book that clients may set
+const BOOK_FIELDS = ['title', 'publisher', 'edition', 'grade', 'subject'];
+
+/**
+ * Store an uploaded cover image and describe it with the Book coverImage fields
+ */
+const storeCover = async (file) => {
+  if (file.mimetype === 'application/pdf') {
+    const error = new Error('The cover must be an image');
+    error.code = 'INVALID_IMAGE';
+    throw error;
+  }
+
+  const image = await persistImage(file, { visibility: 'public' });
+
+  return {
+    url: image.variants.full.url,
+    storageKey: image.variants.full.key,
+    variants: image.variants
+  };
+};
+
+/**
+ * Copy the allowed book fields from a request body
+ */
+const pickBookFields = (body) => {
+  const fields = {};
+  BOOK_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+/**
+ * Load a book addressed by ID or slug, answering 404 when it doesn't exist
+ * @returns {Promise<object|null>} - The book, or null once a response was sent
+ */
+const findBookOr404 = async (req, res) => {
+  const book = await Book.findByIdOrSlug(req.params.book);
+
+  if (!book) {
+    res.status(404).json({
+      success: false,
+      message: 'Book not found'
+    });
+    return null;
+  }
+
+  return book;
+};
+
+// @desc    Get books with optional search, class and subject filters
+// @route   GET /api/books
+// @access  Public
+const getBooks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, grade, subject, page = 1, limit = 50 } = req.query;
+
+    const query = { isActive: true };
+    if (grade) query.grade = grade;
+    if (subject) query.subject = new RegExp(`^${escapeRegex(subject)}$`, 'i');
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [
+        { title: pattern },
+        { normalizedTitle: new RegExp(escapeRegex(Book.normalizeTitle(search)), 'i') },
+        { publisher: pattern }
+      ];
+    }
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 50, 100);
+
+    const [books, totalCount] = await Promise.all([
+      Book.find(query)
+        .sort({ title: 1, edition: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Book.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: books,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalCount / pageSize),
+        totalCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get books error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching books',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a book with its chapters
+// @route   GET /api/books/:book
+// @access  Public
+const getBook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    const chapters = await Chapter.findForBook(book._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...book.toJSON(),
+        chapters
+      }
+    });
+
+  } catch (error) {
+    console.error('Get book error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching book',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create a book
+// @route   POST /api/books
+// @access  Private (admin, editor)
+const createBook = async (req, res) => {
+  let cover = null;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bookData = {
+      ...pickBookFields(req.body),
+      createdBy: req.user._id
+    };
+
+    if (req.files.length > 0) {
+      cover = await storeCover(req.files[0]);
+      bookData.coverImage = cover;
+    }
+
+    const book = await Book.create(bookData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Book created successfully',
+      data: book
+    });
+
+  } catch (error) {
+    console.error('Create book error:', error);
+
+    if (cover) await removeFiles(Book.collectCoverKeys(cover));
+
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A book with that title and edition already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating book',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a book, optionally replacing its cover
+// @route   PUT /api/books/:book
+// @access  Private (admin, editor)
+const updateBook = async (req, res) => {
+  let cover = null;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    const previousCoverKeys = book.getCoverStorageKeys();
+
+    book.set(pickBookFields(req.body));
+    if (req.body.isActive !== undefined) book.isActive = req.body.isActive;
+
+    if (req.files.length > 0) {
+      cover = await storeCover(req.files[0]);
+      book.coverImage = cover;
+    }
+
+    const renamed = book.isModified('title');
+    await book.save();
+
+    // Solutions keep a copy of the title for display and search
+    if (renamed) {
+      await Video.updateMany({ bookId: book._id }, { bookTitle: book.title });
+    }
+
+    if (cover) await removeFiles(previousCoverKeys);
+
+    res.status(200).json({
+      success: true,
+      message: 'Book updated successfully',
+      data: book
+    });
+
+  } catch (error) {
+    console.error('Update book error:', error);
+
+    if (cover) await removeFiles(Book.collectCoverKeys(cover));
+
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A book with that title and edition already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating book',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a book and its chapters
+// @route   DELETE /api/books/:book
+// @access  Private (admin, editor)
+const deleteBook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    // Solutions filed under the book would lose their catalog entry
+    const solutionCount = await Video.countDocuments({ bookId: book._id });
+    if (solutionCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `The book still has ${solutionCount} solution(s); move or delete them first, or hide the book instead`
+      });
+    }
+
+    await Chapter.deleteMany({ book: book._id });
+    await book.deleteOne();
+    await removeFiles(book.getCoverStorageKeys());
+
+    res.status(200).json({
+      success: true,
+      message: 'Book deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete book error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting book',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the chapters of a book in order
+// @route   GET /api/books/:book/chapters
+// @access  Public
+const getChapters = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    const chapters = await Chapter.findForBook(book._id);
+
+    res.status(200).json({
+      success: true,
+      data: chapters
+    });
+
+  } catch (error) {
+    console.error('Get chapters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching chapters',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a chapter to a book
+// @route   POST /api/books/:book/chapters
+// @access  Private (admin, editor)
+const createChapter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    const chapter = await Chapter.create({
+      book: book._id,
+      number: req.body.number,
+      name: req.body.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chapter created successfully',
+      data: chapter
+    });
+
+  } catch (error) {
+    console.error('Create chapter error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'The book already has a chapter with that number'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating chapter',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Rename or renumber a chapter
+// @route   PUT /api/books/:book/chapters/:chapterId
+// @access  Private (admin, editor)
+const updateChapter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    const chapter = await Chapter.findOne({ _id: req.params.chapterId, book: book._id });
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    if (req.body.number !== undefined) chapter.number = req.body.number;
+    if (req.body.name !== undefined) chapter.name = req.body.name;
+
+    const relabelled = chapter.isModified('number') || chapter.isModified('name');
+    await chapter.save();
+
+    // Solutions keep a copy of the label for display and search
+    if (relabelled) {
+      await Video.updateMany({ chapterId: chapter._id }, { chapter: chapter.label });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chapter updated successfully',
+      data: chapter
+    });
+
+  } catch (error) {
+    console.error('Update chapter error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'The book already has a chapter with that number'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating chapter',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a chapter without solutions
+// @route   DELETE /api/books/:book/chapters/:chapterId
+// @access  Private (admin, editor)
+const deleteChapter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const book = await findBookOr404(req, res);
+    if (!book) return;
+
+    const chapter = await Chapter.findOne({ _id: req.params.chapterId, book: book._id });
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    const solutionCount = await Video.countDocuments({ chapterId: chapter._id });
+    if (solutionCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `The chapter still has ${solutionCount} solution(s); move or delete them first`
+      });
+    }
+
+    await chapter.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Chapter deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete chapter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting chapter',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBooks,
+  getBook,
+  createBook,
+  updateBook,
+  deleteBook,
+  getChapters,
+  createChapter,
+  updateChapter,
+  deleteChapter
+};
@@ -0,0 +1,506 @@
+/**
+ * Comment Controller
+ * Handles doubt threads on solutions, upvotes and the moderation queue
+ */
+
+const Comment = require('./Comment');
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+const { hasPermission, canActOn } = require('./utils/permissions');
+
+const AUTHOR_FIELDS = 'name role';
+
+/**
+ * Shape a comment for responses, with what the viewer may do with it
+ * @param {object} comment - Comment with a populated author
+ * @param {object|null} viewer - Signed-in user, or null
+ * @param {Set<string>} upvoted - IDs of the comments the viewer upvoted
+ */
+const serializeComment = (comment, viewer, upvoted = new Set()) => {
+  const data = comment.toObject ? comment.toObject() : { ...comment };
+  const authorId = data.author && data.author._id ? data.author._id : data.author;
+
+  delete data.upvotedBy;
+  data.upvotedByMe = upvoted.has(String(data._id));
+  data.canEdit = Boolean(viewer) && canActOn(viewer, 'comments:update', authorId);
+  data.canDelete = Boolean(viewer) && canActOn(viewer, 'comments:delete', authorId);
+
+  return data;
+};
+
+/**
+ * Load a comment, answering 404 when it doesn't exist
+ * @returns {Promise<object|null>} - The comment, or null once a response was sent
+ */
+const findCommentOr404 = async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * Send the upvote state of a comment after an upvote or its removal
+ */
+const sendUpvoteState = async (res, commentId, upvoted) => {
+  const comment = await Comment.findById(commentId).select('upvotes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      upvoted,
+      upvotes: comment ? comment.upvotes : 0
+    }
+  });
+};
+
+// @desc    Get the doubt threads of a solution with their replies
+// @route   GET /api/videos/:id/comments
+// @access  Public
+const getComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('_id');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const { sort = 'new', page = 1, limit = 20 } = req.query;
+    const viewer = req.user || null;
+    const visible = Comment.visibleTo(viewer, hasPermission(viewer, 'comments:moderate'));
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 50);
+    const query = { video: video._id, parent: null, ...visible };
+
+    const [threads, totalCount] = await Promise.all([
+      Comment.find(query)
+        .sort(sort === 'top' ? { upvotes: -1, createdAt: -1 } : { createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('author', AUTHOR_FIELDS),
+      Comment.countDocuments(query)
+    ]);
+
+    const replies = await Comment.find({ video: video._id, parent: { $in: threads.map(thread => thread._id) }, ...visible })
+      .sort({ createdAt: 1 })
+      .populate('author', AUTHOR_FIELDS);
+
+    const upvoted = await Comment.findUpvotedIds(
+      viewer && viewer._id,
+      [...threads, ...replies].map(comment => comment._id)
+    );
+
+    const data = threads.map((thread) => {
+      const threadReplies = replies
+        .filter(reply => String(reply.parent) === String(thread._id))
+        .map(reply => serializeComment(reply, viewer, upvoted));
+
+      return {
+        ...serializeComment(thread, viewer, upvoted),
+        answered: threadReplies.some(reply => reply.isOfficial && reply.status === 'approved'),
+        replies: threadReplies
+      };
+    });
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Ask a doubt on a solution, or reply in a thread
+// @route   POST /api/videos/:id/comments
+// @access  Private (signed-in users)
+const createComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('_id');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const moderator = hasPermission(req.user, 'comments:moderate');
+    let parent = null;
+
+    if (req.body.parent) {
+      parent = await Comment.findOne({
+        _id: req.body.parent,
+        video: video._id,
+        ...Comment.visibleTo(req.user, moderator)
+      }).select('parent');
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment to reply to not found'
+        });
+      }
+
+      // Replies to a reply join the same thread
+      parent = parent.parent || parent._id;
+    }
+
+    const comment = await Comment.create({
+      video: video._id,
+      parent,
+      author: req.user._id,
+      body: req.body.body,
+      // Moderators' comments skip the queue
+      status: moderator ? 'approved' : 'pending',
+      isOfficial: Boolean(parent) && hasPermission(req.user, 'comments:answer')
+    });
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: comment.status === 'pending'
+        ? 'Thanks! Your comment will appear once a moderator approves it.'
+        : 'Comment posted',
+      data: serializeComment(comment, req.user)
+    });
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error posting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PATCH /api/comments/:id
+// @access  Private (author)
+const updateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findCommentOr404(req, res);
+    if (!comment) return;
+
+    if (!canActOn(req.user, 'comments:update', comment.author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+
+    // An edit could change what a moderator approved, so it goes back to the queue
+    if (comment.status === 'approved' && !hasPermission(req.user, 'comments:moderate')) {
+      comment.status = 'pending';
+    }
+
+    await comment.save();
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: comment.status === 'pending' ? 'Comment updated and sent for approval' : 'Comment updated',
+      data: serializeComment(comment, req.user)
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a comment; deleting a thread's first comment deletes its replies
+// @route   DELETE /api/comments/:id
+// @access  Private (author, admin, editor)
+const deleteComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findCommentOr404(req, res);
+    if (!comment) return;
+
+    if (!canActOn(req.user, 'comments:delete', comment.author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    const { deletedCount } = await Comment.deleteMany({
+      $or: [{ _id: comment._id }, { parent: comment._id }]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted',
+      deletedCount
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Upvote a comment (upvoting again has no effect)
+// @route   PUT /api/comments/:id/upvote
+// @access  Private (signed-in users)
+const upvoteComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The $ne condition makes the update a no-op for a repeat upvote
+    const result = await Comment.updateOne(
+      { _id: req.params.id, status: 'approved', upvotedBy: { $ne: req.user._id } },
+      { $addToSet: { upvotedBy: req.user._id }, $inc: { upvotes: 1 } }
+    );
+
+    if (result.matchedCount === 0 && !(await Comment.exists({ _id: req.params.id, status: 'approved' }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    await sendUpvoteState(res, req.params.id, true);
+
+  } catch (error) {
+    console.error('Upvote comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error upvoting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove an upvote (removing it again has no effect)
+// @route   DELETE /api/comments/:id/upvote
+// @access  Private (signed-in users)
+const removeCommentUpvote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Comment.updateOne(
+      { _id: req.params.id, upvotedBy: req.user._id },
+      { $pull: { upvotedBy: req.user._id }, $inc: { upvotes: -1 } }
+    );
+
+    await sendUpvoteState(res, req.params.id, false);
+
+  } catch (error) {
+    console.error('Remove comment upvote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing upvote',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the comment moderation queue
+// @route   GET /api/comments
+// @access  Private (admin, editor)
+const getModerationQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 50);
+
+    const [comments, totalCount, pendingCount] = await Promise.all([
+      Comment.find({ status })
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('author', 'name username role')
+        .populate('video', 'title bookTitle chapter')
+        .populate('parent', 'body'),
+      Comment.countDocuments({ status }),
+      Comment.countDocuments({ status: 'pending' })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data: comments.map(comment => serializeComment(comment, req.user)),
+      pendingCount,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Approve or hide a comment
+// @route   PATCH /api/comments/:id/moderate
+// @access  Private (admin, editor)
+const moderateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findByIdAndUpdate(
+      req.params.id,
+      {
+        status: req.body.status,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date()
+      },
+      { new: true }
+    ).populate('author', AUTHOR_FIELDS);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: req.body.status === 'approved' ? 'Comment approved' : 'Comment hidden',
+      data: serializeComment(comment, req.user)
+    });
+
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moderating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  upvoteComment,
+  removeCommentUpvote,
+  getModerationQueue,
+  moderateComment
+};
@@ -0,0 +1,282 @@
+/**
+ * Contact Controller
+ * Handles Contact Us submissions and the admin inbox
+ */
+
+const ContactMessage = require('./ContactMessage');
+const { validationResult } = require('express-validator');
+const { sendMail } = require('./utils/mailer');
+const { contactNotificationEmail, contactReplyEmail } = require('./utils/emailTemplates');
+
+// @desc    Submit a Contact Us message
+// @route   POST /api/contact
+// @access  Public
+const submitContactMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, subject, message, website } = req.body;
+
+    // Honeypot: humans never see the "website" field, so anything in it is a bot.
+    // Answer as if it worked so the bot doesn't learn to skip the field.
+    if (website) {
+      return res.status(201).json({
+        success: true,
+        message: 'Thanks for reaching out! We will get back to you soon.'
+      });
+    }
+
+    const contact = await ContactMessage.create({
+      name,
+      email,
+      subject,
+      message,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (process.env.CONTACT_NOTIFY_EMAIL) {
+      try {
+        await sendMail(contactNotificationEmail(process.env.CONTACT_NOTIFY_EMAIL, contact));
+      } catch (error) {
+        console.error('Contact notification error:', error);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for reaching out! We will get back to you soon.'
+    });
+
+  } catch (error) {
+    console.error('Submit contact message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get contact messages for the admin inbox
+// @route   GET /api/contact
+// @access  Private (admin)
+const getContactMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, archived = 'false', page = 1, limit = 20 } = req.query;
+
+    const query = { isArchived: archived === 'true' };
+    if (status) query.status = status;
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 50);
+
+    const [messages, totalCount, unreadCount] = await Promise.all([
+      ContactMessage.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('replies.sentBy', 'name username')
+        .lean(),
+      ContactMessage.countDocuments(query),
+      ContactMessage.countDocuments({ isArchived: false, status: 'new' })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data: messages,
+      unreadCount,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get contact messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching messages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Mark a message as read or unread
+// @route   PATCH /api/contact/:id/read
+// @access  Private (admin)
+const markContactMessageRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await ContactMessage.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const isRead = req.body.isRead !== false;
+
+    // Replied messages stay replied; only new/read flip
+    if (contact.status !== 'replied') {
+      contact.status = isRead ? 'read' : 'new';
+    }
+    contact.readAt = isRead ? (contact.readAt || new Date()) : null;
+    await contact.save();
+
+    res.status(200).json({
+      success: true,
+      message: isRead ? 'Message marked as read' : 'Message marked as unread',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Mark contact message read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Archive or unarchive a message
+// @route   PATCH /api/contact/:id/archive
+// @access  Private (admin)
+const archiveContactMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const archived = req.body.archived !== false;
+
+    const contact = await ContactMessage.findByIdAndUpdate(
+      req.params.id,
+      { isArchived: archived, archivedAt: archived ? new Date() : null },
+      { new: true }
+    );
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: archived ? 'Message archived' : 'Message restored to inbox',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Archive contact message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Reply to a message by email
+// @route   POST /api/contact/:id/reply
+// @access  Private (admin)
+const replyToContactMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await ContactMessage.findById(req.params.id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const { body } = req.body;
+
+    try {
+      await sendMail(contactReplyEmail(contact, body));
+    } catch (error) {
+      console.error('Contact reply error:', error);
+      return res.status(502).json({
+        success: false,
+        message: 'Reply could not be delivered, please try again'
+      });
+    }
+
+    contact.replies.push({ body, sentBy: req.user._id, delivered: true });
+    contact.status = 'replied';
+    contact.readAt = contact.readAt || new Date();
+    await contact.save();
+    await contact.populate('replies.sentBy', 'name username');
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply sent successfully',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Reply to contact message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replying to message',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  submitContactMessage,
+  getContactMessages,
+  markContactMessageRead,
+  archiveContactMessage,
+  replyToContactMessage
+};
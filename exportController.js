@@ -0,0 +1,216 @@
+/**
+ * Export Controller
+ * Streams the catalog of solutions as CSV, TSV, JSON or NDJSON
+ */
+
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+const { buildVideoQuery, buildVideoSort } = require('./utils/videoQuery');
+const { formatCsvRow } = require('./utils/csv');
+
+// Search results are loaded this many at a time to keep their ranked order
+const RANKED_BATCH_SIZE = 200;
+
+// Fields read from the database; pages and image variants are left out to keep exports light
+const EXPORT_FIELDS = 'title description type bookTitle chapter exercise questionFrom questionTo youtubeUrl ' +
+  'tags difficulty subject grade status publishedAt pageCount views likes ratingAverage ratingCount ' +
+  'uploadedBy createdAt updatedAt';
+
+// Columns of an export; the ones the import reads use the same names so a file can be imported back
+const EXPORT_COLUMNS = [
+  'id', 'title', 'description', 'type', 'bookTitle', 'chapter', 'exercise', 'questions', 'youtubeUrl',
+  'tags', 'difficulty', 'subject', 'grade', 'status', 'publishedAt', 'pageCount', 'views', 'likes',
+  'ratingAverage', 'ratingCount', 'uploadedBy', 'createdAt', 'updatedAt'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', delimiter: ',' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', delimiter: '\t' },
+  json: { contentType: 'application/json; charset=utf-8' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+const toIsoString = date => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Describe a solution as one export record
+ * @param {object} video - Lean video with the uploader populated
+ * @returns {object} - Values keyed by EXPORT_COLUMNS
+ */
+const toExportRecord = (video) => {
+  let questions = null;
+  if (video.questionFrom) {
+    questions = video.questionTo && video.questionTo !== video.questionFrom
+      ? `Q${video.questionFrom}-Q${video.questionTo}`
+      : `Q${video.questionFrom}`;
+  }
+
+  return {
+    id: String(video._id),
+    title: video.title,
+    description: video.description,
+    type: video.type,
+    bookTitle: video.bookTitle,
+    chapter: video.chapter,
+    exercise: video.exercise || null,
+    questions,
+    youtubeUrl: video.youtubeUrl || null,
+    tags: video.tags || [],
+    difficulty: video.difficulty || null,
+    subject: video.subject || null,
+    grade: video.grade || null,
+    status: video.status || 'published',
+    publishedAt: toIsoString(video.publishedAt),
+    pageCount: video.pageCount || null,
+    views: video.views || 0,
+    likes: video.likes || 0,
+    ratingAverage: video.ratingAverage || 0,
+    ratingCount: video.ratingCount || 0,
+    uploadedBy: video.uploadedBy ? video.uploadedBy.username : null,
+    createdAt: toIsoString(video.createdAt),
+    updatedAt: toIsoString(video.updatedAt)
+  };
+};
+
+/**
+ * Yield search results in ranked order, loading a batch at a time
+ * @param {object} query - Listing filter (its _id condition is replaced per batch)
+ * @param {Array} ranked - Search results ordered by relevance
+ */
+async function* rankedVideos(query, ranked) {
+  const ids = ranked.map(result => result.id);
+
+  for (let start = 0; start < ids.length; start += RANKED_BATCH_SIZE) {
+    const batchIds = ids.slice(start, start + RANKED_BATCH_SIZE);
+    const videos = await Video.find({ ...query, _id: { $in: batchIds } })
+      .select(EXPORT_FIELDS)
+      .populate('uploadedBy', 'username')
+      .lean();
+    const videosById = new Map(videos.map(video => [String(video._id), video]));
+
+    for (const id of batchIds) {
+      if (videosById.has(id)) yield videosById.get(id);
+    }
+  }
+}
+
+// @desc    Export the solutions matching the listing filters as a download
+// @route   GET /api/videos/export
+// @access  Private (admin)
+const exportVideos = async (req, res) => {
+  let cursor = null;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'csv', sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+    const filter = await buildVideoQuery(req.query, req.user);
+    if (!filter.query) {
+      return res.status(filter.status).json({
+        success: false,
+        message: filter.message
+      });
+    }
+
+    // Search results keep their ranked order unless another sort is asked for
+    let videos;
+    if (filter.ranked && (!req.query.sortBy || sortBy === 'relevance')) {
+      videos = rankedVideos(filter.query, filter.ranked);
+    } else {
+      cursor = Video.find(filter.query)
+        .sort({ ...buildVideoSort(sortBy, sortOrder), _id: 1 })
+        .select(EXPORT_FIELDS)
+        .populate('uploadedBy', 'username')
+        .lean()
+        .cursor();
+      videos = cursor;
+    }
+
+    const { contentType, delimiter } = FORMATS[format];
+    const fileName = `solutions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // Stop reading from the database once the client is gone
+    let aborted = false;
+    res.on('close', () => {
+      aborted = !res.writableFinished;
+    });
+
+    // Wait for the client to catch up when the response buffer is full
+    const write = async (chunk) => {
+      if (res.write(chunk)) return;
+
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    if (delimiter) {
+      // The byte order mark makes Excel read the file as UTF-8
+      await write(`\uFEFF${formatCsvRow(EXPORT_COLUMNS, { delimiter })}`);
+    } else if (format === 'json') {
+      await write('[');
+    }
+
+    let count = 0;
+    for await (const video of videos) {
+      if (aborted) break;
+
+      const record = toExportRecord(video);
+
+      if (delimiter) {
+        const values = EXPORT_COLUMNS.map(column => (Array.isArray(record[column]) ? record[column].join(',') : record[column]));
+        await write(formatCsvRow(values, { delimiter }));
+      } else if (format === 'json') {
+        await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+      } else {
+        await write(`${JSON.stringify(record)}\n`);
+      }
+      count += 1;
+    }
+
+    if (format === 'json') await write(count > 0 ? '\n]\n' : ']\n');
+    res.end();
+
+  } catch (error) {
+    console.error('Export videos error:', error);
+
+    // Once streaming has started the status is sent; cut the download short so it isn't mistaken for complete
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting videos',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  exportVideos
+};
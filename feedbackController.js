@@ -0,0 +1,317 @@
+/**
+ * Feedback Controller
+ * Handles star ratings, mistake reports and the report triage list
+ */
+
+const Rating = require('./Rating');
+const Report = require('./Report');
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+
+// Fields of a reported solution shown in the triage list
+const TRIAGE_VIDEO_FIELDS = 'title bookTitle chapter type youtubeUrl fileUrl isActive status ratingAverage ratingCount';
+
+/**
+ * Load a published solution, answering 404 when it doesn't exist
+ * @returns {Promise<object|null>} - The solution, or null once a response was sent
+ */
+const findActiveVideoOr404 = async (req, res) => {
+  const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('_id');
+
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      message: 'Video not found'
+    });
+    return null;
+  }
+
+  return video;
+};
+
+// @desc    Rate a solution from 1 to 5 stars (rating again replaces the earlier rating)
+// @route   PUT /api/videos/:id/rating
+// @access  Private (signed-in users)
+const rateVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await findActiveVideoOr404(req, res);
+    if (!video) return;
+
+    const stars = parseInt(req.body.stars, 10);
+    await Rating.findOneAndUpdate(
+      { video: video._id, user: req.user._id },
+      { stars },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const summary = await Rating.refreshVideoRating(video._id);
+
+    res.status(200).json({
+      success: true,
+      data: { myRating: stars, ...summary }
+    });
+
+  } catch (error) {
+    console.error('Rate video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving rating',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove the signed-in user's rating of a solution
+// @route   DELETE /api/videos/:id/rating
+// @access  Private (signed-in users)
+const unrateVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await Rating.findOneAndDelete({ video: req.params.id, user: req.user._id });
+    const summary = removed
+      ? await Rating.refreshVideoRating(req.params.id)
+      : await Video.findById(req.params.id).select('ratingAverage ratingCount').lean();
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        myRating: null,
+        ratingAverage: summary.ratingAverage,
+        ratingCount: summary.ratingCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Unrate video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing rating',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Report a mistake in a solution
+// @route   POST /api/videos/:id/reports
+// @access  Private (signed-in users)
+const reportVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await findActiveVideoOr404(req, res);
+    if (!video) return;
+
+    const { reason, details, timestamp } = req.body;
+
+    const report = await Report.create({
+      video: video._id,
+      reporter: req.user._id,
+      reason,
+      details,
+      timestamp: timestamp === undefined || timestamp === '' ? null : timestamp
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks! The team will check this solution.',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Report video error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this solution. The team will look at it soon.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error sending report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get reported solutions with their reports, most reported first
+// @route   GET /api/reports
+// @access  Private (admin, editor)
+const getReportedVideos = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 50);
+
+    const [groups, [{ totalCount = 0 } = {}], openCount] = await Promise.all([
+      Report.aggregate([
+        { $match: { status } },
+        {
+          $group: {
+            _id: '$video',
+            count: { $sum: 1 },
+            reasons: { $addToSet: '$reason' },
+            latestAt: { $max: '$createdAt' }
+          }
+        },
+        { $sort: { count: -1, latestAt: -1 } },
+        { $skip: (pageNumber - 1) * pageSize },
+        { $limit: pageSize }
+      ]),
+      Report.aggregate([
+        { $match: { status } },
+        { $group: { _id: '$video' } },
+        { $count: 'totalCount' }
+      ]),
+      Report.countDocuments({ status: 'open' })
+    ]);
+
+    const videoIds = groups.map(group => group._id);
+    const [videos, reports] = await Promise.all([
+      Video.find({ _id: { $in: videoIds } }).select(TRIAGE_VIDEO_FIELDS).lean(),
+      Report.find({ status, video: { $in: videoIds } })
+        .sort({ createdAt: -1 })
+        .populate('reporter', 'name username')
+        .populate('resolvedBy', 'name username')
+        .lean()
+    ]);
+    const videosById = new Map(videos.map(video => [String(video._id), video]));
+
+    const data = groups.map(group => ({
+      video: videosById.get(String(group._id)) || { _id: group._id, title: 'Deleted solution' },
+      count: group.count,
+      reasons: group.reasons,
+      latestAt: group.latestAt,
+      reports: reports.filter(report => String(report.video) === String(group._id))
+    }));
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data,
+      openCount,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reported videos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reports',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Resolve or dismiss a report
+// @route   PATCH /api/reports/:id
+// @access  Private (admin, editor)
+const updateReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, note = '' } = req.body;
+
+    // Reopening clears the triage details
+    const update = status === 'open'
+      ? { status, resolutionNote: '', resolvedBy: null, resolvedAt: null }
+      : { status, resolutionNote: note, resolvedBy: req.user._id, resolvedAt: new Date() };
+
+    const report = await Report.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true })
+      .populate('reporter', 'name username')
+      .populate('resolvedBy', 'name username');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Report ${status === 'open' ? 'reopened' : status}`,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Update report error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The reporter already has an open report on this solution'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  rateVideo,
+  unrateVideo,
+  reportVideo,
+  getReportedVideos,
+  updateReport
+};
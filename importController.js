@@ -0,0 +1,318 @@
+/**
+ * Import Controller
+ * Handles bulk imports of YouTube solutions from CSV or JSON
+ */
+
+const mongoose = require('mongoose');
+const Video = require('./Video');
+const Book = require('./Book');
+const Chapter = require('./Chapter');
+const Revision = require('./Revision');
+const { validationResult } = require('express-validator');
+const { videoValidationRules } = require('./middleware/validation');
+const { resolveCatalog, removeCreatedCatalog } = require('./utils/catalog');
+const { parseCsv } = require('./utils/csv');
+const { extractVideoId } = require('./utils/youtube');
+const searchIndex = require('./utils/searchIndex');
+
+// Upper bound on rows in one import
+const MAX_IMPORT_ROWS = 500;
+
+// Columns read from each row; anything else is ignored
+const IMPORT_FIELDS = [
+  'title', 'description', 'bookId', 'chapterId', 'bookTitle', 'chapter', 'exercise', 'questions',
+  'type', 'youtubeUrl', 'tags', 'difficulty', 'subject', 'grade', 'status', 'publishedAt'
+];
+
+/**
+ * Read the rows of an import with the line (CSV) or position (JSON) each one came from
+ * @param {object} body - { csv } or { rows }
+ * @returns {Array<object>} - [{ line, values }]
+ */
+const readRows = ({ csv, rows }) => {
+  if (Array.isArray(rows)) {
+    return rows.map((values, index) => ({ line: index + 1, values: values || {} }));
+  }
+
+  // Line 1 is the header row
+  return parseCsv(csv).map((values, index) => ({ line: index + 2, values }));
+};
+
+/**
+ * Check one row against the rules of the upload form
+ * @param {object} values - Raw column values
+ * @returns {Promise<object>} - { fields, errors } with the sanitized values
+ */
+const validateRow = async (values) => {
+  const fields = {};
+  IMPORT_FIELDS.forEach((field) => {
+    let value = values[field];
+    if (Array.isArray(value)) value = value.join(',');
+    if (value !== undefined && value !== null && String(value).trim() !== '') fields[field] = String(value);
+  });
+  fields.type = fields.type || 'video';
+
+  // Run the same validation chains as POST /api/videos on a request holding just this row
+  const rowRequest = { body: fields };
+  for (const rule of videoValidationRules()) {
+    await rule.run(rowRequest);
+  }
+  const failed = validationResult(rowRequest).array();
+  const errors = failed.map(error => `${error.path}: ${error.msg}`);
+
+  if (fields.type !== 'video') {
+    errors.push('type: Only YouTube solutions can be imported; upload image and PDF solutions one by one');
+  } else if (!fields.youtubeUrl) {
+    errors.push('youtubeUrl: YouTube URL is required for video type');
+  } else if (!failed.some(error => error.path === 'youtubeUrl') && !extractVideoId(fields.youtubeUrl)) {
+    errors.push('youtubeUrl: Invalid YouTube URL format');
+  }
+
+  const publishing = Video.resolvePublishing(fields);
+  if (!publishing.fields) errors.push(`status: ${publishing.message}`);
+
+  return { fields, errors };
+};
+
+/**
+ * Check that the book and chapter of a row can be filed without creating anything
+ * @param {object} fields - Validated row values
+ * @param {Map} booksByTitle - Lookups already made, by normalized title
+ * @returns {Promise<object>} - { errors, warnings }
+ */
+const checkCatalog = async (fields, booksByTitle) => {
+  const errors = [];
+  const warnings = [];
+
+  if (fields.bookId) {
+    const book = await Book.findById(fields.bookId).select('_id');
+    if (!book) {
+      errors.push('bookId: Book not found');
+    } else if (fields.chapterId && !(await Chapter.exists({ _id: fields.chapterId, book: book._id }))) {
+      errors.push('chapterId: Chapter not found in this book');
+    }
+    return { errors, warnings };
+  }
+
+  const key = Book.normalizeTitle(fields.bookTitle);
+  if (!booksByTitle.has(key)) booksByTitle.set(key, await Book.findByTitle(fields.bookTitle).select('_id'));
+
+  if (!booksByTitle.get(key)) {
+    warnings.push(`A new book "${fields.bookTitle}" will be created`);
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Build the video data of a validated row, filing it in the catalog (books and chapters are created as needed)
+ * @param {object} fields - Validated row values
+ * @param {object} user - Importing user
+ * @param {object} options - { session, created } passed on to resolveCatalog
+ */
+const buildVideoData = async (fields, user, options = {}) => {
+  const catalog = await resolveCatalog(fields, { createdBy: user._id, ...options });
+  const youtubeVideoId = extractVideoId(fields.youtubeUrl);
+
+  return {
+    title: fields.title,
+    description: fields.description,
+    ...catalog,
+    exercise: fields.exercise || null,
+    ...Video.parseQuestionRange(fields.questions),
+    type: 'video',
+    youtubeUrl: fields.youtubeUrl,
+    youtubeVideoId,
+    difficulty: fields.difficulty,
+    subject: fields.subject,
+    grade: fields.grade,
+    tags: fields.tags ? fields.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    ...Video.resolvePublishing(fields).fields,
+    uploadedBy: user._id
+  };
+};
+
+// Standalone MongoDB servers (e.g. a local mongod) don't support transactions
+const isTransactionUnsupported = (error) => error.code === 20 ||
+  /Transaction numbers are only allowed|replica set/i.test(error.message || '');
+
+/**
+ * File and save every solution or none of them
+ * Uses a transaction where the server supports one and otherwise removes the
+ * solutions, books and chapters already created when one fails.
+ * @param {Array<object>} rows - Validated row values
+ * @param {object} user - Importing user
+ * @returns {Promise<Array<object>>} - The saved solutions
+ */
+const saveAll = async (rows, user) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let saved = [];
+    await session.withTransaction(async () => {
+      saved = [];
+      for (const fields of rows) {
+        const doc = await buildVideoData(fields, user, { session });
+        saved.push(await new Video(doc).save({ session }));
+      }
+    });
+    return saved;
+  } catch (error) {
+    // Aborted saves were already added to the search index
+    searchIndex.invalidate();
+    if (!isTransactionUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const saved = [];
+  const created = [];
+  try {
+    for (const fields of rows) {
+      const doc = await buildVideoData(fields, user, { created });
+      saved.push(await new Video(doc).save());
+    }
+    return saved;
+  } catch (error) {
+    await Video.deleteMany({ _id: { $in: saved.map(video => video._id) } });
+    await removeCreatedCatalog(created);
+    throw error;
+  }
+};
+
+// @desc    Import YouTube solutions from CSV or JSON; a dry run only reports what would happen
+// @route   POST /api/videos/import
+// @access  Private (admin, editor, contributor)
+const importVideos = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dryRun = req.body.dryRun === true;
+    const rows = readRows(req.body);
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import has no rows'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `An import can have at most ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    // Validate every row
+    const results = [];
+    for (const { line, values } of rows) {
+      const { fields, errors: rowErrors } = await validateRow(values);
+      results.push({
+        line,
+        title: fields.title || null,
+        youtubeVideoId: fields.youtubeUrl ? extractVideoId(fields.youtubeUrl) : null,
+        status: rowErrors.length > 0 ? 'invalid' : 'valid',
+        errors: rowErrors,
+        warnings: [],
+        duplicateOf: null,
+        fields
+      });
+    }
+
+    // Solutions already in the catalog (the trash included) or earlier in the file are duplicates
+    const youtubeIds = results.map(result => result.youtubeVideoId).filter(Boolean);
+    const existing = await Video.find({ youtubeVideoId: { $in: youtubeIds } })
+      .select('title youtubeVideoId isActive')
+      .lean();
+    const existingById = new Map(existing.map(video => [video.youtubeVideoId, video]));
+    const firstLineById = new Map();
+
+    const booksByTitle = new Map();
+    for (const result of results) {
+      if (result.status !== 'valid') continue;
+
+      const match = existingById.get(result.youtubeVideoId);
+      if (match) {
+        result.status = 'duplicate';
+        result.duplicateOf = { _id: match._id, title: match.title, inTrash: !match.isActive };
+        continue;
+      }
+      if (firstLineById.has(result.youtubeVideoId)) {
+        result.status = 'duplicate';
+        result.duplicateOf = { line: firstLineById.get(result.youtubeVideoId) };
+        continue;
+      }
+      firstLineById.set(result.youtubeVideoId, result.line);
+
+      const catalog = await checkCatalog(result.fields, booksByTitle);
+      result.errors.push(...catalog.errors);
+      result.warnings.push(...catalog.warnings);
+      if (catalog.errors.length > 0) result.status = 'invalid';
+    }
+
+    const validRows = results.filter(result => result.status === 'valid');
+
+    if (!dryRun && validRows.length > 0) {
+      const saved = await saveAll(validRows.map(result => result.fields), req.user);
+      saved.forEach((video, index) => {
+        validRows[index].status = 'created';
+        validRows[index].videoId = video._id;
+      });
+
+      try {
+        for (const video of saved) {
+          await Revision.record({ video, action: 'create', author: req.user._id });
+        }
+      } catch (error) {
+        console.error('Record revision error:', error);
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = {
+      total: results.length,
+      valid: validRows.length,
+      created: count('created'),
+      invalid: count('invalid'),
+      duplicates: count('duplicate')
+    };
+
+    res.status(!dryRun && summary.created > 0 ? 201 : 200).json({
+      success: true,
+      message: dryRun
+        ? `${summary.valid} of ${summary.total} row(s) can be imported`
+        : `${summary.created} solution(s) imported`,
+      dryRun,
+      summary,
+      rows: results.map(({ fields, ...result }) => result)
+    });
+
+  } catch (error) {
+    console.error('Import videos error:', error);
+
+    if (['INVALID_CSV', 'INVALID_CATALOG'].includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error importing videos',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  importVideos
+};
@@ -0,0 +1,442 @@
+/**
+ * Library Controller
+ * Handles a signed-in user's bookmarks, watch history and study progress
+ */
+
+const Bookmark = require('./Bookmark');
+const WatchHistory = require('./WatchHistory');
+const Completion = require('./Completion');
+const Video = require('./Video');
+const Book = require('./Book');
+const { validationResult } = require('express-validator');
+const { serializeVideo, attachViewerState } = require('./utils/videoSerializer');
+
+// Fields of a solution shown in the bookmark and history lists
+const LIBRARY_VIDEO_FIELDS = [
+  'title', 'description', 'type', 'bookTitle', 'chapter', 'bookId', 'chapterId', 'exercise', 'questionFrom', 'questionTo',
+  'youtubeUrl', 'youtubeVideoId', 'thumbnailUrl', 'fileUrl', 'storageKey', 'imageVariants',
+  'pages', 'pageCount', 'tags', 'difficulty', 'views', 'likes', 'ratingAverage', 'ratingCount', 'createdAt', 'isActive', 'status', 'publishedAt'
+].join(' ');
+const LIBRARY_VIDEO_PROJECTION = Object.fromEntries(LIBRARY_VIDEO_FIELDS.split(' ').map(field => [field, 1]));
+
+/**
+ * Load one page of a user's entries with their solutions, skipping hidden solutions
+ * @param {object} Model - Bookmark or WatchHistory
+ * @param {object} req - Request (user and page/limit query)
+ * @param {object} sort - Sort order of the entries
+ * @returns {Promise<object>} - { entries, pagination }
+ */
+const listEntries = async (Model, req, sort) => {
+  const pageNumber = parseInt(req.query.page, 10) || 1;
+  const pageSize = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+  // Entries of deleted or unpublished solutions stay (they come back with the solution) but aren't listed
+  const [result] = await Model.aggregate([
+    { $match: { user: req.user._id } },
+    { $sort: sort },
+    {
+      $lookup: {
+        from: Video.collection.name,
+        let: { videoId: '$video' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$videoId'] }, ...Video.publicFilter() } },
+          { $project: LIBRARY_VIDEO_PROJECTION }
+        ],
+        as: 'video'
+      }
+    },
+    { $unwind: '$video' },
+    {
+      $facet: {
+        entries: [{ $skip: (pageNumber - 1) * pageSize }, { $limit: pageSize }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  const { entries } = result;
+  const totalCount = result.total.length > 0 ? result.total[0].count : 0;
+
+  for (const entry of entries) {
+    entry.video = await serializeVideo(entry.video);
+  }
+  await attachViewerState(entries.map(entry => entry.video), req);
+
+  const totalPages = Math.ceil(totalCount / pageSize);
+
+  return {
+    entries,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages,
+      totalCount,
+      hasNextPage: pageNumber < totalPages,
+      hasPrevPage: pageNumber > 1
+    }
+  };
+};
+
+// @desc    Get the signed-in user's bookmarks, newest first
+// @route   GET /api/account/bookmarks
+// @access  Private
+const getBookmarks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { entries, pagination } = await listEntries(Bookmark, req, { createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bookmarks',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Bookmark a solution (bookmarking again has no effect)
+// @route   PUT /api/account/bookmarks/:id
+// @access  Private
+const addBookmark = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('_id');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    await Bookmark.updateOne(
+      { user: req.user._id, video: video._id },
+      { $setOnInsert: { user: req.user._id, video: video._id } },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { bookmarked: true }
+    });
+
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+
+    // Two concurrent upserts can race; the other one already saved the bookmark
+    if (error.code === 11000) {
+      return res.status(200).json({
+        success: true,
+        data: { bookmarked: true }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding bookmark',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove a bookmark (removing it again has no effect)
+// @route   DELETE /api/account/bookmarks/:id
+// @access  Private
+const removeBookmark = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Bookmark.deleteOne({ user: req.user._id, video: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      data: { bookmarked: false }
+    });
+
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing bookmark',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the solutions the signed-in user opened, most recent first
+// @route   GET /api/account/history
+// @access  Private
+const getHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { entries, pagination } = await listEntries(WatchHistory, req, { lastViewedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the last solution opened in each book
+// @route   GET /api/account/history/continue
+// @access  Private
+const getContinueWatching = async (req, res) => {
+  try {
+    const latest = await WatchHistory.aggregate([
+      { $match: { user: req.user._id, bookId: { $ne: null } } },
+      { $sort: { lastViewedAt: -1 } },
+      { $group: { _id: '$bookId', video: { $first: '$video' }, lastViewedAt: { $first: '$lastViewedAt' } } },
+      { $sort: { lastViewedAt: -1 } },
+      { $limit: 10 }
+    ]);
+
+    const [books, videos] = await Promise.all([
+      Book.find({ _id: { $in: latest.map(entry => entry._id) }, isActive: true }).select('title slug').lean(),
+      Video.find({ _id: { $in: latest.map(entry => entry.video) }, ...Video.publicFilter() }).select(LIBRARY_VIDEO_FIELDS).lean()
+    ]);
+    const booksById = new Map(books.map(book => [String(book._id), book]));
+    const videosById = new Map(videos.map(video => [String(video._id), video]));
+
+    const data = [];
+    for (const entry of latest) {
+      const book = booksById.get(String(entry._id));
+      const video = videosById.get(String(entry.video));
+      if (!book || !video) continue;
+
+      data.push({ book, video: await serializeVideo(video), lastViewedAt: entry.lastViewedAt });
+    }
+    await attachViewerState(data.map(entry => entry.video), req);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get continue watching error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove one solution from the history
+// @route   DELETE /api/account/history/:id
+// @access  Private
+const removeHistoryEntry = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await WatchHistory.deleteOne({ user: req.user._id, video: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from history'
+    });
+
+  } catch (error) {
+    console.error('Remove history entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Clear the whole history
+// @route   DELETE /api/account/history
+// @access  Private
+const clearHistory = async (req, res) => {
+  try {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'History cleared',
+      deletedCount
+    });
+
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Mark a solution as done (marking again has no effect)
+// @route   PUT /api/account/progress/:id
+// @access  Private
+const markCompleted = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('_id');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    try {
+      await Completion.create({ user: req.user._id, video: video._id });
+    } catch (error) {
+      // Already done: keep the original completion date
+      if (error.code !== 11000) throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { completed: true }
+    });
+
+  } catch (error) {
+    console.error('Mark completed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Mark a solution as not done (unmarking again has no effect)
+// @route   DELETE /api/account/progress/:id
+// @access  Private
+const unmarkCompleted = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Completion.deleteOne({ user: req.user._id, video: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      data: { completed: false }
+    });
+
+  } catch (error) {
+    console.error('Unmark completed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get study progress per book and chapter, for one book or every book started
+// @route   GET /api/account/progress
+// @access  Private
+const getProgress = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookId, bookTitle } = req.query;
+    const data = await Completion.getProgress(req.user._id, { bookId, bookTitle });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching progress',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  getHistory,
+  getContinueWatching,
+  removeHistoryEntry,
+  clearHistory,
+  markCompleted,
+  unmarkCompleted,
+  getProgress
+};
@@ -0,0 +1,73 @@
+/**
+ * Media Controller
+ * Serves stored uploads with cache headers and checks signed URLs of private files
+ */
+
+const { getStorage, getVisibility, normalizeKey, UPLOADS_PATH } = require('./utils/storage');
+const { verifySignedPath } = require('./utils/storage/signing');
+
+// @desc    Serve an uploaded file
+// @route   GET /uploads/*
+// @access  Public (private files need a valid signed URL)
+const serveUpload = async (req, res) => {
+  try {
+    // Visibility and signatures are checked on the key exactly as it is stored
+    const key = normalizeKey(req.params[0]);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file path'
+      });
+    }
+
+    const storage = getStorage();
+    const isPrivate = getVisibility(key) === 'private';
+
+    if (isPrivate && !verifySignedPath(`${UPLOADS_PATH}/${key}`, req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    // Remote drivers serve files themselves; send the browser there
+    if (storage.name !== 'local') {
+      return res.redirect(302, await storage.getUrl(key, { visibility: getVisibility(key) }));
+    }
+
+    let filePath;
+    try {
+      filePath = storage.resolvePath(key);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid file path'
+      });
+    }
+
+    const options = isPrivate
+      ? { cacheControl: false, headers: { 'Cache-Control': 'private, no-store' } }
+      : { maxAge: '365d', immutable: true }; // Keys are unique, so public files never change
+
+    res.sendFile(filePath, { ...options, dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status === 404 || error.code === 'ENOENT' ? 404 : 500).json({
+          success: false,
+          message: error.status === 404 || error.code === 'ENOENT' ? 'File not found' : 'Error serving file'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Serve upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  serveUpload
+};
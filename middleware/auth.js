@@ -0,0 +1,113 @@
+/**
+ * Authentication Middleware
+ * Verifies bearer access tokens and restricts routes by role or permission
+ */
+
+const User = require('../User');
+const { verifyAccessToken } = require('../utils/tokens');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Require a valid access token and expose the user document as req.user
+const protect = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+
+    return res.status(401).json({
+      success: false,
+      message: expired ? 'Access token expired' : 'Invalid access token',
+      code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+    });
+  }
+
+  try {
+    // Load the user so deactivations and role changes apply immediately
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found or deactivated',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (user.changedPasswordAfter(payload.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password changed, please log in again',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Expose req.user when a token is sent, but let anonymous requests through
+// (a bad or expired token is still rejected so the client refreshes it)
+const optionalAuth = (req, res, next) => {
+  if (!getBearerToken(req)) return next();
+
+  return protect(req, res, next);
+};
+
+// Restrict a route to the given roles (use after protect)
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+// Restrict a route to users holding a permission, globally or for their own resources
+// (ownership of ":own" permissions is checked by the controller)
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission) && !hasPermission(req.user, `${permission}:own`)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  authorize,
+  requirePermission
+};
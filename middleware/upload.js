@@ -1,97 +1,214 @@
-/**
- * File Upload Middleware
- * Handles file uploads using Multer with validation
- */
-
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Ensure uploads directory exists
-const uploadsDir = 'uploads';
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-randomstring-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
-  }
-});
-
-// File filter for images
-const imageFilter = (req, file, cb) => {
-  // Allowed image types
-  const allowedTypes = /jpeg|jpg|png|gif|webp/;
-
-  // Check file extension
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-
-  // Check mime type
-  const mimetype = allowedTypes.test(file.mimetype);
-
-  if (mimetype && extname) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files (JPEG, JPG, PNG, GIF, WEBP) are allowed!'), false);
-  }
-};
-
-// Configure multer
-const upload = multer({
-  storage: storage,
-  fileFilter: imageFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1, // Only 1 file at a time
-  },
-});
-
-// Single file upload middleware
-const uploadSingle = upload.single('image');
-
-// Enhanced upload middleware with error handling
-const uploadMiddleware = (req, res, next) => {
-  uploadSingle(req, res, (err) => {
-    if (err instanceof multer.MulterError) {
-      if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(413).json({
-          success: false,
-          message: 'File too large. Maximum size is 10MB.'
-        });
-      }
-      if (err.code === 'LIMIT_FILE_COUNT') {
-        return res.status(400).json({
-          success: false,
-          message: 'Too many files. Only 1 file is allowed.'
-        });
-      }
-      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-        return res.status(400).json({
-          success: false,
-          message: 'Unexpected field name. Use "image" as field name.'
-        });
-      }
-    } else if (err) {
-      return res.status(400).json({
-        success: false,
-        message: err.message
-      });
-    }
-
-    next();
-  });
-};
-
-module.exports = {
-  uploadMiddleware,
-  uploadsDir
+/**
+ * File Upload Middleware
+ * Handles file uploads using Multer with validation
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { storeBuffer, removeFiles } = require('../utils/storage');
+const { processImage } = require('../utils/imageProcessor');
+const { processPdf } = require('../utils/pdfProcessor');
+
+// Keep uploads in memory; they are written to the configured storage driver
+// once the request has passed validation (see persistUpload)
+const storage = multer.memoryStorage();
+
+// File filter for images and PDF solution sheets
+const imageFilter = (req, file, cb) => {
+  // Allowed image and document types
+  const allowedTypes = /jpeg|jpg|png|gif|webp|pdf/;
+
+  // Check file extension
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+
+  // Check mime type
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files (JPEG, JPG, PNG, GIF, WEBP) and PDF files are allowed!'), false);
+  }
+};
+
+// Maximum number of pages in one image solution
+const MAX_PAGES = 20;
+
+// Configure multer
+const upload = multer({
+  storage: storage,
+  fileFilter: imageFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: MAX_PAGES, // One file per page
+  },
+});
+
+// Page uploads ("image" is still accepted for single-file clients) or one PDF document
+const uploadPages = upload.fields([
+  { name: 'images', maxCount: MAX_PAGES },
+  { name: 'image', maxCount: 1 },
+  { name: 'document', maxCount: 1 }
+]);
+
+// Enhanced upload middleware with error handling
+// Files end up in req.files as an array in page order
+const uploadMiddleware = (req, res, next) => {
+  uploadPages(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: 'File too large. Maximum size is 10MB.'
+        });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'images')) {
+        return res.status(400).json({
+          success: false,
+          message: `Too many files. A solution can have at most ${MAX_PAGES} pages.`
+        });
+      }
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Unexpected field name. Use "images" for image pages or "document" for a PDF.'
+        });
+      }
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    const files = req.files || {};
+    req.files = [...(files.image || []), ...(files.images || []), ...(files.document || [])];
+
+    next();
+  });
+};
+
+/**
+ * Write an uploaded file to the configured storage driver
+ * @param {object} file - File object from multer (memory storage)
+ * @param {object} options - { folder, visibility }
+ * @returns {Promise<object>} - { key, url, size, contentType }
+ */
+const persistUpload = (file, { folder = 'images', visibility = 'public' } = {}) => {
+  return storeBuffer(file.buffer, {
+    originalName: file.originalname,
+    contentType: file.mimetype,
+    folder,
+    visibility
+  });
+};
+
+/**
+ * Process an uploaded image into WebP variants and store each of them
+ * @param {object} file - File object from multer (memory storage)
+ * @param {object} options - { visibility }
+ * @returns {Promise<object>} - { width, height, variants: { name: { key, url, width, height, size, format } } }
+ */
+const persistImage = async (file, { visibility = 'public' } = {}) => {
+  return storeImageVariants(await processImage(file.buffer), visibility);
+};
+
+/**
+ * Store the variants of a processed image
+ * @param {object} processed - Result of processImage
+ * @param {string} visibility - "public" or "private"
+ * @returns {Promise<object>} - { width, height, variants: { name: { key, url, width, height, size, format } } }
+ */
+const storeImageVariants = async (processed, visibility) => {
+  const variants = {};
+
+  try {
+    for (const [name, variant] of Object.entries(processed.variants)) {
+      const stored = await storeBuffer(variant.buffer, {
+        originalName: `${name}.webp`,
+        contentType: 'image/webp',
+        folder: 'images',
+        visibility
+      });
+
+      variants[name] = {
+        key: stored.key,
+        url: stored.url,
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+        format: 'webp'
+      };
+    }
+  } catch (error) {
+    await removeFiles(Object.values(variants).map(variant => variant.key));
+    throw error;
+  }
+
+  return {
+    width: processed.width,
+    height: processed.height,
+    variants
+  };
+};
+
+/**
+ * Process and store several uploaded images one at a time, in order
+ * @param {Array<object>} files - File objects from multer (memory storage)
+ * @param {object} options - { visibility }
+ * @returns {Promise<Array<object>>} - One persistImage result per file
+ */
+const persistImages = async (files, { visibility = 'public' } = {}) => {
+  const images = [];
+
+  try {
+    // Sequential on purpose: each image is decoded fully into memory
+    for (const file of files) {
+      images.push(await persistImage(file, { visibility }));
+    }
+  } catch (error) {
+    const keys = images.flatMap(image => Object.values(image.variants).map(variant => variant.key));
+    await removeFiles(keys);
+    throw error;
+  }
+
+  return images;
+};
+
+/**
+ * Store an uploaded PDF along with preview variants of its first page
+ * @param {object} file - File object from multer (memory storage)
+ * @param {object} options - { visibility }
+ * @returns {Promise<object>} - { key, url, size, pageCount, preview } (preview is null when the page couldn't be rendered)
+ */
+const persistPdf = async (file, { visibility = 'public' } = {}) => {
+  const processed = await processPdf(file.buffer);
+  const stored = await persistUpload(file, { folder: 'documents', visibility });
+
+  let preview = null;
+  try {
+    if (processed.preview) {
+      preview = await storeImageVariants(processed.preview, visibility);
+    }
+  } catch (error) {
+    await removeFiles([stored.key]);
+    throw error;
+  }
+
+  return {
+    key: stored.key,
+    url: stored.url,
+    size: stored.size,
+    pageCount: processed.pageCount,
+    preview
+  };
+};
+
+module.exports = {
+  MAX_PAGES,
+  uploadMiddleware,
+  persistUpload,
+  persistImage,
+  persistImages,
+  persistPdf
 };
\ No newline at end of file
@@ -1,155 +1,1172 @@
-/**
- * Request Validation Middleware
- * Uses express-validator for input validation
- */
-
-const { body, param, query } = require('express-validator');
-
-// Validation rules for creating/updating videos
-const videoValidationRules = () => {
-  return [
-    body('title')
-      .trim()
-      .isLength({ min: 3, max: 200 })
-      .withMessage('Title must be between 3 and 200 characters')
-      .escape(),
-
-    body('description')
-      .trim()
-      .isLength({ min: 10, max: 1000 })
-      .withMessage('Description must be between 10 and 1000 characters')
-      .escape(),
-
-    body('bookTitle')
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage('Book title must be between 2 and 100 characters')
-      .escape(),
-
-    body('chapter')
-      .trim()
-      .isLength({ min: 1, max: 50 })
-      .withMessage('Chapter must be between 1 and 50 characters')
-      .escape(),
-
-    body('type')
-      .isIn(['video', 'image'])
-      .withMessage('Type must be either "video" or "image"'),
-
-    body('youtubeUrl')
-      .optional()
-      .isURL()
-      .withMessage('YouTube URL must be a valid URL')
-      .custom((value, { req }) => {
-        if (req.body.type === 'video' && !value) {
-          throw new Error('YouTube URL is required for video type');
-        }
-        if (value) {
-          const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
-          if (!youtubeRegex.test(value)) {
-            throw new Error('Please provide a valid YouTube URL');
-          }
-        }
-        return true;
-      }),
-
-    body('tags')
-      .optional()
-      .isString()
-      .custom((value) => {
-        if (value) {
-          const tags = value.split(',').map(tag => tag.trim());
-          if (tags.length > 10) {
-            throw new Error('Maximum 10 tags allowed');
-          }
-          for (const tag of tags) {
-            if (tag.length > 30) {
-              throw new Error('Each tag must be less than 30 characters');
-            }
-          }
-        }
-        return true;
-      }),
-
-    body('difficulty')
-      .optional()
-      .isIn(['easy', 'medium', 'hard'])
-      .withMessage('Difficulty must be easy, medium, or hard'),
-
-    body('subject')
-      .optional()
-      .trim()
-      .isLength({ max: 50 })
-      .withMessage('Subject cannot exceed 50 characters')
-      .escape(),
-
-    body('grade')
-      .optional()
-      .trim()
-      .isLength({ max: 20 })
-      .withMessage('Grade cannot exceed 20 characters')
-      .escape()
-  ];
-};
-
-// Validation for MongoDB ObjectId parameters
-const validateObjectId = () => {
-  return [
-    param('id')
-      .isMongoId()
-      .withMessage('Invalid ID format')
-  ];
-};
-
-// Validation for query parameters
-const queryValidationRules = () => {
-  return [
-    query('page')
-      .optional()
-      .isInt({ min: 1 })
-      .withMessage('Page must be a positive integer'),
-
-    query('limit')
-      .optional()
-      .isInt({ min: 1, max: 50 })
-      .withMessage('Limit must be between 1 and 50'),
-
-    query('type')
-      .optional()
-      .isIn(['video', 'image'])
-      .withMessage('Type must be either "video" or "image"'),
-
-    query('difficulty')
-      .optional()
-      .isIn(['easy', 'medium', 'hard'])
-      .withMessage('Difficulty must be easy, medium, or hard'),
-
-    query('sortBy')
-      .optional()
-      .isIn(['createdAt', 'updatedAt', 'title', 'views', 'likes'])
-      .withMessage('Invalid sort field'),
-
-    query('sortOrder')
-      .optional()
-      .isIn(['asc', 'desc'])
-      .withMessage('Sort order must be asc or desc')
-  ];
-};
-
-// Validation for book title parameter
-const validateBookTitle = () => {
-  return [
-    param('bookTitle')
-      .trim()
-      .isLength({ min: 1, max: 100 })
-      .withMessage('Book title must be between 1 and 100 characters')
-      .escape()
-  ];
-};
-
-module.exports = {
-  videoValidationRules,
-  validateObjectId,
-  queryValidationRules,
-  validateBookTitle
+/**
+ * Request Validation Middleware
+ * Uses express-validator for input validation
+ */
+
+const { body, param, query } = require('express-validator');
+const { ROLES } = require('../utils/permissions');
+const Video = require('../Video');
+const Report = require('../Report');
+const { parseTimestamp } = require('../utils/validators');
+
+// Validation rules for creating/updating videos
+const videoValidationRules = () => {
+  return [
+    body('title')
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Title must be between 3 and 200 characters')
+      .escape(),
+
+    body('description')
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage('Description must be between 10 and 1000 characters')
+      .escape(),
+
+    body('bookId')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid book ID format'),
+
+    body('chapterId')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid chapter ID format'),
+
+    // Free-text book/chapter are only needed when no catalog IDs are sent
+    body('bookTitle')
+      .if((value, { req }) => !req.body.bookId)
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Book title must be between 2 and 100 characters')
+      .escape(),
+
+    body('chapter')
+      .if((value, { req }) => !req.body.chapterId)
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Chapter must be between 1 and 100 characters')
+      .escape(),
+
+    body('exercise')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Exercise cannot exceed 20 characters')
+      .escape(),
+
+    body('questions')
+      .optional()
+      .trim()
+      .custom(value => Video.parseQuestionRange(value) !== null)
+      .withMessage('Questions must be a number or a range such as "Q1-Q5"'),
+
+    body('type')
+      .isIn(['video', 'image', 'pdf'])
+      .withMessage('Type must be "video", "image" or "pdf"'),
+
+    body('youtubeUrl')
+      .optional()
+      .isURL()
+      .withMessage('YouTube URL must be a valid URL')
+      .custom((value, { req }) => {
+        if (req.body.type === 'video' && !value) {
+          throw new Error('YouTube URL is required for video type');
+        }
+        if (value) {
+          const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/;
+          if (!youtubeRegex.test(value)) {
+            throw new Error('Please provide a valid YouTube URL');
+          }
+        }
+        return true;
+      }),
+
+    body('tags')
+      .optional()
+      .isString()
+      .custom((value) => {
+        if (value) {
+          const tags = value.split(',').map(tag => tag.trim());
+          if (tags.length > 10) {
+            throw new Error('Maximum 10 tags allowed');
+          }
+          for (const tag of tags) {
+            if (tag.length > 30) {
+              throw new Error('Each tag must be less than 30 characters');
+            }
+          }
+        }
+        return true;
+      }),
+
+    body('difficulty')
+      .optional()
+      .isIn(['easy', 'medium', 'hard'])
+      .withMessage('Difficulty must be easy, medium, or hard'),
+
+    body('subject')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Subject cannot exceed 50 characters')
+      .escape(),
+
+    body('grade')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Grade cannot exceed 20 characters')
+      .escape(),
+
+    body('fileVisibility')
+      .optional()
+      .isIn(['public', 'private'])
+      .withMessage('File visibility must be public or private'),
+
+    body('status')
+      .optional()
+      .isIn(Video.STATUSES)
+      .withMessage(`Status must be one of: ${Video.STATUSES.join(', ')}`),
+
+    body('publishedAt')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Publish date must be a valid date')
+  ];
+};
+
+// Validation rules for publishing, scheduling or unpublishing a solution
+const videoStatusValidationRules = () => {
+  return [
+    body('status')
+      .isIn(Video.STATUSES)
+      .withMessage(`Status must be one of: ${Video.STATUSES.join(', ')}`),
+
+    body('publishedAt')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Publish date must be a valid date')
+  ];
+};
+
+// Validation for MongoDB ObjectId parameters
+const validateObjectId = () => {
+  return [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid ID format')
+  ];
+};
+
+// Validation for routes addressing a single page of a solution
+const validatePageId = () => {
+  return [
+    param('pageId')
+      .isMongoId()
+      .withMessage('Invalid page ID format')
+  ];
+};
+
+// Validation for routes addressing one revision of a solution
+const validateRevisionId = () => {
+  return [
+    param('revisionId')
+      .isMongoId()
+      .withMessage('Invalid revision ID format')
+  ];
+};
+
+// Validation rules for reordering the pages of a solution
+const pageOrderValidationRules = () => {
+  return [
+    body('order')
+      .isArray({ min: 1 })
+      .withMessage('Order must be a non-empty list of page IDs'),
+
+    body('order.*')
+      .isMongoId()
+      .withMessage('Invalid page ID format')
+  ];
+};
+
+// Validation for query parameters
+const queryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+
+    query('type')
+      .optional()
+      .isIn(['video', 'image', 'pdf'])
+      .withMessage('Type must be "video", "image" or "pdf"'),
+
+    query('bookId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid book ID format'),
+
+    query('chapterId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid chapter ID format'),
+
+    query('exercise')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Exercise cannot exceed 20 characters'),
+
+    query('question')
+      .optional()
+      .isInt({ min: 1, max: 999 })
+      .withMessage('Question must be a number between 1 and 999')
+      .toInt(),
+
+    query('difficulty')
+      .optional()
+      .isIn(['easy', 'medium', 'hard'])
+      .withMessage('Difficulty must be easy, medium, or hard'),
+
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search cannot exceed 200 characters'),
+
+    query('status')
+      .optional()
+      .isIn(Video.STATUSES)
+      .withMessage(`Status must be one of: ${Video.STATUSES.join(', ')}`),
+
+    query('sortBy')
+      .optional()
+      .isIn(['relevance', 'createdAt', 'updatedAt', 'publishedAt', 'title', 'views', 'likes', 'rating'])
+      .withMessage('Invalid sort field'),
+
+    query('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort order must be asc or desc')
+  ];
+};
+
+// Validation for search suggestions
+const suggestValidationRules = () => {
+  return [
+    query('q')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Query must be between 1 and 100 characters')
+  ];
+};
+
+// Validation for book title parameter
+const validateBookTitle = () => {
+  return [
+    param('bookTitle')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Book title must be between 1 and 100 characters')
+      .escape()
+  ];
+};
+
+// Fields shared by book create/update; the title is only required on create
+const bookFieldRules = (titleRequired) => {
+  const title = body('title');
+
+  return [
+    (titleRequired ? title : title.optional())
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Book title must be between 2 and 100 characters')
+      .escape(),
+
+    body('publisher')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Publisher cannot exceed 100 characters')
+      .escape(),
+
+    body('edition')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Edition cannot exceed 50 characters')
+      .escape(),
+
+    body('grade')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Class cannot exceed 20 characters')
+      .escape(),
+
+    body('subject')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Subject cannot exceed 50 characters')
+      .escape()
+  ];
+};
+
+// Validation rules for creating a book
+const bookCreateValidationRules = () => bookFieldRules(true);
+
+// Validation rules for updating a book
+const bookUpdateValidationRules = () => {
+  return [
+    ...bookFieldRules(false),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Validation for book list query parameters
+const bookQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search cannot exceed 100 characters'),
+
+    query('grade')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Class cannot exceed 20 characters'),
+
+    query('subject')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Subject cannot exceed 50 characters')
+  ];
+};
+
+// Validation for routes addressing a book by ID or slug
+const validateBookParam = () => {
+  return [
+    param('book')
+      .trim()
+      .matches(/^[a-z0-9-]{1,100}$/i)
+      .withMessage('Invalid book ID or slug')
+  ];
+};
+
+// Validation for routes addressing a single chapter
+const validateChapterId = () => {
+  return [
+    param('chapterId')
+      .isMongoId()
+      .withMessage('Invalid chapter ID format')
+  ];
+};
+
+// Fields shared by chapter create/update; the number is only required on create
+const chapterFieldRules = (numberRequired) => {
+  const number = body('number');
+
+  return [
+    (numberRequired ? number : number.optional())
+      .isInt({ min: 0, max: 999 })
+      .withMessage('Chapter number must be between 0 and 999')
+      .toInt(),
+
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 80 })
+      .withMessage('Chapter name cannot exceed 80 characters')
+      .escape()
+  ];
+};
+
+// Validation for looking up the solutions of one question
+const questionLookupValidationRules = () => {
+  return [
+    param('chapter')
+      .matches(/^(\d{1,3}|[a-f0-9]{24})$/i)
+      .withMessage('Chapter must be a chapter number or ID'),
+
+    param('q')
+      .isInt({ min: 1, max: 999 })
+      .withMessage('Question must be a number between 1 and 999')
+      .toInt(),
+
+    query('exercise')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Exercise must be between 1 and 20 characters')
+  ];
+};
+
+// Validation rules for creating a chapter
+const chapterCreateValidationRules = () => chapterFieldRules(true);
+
+// Validation rules for updating a chapter
+const chapterUpdateValidationRules = () => chapterFieldRules(false);
+
+// Fields shared by playlist create/update; the title is only required on create
+const playlistFieldRules = (titleRequired) => {
+  const title = body('title');
+
+  return [
+    (titleRequired ? title : title.optional())
+      .trim()
+      .isLength({ min: 3, max: 120 })
+      .withMessage('Playlist title must be between 3 and 120 characters')
+      .escape(),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters')
+      .escape(),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Validation rules for creating a playlist, optionally with its first solutions
+const playlistCreateValidationRules = () => {
+  return [
+    ...playlistFieldRules(true),
+
+    body('videoIds')
+      .optional()
+      .isArray({ max: 200 })
+      .withMessage('videoIds must be a list of at most 200 solution IDs'),
+
+    body('videoIds.*')
+      .isMongoId()
+      .withMessage('Invalid solution ID format')
+  ];
+};
+
+// Validation rules for updating a playlist
+const playlistUpdateValidationRules = () => playlistFieldRules(false);
+
+// Validation for playlist list query parameters
+const playlistQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ];
+};
+
+// Validation for routes addressing a playlist by ID or slug
+const validatePlaylistParam = () => {
+  return [
+    param('playlist')
+      .trim()
+      .matches(/^[a-z0-9-]{1,100}$/i)
+      .withMessage('Invalid playlist ID or slug')
+  ];
+};
+
+// Validation for routes addressing a single playlist item
+const validatePlaylistItemId = () => {
+  return [
+    param('itemId')
+      .isMongoId()
+      .withMessage('Invalid item ID format')
+  ];
+};
+
+// Validation rules for adding a solution to a playlist
+const playlistItemValidationRules = () => {
+  return [
+    body('videoId')
+      .isMongoId()
+      .withMessage('Invalid solution ID format'),
+
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Note cannot exceed 200 characters')
+      .escape(),
+
+    body('position')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Position must be a positive integer')
+      .toInt()
+  ];
+};
+
+// Validation rules for reordering the items of a playlist
+const playlistOrderValidationRules = () => {
+  return [
+    body('order')
+      .isArray({ min: 1 })
+      .withMessage('Order must be a non-empty list of item IDs'),
+
+    body('order.*')
+      .isMongoId()
+      .withMessage('Invalid item ID format')
+  ];
+};
+
+// Validation rules for the text of a comment
+const commentBodyRule = () => {
+  return body('body')
+    .trim()
+    .isLength({ min: 2, max: 2000 })
+    .withMessage('Comment must be between 2 and 2000 characters');
+};
+
+// Validation rules for posting a comment or reply
+const commentValidationRules = () => {
+  return [
+    commentBodyRule(),
+
+    body('parent')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid comment ID format')
+  ];
+};
+
+// Validation rules for editing a comment
+const commentUpdateValidationRules = () => [commentBodyRule()];
+
+// Validation rules for listing the comments of a solution
+const commentQueryValidationRules = () => {
+  return [
+    query('sort')
+      .optional()
+      .isIn(['new', 'top'])
+      .withMessage('Sort must be new or top'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ];
+};
+
+// Validation rules for the comment moderation queue
+const commentModerationQueryValidationRules = () => {
+  return [
+    query('status')
+      .optional()
+      .isIn(['pending', 'approved', 'hidden'])
+      .withMessage('Status must be pending, approved or hidden'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ];
+};
+
+// Validation rules for approving or hiding a comment
+const commentModerationValidationRules = () => {
+  return [
+    body('status')
+      .isIn(['approved', 'hidden'])
+      .withMessage('Status must be approved or hidden')
+  ];
+};
+
+// Validation rules for rating a solution
+const ratingValidationRules = () => {
+  return [
+    body('stars')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5 stars')
+      .toInt()
+  ];
+};
+
+// Validation rules for reporting a mistake in a solution
+const reportValidationRules = () => {
+  return [
+    body('reason')
+      .isIn(Report.REASONS)
+      .withMessage(`Reason must be one of: ${Report.REASONS.join(', ')}`),
+
+    body('details')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Details cannot exceed 1000 characters'),
+
+    body('timestamp')
+      .optional({ values: 'falsy' })
+      .custom(value => !Number.isNaN(parseTimestamp(value)))
+      .withMessage('Timestamp must be seconds or a time like 3:45')
+      .bail()
+      .customSanitizer(parseTimestamp)
+      .isInt({ max: 24 * 60 * 60 })
+      .withMessage('Timestamp cannot be more than 24 hours')
+  ];
+};
+
+// Validation rules for the report triage list
+const reportQueryValidationRules = () => {
+  return [
+    query('status')
+      .optional()
+      .isIn(Report.STATUSES)
+      .withMessage('Status must be open, resolved or dismissed'),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ];
+};
+
+// Validation rules for resolving or dismissing a report
+const reportUpdateValidationRules = () => {
+  return [
+    body('status')
+      .isIn(Report.STATUSES)
+      .withMessage('Status must be open, resolved or dismissed'),
+
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ];
+};
+
+// Validation rules for listing bookmarks and history
+const libraryQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ];
+};
+
+// Validation rules for study progress
+const progressQueryValidationRules = () => {
+  return [
+    query('bookId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid book ID format'),
+
+    query('bookTitle')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Book title must be between 1 and 100 characters')
+  ];
+};
+
+// Validation rules for listing the trash
+const trashQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search cannot exceed 100 characters')
+  ];
+};
+
+// Validation rules for listing the revisions of a solution
+const revisionQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ];
+};
+
+// Validation rules for bulk imports; rows are checked one by one against videoValidationRules
+const importValidationRules = () => {
+  return [
+    body('rows')
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('Rows must be a list of at most 500 solutions'),
+
+    body('csv')
+      .optional()
+      .isString()
+      .withMessage('CSV must be text')
+      .custom((value, { req }) => {
+        if (req.body.rows !== undefined) {
+          throw new Error('Send either csv or rows, not both');
+        }
+        return true;
+      }),
+
+    body()
+      .custom((value) => {
+        if (value.rows === undefined && value.csv === undefined) {
+          throw new Error('Send the solutions to import as csv or rows');
+        }
+        return true;
+      }),
+
+    body('dryRun')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Dry run must be true or false')
+  ];
+};
+
+// Validation rules for catalog exports; the listing filters use queryValidationRules
+const exportValidationRules = () => {
+  return [
+    query('format')
+      .optional()
+      .isIn(['csv', 'tsv', 'json', 'ndjson'])
+      .withMessage('Format must be csv, tsv, json or ndjson')
+  ];
+};
+
+// Validation rules for analytics reports
+const analyticsQueryValidationRules = () => {
+  return [
+    query('from')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('From must be a date (YYYY-MM-DD)'),
+
+    query('to')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('To must be a date (YYYY-MM-DD)'),
+
+    query('scope')
+      .optional()
+      .isIn(['video', 'book', 'chapter'])
+      .withMessage('Scope must be video, book or chapter'),
+
+    query('ref')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid ref ID format'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+
+    query('groupBy')
+      .optional()
+      .isIn(['subject', 'grade'])
+      .withMessage('Group by must be subject or grade'),
+
+    query('interval')
+      .optional()
+      .isIn(['day', 'week', 'month'])
+      .withMessage('Interval must be day, week or month')
+  ];
+};
+
+// Validation rules for logging in
+const loginValidationRules = () => {
+  return [
+    body('username')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Username or email is required'),
+
+    body('password')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Password is required')
+  ];
+};
+
+// Validation rules for endpoints that take a refresh token
+const refreshTokenValidationRules = () => {
+  return [
+    body('refreshToken')
+      .isString()
+      .isLength({ min: 20, max: 200 })
+      .withMessage('A valid refresh token is required')
+  ];
+};
+
+// Validation rules for registering an account
+const registerValidationRules = () => {
+  return [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    body('username')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_.-]{3,30}$/)
+      .withMessage('Username must be 3-30 letters, numbers, dots, dashes or underscores'),
+
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .toLowerCase(),
+
+    body('password')
+      .isString()
+      .isLength({ min: 8, max: 200 })
+      .withMessage('Password must be at least 8 characters')
+  ];
+};
+
+// Validation rules for creating users (admin)
+const userCreateValidationRules = () => {
+  return [
+    ...registerValidationRules(),
+
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ];
+};
+
+// Validation rules for updating users
+const userUpdateValidationRules = () => {
+  return [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Validation for user list query parameters
+const userQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+
+    query('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ];
+};
+
+// Validation rules for endpoints that take an email address
+const emailValidationRules = () => {
+  return [
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .toLowerCase()
+  ];
+};
+
+// Validation rules for endpoints that take an emailed one-time token
+const emailTokenValidationRules = () => {
+  return [
+    body('token')
+      .isString()
+      .isHexadecimal()
+      .isLength({ min: 20, max: 200 })
+      .withMessage('A valid token is required')
+  ];
+};
+
+// Validation rules for resetting a password with a token
+const resetPasswordValidationRules = () => {
+  return [
+    ...emailTokenValidationRules(),
+
+    body('password')
+      .isString()
+      .isLength({ min: 8, max: 200 })
+      .withMessage('Password must be at least 8 characters')
+  ];
+};
+
+// Validation rules for updating your own account
+const accountUpdateValidationRules = () => {
+  return [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    body('email')
+      .optional()
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .toLowerCase()
+  ];
+};
+
+// Validation rules for changing your password
+const changePasswordValidationRules = () => {
+  return [
+    body('currentPassword')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Current password is required'),
+
+    body('newPassword')
+      .isString()
+      .isLength({ min: 8, max: 200 })
+      .withMessage('New password must be at least 8 characters')
+  ];
+};
+
+// Validation rules for deleting your account
+const deleteAccountValidationRules = () => {
+  return [
+    body('password')
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Password is required to delete your account')
+  ];
+};
+
+// Validation rules for the Contact Us form
+const contactValidationRules = () => {
+  return [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Please provide a valid email address')
+      .toLowerCase(),
+
+    body('subject')
+      .trim()
+      .isLength({ min: 3, max: 150 })
+      .withMessage('Subject must be between 3 and 150 characters'),
+
+    body('message')
+      .trim()
+      .isLength({ min: 10, max: 5000 })
+      .withMessage('Message must be between 10 and 5000 characters'),
+
+    // Honeypot field, checked in the controller
+    body('website')
+      .optional()
+      .isString()
+  ];
+};
+
+// Validation for the admin inbox query parameters
+const contactQueryValidationRules = () => {
+  return [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+
+    query('status')
+      .optional()
+      .isIn(['new', 'read', 'replied'])
+      .withMessage('Status must be new, read or replied'),
+
+    query('archived')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Archived must be true or false')
+  ];
+};
+
+// Validation rules for marking a message read/unread
+const contactReadValidationRules = () => {
+  return [
+    body('isRead')
+      .optional()
+      .isBoolean()
+      .withMessage('isRead must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Validation rules for archiving a message
+const contactArchiveValidationRules = () => {
+  return [
+    body('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('archived must be true or false')
+      .toBoolean()
+  ];
+};
+
+// Validation rules for replying to a message
+const contactReplyValidationRules = () => {
+  return [
+    body('body')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Reply must be between 1 and 5000 characters')
+  ];
+};
+
+module.exports = {
+  videoValidationRules,
+  validateObjectId,
+  validatePageId,
+  validateRevisionId,
+  videoStatusValidationRules,
+  pageOrderValidationRules,
+  queryValidationRules,
+  suggestValidationRules,
+  validateBookTitle,
+  bookCreateValidationRules,
+  bookUpdateValidationRules,
+  bookQueryValidationRules,
+  validateBookParam,
+  validateChapterId,
+  chapterCreateValidationRules,
+  questionLookupValidationRules,
+  playlistCreateValidationRules,
+  playlistUpdateValidationRules,
+  playlistQueryValidationRules,
+  validatePlaylistParam,
+  validatePlaylistItemId,
+  playlistItemValidationRules,
+  playlistOrderValidationRules,
+  commentValidationRules,
+  commentUpdateValidationRules,
+  commentQueryValidationRules,
+  commentModerationQueryValidationRules,
+  commentModerationValidationRules,
+  ratingValidationRules,
+  reportValidationRules,
+  reportQueryValidationRules,
+  reportUpdateValidationRules,
+  libraryQueryValidationRules,
+  progressQueryValidationRules,
+  trashQueryValidationRules,
+  revisionQueryValidationRules,
+  importValidationRules,
+  exportValidationRules,
+  analyticsQueryValidationRules,
+  chapterUpdateValidationRules,
+  loginValidationRules,
+  refreshTokenValidationRules,
+  registerValidationRules,
+  emailValidationRules,
+  emailTokenValidationRules,
+  resetPasswordValidationRules,
+  accountUpdateValidationRules,
+  changePasswordValidationRules,
+  deleteAccountValidationRules,
+  userCreateValidationRules,
+  userUpdateValidationRules,
+  userQueryValidationRules,
+  contactValidationRules,
+  contactQueryValidationRules,
+  contactReadValidationRules,
+  contactArchiveValidationRules,
+  contactReplyValidationRules
 };
\ No newline at end of file
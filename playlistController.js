@@ -0,0 +1,501 @@
+/**
+ * Playlist Controller
+ * Handles ordered collections of solutions
+ */
+
+const Playlist = require('./Playlist');
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+const { serializeVideo, attachViewerState } = require('./utils/videoSerializer');
+
+// Solution fields needed to list and open the items of a playlist
+const ITEM_VIDEO_FIELDS = [
+  'title', 'description', 'type', 'bookTitle', 'chapter', 'exercise', 'questionFrom', 'questionTo',
+  'youtubeUrl', 'youtubeVideoId', 'thumbnailUrl', 'fileUrl', 'storageKey', 'imageVariants',
+  'pages', 'pageCount', 'tags', 'difficulty', 'views', 'likes', 'ratingAverage', 'ratingCount', 'createdAt', 'isActive', 'status', 'publishedAt'
+].join(' ');
+
+/**
+ * Convert a playlist for a response with its items' solutions loaded
+ *
+ * Items whose solution was deleted or isn't published are left out of public responses
+ * and flagged for the admins managing the playlist.
+ *
+ * @param {object} playlist - Playlist document
+ * @param {object} options - { includeHidden }
+ * @returns {Promise<object>} - Playlist with items [{ _id, note, position, video }]
+ */
+const serializePlaylist = async (playlist, { includeHidden = false } = {}) => {
+  await playlist.populate({ path: 'items.video', select: ITEM_VIDEO_FIELDS });
+
+  const data = playlist.toJSON();
+  const items = [];
+
+  for (const item of data.items) {
+    const visible = Video.isPublic(item.video);
+    if (!visible && !includeHidden) continue;
+
+    items.push({
+      _id: item._id,
+      note: item.note,
+      addedAt: item.addedAt,
+      position: items.length + 1,
+      hidden: !visible,
+      video: item.video ? await serializeVideo(item.video) : null
+    });
+  }
+
+  return { ...data, items, itemCount: items.length };
+};
+
+/**
+ * Load a playlist addressed by ID or slug
+ * @returns {Promise<object>} - { playlist } or { status, message } when it doesn't exist
+ */
+const findPlaylist = async (value, { includeHidden = false } = {}) => {
+  const playlist = await Playlist.findByIdOrSlug(value);
+
+  if (!playlist || (!playlist.isActive && !includeHidden)) {
+    return { status: 404, message: 'Playlist not found' };
+  }
+
+  return { playlist };
+};
+
+// @desc    Get published playlists
+// @route   GET /api/playlists
+// @access  Public
+const getPlaylists = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 50);
+    const query = { isActive: true };
+
+    const [playlists, totalCount] = await Promise.all([
+      Playlist.find(query)
+        .select('title slug description items.video updatedAt createdAt')
+        .sort({ updatedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Playlist.countDocuments(query)
+    ]);
+
+    // Count the solutions that are still visible
+    const videoIds = playlists.flatMap(playlist => playlist.items.map(item => item.video));
+    const visible = new Set((await Video.distinct('_id', { _id: { $in: videoIds }, ...Video.publicFilter() })).map(String));
+
+    res.status(200).json({
+      success: true,
+      data: playlists.map(({ items, ...playlist }) => ({
+        ...playlist,
+        itemCount: items.filter(item => visible.has(String(item.video))).length
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalCount / pageSize),
+        totalCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching playlists',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a published playlist (by ID or slug) with its solutions in order
+// @route   GET /api/playlists/:playlist
+// @access  Public
+const getPlaylist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { playlist, status, message } = await findPlaylist(req.params.playlist);
+    if (!playlist) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const data = await serializePlaylist(playlist);
+
+    // What the visitor did with each solution, as in the gallery
+    await attachViewerState(data.items.map(item => item.video), req);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create a playlist
+// @route   POST /api/playlists
+// @access  Private (admin)
+const createPlaylist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, isActive, videoIds = [] } = req.body;
+
+    // Every solution has to exist and may only be listed once
+    const uniqueIds = [...new Set(videoIds)];
+    const found = await Video.countDocuments({ _id: { $in: uniqueIds }, isActive: true });
+    if (uniqueIds.length !== videoIds.length || found !== uniqueIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoIds must list existing solutions, each at most once'
+      });
+    }
+
+    const playlist = await Playlist.create({
+      title,
+      description,
+      isActive,
+      items: uniqueIds.map(video => ({ video })),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Playlist created successfully',
+      data: await serializePlaylist(playlist, { includeHidden: true })
+    });
+
+  } catch (error) {
+    console.error('Create playlist error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a playlist's title, description or published flag
+// @route   PUT /api/playlists/:playlist
+// @access  Private (admin)
+const updatePlaylist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { playlist, status, message } = await findPlaylist(req.params.playlist, { includeHidden: true });
+    if (!playlist) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    ['title', 'description', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) playlist[field] = req.body[field];
+    });
+    await playlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist updated successfully',
+      data: await serializePlaylist(playlist, { includeHidden: true })
+    });
+
+  } catch (error) {
+    console.error('Update playlist error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a playlist (the solutions themselves are kept)
+// @route   DELETE /api/playlists/:playlist
+// @access  Private (admin)
+const deletePlaylist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { playlist, status, message } = await findPlaylist(req.params.playlist, { includeHidden: true });
+    if (!playlist) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await playlist.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add a solution to a playlist, at the end or at a position
+// @route   POST /api/playlists/:playlist/items
+// @access  Private (admin)
+const addPlaylistItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { playlist, status, message } = await findPlaylist(req.params.playlist, { includeHidden: true });
+    if (!playlist) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { videoId, note, position } = req.body;
+
+    const video = await Video.findOne({ _id: videoId, isActive: true }).select('_id');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (playlist.items.some(item => String(item.video) === String(video._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The solution is already in this playlist'
+      });
+    }
+
+    const index = position ? Math.min(position - 1, playlist.items.length) : playlist.items.length;
+    playlist.items.splice(index, 0, { video: video._id, note });
+    await playlist.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Solution added to the playlist',
+      data: await serializePlaylist(playlist, { includeHidden: true })
+    });
+
+  } catch (error) {
+    console.error('Add playlist item error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The playlist was changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding to the playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Reorder the items of a playlist
+// @route   PUT /api/playlists/:playlist/items/order
+// @access  Private (admin)
+const reorderPlaylistItems = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { playlist, status, message } = await findPlaylist(req.params.playlist, { includeHidden: true });
+    if (!playlist) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // The new order has to list every existing item exactly once
+    const { order } = req.body;
+    const currentIds = playlist.items.map(item => String(item._id));
+    const isPermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(itemId => currentIds.includes(itemId));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every item of the playlist exactly once'
+      });
+    }
+
+    const itemsById = new Map(playlist.items.map(item => [String(item._id), item.toObject()]));
+    playlist.items = order.map(itemId => itemsById.get(itemId));
+    await playlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist reordered',
+      data: await serializePlaylist(playlist, { includeHidden: true })
+    });
+
+  } catch (error) {
+    console.error('Reorder playlist error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The playlist was changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering the playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove an item from a playlist
+// @route   DELETE /api/playlists/:playlist/items/:itemId
+// @access  Private (admin)
+const removePlaylistItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { playlist, status, message } = await findPlaylist(req.params.playlist, { includeHidden: true });
+    if (!playlist) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const item = playlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    playlist.items.pull(item._id);
+    await playlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Solution removed from the playlist',
+      data: await serializePlaylist(playlist, { includeHidden: true })
+    });
+
+  } catch (error) {
+    console.error('Remove playlist item error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The playlist was changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error removing from the playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPlaylists,
+  getPlaylist,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistItem,
+  reorderPlaylistItems,
+  removePlaylistItem
+};
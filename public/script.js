@@ -1,501 +1,3475 @@
-// --- Mobile Navigation ---
-const hamburger = document.querySelector('.hamburger');
-const navMenu = document.querySelector('.nav-menu');
-if(hamburger && navMenu){
-    hamburger.addEventListener('click', () => {
-        hamburger.classList.toggle('active');
-        navMenu.classList.toggle('active');
-    });
-    document.querySelectorAll('.nav-link').forEach(n => n.addEventListener('click', () => {
-        hamburger.classList.remove('active');
-        navMenu.classList.remove('active');
-    }));
-}
-
-// --- Smooth Scrolling ---
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-        const target = document.querySelector(this.getAttribute('href'));
-        if(target){ 
-            e.preventDefault(); 
-            target.scrollIntoView({behavior: 'smooth', block: 'start'});
-        }
-    });
-}); 
-
-// --- API Configuration ---
-const API_BASE_URL = '/api';
-
-// --- Solution Management with Backend Integration ---
-class VideoManager {
-    constructor() {
-        this.videos = [];
-        this.isLoading = false;
-        this.currentPage = 1;
-        this.totalPages = 1;
-        this.filters = {};
-        this.adminUnlocked = false;
-
-        this.initializeElements();
-        this.setupEventListeners();
-        this.loadVideos();
-    }
-
-    initializeElements() {
-        this.uploadArea = document.getElementById('uploadArea');
-        this.fileInput = document.getElementById('fileInput');
-        this.solutionsGrid = document.getElementById('solutionsGrid');
-        this.videosListSection = document.getElementById('videos-list-section');
-        this.uploadPasswordForm = document.getElementById('upload-password-form');
-        this.solutionDetailsForm = document.getElementById('solution-details-form');
-        this.uploadBtn = document.getElementById('uploadBtn');
-        this.logoutUploadBtn = document.getElementById('logoutUploadBtn');
-    }
-
-    setupEventListeners() {
-        // Upload area events
-        if (this.uploadArea && this.fileInput) {
-            this.uploadArea.addEventListener('click', () => this.fileInput.click());
-            this.uploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
-            this.uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
-            this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
-        }
-
-        // Upload button
-        if (this.uploadBtn) {
-            this.uploadBtn.addEventListener('click', (e) => this.handleUpload(e));
-        }
-
-        // Password form event listener
-        if (this.uploadPasswordForm) {
-            this.uploadPasswordForm.addEventListener('submit', (e) => this.handlePasswordSubmit(e));
-        }
-
-        // Logout button event listener  
-        if (this.logoutUploadBtn) {
-            this.logoutUploadBtn.addEventListener('click', (e) => this.handleLogout(e));
-        }
-
-        // Search and filter events
-        this.setupSearchAndFilter();
-    }
-
-    // Password form submission
-    handlePasswordSubmit(e) {
-        e.preventDefault();
-        const passwordInput = document.getElementById('upload-password');
-        const uploadWrapper = document.getElementById('upload-area-wrapper');
-        
-        if (passwordInput && passwordInput.value === 'toppershike217') {
-            if (uploadWrapper) uploadWrapper.style.display = 'block';
-            if (this.uploadPasswordForm) this.uploadPasswordForm.style.display = 'none';
-            this.adminUnlocked = true;
-            this.displayVideos(); // Refresh gallery to show delete buttons
-        } else {
-            alert('Incorrect password!');
-            if (passwordInput) passwordInput.value = '';
-        }
-    }
-
-    // Logout functionality  
-    handleLogout(e) {
-        e.preventDefault();
-        const uploadWrapper = document.getElementById('upload-area-wrapper');
-        const passwordInput = document.getElementById('upload-password');
-        
-        if (uploadWrapper) uploadWrapper.style.display = 'none';
-        if (this.uploadPasswordForm) this.uploadPasswordForm.style.display = 'flex';
-        if (passwordInput) passwordInput.value = '';
-        this.adminUnlocked = false;
-        this.displayVideos(); // Refresh gallery to hide delete buttons
-    }
-
-    setupSearchAndFilter() {
-        // Add search functionality
-        const searchInput = document.createElement('input');
-        searchInput.type = 'text';
-        searchInput.placeholder = 'Search videos...';
-        searchInput.className = 'search-input';
-        searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
-
-        // Add search input to the page
-        const videoGallery = document.querySelector('.video-gallery');
-        if (videoGallery) {
-            videoGallery.insertBefore(searchInput, videoGallery.firstChild);
-        }
-    }
-
-    async loadVideos(page = 1, filters = {}) {
-        if (this.isLoading) return;
-
-        this.isLoading = true;
-        this.showLoading();
-
-        try {
-            const queryParams = new URLSearchParams({
-                page: page,
-                limit: 12,
-                ...filters
-            });
-
-            const response = await fetch(`${API_BASE_URL}/videos?${queryParams}`);
-            const data = await response.json();
-
-            if (data.success) {
-                this.videos = data.data;
-                this.currentPage = data.pagination.currentPage;
-                this.totalPages = data.pagination.totalPages;
-                this.filters = filters;
-
-                this.displayVideos();
-                this.updatePagination();
-            } else {
-                this.showError('Failed to load videos: ' + data.message);
-            }
-        } catch (error) {
-            console.error('Error loading videos:', error);
-            this.showError('Failed to load videos. Please try again.');
-        } finally {
-            this.isLoading = false;
-            this.hideLoading();
-        }
-    }
-
-    displayVideos() {
-        const container = document.getElementById('solutionsGrid') || document.getElementById('videos-list');
-        if (!container) return;
-
-        container.innerHTML = '';
-
-        if (this.videos.length === 0) {
-            container.innerHTML = `
-                <div class="no-videos">
-                    <p>No videos found. Try adjusting your search or filters.</p>
-                </div>
-            `;
-            return;
-        }
-
-        this.videos.forEach(video => {
-            const card = this.createVideoCard(video);
-            container.appendChild(card);
-        });
-    }
-
-    createVideoCard(video) {
-        const card = document.createElement('div');
-        card.className = 'solution-card';
-        card.dataset.videoId = video._id;
-
-        let media = '';
-        if (video.type === 'video' && video.youtubeUrl) {
-            const youtubeId = this.extractYoutubeID(video.youtubeUrl);
-            media = `
-                <div class="video-thumbnail" data-youtube-url="${video.youtubeUrl}">
-                    <img src="https://img.youtube.com/vi/${youtubeId}/hqdefault.jpg" alt="${video.title}" style="width:100%; height: 200px; object-fit: cover;">
-                    <div class="play-button">▶️</div>
-                </div>
-            `;
-        } else if (video.type === 'image' && video.fileUrl) {
-            media = `<img src="${video.fileUrl}" alt="${video.title}" style="width:100%; height: 200px; object-fit: cover;">`;
-        }
-
-        card.innerHTML = `
-            <div class="solution-media">${media}</div>
-            <div class="solution-content">
-                <h4>${this.escapeHtml(video.title)}</h4>
-                <p>${this.escapeHtml(video.description)}</p>
-                <div class="solution-meta">
-                    <span>${this.escapeHtml(video.bookTitle)} - ${this.escapeHtml(video.chapter)}</span>
-                    <span>${new Date(video.createdAt).toLocaleDateString()}</span>
-                </div>
-                <div class="video-stats">
-                    <span>👁️ ${video.views}</span>
-                    ${video.difficulty ? `<span class="difficulty difficulty-${video.difficulty}">${video.difficulty}</span>` : ''}
-                </div>
-                ${video.tags && video.tags.length > 0 ? `
-                    <div class="video-tags">
-                        ${video.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}
-                    </div>
-                ` : ''}
-                ${this.adminUnlocked ? `<button class="delete-btn" data-video-id="${video._id}" style="background:red;color:white;padding:5px 10px;border:none;border-radius:3px;margin-top:10px;">Delete</button>` : ''}
-            </div>
-        `;
-
-        // Add play video event listener
-        const thumbnail = card.querySelector('.video-thumbnail');
-        if (thumbnail) {
-            thumbnail.addEventListener('click', () => {
-                const youtubeUrl = thumbnail.getAttribute('data-youtube-url');
-                this.playVideo(youtubeUrl);
-            });
-            thumbnail.style.cursor = 'pointer';
-        }
-
-        // Add delete button event listener (only if button exists)
-        const deleteBtn = card.querySelector('.delete-btn');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', () => {
-                const videoId = deleteBtn.getAttribute('data-video-id');
-                if (!videoId || videoId === "null" || videoId === "undefined") {
-                    this.showError('Could not delete: No valid video ID.');
-                    return;
-                }
-                this.deleteVideo(videoId);
-            });
-        }
-
-        return card;
-    }
-
-    extractYoutubeID(url) {
-        const regex = /(?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/watch\?v=|youtu\.be\/)([\w-]{11})/;
-        const match = url.match(regex);
-        return match ? match[1] : null;
-    }
-
-    playVideo(youtubeUrl) {
-        // Open YouTube video in new tab
-        window.open(youtubeUrl, '_blank');
-    }
-
-    async handleUpload(e) {
-        e.preventDefault();
-
-        if (this.isLoading) return;
-
-        const formData = this.collectFormData();
-        if (!formData) return;
-
-        this.isLoading = true;
-        this.uploadBtn.disabled = true;
-        this.uploadBtn.textContent = 'Uploading...';
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/videos`, {
-                method: 'POST',
-                body: formData
-            });
-
-            const data = await response.json();
-
-            if (data.success) {
-                this.showSuccess('Video uploaded successfully!');
-                this.resetUploadForm();
-                this.loadVideos(); // Reload videos
-            } else {
-                this.showError('Upload failed: ' + data.message);
-            }
-        } catch (error) {
-            console.error('Upload error:', error);
-            this.showError('Upload failed. Please try again.');
-        } finally {
-            this.isLoading = false;
-            this.uploadBtn.disabled = false;
-            this.uploadBtn.textContent = 'Upload Solution';
-        }
-    }
-
-    async deleteVideo(videoId) {
-        if (!confirm('Are you sure you want to delete this video?')) return;
-
-        try {
-            const response = await fetch(`${API_BASE_URL}/videos/${videoId}`, {
-                method: 'DELETE'
-            });
-
-            const data = await response.json();
-
-            if (data.success) {
-                this.showSuccess('Video deleted successfully!');
-                this.loadVideos(); // Reload gallery
-            } else {
-                this.showError('Delete failed: ' + data.message);
-            }
-        } catch (error) {
-            this.showError('Delete failed. Please try again.');
-        }
-    }
-
-    collectFormData() {
-        const title = document.getElementById('title')?.value?.trim();
-        const description = document.getElementById('description')?.value?.trim();
-        const bookTitle = document.getElementById('bookTitle')?.value?.trim();
-        const chapter = document.getElementById('chapterNumber')?.value?.trim();
-        const youtubeUrl = document.getElementById('youtubeUrl')?.value?.trim();
-        
-        // Determine type based on YouTube URL presence
-        const type = youtubeUrl ? 'video' : 'image'; 
-
-        if (!title || !description || !bookTitle || !chapter) {
-            this.showError('Please fill in all required fields.');
-            return null;
-        }
-
-        if (type === 'video' && !youtubeUrl) {
-            this.showError('Please provide a YouTube URL for video content.');
-            return null;
-        }
-
-        const formData = new FormData();
-        formData.append('title', title);
-        formData.append('description', description);
-        formData.append('bookTitle', bookTitle);
-        formData.append('chapter', chapter);
-        formData.append('type', type);
-
-        if (youtubeUrl) {
-            formData.append('youtubeUrl', youtubeUrl);
-        }
-
-        // Add image file if type is image
-        if (type === 'image' && this.fileInput?.files[0]) {
-            formData.append('image', this.fileInput.files[0]);
-        }
-
-        return formData;
-    }
-
-    resetUploadForm() {
-        const inputs = ['title', 'bookTitle', 'description', 'chapterNumber', 'youtubeUrl'];
-        inputs.forEach(id => {
-            const element = document.getElementById(id);
-            if (element) element.value = '';
-        });
-
-        if (this.fileInput) this.fileInput.value = '';
-    }
-
-    handleSearch(query) {
-        clearTimeout(this.searchTimeout);
-        this.searchTimeout = setTimeout(() => {
-            const filters = { ...this.filters };
-            if (query.trim()) {
-                filters.search = query.trim();
-            } else {
-                delete filters.search;
-            }
-            this.loadVideos(1, filters);
-        }, 500);
-    }
-
-    handleDragOver(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        this.uploadArea.classList.add('dragover');
-    }
-
-    handleDrop(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        this.uploadArea.classList.remove('dragover');
-
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            this.fileInput.files = files;
-        }
-    }
-
-    handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) {
-            // Auto-select image type if image file is selected
-            const imageRadio = document.querySelector('input[name="contentType"][value="image"]');
-            if (imageRadio) imageRadio.checked = true;
-        }
-    }
-
-    updatePagination() {
-        // Add pagination controls if they don't exist
-        let paginationContainer = document.querySelector('.pagination-container');
-        if (!paginationContainer) {
-            paginationContainer = document.createElement('div');
-            paginationContainer.className = 'pagination-container';
-            const container = document.getElementById('solutionsGrid') || document.getElementById('videos-list');
-            if (container && container.parentNode) {
-                container.parentNode.appendChild(paginationContainer);
-            }
-        }
-
-        paginationContainer.innerHTML = '';
-
-        if (this.totalPages <= 1) return;
-
-        // Previous button
-        const prevBtn = document.createElement('button');
-        prevBtn.textContent = 'Previous';
-        prevBtn.disabled = this.currentPage === 1;
-        prevBtn.onclick = () => this.loadVideos(this.currentPage - 1, this.filters);
-        paginationContainer.appendChild(prevBtn);
-
-        // Page info
-        const pageInfo = document.createElement('span');
-        pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
-        pageInfo.className = 'page-info';
-        paginationContainer.appendChild(pageInfo);
-
-        // Next button
-        const nextBtn = document.createElement('button');
-        nextBtn.textContent = 'Next';
-        nextBtn.disabled = this.currentPage === this.totalPages;
-        nextBtn.onclick = () => this.loadVideos(this.currentPage + 1, this.filters);
-        paginationContainer.appendChild(nextBtn);
-    }
-
-    showLoading() {
-        const container = document.getElementById('solutionsGrid') || document.getElementById('videos-list');
-        if (container) {
-            container.innerHTML = '<div class="loading">Loading videos...</div>';
-        }
-    }
-
-    hideLoading() {
-        const loading = document.querySelector('.loading');
-        if (loading) loading.remove();
-    }
-
-    showError(message) {
-        this.showNotification(message, 'error');
-    }
-
-    showSuccess(message) {
-        this.showNotification(message, 'success');
-    }
-
-    showNotification(message, type = 'info') {
-        // Remove existing notifications
-        const existing = document.querySelectorAll('.notification');
-        existing.forEach(n => n.remove());
-
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.textContent = message;
-
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.remove();
-        }, 5000);
-    }
-
-    escapeHtml(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, m => map[m]);
-    }
-}
-
-// Initialize the video manager when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.videoManager = new VideoManager();
-});
-
-// Make playVideo function globally accessible
-window.playVideo = function(youtubeUrl) {
-    window.open(youtubeUrl, '_blank');
-};
+// --- Mobile Navigation ---
+const hamburger = document.querySelector('.hamburger');
+const navMenu = document.querySelector('.nav-menu');
+if(hamburger && navMenu){
+    hamburger.addEventListener('click', () => {
+        hamburger.classList.toggle('active');
+        navMenu.classList.toggle('active');
+    });
+    document.querySelectorAll('.nav-link').forEach(n => n.addEventListener('click', () => {
+        hamburger.classList.remove('active');
+        navMenu.classList.remove('active');
+    }));
+}
+
+// --- Smooth Scrolling ---
+document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+    anchor.addEventListener('click', function (e) {
+        const target = document.querySelector(this.getAttribute('href'));
+        if(target){ 
+            e.preventDefault(); 
+            target.scrollIntoView({behavior: 'smooth', block: 'start'});
+        }
+    });
+}); 
+
+// --- API Configuration ---
+const API_BASE_URL = '/api';
+const MAX_SOLUTION_PAGES = 20; // Matches MAX_PAGES in middleware/upload.js
+
+// --- Shared UI Helpers ---
+function isPdfFile(file) {
+    return file.type === 'application/pdf';
+}
+
+function showNotification(message, type = 'info') {
+    // Remove existing notifications
+    const existing = document.querySelectorAll('.notification');
+    existing.forEach(n => n.remove());
+
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.remove();
+    }, 5000);
+}
+
+// Random ID that lets anonymous visitors like solutions once (see utils/visitor.js)
+function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        // randomUUID is only available on HTTPS and localhost
+        deviceId = crypto.randomUUID
+            ? crypto.randomUUID()
+            : Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+function visitorHeaders() {
+    return { 'X-Device-Id': getDeviceId() };
+}
+
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+// --- Authentication Client ---
+class AuthClient {
+    constructor() {
+        this.storageKey = 'toppersHikeSession';
+        this.session = this.loadSession();
+        this.refreshPromise = null;
+        this.listeners = [];
+    }
+
+    // Register a callback for login/logout/session changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.user));
+    }
+
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        const changed = !this.session || JSON.stringify(this.session.user) !== JSON.stringify(session.user);
+        this.session = session;
+        localStorage.setItem(this.storageKey, JSON.stringify(session));
+        if (changed) this.notify();
+    }
+
+    // Store the { user, accessToken, refreshToken } payload returned by the API
+    setSessionFromResponse(data) {
+        const { user, accessToken, refreshToken } = data;
+        this.saveSession({ user, accessToken, refreshToken });
+    }
+
+    updateUser(user) {
+        if (!this.session) return;
+        this.saveSession({ ...this.session, user });
+    }
+
+    clearSession() {
+        const hadSession = Boolean(this.session);
+        this.session = null;
+        localStorage.removeItem(this.storageKey);
+        if (hadSession) this.notify();
+    }
+
+    get user() {
+        return this.session ? this.session.user : null;
+    }
+
+    isAuthenticated() {
+        return Boolean(this.session && this.session.accessToken);
+    }
+
+    hasRole(...roles) {
+        return Boolean(this.user && roles.includes(this.user.role));
+    }
+
+    async login(username, password) {
+        const response = await fetch(`${API_BASE_URL}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            this.setSessionFromResponse(data.data);
+        }
+
+        return data;
+    }
+
+    async logout() {
+        const refreshToken = this.session && this.session.refreshToken;
+        this.clearSession();
+
+        if (!refreshToken) return;
+
+        try {
+            await fetch(`${API_BASE_URL}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+
+    // Refresh the access token once, even if several requests hit a 401 together
+    refresh() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async requestRefresh() {
+        const refreshToken = this.session && this.session.refreshToken;
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.setSessionFromResponse(data.data);
+                return true;
+            }
+        } catch (error) {
+            console.error('Session refresh error:', error);
+        }
+
+        this.clearSession();
+        return false;
+    }
+
+    // fetch() wrapper that sends the bearer token and retries once after a refresh
+    async fetch(url, options = {}) {
+        const send = () => {
+            const headers = new Headers(options.headers || {});
+            if (this.session && this.session.accessToken) {
+                headers.set('Authorization', `Bearer ${this.session.accessToken}`);
+            }
+            return fetch(url, { ...options, headers });
+        };
+
+        let response = await send();
+
+        if (response.status === 401 && this.session && this.session.refreshToken && await this.isTokenError(response)) {
+            const refreshed = await this.refresh();
+            if (refreshed) response = await send();
+        }
+
+        return response;
+    }
+
+    // Only token problems are worth a refresh; e.g. a wrong current password is not
+    async isTokenError(response) {
+        try {
+            const data = await response.clone().json();
+            return ['TOKEN_EXPIRED', 'TOKEN_INVALID'].includes(data.code);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Confirm the stored session is still valid on page load
+    async verify() {
+        if (!this.isAuthenticated()) return false;
+
+        try {
+            const response = await this.fetch(`${API_BASE_URL}/auth/me`);
+            if (!response.ok) {
+                this.clearSession();
+                return false;
+            }
+            const data = await response.json();
+            this.updateUser(data.data);
+            return true;
+        } catch (error) {
+            return this.isAuthenticated();
+        }
+    }
+}
+
+// --- Solution Management with Backend Integration ---
+class VideoManager {
+    constructor(auth) {
+        this.videos = [];
+        this.isLoading = false;
+        this.currentPage = 1;
+        this.totalPages = 1;
+        this.filters = {};
+        this.auth = auth;
+        this.selectedFiles = [];
+        this.previewUrls = [];
+        this.pageViewer = new PageViewer(auth, (video) => this.replaceVideo(video));
+        this.pdfViewer = new PdfViewer();
+        this.catalogPicker = new CatalogPicker(
+            document.getElementById('bookTitle'),
+            document.getElementById('chapterNumber')
+        );
+        this.bulkImport = new BulkImport(auth, () => this.loadVideos(1, this.filters));
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.toggleUploadArea(this.canUpload);
+        this.auth.onChange(() => {
+            this.toggleUploadArea(this.canUpload);
+            if (this.statusSelect) this.statusSelect.hidden = !this.canUpload;
+            if (this.statusFilter && !this.canUpload) {
+                // Signed out of a staff account while previewing drafts
+                this.statusFilter = '';
+                this.statusSelect.value = '';
+                this.loadVideos(1, this.filters);
+                return;
+            }
+            this.displayVideos(); // Show or hide staff-only controls
+            this.loadProgress();
+        });
+        this.loadVideos();
+    }
+
+    get adminUnlocked() {
+        return this.auth.hasRole('admin');
+    }
+
+    get canUpload() {
+        return this.auth.hasRole('admin', 'editor', 'contributor');
+    }
+
+    initializeElements() {
+        this.uploadArea = document.getElementById('uploadArea');
+        this.fileInput = document.getElementById('fileInput');
+        this.pageList = document.getElementById('pageList');
+        this.solutionsGrid = document.getElementById('solutionsGrid');
+        this.videosListSection = document.getElementById('videos-list-section');
+        this.uploadLockedNote = document.getElementById('upload-locked-note');
+        this.solutionDetailsForm = document.getElementById('solution-details-form');
+        this.uploadBtn = document.getElementById('uploadBtn');
+        this.logoutUploadBtn = document.getElementById('logoutUploadBtn');
+    }
+
+    setupEventListeners() {
+        // Upload area events
+        if (this.uploadArea && this.fileInput) {
+            this.uploadArea.addEventListener('click', () => this.fileInput.click());
+            this.uploadArea.addEventListener('dragover', (e) => this.handleDragOver(e));
+            this.uploadArea.addEventListener('drop', (e) => this.handleDrop(e));
+            this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        }
+
+        // Reorder or remove the selected pages before uploading
+        if (this.pageList) {
+            this.pageList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-page-action]');
+                if (!button) return;
+                this.updateSelectedPage(button.getAttribute('data-page-action'), parseInt(button.getAttribute('data-index'), 10));
+            });
+        }
+
+        // Upload button
+        if (this.uploadBtn) {
+            this.uploadBtn.addEventListener('click', (e) => this.handleUpload(e));
+        }
+
+        // The publish date is only asked for when scheduling
+        const publishStatus = document.getElementById('publishStatus');
+        if (publishStatus) {
+            publishStatus.addEventListener('change', () => {
+                document.getElementById('publishAt').hidden = publishStatus.value !== 'scheduled';
+            });
+        }
+
+        // Logout button event listener  
+        if (this.logoutUploadBtn) {
+            this.logoutUploadBtn.addEventListener('click', (e) => this.handleLogout(e));
+        }
+
+        // Search and filter events
+        this.setupSearchAndFilter();
+    }
+
+    toggleUploadArea(unlocked) {
+        const uploadWrapper = document.getElementById('upload-area-wrapper');
+
+        if (uploadWrapper) uploadWrapper.style.display = unlocked ? 'block' : 'none';
+        if (this.uploadLockedNote) this.uploadLockedNote.hidden = unlocked;
+    }
+
+    // Logout functionality  
+    async handleLogout(e) {
+        e.preventDefault();
+        await this.auth.logout(); // Session listeners hide the upload area
+    }
+
+    setupSearchAndFilter() {
+        // Add search functionality
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.placeholder = 'Search solutions...';
+        searchInput.className = 'search-input';
+        searchInput.setAttribute('aria-label', 'Search solutions');
+        searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
+        this.searchInput = searchInput;
+
+        // Shows the book/chapter picked from the suggestions
+        this.activeFilter = document.createElement('div');
+        this.activeFilter.className = 'active-filter';
+        this.activeFilter.hidden = true;
+        this.activeFilter.addEventListener('click', (e) => {
+            if (e.target.closest('[data-clear-filter]')) this.loadVideos(1, {});
+        });
+
+        // Study progress through the book being shown, for signed-in users
+        this.progressPanel = document.createElement('div');
+        this.progressPanel.className = 'progress-panel';
+        this.progressPanel.hidden = true;
+
+        // Add search input to the page
+        const videoGallery = document.querySelector('.video-gallery');
+        if (videoGallery) {
+            const searchBox = document.createElement('div');
+            searchBox.className = 'search-box';
+            searchBox.appendChild(searchInput);
+
+            const sortSelect = document.createElement('select');
+            sortSelect.className = 'sort-select';
+            sortSelect.setAttribute('aria-label', 'Sort solutions');
+            sortSelect.innerHTML = `
+                <option value="">Newest</option>
+                <option value="views">Most viewed</option>
+                <option value="likes">Most liked</option>
+                <option value="rating">Top rated</option>
+            `;
+            sortSelect.addEventListener('change', () => {
+                this.sortBy = sortSelect.value;
+                this.loadVideos(1, this.filters);
+            });
+            searchBox.appendChild(sortSelect);
+
+            // Staff can switch the gallery to drafts, scheduled or archived solutions to preview them
+            const statusSelect = document.createElement('select');
+            statusSelect.className = 'sort-select';
+            statusSelect.setAttribute('aria-label', 'Show solutions by status');
+            statusSelect.innerHTML = `
+                <option value="">Live</option>
+                <option value="draft">Drafts</option>
+                <option value="scheduled">Scheduled</option>
+                <option value="archived">Archived</option>
+            `;
+            statusSelect.hidden = !this.canUpload;
+            statusSelect.addEventListener('change', () => {
+                this.statusFilter = statusSelect.value;
+                this.loadVideos(1, this.filters);
+            });
+            searchBox.appendChild(statusSelect);
+            this.statusSelect = statusSelect;
+            videoGallery.insertBefore(this.progressPanel, videoGallery.firstChild);
+            videoGallery.insertBefore(this.activeFilter, videoGallery.firstChild);
+            videoGallery.insertBefore(searchBox, videoGallery.firstChild);
+            this.suggestions = new SearchSuggestions(searchInput, (item) => this.handleSuggestion(item));
+        }
+    }
+
+    // Jump straight to what was picked in the suggestion dropdown
+    handleSuggestion(item) {
+        clearTimeout(this.searchTimeout);
+
+        switch (item.kind) {
+            case 'book':
+                this.searchInput.value = '';
+                this.filterLabel = item.value.bookTitle;
+                this.loadVideos(1, item.value.bookId ? { bookId: item.value.bookId } : { bookTitle: item.value.bookTitle });
+                break;
+            case 'chapter':
+                this.searchInput.value = '';
+                this.filterLabel = `${item.value.bookTitle} › ${item.value.chapter}`;
+                this.loadVideos(1, item.value.chapterId
+                    ? { bookId: item.value.bookId, chapterId: item.value.chapterId }
+                    : { bookTitle: item.value.bookTitle, chapter: item.value.chapter });
+                break;
+            case 'tag':
+                this.searchInput.value = item.value.tag;
+                this.loadVideos(1, { search: item.value.tag });
+                break;
+            case 'solution':
+                this.openVideo(item.value._id);
+                break;
+        }
+    }
+
+    async openVideo(videoId) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${videoId}`, { headers: visitorHeaders() });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || 'Could not open the solution.');
+                return;
+            }
+
+            this.openSolution(data.data);
+        } catch (error) {
+            console.error('Open video error:', error);
+            this.showError('Could not open the solution. Please try again.');
+        }
+    }
+
+    // Play a video or open the viewer for an image or PDF solution
+    openSolution(video) {
+        if (video.type === 'video') {
+            this.playVideo(video.youtubeUrl);
+        } else if (video.type === 'pdf') {
+            this.pdfViewer.open(video);
+        } else {
+            this.pageViewer.open(video);
+        }
+    }
+
+    renderActiveFilter() {
+        if (!this.activeFilter) return;
+
+        const { bookId, bookTitle } = this.filters;
+        const filtered = Boolean(bookId || bookTitle) && Boolean(this.filterLabel);
+        this.activeFilter.hidden = !filtered;
+        if (!filtered) return;
+
+        this.activeFilter.innerHTML = `
+            <span>Showing ${escapeHtml(this.filterLabel)}</span>
+            <button type="button" data-clear-filter aria-label="Clear filter">✕</button>
+        `;
+    }
+
+    // Show how far the signed-in user is through the book the gallery is filtered by
+    async loadProgress() {
+        if (!this.progressPanel) return;
+
+        const { bookId, bookTitle } = this.filters;
+        if (!(bookId || bookTitle) || !this.auth.isAuthenticated()) {
+            this.progressPanel.hidden = true;
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams(bookId ? { bookId } : { bookTitle });
+            const response = await this.auth.fetch(`${API_BASE_URL}/account/progress?${params}`);
+            const data = await response.json();
+            const book = data.success && data.data[0];
+
+            this.progressPanel.hidden = !book;
+            if (!book) return;
+
+            const bar = (percent) => `<span class="progress-bar"><span class="progress-fill" style="width:${percent}%"></span></span>`;
+            this.progressPanel.innerHTML = `
+                <div class="progress-row progress-book">
+                    <span>Your progress in ${escapeHtml(book.bookTitle)}</span>
+                    ${bar(book.percent)}
+                    <span>${book.completed}/${book.total} · ${book.percent}%</span>
+                </div>
+                ${book.chapters.map(chapter => `
+                    <div class="progress-row">
+                        <span>${escapeHtml(chapter.chapter)}</span>
+                        ${bar(chapter.percent)}
+                        <span>${chapter.completed}/${chapter.total}</span>
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Error loading progress:', error);
+            this.progressPanel.hidden = true;
+        }
+    }
+
+    async loadVideos(page = 1, filters = {}) {
+        if (this.isLoading) return;
+
+        this.isLoading = true;
+        this.showLoading();
+
+        try {
+            const queryParams = new URLSearchParams({
+                page: page,
+                limit: 12,
+                ...filters
+            });
+            if (this.sortBy) queryParams.set('sortBy', this.sortBy);
+            if (this.statusFilter) queryParams.set('status', this.statusFilter);
+
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos?${queryParams}`, { headers: visitorHeaders() });
+            const data = await response.json();
+
+            if (data.success) {
+                this.videos = data.data;
+                this.currentPage = data.pagination.currentPage;
+                this.totalPages = data.pagination.totalPages;
+                this.filters = filters;
+
+                this.renderActiveFilter();
+                this.loadProgress();
+                this.displayVideos();
+                this.updatePagination();
+            } else {
+                this.showError('Failed to load videos: ' + data.message);
+            }
+        } catch (error) {
+            console.error('Error loading videos:', error);
+            this.showError('Failed to load videos. Please try again.');
+        } finally {
+            this.isLoading = false;
+            this.hideLoading();
+        }
+    }
+
+    displayVideos() {
+        const container = document.getElementById('solutionsGrid') || document.getElementById('videos-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.videos.length === 0) {
+            container.innerHTML = `
+                <div class="no-videos">
+                    <p>No videos found. Try adjusting your search or filters.</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.videos.forEach(video => {
+            const card = this.createVideoCard(video);
+            container.appendChild(card);
+        });
+    }
+
+    createVideoCard(video) {
+        const card = document.createElement('div');
+        card.className = 'solution-card';
+        card.dataset.videoId = video._id;
+
+        // Search results come with server-escaped snippets where matches are wrapped in <mark>
+        const highlights = video.search && video.search.highlights;
+
+        let media = '';
+        if (video.type === 'video' && video.youtubeUrl) {
+            const youtubeId = this.extractYoutubeID(video.youtubeUrl);
+            media = `
+                <div class="video-thumbnail" data-youtube-url="${video.youtubeUrl}">
+                    <img src="https://img.youtube.com/vi/${youtubeId}/hqdefault.jpg" alt="${video.title}" style="width:100%; height: 200px; object-fit: cover;">
+                    <div class="play-button">▶️</div>
+                </div>
+            `;
+        } else if (video.type === 'image' && video.fileUrl) {
+            const pageCount = PageViewer.getPages(video).length;
+            media = `
+                <div class="page-thumbnail">
+                    ${this.renderResponsiveImage(video)}
+                    ${pageCount > 1 ? `<span class="page-count">${pageCount} pages</span>` : ''}
+                </div>
+            `;
+        } else if (video.type === 'pdf' && video.fileUrl) {
+            const hasPreview = video.imageVariants && video.imageVariants.card;
+            media = `
+                <div class="page-thumbnail pdf-thumbnail">
+                    ${hasPreview ? this.renderResponsiveImage(video) : '<div class="pdf-placeholder">📄 PDF</div>'}
+                    <span class="page-count">PDF${video.pageCount ? ` · ${video.pageCount} page${video.pageCount === 1 ? '' : 's'}` : ''}</span>
+                </div>
+            `;
+        }
+
+        card.innerHTML = `
+            <div class="solution-media">${media}</div>
+            <div class="solution-content">
+                <h4>${highlights ? highlights.title : this.escapeHtml(video.title)}${this.renderStatusBadge(video)}</h4>
+                <p>${highlights ? highlights.description : this.escapeHtml(video.description)}</p>
+                <div class="solution-meta">
+                    <span>${this.escapeHtml(video.bookTitle)} - ${this.escapeHtml(video.chapter)}${this.formatQuestionRef(video)}</span>
+                    <span>${new Date(video.createdAt).toLocaleDateString()}</span>
+                </div>
+                ${video.uploadedBy && video.uploadedBy.name ? `<div class="solution-uploader">by ${this.escapeHtml(video.uploadedBy.name)}</div>` : ''}
+                ${this.renderPlaylistLinks(video)}
+                <div class="video-stats">
+                    <span>👁️ ${video.views}</span>
+                    <button type="button" class="like-btn${video.likedByMe ? ' liked' : ''}" aria-pressed="${video.likedByMe ? 'true' : 'false'}" aria-label="Like">
+                        ♥ <span class="like-count">${video.likes || 0}</span>
+                    </button>
+                    <span class="rating-summary" title="Average rating">★ ${video.ratingCount ? `${video.ratingAverage.toFixed(1)} (${video.ratingCount})` : '–'}</span>
+                    <button type="button" class="comments-toggle" aria-expanded="false">💬 Doubts</button>
+                    ${this.auth.isAuthenticated() ? `<button type="button" class="bookmark-btn${video.bookmarked ? ' active' : ''}" aria-pressed="${video.bookmarked ? 'true' : 'false'}" aria-label="Bookmark">🔖</button>` : ''}
+                    ${this.auth.isAuthenticated() ? `<button type="button" class="done-btn${video.completed ? ' active' : ''}" aria-pressed="${video.completed ? 'true' : 'false'}">✓ ${video.completed ? 'Done' : 'Mark done'}</button>` : ''}
+                    ${video.difficulty ? `<span class="difficulty difficulty-${video.difficulty}">${video.difficulty}</span>` : ''}
+                </div>
+                <div class="solution-feedback">
+                    <span class="star-rating" role="group" aria-label="Rate this solution">
+                        ${[1, 2, 3, 4, 5].map(stars => `<button type="button" data-stars="${stars}" class="${video.myRating >= stars ? 'filled' : ''}" aria-label="${stars} star${stars === 1 ? '' : 's'}">★</button>`).join('')}
+                    </span>
+                    <button type="button" class="report-toggle">⚠ Report a mistake</button>
+                    ${this.pageViewer.canEdit(video) ? '<button type="button" class="history-toggle" aria-expanded="false">🕘 History</button>' : ''}
+                </div>
+                ${this.pageViewer.canEdit(video) ? this.renderStatusActions(video) : ''}
+                <form class="report-form" hidden>
+                    <select name="reason" required>
+                        <option value="wrong-answer">The answer is wrong</option>
+                        <option value="wrong-question">Wrong question or chapter</option>
+                        <option value="unclear">A step is unclear</option>
+                        <option value="incomplete">Part of the solution is missing</option>
+                        <option value="media-problem">Video, image or PDF doesn't load</option>
+                        <option value="other">Something else</option>
+                    </select>
+                    ${video.type === 'video' ? '<input name="timestamp" placeholder="Where in the video? e.g. 3:45" autocomplete="off">' : ''}
+                    <textarea name="details" maxlength="1000" placeholder="What's wrong? (optional)"></textarea>
+                    <button type="submit" class="admin-btn">Send report</button>
+                </form>
+                <div class="comment-panel" hidden></div>
+                <div class="revision-panel" hidden></div>
+                ${video.tags && video.tags.length > 0 ? `
+                    <div class="video-tags">
+                        ${video.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${this.adminUnlocked ? `<button class="delete-btn" data-video-id="${video._id}" style="background:red;color:white;padding:5px 10px;border:none;border-radius:3px;margin-top:10px;">Delete</button>` : ''}
+            </div>
+        `;
+
+        // Add play video event listener
+        const thumbnail = card.querySelector('.video-thumbnail');
+        if (thumbnail) {
+            thumbnail.addEventListener('click', () => {
+                const youtubeUrl = thumbnail.getAttribute('data-youtube-url');
+                this.trackView(video);
+                this.playVideo(youtubeUrl);
+            });
+            thumbnail.style.cursor = 'pointer';
+        }
+
+        // Open image solutions in the page viewer and PDFs in the PDF viewer
+        const pageThumbnail = card.querySelector('.page-thumbnail');
+        if (pageThumbnail) {
+            const viewer = video.type === 'pdf' ? this.pdfViewer : this.pageViewer;
+            pageThumbnail.addEventListener('click', () => {
+                this.trackView(video);
+                viewer.open(video);
+            });
+        }
+
+        const likeBtn = card.querySelector('.like-btn');
+        likeBtn.addEventListener('click', () => this.toggleLike(video, likeBtn));
+
+        const bookmarkBtn = card.querySelector('.bookmark-btn');
+        if (bookmarkBtn) bookmarkBtn.addEventListener('click', () => this.toggleBookmark(video, bookmarkBtn));
+
+        const doneBtn = card.querySelector('.done-btn');
+        if (doneBtn) doneBtn.addEventListener('click', () => this.toggleCompleted(video, doneBtn));
+
+        card.querySelectorAll('[data-stars]').forEach((button) => {
+            button.addEventListener('click', () => this.rateVideo(video, card, parseInt(button.getAttribute('data-stars'), 10)));
+        });
+
+        const reportForm = card.querySelector('.report-form');
+        card.querySelector('.report-toggle').addEventListener('click', () => {
+            if (!this.auth.isAuthenticated()) {
+                this.showNotification('Log in to report a mistake', 'info');
+                return;
+            }
+            reportForm.hidden = !reportForm.hidden;
+        });
+        reportForm.addEventListener('submit', e => this.reportMistake(e, video));
+
+        const commentPanel = new CommentPanel(this.auth, video, card.querySelector('.comment-panel'));
+        const commentsToggle = card.querySelector('.comments-toggle');
+        commentsToggle.addEventListener('click', () => {
+            commentsToggle.setAttribute('aria-expanded', commentPanel.toggle() ? 'true' : 'false');
+        });
+
+        card.querySelectorAll('[data-set-status]').forEach((button) => {
+            button.addEventListener('click', () => this.setVideoStatus(video, button.getAttribute('data-set-status')));
+        });
+
+        const historyToggle = card.querySelector('.history-toggle');
+        if (historyToggle) {
+            // A revert returns the solution without the visitor's likes and ratings; keep those
+            const revisionPanel = new RevisionPanel(this.auth, video, card.querySelector('.revision-panel'),
+                updated => this.replaceVideo({ ...video, ...updated }));
+            historyToggle.addEventListener('click', () => {
+                historyToggle.setAttribute('aria-expanded', revisionPanel.toggle() ? 'true' : 'false');
+            });
+        }
+
+        // Add delete button event listener (only if button exists)
+        const deleteBtn = card.querySelector('.delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const videoId = deleteBtn.getAttribute('data-video-id');
+                if (!videoId || videoId === "null" || videoId === "undefined") {
+                    this.showError('Could not delete: No valid video ID.');
+                    return;
+                }
+                this.deleteVideo(videoId);
+            });
+        }
+
+        return card;
+    }
+
+    // Drafts, scheduled and archived solutions are only listed for staff; mark them as such
+    renderStatusBadge(video) {
+        const status = video.status || 'published';
+        if (status === 'published' && !video.preview) return '';
+
+        const label = status === 'scheduled' && video.publishedAt
+            ? `scheduled · ${new Date(video.publishedAt).toLocaleString()}`
+            : status;
+        return ` <span class="status-badge status-${status}">${this.escapeHtml(label)}</span>`;
+    }
+
+    renderStatusActions(video) {
+        const status = video.status || 'published';
+        const actions = status === 'published'
+            ? [['draft', 'Unpublish'], ['archived', 'Archive']]
+            : [['published', 'Publish now']];
+
+        return `
+            <div class="status-actions">
+                ${actions.map(([value, label]) => `<button type="button" class="admin-btn secondary" data-set-status="${value}">${label}</button>`).join('')}
+            </div>
+        `;
+    }
+
+    async setVideoStatus(video, status) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${video._id}/status`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || 'Could not change the status.');
+                return;
+            }
+
+            this.showSuccess(data.message);
+            // The solution now belongs to another status list
+            this.loadVideos(this.currentPage, this.filters);
+        } catch (error) {
+            console.error('Status error:', error);
+            this.showError('Could not change the status. Please try again.');
+        }
+    }
+
+    // Count a view of a solution opened from its card (the server ignores repeats)
+    trackView(video) {
+        this.auth.fetch(`${API_BASE_URL}/videos/${video._id}/views`, {
+            method: 'POST',
+            headers: visitorHeaders()
+        }).catch(error => console.error('View tracking error:', error));
+    }
+
+    async toggleLike(video, button) {
+        if (button.disabled) return;
+        button.disabled = true;
+
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${video._id}/like`, {
+                method: video.likedByMe ? 'DELETE' : 'PUT',
+                headers: visitorHeaders()
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || 'Could not update the like.');
+                return;
+            }
+
+            video.likedByMe = data.data.liked;
+            video.likes = data.data.likes;
+            button.classList.toggle('liked', video.likedByMe);
+            button.setAttribute('aria-pressed', video.likedByMe ? 'true' : 'false');
+            button.querySelector('.like-count').textContent = video.likes;
+        } catch (error) {
+            console.error('Like error:', error);
+            this.showError('Could not update the like. Please try again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async toggleBookmark(video, button) {
+        if (button.disabled) return;
+        button.disabled = true;
+
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/account/bookmarks/${video._id}`, {
+                method: video.bookmarked ? 'DELETE' : 'PUT'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || 'Could not update the bookmark.');
+                return;
+            }
+
+            video.bookmarked = data.data.bookmarked;
+            button.classList.toggle('active', video.bookmarked);
+            button.setAttribute('aria-pressed', video.bookmarked ? 'true' : 'false');
+            this.showNotification(video.bookmarked ? 'Saved to your bookmarks' : 'Removed from your bookmarks', 'success');
+        } catch (error) {
+            console.error('Bookmark error:', error);
+            this.showError('Could not update the bookmark. Please try again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async toggleCompleted(video, button) {
+        if (button.disabled) return;
+        button.disabled = true;
+
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/account/progress/${video._id}`, {
+                method: video.completed ? 'DELETE' : 'PUT'
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || 'Could not update your progress.');
+                return;
+            }
+
+            video.completed = data.data.completed;
+            button.classList.toggle('active', video.completed);
+            button.setAttribute('aria-pressed', video.completed ? 'true' : 'false');
+            button.textContent = `✓ ${video.completed ? 'Done' : 'Mark done'}`;
+            this.loadProgress();
+        } catch (error) {
+            console.error('Progress error:', error);
+            this.showError('Could not update your progress. Please try again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async rateVideo(video, card, stars) {
+        if (!this.auth.isAuthenticated()) {
+            this.showNotification('Log in to rate solutions', 'info');
+            return;
+        }
+
+        try {
+            // Clicking your current rating again removes it
+            const remove = video.myRating === stars;
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${video._id}/rating`, {
+                method: remove ? 'DELETE' : 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: remove ? undefined : JSON.stringify({ stars })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || 'Could not save your rating.');
+                return;
+            }
+
+            Object.assign(video, data.data);
+            card.querySelectorAll('[data-stars]').forEach((button) => {
+                button.classList.toggle('filled', video.myRating >= parseInt(button.getAttribute('data-stars'), 10));
+            });
+            card.querySelector('.rating-summary').textContent = `★ ${video.ratingCount ? `${video.ratingAverage.toFixed(1)} (${video.ratingCount})` : '–'}`;
+        } catch (error) {
+            console.error('Rating error:', error);
+            this.showError('Could not save your rating. Please try again.');
+        }
+    }
+
+    async reportMistake(e, video) {
+        e.preventDefault();
+        const form = e.target;
+        const body = {
+            reason: form.elements.reason.value,
+            details: form.elements.details.value.trim()
+        };
+        if (form.elements.timestamp && form.elements.timestamp.value.trim()) {
+            body.timestamp = form.elements.timestamp.value.trim();
+        }
+
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${video._id}/reports`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.errors ? data.errors[0].msg : data.message || 'Could not send the report.');
+                return;
+            }
+
+            form.reset();
+            form.hidden = true;
+            this.showSuccess(data.message);
+        } catch (error) {
+            console.error('Report error:', error);
+            this.showError('Could not send the report. Please try again.');
+        }
+    }
+
+    // Let the browser pick the smallest variant that fills the card
+    renderResponsiveImage(video) {
+        const variants = video.imageVariants || {};
+        const candidates = ['thumbnail', 'card', 'full']
+            .map(name => variants[name])
+            .filter(variant => variant && variant.url && variant.width);
+
+        if (candidates.length === 0) {
+            return `<img src="${escapeHtml(video.fileUrl)}" alt="${escapeHtml(video.title)}" loading="lazy" style="width:100%; height: 200px; object-fit: cover;">`;
+        }
+
+        const srcset = candidates.map(variant => `${escapeHtml(variant.url)} ${variant.width}w`).join(', ');
+        const fallback = variants.card || candidates[0];
+
+        return `<img src="${escapeHtml(fallback.url)}" srcset="${srcset}" sizes="(max-width: 560px) 100vw, (max-width: 900px) 50vw, 300px" width="${fallback.width}" height="${fallback.height}" alt="${escapeHtml(video.title)}" loading="lazy" decoding="async" style="width:100%; height: 200px; object-fit: cover;">`;
+    }
+
+    // Show a solution changed in the page viewer without reloading the gallery
+    replaceVideo(updated) {
+        const index = this.videos.findIndex(video => video._id === updated._id);
+        if (index === -1) return;
+
+        this.videos[index] = updated;
+        this.displayVideos();
+    }
+
+    extractYoutubeID(url) {
+        const regex = /(?:https?:\/\/)?(?:www\.)?(?:youtube\.com\/watch\?v=|youtu\.be\/)([\w-]{11})/;
+        const match = url.match(regex);
+        return match ? match[1] : null;
+    }
+
+    // Links to the playlists a solution is part of, opening the playlist at this solution
+    renderPlaylistLinks(video) {
+        if (!video.playlists || video.playlists.length === 0) return '';
+
+        const links = video.playlists.map(playlist => `
+            <a href="#playlist/${encodeURIComponent(playlist.slug)}/${playlist.position}">${this.escapeHtml(playlist.title)}</a>
+            (${playlist.position}/${playlist.total})
+        `);
+
+        return `<div class="solution-playlists">📚 In ${links.join(', ')}</div>`;
+    }
+
+    // " · Ex 4.2 · Q1–Q5" for solutions addressed to specific questions
+    formatQuestionRef(video) {
+        const parts = [];
+        if (video.exercise) parts.push(`Ex ${this.escapeHtml(video.exercise)}`);
+        if (video.questionFrom) {
+            parts.push(video.questionTo && video.questionTo !== video.questionFrom
+                ? `Q${video.questionFrom}–Q${video.questionTo}`
+                : `Q${video.questionFrom}`);
+        }
+        return parts.map(part => ` · ${part}`).join('');
+    }
+
+    playVideo(youtubeUrl) {
+        // Open YouTube video in new tab
+        window.open(youtubeUrl, '_blank');
+    }
+
+    async handleUpload(e) {
+        e.preventDefault();
+
+        if (this.isLoading) return;
+
+        const formData = this.collectFormData();
+        if (!formData) return;
+
+        this.isLoading = true;
+        this.uploadBtn.disabled = true;
+        this.uploadBtn.textContent = 'Uploading...';
+
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos`, {
+                method: 'POST',
+                body: formData
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess('Video uploaded successfully!');
+                this.resetUploadForm();
+                this.loadVideos(); // Reload videos
+            } else {
+                this.showError('Upload failed: ' + data.message);
+            }
+        } catch (error) {
+            console.error('Upload error:', error);
+            this.showError('Upload failed. Please try again.');
+        } finally {
+            this.isLoading = false;
+            this.uploadBtn.disabled = false;
+            this.uploadBtn.textContent = 'Upload Solution';
+        }
+    }
+
+    async deleteVideo(videoId) {
+        if (!confirm('Move this video to the trash? An admin can restore it from there.')) return;
+
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${videoId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showSuccess('Video moved to the trash');
+                this.loadVideos(); // Reload gallery
+            } else {
+                this.showError('Delete failed: ' + data.message);
+            }
+        } catch (error) {
+            this.showError('Delete failed. Please try again.');
+        }
+    }
+
+    collectFormData() {
+        const title = document.getElementById('title')?.value?.trim();
+        const description = document.getElementById('description')?.value?.trim();
+        const bookTitle = document.getElementById('bookTitle')?.value?.trim();
+        const chapter = document.getElementById('chapterNumber')?.value?.trim();
+        const youtubeUrl = document.getElementById('youtubeUrl')?.value?.trim();
+        const exercise = document.getElementById('exercise')?.value?.trim();
+        const questions = document.getElementById('questions')?.value?.trim();
+        
+        // Determine type based on YouTube URL presence and the selected files
+        const type = youtubeUrl ? 'video' : (this.selectedFiles.some(isPdfFile) ? 'pdf' : 'image');
+
+        if (!title || !description || !bookTitle || !chapter) {
+            this.showError('Please fill in all required fields.');
+            return null;
+        }
+
+        if (type === 'video' && !youtubeUrl) {
+            this.showError('Please provide a YouTube URL for video content.');
+            return null;
+        }
+
+        const formData = new FormData();
+        formData.append('title', title);
+        formData.append('description', description);
+        formData.append('bookTitle', bookTitle);
+        formData.append('chapter', chapter);
+
+        // File under the existing catalog records when a suggested book/chapter was picked
+        const { bookId, chapterId } = this.catalogPicker.getSelection();
+        if (bookId) formData.append('bookId', bookId);
+        if (chapterId) formData.append('chapterId', chapterId);
+
+        if (exercise) formData.append('exercise', exercise);
+        if (questions) formData.append('questions', questions);
+        formData.append('type', type);
+
+        if (youtubeUrl) {
+            formData.append('youtubeUrl', youtubeUrl);
+        }
+
+        const status = document.getElementById('publishStatus')?.value || 'published';
+        formData.append('status', status);
+        if (status === 'scheduled') {
+            const publishAt = document.getElementById('publishAt')?.value;
+            if (!publishAt) {
+                this.showError('Pick when the solution should be published.');
+                return null;
+            }
+            formData.append('publishedAt', new Date(publishAt).toISOString());
+        }
+
+        // Add the PDF, or one image per page in the order shown in the page list
+        if (type !== 'video' && this.selectedFiles.length > 0) {
+            const field = type === 'pdf' ? 'document' : 'images';
+            this.selectedFiles.forEach(file => formData.append(field, file));
+            formData.append('fileVisibility', document.getElementById('privateFile')?.checked ? 'private' : 'public');
+        }
+
+        return formData;
+    }
+
+    resetUploadForm() {
+        const inputs = ['title', 'bookTitle', 'description', 'chapterNumber', 'exercise', 'questions', 'youtubeUrl'];
+        inputs.forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.value = '';
+        });
+
+        if (this.fileInput) this.fileInput.value = '';
+        this.selectedFiles = [];
+        this.renderPageList();
+        this.catalogPicker.reset();
+        const privateFile = document.getElementById('privateFile');
+        if (privateFile) privateFile.checked = false;
+        const publishStatus = document.getElementById('publishStatus');
+        if (publishStatus) publishStatus.value = 'published';
+        const publishAt = document.getElementById('publishAt');
+        if (publishAt) {
+            publishAt.value = '';
+            publishAt.hidden = true;
+        }
+    }
+
+    handleSearch(query) {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
+            const filters = { ...this.filters };
+            if (query.trim()) {
+                filters.search = query.trim();
+            } else {
+                delete filters.search;
+            }
+            this.loadVideos(1, filters);
+        }, 500);
+    }
+
+    handleDragOver(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.uploadArea.classList.add('dragover');
+    }
+
+    handleDrop(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.uploadArea.classList.remove('dragover');
+
+        const files = e.dataTransfer.files;
+        if (files.length > 0) {
+            this.addFiles(files);
+        }
+    }
+
+    handleFileSelect(e) {
+        this.addFiles(e.target.files);
+        e.target.value = ''; // Allow picking the same file again
+    }
+
+    // The selection is either one PDF or a list of image pages; the latest choice wins
+    addFiles(fileList) {
+        const files = Array.from(fileList);
+        const pdf = files.find(isPdfFile);
+
+        if (pdf) {
+            if (files.length > 1) {
+                this.showError('A PDF solution is uploaded on its own; the other files were ignored.');
+            }
+            this.selectedFiles = [pdf];
+            this.renderPageList();
+            return;
+        }
+
+        const images = files.filter(file => file.type.startsWith('image/'));
+
+        if (images.length < files.length) {
+            this.showError('Only image or PDF files can be added.');
+        }
+
+        if (this.selectedFiles.some(isPdfFile)) {
+            this.selectedFiles = [];
+        }
+
+        const room = MAX_SOLUTION_PAGES - this.selectedFiles.length;
+        if (images.length > room) {
+            this.showError(`A solution can have at most ${MAX_SOLUTION_PAGES} pages.`);
+        }
+
+        this.selectedFiles.push(...images.slice(0, Math.max(room, 0)));
+        this.renderPageList();
+    }
+
+    updateSelectedPage(action, index) {
+        const files = this.selectedFiles;
+        const target = action === 'up' ? index - 1 : index + 1;
+
+        if (action === 'remove') {
+            files.splice(index, 1);
+        } else if (target >= 0 && target < files.length) {
+            [files[index], files[target]] = [files[target], files[index]];
+        }
+
+        this.renderPageList();
+    }
+
+    renderPageList() {
+        if (!this.pageList) return;
+
+        this.previewUrls.filter(Boolean).forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls = this.selectedFiles.map(file => (isPdfFile(file) ? null : URL.createObjectURL(file)));
+
+        this.pageList.hidden = this.selectedFiles.length === 0;
+        this.pageList.innerHTML = this.selectedFiles.map((file, index) => `
+            <li class="page-list-item">
+                ${this.previewUrls[index] ? `<img src="${this.previewUrls[index]}" alt="">` : '<span class="page-list-icon" aria-hidden="true">📄</span>'}
+                <span>${isPdfFile(file) ? 'PDF' : `Page ${index + 1}`}: ${escapeHtml(file.name)}</span>
+                <button type="button" data-page-action="up" data-index="${index}" aria-label="Move page ${index + 1} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" data-page-action="down" data-index="${index}" aria-label="Move page ${index + 1} down" ${index === this.selectedFiles.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" data-page-action="remove" data-index="${index}" aria-label="Remove page ${index + 1}">✕</button>
+            </li>
+        `).join('');
+    }
+
+    updatePagination() {
+        // Add pagination controls if they don't exist
+        let paginationContainer = document.querySelector('.pagination-container');
+        if (!paginationContainer) {
+            paginationContainer = document.createElement('div');
+            paginationContainer.className = 'pagination-container';
+            const container = document.getElementById('solutionsGrid') || document.getElementById('videos-list');
+            if (container && container.parentNode) {
+                container.parentNode.appendChild(paginationContainer);
+            }
+        }
+
+        paginationContainer.innerHTML = '';
+
+        if (this.totalPages <= 1) return;
+
+        // Previous button
+        const prevBtn = document.createElement('button');
+        prevBtn.textContent = 'Previous';
+        prevBtn.disabled = this.currentPage === 1;
+        prevBtn.onclick = () => this.loadVideos(this.currentPage - 1, this.filters);
+        paginationContainer.appendChild(prevBtn);
+
+        // Page info
+        const pageInfo = document.createElement('span');
+        pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+        pageInfo.className = 'page-info';
+        paginationContainer.appendChild(pageInfo);
+
+        // Next button
+        const nextBtn = document.createElement('button');
+        nextBtn.textContent = 'Next';
+        nextBtn.disabled = this.currentPage === this.totalPages;
+        nextBtn.onclick = () => this.loadVideos(this.currentPage + 1, this.filters);
+        paginationContainer.appendChild(nextBtn);
+    }
+
+    showLoading() {
+        const container = document.getElementById('solutionsGrid') || document.getElementById('videos-list');
+        if (container) {
+            container.innerHTML = '<div class="loading">Loading videos...</div>';
+        }
+    }
+
+    hideLoading() {
+        const loading = document.querySelector('.loading');
+        if (loading) loading.remove();
+    }
+
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+
+    showSuccess(message) {
+        this.showNotification(message, 'success');
+    }
+
+    showNotification(message, type = 'info') {
+        showNotification(message, type);
+    }
+
+    escapeHtml(text) {
+        return escapeHtml(text);
+    }
+}
+
+// --- Student Accounts ---
+// --- Search Suggestions ---
+class SearchSuggestions {
+    constructor(input, onSelect) {
+        this.input = input;
+        this.onSelect = onSelect;
+        this.items = [];
+        this.activeIndex = -1;
+        this.controller = null;
+        this.timeout = null;
+
+        this.list = document.createElement('ul');
+        this.list.id = 'searchSuggestions';
+        this.list.className = 'suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+        input.insertAdjacentElement('afterend', this.list);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', this.list.id);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.schedule());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => this.close());
+
+        // mousedown keeps focus in the input so blur doesn't close the list first
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.choose(parseInt(option.getAttribute('data-index'), 10));
+        });
+    }
+
+    schedule() {
+        clearTimeout(this.timeout);
+        const query = this.input.value.trim();
+
+        if (query.length < 2) {
+            this.close();
+            return;
+        }
+
+        this.timeout = setTimeout(() => this.fetchSuggestions(query), 150);
+    }
+
+    async fetchSuggestions(query) {
+        // Only the latest keystroke matters
+        if (this.controller) this.controller.abort();
+        this.controller = new AbortController();
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/videos/suggest?${new URLSearchParams({ q: query })}`, {
+                signal: this.controller.signal
+            });
+            const data = await response.json();
+
+            if (data.success && this.input.value.trim() === query) {
+                this.render(data.data);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('Suggestions error:', error);
+        }
+    }
+
+    render(data) {
+        const groups = [
+            { title: 'Books', items: data.books.map(book => ({ kind: 'book', value: book, html: escapeHtml(book.bookTitle), meta: `${book.count} solution${book.count === 1 ? '' : 's'}` })) },
+            { title: 'Chapters', items: data.chapters.map(chapter => ({ kind: 'chapter', value: chapter, html: `${escapeHtml(chapter.bookTitle)} › ${escapeHtml(chapter.chapter)}`, meta: `${chapter.count}` })) },
+            { title: 'Tags', items: data.tags.map(tag => ({ kind: 'tag', value: tag, html: `#${escapeHtml(tag.tag)}`, meta: `${tag.count}` })) },
+            // Solution titles arrive as server-escaped HTML with <mark> around matches
+            { title: 'Solutions', items: data.solutions.map(solution => ({ kind: 'solution', value: solution, html: solution.highlight, meta: `${escapeHtml(solution.bookTitle)} · ${escapeHtml(solution.chapter)}` })) }
+        ].filter(group => group.items.length > 0);
+
+        this.items = groups.flatMap(group => group.items);
+        this.activeIndex = -1;
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        let index = 0;
+        this.list.innerHTML = groups.map(group => `
+            <li class="suggestion-group" role="presentation">${group.title}</li>
+            ${group.items.map(item => `
+                <li class="suggestion" id="suggestion-${index}" role="option" aria-selected="false" data-index="${index++}">
+                    <span class="suggestion-label">${item.html}</span>
+                    <span class="suggestion-meta">${item.meta}</span>
+                </li>
+            `).join('')}
+        `).join('');
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    handleKeydown(e) {
+        if (this.list.hidden) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.highlight((this.activeIndex + 1) % this.items.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.highlight(this.activeIndex <= 0 ? this.items.length - 1 : this.activeIndex - 1);
+                break;
+            case 'Enter':
+                if (this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.choose(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                this.close();
+                break;
+        }
+    }
+
+    highlight(index) {
+        const previous = this.list.querySelector('.suggestion.active');
+        if (previous) {
+            previous.classList.remove('active');
+            previous.setAttribute('aria-selected', 'false');
+        }
+
+        this.activeIndex = index;
+        const option = document.getElementById(`suggestion-${index}`);
+        option.classList.add('active');
+        option.setAttribute('aria-selected', 'true');
+        option.scrollIntoView({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', option.id);
+    }
+
+    choose(index) {
+        const item = this.items[index];
+        this.close();
+        if (item) this.onSelect(item);
+    }
+
+    close() {
+        clearTimeout(this.timeout);
+        if (this.controller) this.controller.abort();
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// --- PDF Solution Viewer ---
+// Public playlist pages: the list of playlists and one playlist with previous/next navigation
+// Addressed as #playlist/<slug>/<position> so a playlist position can be linked to
+class PlaylistBrowser {
+    constructor(videoManager) {
+        this.videoManager = videoManager;
+        this.section = document.getElementById('playlists-section');
+        this.list = document.getElementById('playlistList');
+        this.view = document.getElementById('playlistView');
+        this.current = document.getElementById('playlistCurrent');
+        this.note = document.getElementById('playlistNote');
+        this.items = document.getElementById('playlistItems');
+        this.counter = document.getElementById('playlistCounter');
+        this.prevBtn = document.getElementById('playlistPrev');
+        this.nextBtn = document.getElementById('playlistNext');
+        this.playlist = null;
+        this.position = 1;
+
+        if (!this.section) return;
+
+        this.prevBtn.addEventListener('click', () => this.go(this.position - 1));
+        this.nextBtn.addEventListener('click', () => this.go(this.position + 1));
+        document.getElementById('playlistBack').addEventListener('click', (e) => {
+            e.preventDefault();
+            window.location.hash = 'playlists-section';
+        });
+        window.addEventListener('hashchange', () => this.handleRoute());
+
+        this.loadPlaylists();
+        this.handleRoute();
+    }
+
+    static parseHash() {
+        const match = window.location.hash.match(/^#playlist\/([a-z0-9-]+)(?:\/(\d+))?$/i);
+        return match ? { slug: match[1], position: parseInt(match[2], 10) || 1 } : null;
+    }
+
+    async handleRoute() {
+        const route = PlaylistBrowser.parseHash();
+
+        if (!route) {
+            if (window.location.hash === '#playlists-section') this.showList();
+            return;
+        }
+
+        if (!this.playlist || this.playlist.slug !== route.slug) {
+            const loaded = await this.loadPlaylist(route.slug);
+            if (!loaded) return;
+        }
+
+        this.show(route.position);
+        this.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    async loadPlaylists() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/playlists?limit=50`);
+            const data = await response.json();
+            if (!data.success) return;
+
+            this.list.innerHTML = data.data.length === 0
+                ? '<p class="no-videos">No playlists yet.</p>'
+                : data.data.map(playlist => `
+                    <a class="playlist-card" href="#playlist/${encodeURIComponent(playlist.slug)}">
+                        <h3>${escapeHtml(playlist.title)}</h3>
+                        ${playlist.description ? `<p>${escapeHtml(playlist.description)}</p>` : ''}
+                        <span class="playlist-card-count">${playlist.itemCount} solution${playlist.itemCount === 1 ? '' : 's'}</span>
+                    </a>
+                `).join('');
+        } catch (error) {
+            console.error('Error loading playlists:', error);
+        }
+    }
+
+    async loadPlaylist(slug) {
+        try {
+            const response = await this.videoManager.auth.fetch(`${API_BASE_URL}/playlists/${encodeURIComponent(slug)}`, { headers: visitorHeaders() });
+            const data = await response.json();
+
+            if (!data.success) {
+                showNotification(data.message || 'Playlist not found', 'error');
+                return false;
+            }
+
+            this.playlist = data.data;
+            document.getElementById('playlistTitle').textContent = this.playlist.title;
+            document.getElementById('playlistDescription').textContent = this.playlist.description || '';
+            this.items.innerHTML = this.playlist.items.map(item => `
+                <li>
+                    <a href="#playlist/${encodeURIComponent(this.playlist.slug)}/${item.position}">
+                        <span>
+                            ${escapeHtml(item.video.title)}
+                            <span class="playlist-item-meta">${escapeHtml(item.video.bookTitle)} - ${escapeHtml(item.video.chapter)}${this.videoManager.formatQuestionRef(item.video)}</span>
+                        </span>
+                    </a>
+                </li>
+            `).join('');
+            return true;
+        } catch (error) {
+            console.error('Error loading playlist:', error);
+            showNotification('Could not load the playlist. Please try again.', 'error');
+            return false;
+        }
+    }
+
+    showList() {
+        this.view.hidden = true;
+        this.list.hidden = false;
+    }
+
+    show(position) {
+        const total = this.playlist.items.length;
+        this.list.hidden = true;
+        this.view.hidden = false;
+
+        if (total === 0) {
+            this.current.innerHTML = '<p class="no-videos">This playlist is empty.</p>';
+            this.note.hidden = true;
+            this.counter.textContent = '';
+            this.prevBtn.disabled = true;
+            this.nextBtn.disabled = true;
+            return;
+        }
+
+        this.position = Math.min(Math.max(position, 1), total);
+        const item = this.playlist.items[this.position - 1];
+
+        // The solution card opens the video, page viewer or PDF viewer like in the gallery
+        this.current.innerHTML = '';
+        this.current.appendChild(this.videoManager.createVideoCard(item.video));
+
+        this.note.hidden = !item.note;
+        this.note.textContent = item.note || '';
+        this.counter.textContent = `${this.position} of ${total}`;
+        this.prevBtn.disabled = this.position === 1;
+        this.nextBtn.disabled = this.position === total;
+
+        this.items.querySelectorAll('a').forEach((link, index) => {
+            link.setAttribute('aria-current', index === this.position - 1 ? 'true' : 'false');
+        });
+    }
+
+    go(position) {
+        window.location.hash = `playlist/${this.playlist.slug}/${position}`;
+    }
+}
+
+// Suggests catalog books and their chapters in the upload form
+// --- Bulk import of YouTube solutions from CSV or JSON (staff) ---
+const IMPORT_STATUS_LABELS = {
+    valid: 'Ready',
+    invalid: 'Invalid',
+    duplicate: 'Duplicate',
+    created: 'Imported'
+};
+
+class BulkImport {
+    constructor(auth, onImported) {
+        this.auth = auth;
+        this.onImported = onImported;
+        this.fileInput = document.getElementById('importFile');
+        this.checkBtn = document.getElementById('importCheckBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.report = document.getElementById('importReport');
+        this.payload = null;
+
+        if (!this.fileInput) return;
+
+        this.fileInput.addEventListener('change', () => this.readFile());
+        this.checkBtn.addEventListener('click', () => this.submit(true));
+        this.importBtn.addEventListener('click', () => this.submit(false));
+    }
+
+    // Turn the chosen file into the request body: CSV is sent as text, JSON as rows
+    async readFile() {
+        const file = this.fileInput.files[0];
+        this.payload = null;
+        this.checkBtn.disabled = true;
+        this.importBtn.disabled = true;
+        this.report.hidden = true;
+        if (!file) return;
+
+        const text = await file.text();
+
+        if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+            try {
+                const parsed = JSON.parse(text);
+                const rows = Array.isArray(parsed) ? parsed : parsed.rows;
+                if (!Array.isArray(rows)) throw new Error('No rows');
+                this.payload = { rows };
+            } catch (error) {
+                showNotification('The JSON file must hold a list of solutions', 'error');
+                return;
+            }
+        } else {
+            this.payload = { csv: text };
+        }
+
+        this.checkBtn.disabled = false;
+    }
+
+    async submit(dryRun) {
+        if (!this.payload) return;
+        if (!dryRun && !confirm('Import every valid row of this file?')) return;
+
+        this.checkBtn.disabled = true;
+        this.importBtn.disabled = true;
+
+        let data;
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...this.payload, dryRun })
+            });
+            data = await response.json();
+        } catch (error) {
+            console.error('Import request error:', error);
+            data = { success: false, message: 'Request failed. Please try again.' };
+        }
+
+        this.checkBtn.disabled = false;
+
+        if (!data.success) {
+            showNotification(data.message || 'Import failed', 'error');
+            return;
+        }
+
+        this.render(data);
+        showNotification(data.message, data.summary.invalid > 0 || data.summary.duplicates > 0 ? 'info' : 'success');
+
+        if (dryRun) {
+            this.importBtn.disabled = data.summary.valid === 0;
+        } else {
+            // Importing the same file again would only report duplicates
+            this.payload = null;
+            this.fileInput.value = '';
+            this.checkBtn.disabled = true;
+            if (data.summary.created > 0) this.onImported();
+        }
+    }
+
+    describeDuplicate(duplicateOf) {
+        if (!duplicateOf) return '';
+        if (duplicateOf.line) return `Same video as line ${duplicateOf.line}`;
+        return `Already uploaded as "${duplicateOf.title}"${duplicateOf.inTrash ? ' (in the trash)' : ''}`;
+    }
+
+    render({ summary, rows }) {
+        const notes = row => [
+            ...row.errors,
+            ...row.warnings,
+            this.describeDuplicate(row.duplicateOf)
+        ].filter(Boolean);
+
+        this.report.innerHTML = `
+            <p>${summary.total} row(s): ${summary.created > 0 ? `${summary.created} imported` : `${summary.valid} ready`},
+                ${summary.invalid} invalid, ${summary.duplicates} duplicate(s)</p>
+            <table>
+                <thead><tr><th>Line</th><th>Title</th><th>Result</th><th>Notes</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="import-row-${row.status}">
+                            <td>${row.line}</td>
+                            <td>${escapeHtml(row.title || '—')}</td>
+                            <td>${IMPORT_STATUS_LABELS[row.status] || escapeHtml(row.status)}</td>
+                            <td>${notes(row).length > 0 ? `<ul>${notes(row).map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        this.report.hidden = false;
+    }
+}
+
+class CatalogPicker {
+    constructor(bookInput, chapterInput) {
+        this.bookInput = bookInput;
+        this.chapterInput = chapterInput;
+        this.bookList = document.getElementById('bookOptions');
+        this.chapterList = document.getElementById('chapterOptions');
+        this.books = [];
+        this.chapters = [];
+        this.chapterBookId = null;
+
+        if (!this.bookInput || !this.chapterInput) return;
+
+        this.bookInput.addEventListener('focus', () => this.loadBooks(), { once: true });
+        this.bookInput.addEventListener('change', () => this.loadChapters());
+    }
+
+    get selectedBook() {
+        const title = this.bookInput.value.trim().toLowerCase();
+        return this.books.find(book => book.title.toLowerCase() === title) || null;
+    }
+
+    async loadBooks() {
+        try {
+            const response = await fetch(`${API_BASE_URL}/books?limit=100`);
+            const data = await response.json();
+            if (!data.success) return;
+
+            this.books = data.data;
+            this.bookList.innerHTML = this.books.map(book => `
+                <option value="${escapeHtml(book.title)}">${escapeHtml([book.edition, book.grade && `Class ${book.grade}`].filter(Boolean).join(' · '))}</option>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading books:', error);
+        }
+    }
+
+    async loadChapters() {
+        const book = this.selectedBook;
+        this.chapters = [];
+        this.chapterBookId = null;
+        this.chapterList.innerHTML = '';
+        if (!book) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/books/${book._id}/chapters`);
+            const data = await response.json();
+            if (!data.success) return;
+
+            this.chapters = data.data;
+            this.chapterBookId = book._id;
+            this.chapterList.innerHTML = this.chapters.map(chapter => `
+                <option value="${escapeHtml(chapter.label)}"></option>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading chapters:', error);
+        }
+    }
+
+    // Forget the chapters of the previous book and pick up books created by the last upload
+    reset() {
+        this.loadChapters();
+        if (this.books.length > 0) this.loadBooks();
+    }
+
+    // Catalog IDs for the typed book and chapter, when they match existing records
+    getSelection() {
+        const book = this.selectedBook;
+        if (!book) return {};
+
+        const label = this.chapterInput.value.trim().toLowerCase();
+        const chapter = this.chapterBookId === book._id
+            ? this.chapters.find(item => item.label.toLowerCase() === label)
+            : null;
+
+        return { bookId: book._id, chapterId: chapter ? chapter._id : undefined };
+    }
+}
+
+// Bookmarks, history and "continue where you left off" for signed-in users
+class LibraryManager {
+    constructor(videoManager) {
+        this.videoManager = videoManager;
+        this.auth = videoManager.auth;
+        this.section = document.getElementById('library-section');
+        this.navItem = document.getElementById('libraryNavItem');
+        this.activeTab = 'continue';
+
+        if (!this.section) return;
+
+        this.section.querySelectorAll('[data-library-tab]').forEach(tab => {
+            tab.addEventListener('click', () => this.showTab(tab.getAttribute('data-library-tab')));
+        });
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearHistory());
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash === '#library-section') this.showTab(this.activeTab);
+        });
+
+        this.render();
+        this.auth.onChange(() => this.render());
+    }
+
+    render() {
+        const signedIn = this.auth.isAuthenticated();
+        this.section.hidden = !signedIn;
+        if (this.navItem) this.navItem.hidden = !signedIn;
+        if (signedIn) this.showTab(this.activeTab);
+    }
+
+    showTab(name) {
+        this.activeTab = name;
+        this.section.querySelectorAll('[data-library-tab]').forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-library-tab') === name);
+        });
+        this.section.querySelectorAll('[data-library-panel]').forEach(panel => {
+            panel.hidden = panel.getAttribute('data-library-panel') !== name;
+        });
+
+        if (name === 'continue') this.loadContinue();
+        if (name === 'bookmarks') this.loadList('bookmarks', document.getElementById('bookmarksGrid'), 'No bookmarks yet. Tap 🔖 on a solution to save it for revision.');
+        if (name === 'history') this.loadList('history', document.getElementById('historyGrid'), 'Solutions you open will show up here.');
+    }
+
+    async request(path, options = {}) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/account${path}`, options);
+            return await response.json();
+        } catch (error) {
+            console.error('Library request error:', error);
+            return { success: false, message: 'Request failed. Please try again.' };
+        }
+    }
+
+    async loadList(path, grid, emptyText) {
+        grid.innerHTML = '<div class="loading">Loading...</div>';
+        const data = await this.request(`/${path}?limit=50`);
+
+        if (!data.success) {
+            grid.innerHTML = '';
+            showNotification(data.message || 'Could not load your library', 'error');
+            return;
+        }
+
+        grid.innerHTML = data.data.length === 0 ? `<p class="no-videos">${escapeHtml(emptyText)}</p>` : '';
+        data.data.forEach(entry => grid.appendChild(this.videoManager.createVideoCard(entry.video)));
+    }
+
+    async loadContinue() {
+        const list = document.getElementById('continueList');
+        list.innerHTML = '<div class="loading">Loading...</div>';
+        const data = await this.request('/history/continue');
+
+        if (!data.success) {
+            list.innerHTML = '';
+            showNotification(data.message || 'Could not load your library', 'error');
+            return;
+        }
+
+        list.innerHTML = data.data.length === 0 ? '<p class="no-videos">Open a solution from a book and you can pick up from here next time.</p>' : '';
+        data.data.forEach((entry) => {
+            const item = document.createElement('div');
+            item.className = 'continue-item';
+            item.innerHTML = `
+                <h3>${escapeHtml(entry.book.title)}</h3>
+                <p class="continue-meta">Last opened ${new Date(entry.lastViewedAt).toLocaleDateString()}</p>
+            `;
+            item.appendChild(this.videoManager.createVideoCard(entry.video));
+            list.appendChild(item);
+        });
+    }
+
+    async clearHistory() {
+        if (!confirm('Clear your whole history?')) return;
+
+        const data = await this.request('/history', { method: 'DELETE' });
+        if (!data.success) {
+            showNotification(data.message || 'Could not clear the history', 'error');
+            return;
+        }
+        this.loadList('history', document.getElementById('historyGrid'), 'Solutions you open will show up here.');
+    }
+}
+
+// Doubt threads under a solution card, loaded when first opened
+// --- Revision history of a solution (staff) ---
+// Labels of the fields shown in a diff; IDs are left out in favour of the names they point to
+const REVISION_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    type: 'Type',
+    bookTitle: 'Book',
+    chapter: 'Chapter',
+    exercise: 'Exercise',
+    questionFrom: 'From question',
+    questionTo: 'To question',
+    youtubeUrl: 'YouTube URL',
+    tags: 'Tags',
+    difficulty: 'Difficulty',
+    subject: 'Subject',
+    grade: 'Class',
+    status: 'Status',
+    publishedAt: 'Publish date',
+    fileName: 'File',
+    pageCount: 'Pages',
+    isActive: 'Published'
+};
+
+const REVISION_ACTION_LABELS = {
+    create: 'Created',
+    update: 'Edited',
+    delete: 'Moved to trash',
+    restore: 'Restored',
+    revert: 'Reverted'
+};
+
+class RevisionPanel {
+    constructor(auth, video, container, onRevert) {
+        this.auth = auth;
+        this.video = video;
+        this.container = container;
+        this.onRevert = onRevert;
+    }
+
+    // Show or hide the panel; returns whether it is now open
+    toggle() {
+        this.container.hidden = !this.container.hidden;
+        if (!this.container.hidden) this.load();
+        return !this.container.hidden;
+    }
+
+    async request(path, options = {}) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${this.video._id}${path}`, options);
+            return await response.json();
+        } catch (error) {
+            console.error('Revision request error:', error);
+            return { success: false, message: 'Request failed. Please try again.' };
+        }
+    }
+
+    async load() {
+        this.container.innerHTML = '<div class="loading">Loading history...</div>';
+        const data = await this.request('/revisions?limit=50');
+
+        if (!data.success) {
+            this.container.innerHTML = `<p class="comment-empty">${escapeHtml(data.message || 'Could not load the history.')}</p>`;
+            return;
+        }
+
+        this.render(data.data);
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString();
+        if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return String(value);
+    }
+
+    render(revisions) {
+        if (revisions.length === 0) {
+            this.container.innerHTML = '<p class="comment-empty">No changes recorded yet.</p>';
+            return;
+        }
+
+        this.container.innerHTML = revisions.map((revision, index) => {
+            const changes = revision.changes.filter(change => REVISION_FIELD_LABELS[change.field]);
+
+            return `
+                <div class="revision-item" data-revision-id="${revision._id}">
+                    <div class="comment-meta">
+                        <strong>${REVISION_ACTION_LABELS[revision.action] || escapeHtml(revision.action)}</strong>
+                        · ${escapeHtml(revision.author ? revision.author.name : 'Unknown')}
+                        · ${new Date(revision.createdAt).toLocaleString()}
+                        ${index === 0 ? '<span class="comment-status">current</span>' : ''}
+                    </div>
+                    <ul class="revision-changes">
+                        ${changes.map(change => `
+                            <li>
+                                <span class="revision-field">${REVISION_FIELD_LABELS[change.field]}:</span>
+                                ${revision.action === 'create' ? '' : `<del>${escapeHtml(this.formatValue(change.from))}</del> → `}
+                                <ins>${escapeHtml(this.formatValue(change.to))}</ins>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${index > 0 ? '<button type="button" class="admin-btn secondary" data-action="revert">Revert to this version</button>' : ''}
+                </div>
+            `;
+        }).join('');
+
+        this.container.querySelectorAll('[data-action="revert"]').forEach((button) => {
+            button.addEventListener('click', () => this.revert(button.closest('[data-revision-id]').getAttribute('data-revision-id')));
+        });
+    }
+
+    async revert(revisionId) {
+        if (!confirm('Revert the details of this solution to this version? Uploaded files stay as they are.')) return;
+
+        const data = await this.request(`/revisions/${revisionId}/revert`, { method: 'POST' });
+
+        if (!data.success) {
+            showNotification(data.message || 'Revert failed', 'error');
+            return;
+        }
+
+        showNotification('Solution reverted', 'success');
+        this.onRevert(data.data);
+    }
+}
+
+class CommentPanel {
+    constructor(auth, video, container) {
+        this.auth = auth;
+        this.video = video;
+        this.container = container;
+        this.loaded = false;
+        this.sort = 'new';
+    }
+
+    // Show or hide the panel; returns whether it is now open
+    toggle() {
+        this.container.hidden = !this.container.hidden;
+        if (!this.container.hidden && !this.loaded) this.load();
+        return !this.container.hidden;
+    }
+
+    async request(path, options = {}) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}${path}`, {
+                ...options,
+                headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Comment request error:', error);
+            return { success: false, message: 'Request failed. Please try again.' };
+        }
+    }
+
+    async load() {
+        this.container.innerHTML = '<div class="loading">Loading doubts...</div>';
+        const data = await this.request(`/videos/${this.video._id}/comments?sort=${this.sort}`);
+
+        if (!data.success) {
+            this.container.innerHTML = `<p class="comment-empty">${escapeHtml(data.message || 'Could not load doubts.')}</p>`;
+            return;
+        }
+
+        this.loaded = true;
+        this.render(data.data);
+    }
+
+    render(threads) {
+        const signedIn = this.auth.isAuthenticated();
+
+        this.container.innerHTML = `
+            <div class="comment-toolbar">
+                <select class="comment-sort" aria-label="Sort doubts">
+                    <option value="new"${this.sort === 'new' ? ' selected' : ''}>Newest</option>
+                    <option value="top"${this.sort === 'top' ? ' selected' : ''}>Most upvoted</option>
+                </select>
+            </div>
+            <div class="comment-list">
+                ${threads.length === 0 ? '<p class="comment-empty">No doubts yet. Ask the first one!</p>' : ''}
+            </div>
+            ${signedIn ? `
+                <form class="comment-form">
+                    <textarea placeholder="Ask a doubt about this solution..." maxlength="2000" required></textarea>
+                    <button type="submit" class="admin-btn">Post</button>
+                </form>
+            ` : '<p class="comment-empty"><a href="#account-section">Log in</a> to ask a doubt.</p>'}
+        `;
+
+        const list = this.container.querySelector('.comment-list');
+        threads.forEach((thread) => {
+            const item = this.createItem(thread);
+            const replies = document.createElement('div');
+            replies.className = 'comment-replies';
+            thread.replies.forEach(reply => replies.appendChild(this.createItem(reply)));
+            item.appendChild(replies);
+            list.appendChild(item);
+        });
+
+        this.container.querySelector('.comment-sort').addEventListener('change', (e) => {
+            this.sort = e.target.value;
+            this.load();
+        });
+
+        const form = this.container.querySelector('.comment-form');
+        if (form) form.addEventListener('submit', e => this.handleSubmit(e));
+    }
+
+    createItem(comment) {
+        const item = document.createElement('div');
+        item.className = `comment-item${comment.isOfficial ? ' official' : ''}`;
+        const author = comment.author ? comment.author.name : 'Deleted user';
+        const isThread = !comment.parent;
+
+        item.innerHTML = `
+            <div class="comment-meta">
+                <strong>${escapeHtml(author)}</strong>
+                ${comment.isOfficial ? '<span class="comment-badge">Official answer</span>' : ''}
+                ${comment.status !== 'approved' ? `<span class="comment-status">${comment.status === 'pending' ? 'Awaiting approval' : 'Hidden'}</span>` : ''}
+                · ${new Date(comment.createdAt).toLocaleDateString()}${comment.editedAt ? ' · edited' : ''}
+            </div>
+            <div class="comment-body">${escapeHtml(comment.body)}</div>
+            <div class="comment-actions">
+                <button type="button" class="comment-upvote${comment.upvotedByMe ? ' active' : ''}" aria-pressed="${comment.upvotedByMe ? 'true' : 'false'}" ${comment.status === 'approved' ? '' : 'disabled'}>▲ <span>${comment.upvotes}</span></button>
+                ${isThread && this.auth.isAuthenticated() ? '<button type="button" data-action="reply">Reply</button>' : ''}
+                ${comment.canEdit ? '<button type="button" data-action="edit">Edit</button>' : ''}
+                ${comment.canDelete ? '<button type="button" data-action="delete">Delete</button>' : ''}
+            </div>
+        `;
+
+        const upvote = item.querySelector('.comment-upvote');
+        upvote.addEventListener('click', () => this.toggleUpvote(comment, upvote));
+
+        const actions = {
+            reply: () => this.showReplyForm(comment, item),
+            edit: () => this.showEditForm(comment, item),
+            delete: () => this.deleteComment(comment)
+        };
+        item.querySelectorAll(':scope > .comment-actions [data-action]').forEach((button) => {
+            button.addEventListener('click', actions[button.getAttribute('data-action')]);
+        });
+
+        return item;
+    }
+
+    async post(body, parent = null) {
+        const data = await this.request(`/videos/${this.video._id}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body, parent })
+        });
+
+        if (!data.success) {
+            showNotification(data.errors ? data.errors[0].msg || data.errors[0] : data.message || 'Could not post', 'error');
+            return false;
+        }
+
+        showNotification(data.message, 'success');
+        this.load();
+        return true;
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        const textarea = e.target.querySelector('textarea');
+        if (await this.post(textarea.value.trim())) textarea.value = '';
+    }
+
+    showReplyForm(comment, item) {
+        if (item.querySelector(':scope > .comment-form')) return;
+
+        const form = document.createElement('form');
+        form.className = 'comment-form';
+        form.innerHTML = `
+            <textarea placeholder="Write a reply..." maxlength="2000" required></textarea>
+            <button type="submit" class="admin-btn">Reply</button>
+        `;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.post(form.querySelector('textarea').value.trim(), comment._id);
+        });
+
+        item.insertBefore(form, item.querySelector('.comment-replies'));
+        form.querySelector('textarea').focus();
+    }
+
+    showEditForm(comment, item) {
+        const bodyEl = item.querySelector('.comment-body');
+        if (bodyEl.querySelector('form')) return;
+
+        bodyEl.innerHTML = `
+            <form class="comment-form">
+                <textarea maxlength="2000" required>${escapeHtml(comment.body)}</textarea>
+                <button type="submit" class="admin-btn">Save</button>
+            </form>
+        `;
+        bodyEl.querySelector('form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const data = await this.request(`/comments/${comment._id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ body: e.target.querySelector('textarea').value.trim() })
+            });
+
+            if (!data.success) {
+                showNotification(data.message || 'Could not save the comment', 'error');
+                return;
+            }
+            showNotification(data.message, 'success');
+            this.load();
+        });
+    }
+
+    async deleteComment(comment) {
+        const prompt = comment.parent ? 'Delete this reply?' : 'Delete this doubt and all its replies?';
+        if (!confirm(prompt)) return;
+
+        const data = await this.request(`/comments/${comment._id}`, { method: 'DELETE' });
+        if (!data.success) {
+            showNotification(data.message || 'Could not delete the comment', 'error');
+            return;
+        }
+        this.load();
+    }
+
+    async toggleUpvote(comment, button) {
+        if (!this.auth.isAuthenticated()) {
+            showNotification('Log in to upvote doubts and answers', 'info');
+            return;
+        }
+        if (button.disabled) return;
+        button.disabled = true;
+
+        const data = await this.request(`/comments/${comment._id}/upvote`, {
+            method: comment.upvotedByMe ? 'DELETE' : 'PUT'
+        });
+        button.disabled = false;
+
+        if (!data.success) {
+            showNotification(data.message || 'Could not update the upvote', 'error');
+            return;
+        }
+
+        comment.upvotedByMe = data.data.upvoted;
+        comment.upvotes = data.data.upvotes;
+        button.classList.toggle('active', comment.upvotedByMe);
+        button.setAttribute('aria-pressed', comment.upvotedByMe ? 'true' : 'false');
+        button.querySelector('span').textContent = comment.upvotes;
+    }
+}
+
+class PdfViewer {
+    constructor() {
+        this.root = document.getElementById('pdfViewer');
+        if (!this.root) return;
+
+        this.title = document.getElementById('pdfViewerTitle');
+        this.frame = document.getElementById('pdfViewerFrame');
+        this.info = document.getElementById('pdfViewerInfo');
+        this.downloadLink = document.getElementById('pdfViewerDownload');
+        this.openLink = document.getElementById('pdfViewerOpen');
+
+        this.root.addEventListener('click', (e) => {
+            if (e.target === this.root || e.target.closest('[data-viewer-action="close"]')) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.root.hidden && e.key === 'Escape') this.close();
+        });
+    }
+
+    open(video) {
+        if (!this.root) return;
+
+        this.title.textContent = video.title;
+        this.frame.src = video.fileUrl;
+        this.info.textContent = video.pageCount ? `${video.pageCount} page${video.pageCount === 1 ? '' : 's'}` : '';
+        this.downloadLink.href = video.fileUrl;
+        this.downloadLink.setAttribute('download', video.fileName || 'solution.pdf');
+        this.openLink.href = video.fileUrl;
+        this.root.hidden = false;
+    }
+
+    close() {
+        this.root.hidden = true;
+        this.frame.removeAttribute('src');
+    }
+}
+
+// --- Multi-page Solution Viewer ---
+class PageViewer {
+    constructor(auth, onUpdate) {
+        this.auth = auth;
+        this.onUpdate = onUpdate;
+        this.video = null;
+        this.index = 0;
+        this.fileMode = null;
+        this.root = document.getElementById('pageViewer');
+
+        if (!this.root) return;
+
+        this.title = document.getElementById('pageViewerTitle');
+        this.image = document.getElementById('pageViewerImage');
+        this.counter = document.getElementById('pageViewerCounter');
+        this.prevBtn = document.getElementById('pageViewerPrev');
+        this.nextBtn = document.getElementById('pageViewerNext');
+        this.tools = document.getElementById('pageViewerTools');
+        this.fileInput = document.getElementById('pageViewerFile');
+
+        this.setupEventListeners();
+    }
+
+    // Legacy single-image solutions have no pages yet; show the image itself
+    static getPages(video) {
+        if (video.pages && video.pages.length > 0) return video.pages;
+        return video.fileUrl ? [video] : [];
+    }
+
+    setupEventListeners() {
+        this.root.addEventListener('click', (e) => {
+            if (e.target === this.root) return this.close();
+
+            const button = e.target.closest('[data-viewer-action]');
+            if (button) this.handleAction(button.getAttribute('data-viewer-action'));
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.root.hidden) return;
+            if (e.key === 'Escape') this.close();
+            if (e.key === 'ArrowLeft') this.show(this.index - 1);
+            if (e.key === 'ArrowRight') this.show(this.index + 1);
+        });
+
+        this.fileInput.addEventListener('change', () => this.handleFiles());
+    }
+
+    canEdit(video) {
+        if (this.auth.hasRole('admin', 'editor')) return true;
+
+        const owner = video.uploadedBy && (video.uploadedBy._id || video.uploadedBy.id);
+        return this.auth.hasRole('contributor') && Boolean(owner) && owner === this.auth.user.id;
+    }
+
+    open(video, index = 0) {
+        if (!this.root) return;
+
+        this.video = video;
+        this.root.hidden = false;
+        this.show(index);
+    }
+
+    close() {
+        this.root.hidden = true;
+        this.image.removeAttribute('src');
+        this.video = null;
+    }
+
+    show(index) {
+        if (!this.video) return;
+
+        const pages = PageViewer.getPages(this.video);
+        if (pages.length === 0) return;
+
+        this.index = Math.max(0, Math.min(index, pages.length - 1));
+        const page = pages[this.index];
+        const full = page.imageVariants && page.imageVariants.full;
+
+        this.title.textContent = this.video.title;
+        this.image.src = full && full.url ? full.url : page.fileUrl;
+        this.image.alt = `${this.video.title} - page ${this.index + 1}`;
+        this.counter.textContent = `Page ${this.index + 1} of ${pages.length}`;
+        this.prevBtn.disabled = this.index === 0;
+        this.nextBtn.disabled = this.index === pages.length - 1;
+
+        // Page routes need page IDs, which legacy solutions only get once migrated
+        this.tools.hidden = !(this.canEdit(this.video) && page._id);
+        this.tools.querySelector('[data-viewer-action="move-earlier"]').disabled = this.index === 0;
+        this.tools.querySelector('[data-viewer-action="move-later"]').disabled = this.index === pages.length - 1;
+        this.tools.querySelector('[data-viewer-action="delete"]').disabled = pages.length === 1;
+    }
+
+    handleAction(action) {
+        switch (action) {
+            case 'close':
+                return this.close();
+            case 'prev':
+                return this.show(this.index - 1);
+            case 'next':
+                return this.show(this.index + 1);
+            case 'move-earlier':
+                return this.move(-1);
+            case 'move-later':
+                return this.move(1);
+            case 'delete':
+                return this.deletePage();
+            case 'replace':
+            case 'add':
+                this.fileMode = action;
+                this.fileInput.multiple = action === 'add';
+                this.fileInput.click();
+                return;
+        }
+    }
+
+    async move(offset) {
+        const order = this.video.pages.map(page => page._id);
+        const target = this.index + offset;
+
+        [order[this.index], order[target]] = [order[target], order[this.index]];
+
+        await this.request('/pages/order', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ order })
+        }, target);
+    }
+
+    async deletePage() {
+        if (!confirm(`Delete page ${this.index + 1}?`)) return;
+
+        const page = this.video.pages[this.index];
+        await this.request(`/pages/${page._id}`, { method: 'DELETE' }, this.index);
+    }
+
+    async handleFiles() {
+        const files = Array.from(this.fileInput.files);
+        this.fileInput.value = '';
+        if (files.length === 0) return;
+
+        const formData = new FormData();
+        files.forEach(file => formData.append('images', file));
+
+        if (this.fileMode === 'replace') {
+            const page = this.video.pages[this.index];
+            await this.request(`/pages/${page._id}`, { method: 'PUT', body: formData }, this.index);
+        } else {
+            const firstNewPage = this.video.pages.length;
+            await this.request('/pages', { method: 'POST', body: formData }, firstNewPage);
+        }
+    }
+
+    async request(path, options, nextIndex) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/${this.video._id}${path}`, options);
+            const data = await response.json();
+
+            if (!data.success) {
+                showNotification(data.message || 'Update failed', 'error');
+                return;
+            }
+
+            showNotification(data.message, 'success');
+            this.video = data.data;
+            this.onUpdate(data.data);
+            this.show(nextIndex);
+        } catch (error) {
+            console.error('Page update error:', error);
+            showNotification('Update failed. Please try again.', 'error');
+        }
+    }
+}
+
+class AccountManager {
+    constructor(auth) {
+        this.auth = auth;
+        this.resetToken = null;
+        this.pendingVerificationEmail = null;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.render();
+        this.auth.onChange(() => this.render());
+        this.handleEmailLinks();
+        this.auth.verify();
+    }
+
+    initializeElements() {
+        this.section = document.getElementById('account-section');
+        this.guestView = document.getElementById('account-guest');
+        this.memberView = document.getElementById('account-member');
+        this.navLink = document.getElementById('accountNavLink');
+        this.loginForm = document.getElementById('login-form');
+        this.registerForm = document.getElementById('register-form');
+        this.forgotForm = document.getElementById('forgot-form');
+        this.resetForm = document.getElementById('reset-form');
+        this.settingsForm = document.getElementById('account-settings-form');
+        this.passwordForm = document.getElementById('change-password-form');
+        this.deleteForm = document.getElementById('delete-account-form');
+        this.logoutBtn = document.getElementById('logoutBtn');
+        this.resendVerificationBtn = document.getElementById('resendVerificationBtn');
+    }
+
+    setupEventListeners() {
+        if (!this.section) return;
+
+        this.section.querySelectorAll('[data-show-view]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showView(link.getAttribute('data-show-view'));
+            });
+        });
+
+        this.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        this.registerForm.addEventListener('submit', (e) => this.handleRegister(e));
+        this.forgotForm.addEventListener('submit', (e) => this.handleForgotPassword(e));
+        this.resetForm.addEventListener('submit', (e) => this.handleResetPassword(e));
+        this.settingsForm.addEventListener('submit', (e) => this.handleUpdateSettings(e));
+        this.passwordForm.addEventListener('submit', (e) => this.handleChangePassword(e));
+        this.deleteForm.addEventListener('submit', (e) => this.handleDeleteAccount(e));
+        this.logoutBtn.addEventListener('click', () => this.auth.logout());
+        this.resendVerificationBtn.addEventListener('click', () => this.handleResendVerification());
+    }
+
+    // Show one of the guest forms (login, register, forgot, reset)
+    showView(view) {
+        this.guestView.querySelectorAll('[data-account-view]').forEach(form => {
+            form.hidden = form.getAttribute('data-account-view') !== view;
+        });
+    }
+
+    render() {
+        if (!this.section) return;
+
+        const user = this.auth.user;
+        this.guestView.hidden = Boolean(user);
+        this.memberView.hidden = !user;
+        if (this.navLink) this.navLink.textContent = user ? 'My Account' : 'Log In';
+
+        if (user) {
+            document.getElementById('account-name').textContent = user.name;
+            document.getElementById('account-role').textContent = user.role;
+            document.getElementById('settings-name').value = user.name;
+            document.getElementById('settings-email').value = user.email;
+        }
+    }
+
+    // Verification and reset emails link back to /verify-email and /reset-password
+    async handleEmailLinks() {
+        const token = new URLSearchParams(window.location.search).get('token');
+        const path = window.location.pathname;
+
+        if (!token || (path !== '/verify-email' && path !== '/reset-password')) return;
+
+        window.history.replaceState({}, document.title, '/#account-section');
+        this.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        if (path === '/reset-password') {
+            this.resetToken = token;
+            this.showView('reset');
+            return;
+        }
+
+        const data = await this.postJson('/auth/verify-email', { token });
+        if (data.success) {
+            showNotification(data.message, 'success');
+        } else {
+            showNotification(data.message || 'Verification failed', 'error');
+        }
+    }
+
+    async postJson(path, body, method = 'POST') {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Account request error:', error);
+            return { success: false, message: 'Request failed. Please try again.' };
+        }
+    }
+
+    // Show the first validation error, or the general message
+    errorMessage(data, fallback) {
+        if (data.errors && data.errors.length > 0) return data.errors[0].msg;
+        return data.message || fallback;
+    }
+
+    async handleLogin(e) {
+        e.preventDefault();
+        const usernameInput = document.getElementById('login-username');
+        const passwordInput = document.getElementById('login-password');
+
+        try {
+            const data = await this.auth.login(usernameInput.value.trim(), passwordInput.value);
+
+            if (data.success) {
+                showNotification(`Welcome back, ${data.data.user.name}!`, 'success');
+                this.loginForm.reset();
+                this.resendVerificationBtn.hidden = true;
+            } else {
+                const needsVerification = data.code === 'EMAIL_NOT_VERIFIED';
+                this.pendingVerificationEmail = needsVerification ? usernameInput.value.trim() : null;
+                this.resendVerificationBtn.hidden = !needsVerification || !this.pendingVerificationEmail.includes('@');
+                showNotification(this.errorMessage(data, 'Login failed'), 'error');
+            }
+        } catch (error) {
+            console.error('Login error:', error);
+            showNotification('Login failed. Please try again.', 'error');
+        } finally {
+            passwordInput.value = '';
+        }
+    }
+
+    async handleResendVerification() {
+        if (!this.pendingVerificationEmail) return;
+
+        const data = await this.postJson('/auth/resend-verification', { email: this.pendingVerificationEmail });
+        showNotification(this.errorMessage(data, 'Could not resend email'), data.success ? 'success' : 'error');
+    }
+
+    async handleRegister(e) {
+        e.preventDefault();
+
+        const data = await this.postJson('/auth/register', {
+            name: document.getElementById('register-name').value.trim(),
+            username: document.getElementById('register-username').value.trim(),
+            email: document.getElementById('register-email').value.trim(),
+            password: document.getElementById('register-password').value
+        });
+
+        if (data.success) {
+            showNotification(data.message, 'success');
+            this.registerForm.reset();
+            this.showView('login');
+        } else {
+            showNotification(this.errorMessage(data, 'Sign up failed'), 'error');
+        }
+    }
+
+    async handleForgotPassword(e) {
+        e.preventDefault();
+
+        const data = await this.postJson('/auth/forgot-password', {
+            email: document.getElementById('forgot-email').value.trim()
+        });
+
+        showNotification(this.errorMessage(data, 'Request failed'), data.success ? 'success' : 'error');
+        if (data.success) {
+            this.forgotForm.reset();
+            this.showView('login');
+        }
+    }
+
+    async handleResetPassword(e) {
+        e.preventDefault();
+
+        const data = await this.postJson('/auth/reset-password', {
+            token: this.resetToken,
+            password: document.getElementById('reset-password').value
+        });
+
+        if (data.success) {
+            showNotification(data.message, 'success');
+            this.resetToken = null;
+            this.resetForm.reset();
+            this.showView('login');
+        } else {
+            showNotification(this.errorMessage(data, 'Password reset failed'), 'error');
+        }
+    }
+
+    async handleUpdateSettings(e) {
+        e.preventDefault();
+
+        const data = await this.postJson('/account', {
+            name: document.getElementById('settings-name').value.trim(),
+            email: document.getElementById('settings-email').value.trim()
+        }, 'PUT');
+
+        if (data.success) {
+            this.auth.updateUser({ ...this.auth.user, name: data.data.name, email: data.data.email, emailVerified: data.data.emailVerified });
+            showNotification(data.message, 'success');
+        } else {
+            showNotification(this.errorMessage(data, 'Update failed'), 'error');
+        }
+    }
+
+    async handleChangePassword(e) {
+        e.preventDefault();
+
+        const data = await this.postJson('/account/password', {
+            currentPassword: document.getElementById('current-password').value,
+            newPassword: document.getElementById('new-password').value
+        }, 'PUT');
+
+        if (data.success) {
+            this.auth.setSessionFromResponse(data.data);
+            this.passwordForm.reset();
+            showNotification(data.message, 'success');
+        } else {
+            showNotification(this.errorMessage(data, 'Password change failed'), 'error');
+        }
+    }
+
+    async handleDeleteAccount(e) {
+        e.preventDefault();
+        if (!confirm('This permanently deletes your account. Continue?')) return;
+
+        const data = await this.postJson('/account', {
+            password: document.getElementById('delete-password').value
+        }, 'DELETE');
+
+        if (data.success) {
+            this.auth.clearSession();
+            showNotification(data.message, 'success');
+        } else {
+            showNotification(this.errorMessage(data, 'Could not delete account'), 'error');
+        }
+        this.deleteForm.reset();
+    }
+}
+
+// --- Contact Form ---
+class ContactForm {
+    constructor() {
+        this.form = document.getElementById('contact-form');
+        if (this.form) {
+            this.submitBtn = this.form.querySelector('button[type="submit"]');
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        }
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (this.submitBtn.disabled) return;
+
+        this.submitBtn.disabled = true;
+        this.submitBtn.textContent = 'Sending...';
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/contact`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('contact-name').value.trim(),
+                    email: document.getElementById('contact-email').value.trim(),
+                    subject: document.getElementById('contact-subject').value.trim(),
+                    message: document.getElementById('contact-message').value.trim(),
+                    website: document.getElementById('contact-website').value
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                showNotification(data.message, 'success');
+                this.form.reset();
+            } else {
+                const message = data.errors && data.errors.length > 0 ? data.errors[0].msg : data.message;
+                showNotification(message || 'Could not send your message.', 'error');
+            }
+        } catch (error) {
+            console.error('Contact form error:', error);
+            showNotification('Could not send your message. Please try again.', 'error');
+        } finally {
+            this.submitBtn.disabled = false;
+            this.submitBtn.textContent = 'Send Message';
+        }
+    }
+}
+
+// --- Admin Panel ---
+class AdminPanel {
+    constructor(auth) {
+        this.auth = auth;
+        this.section = document.getElementById('admin-section');
+        this.navItem = document.getElementById('adminNavItem');
+        this.activeTab = 'inbox';
+
+        // Each tab loads its data when opened
+        this.loaders = {
+            inbox: () => this.loadInbox(),
+            analytics: () => this.loadAnalytics(),
+            comments: () => this.loadComments(),
+            reports: () => this.loadReports(),
+            trash: () => this.loadTrash()
+        };
+
+        if (!this.section) return;
+
+        this.setupEventListeners();
+        this.render();
+        this.auth.onChange(() => this.render());
+    }
+
+    get isAdmin() {
+        return this.auth.hasRole('admin');
+    }
+
+    setupEventListeners() {
+        this.section.querySelectorAll('[data-admin-tab]').forEach(tab => {
+            tab.addEventListener('click', () => this.showTab(tab.getAttribute('data-admin-tab')));
+        });
+
+        const inboxFilter = document.getElementById('inbox-filter');
+        if (inboxFilter) inboxFilter.addEventListener('change', () => this.loadInbox());
+
+        const reportFilter = document.getElementById('report-filter');
+        if (reportFilter) reportFilter.addEventListener('change', () => this.loadReports());
+
+        const commentFilter = document.getElementById('comment-filter');
+        if (commentFilter) commentFilter.addEventListener('change', () => this.loadComments());
+
+        const trashFilters = document.getElementById('trash-filters');
+        if (trashFilters) {
+            trashFilters.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadTrash();
+            });
+        }
+
+        const exportFilters = document.getElementById('export-filters');
+        if (exportFilters) {
+            exportFilters.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.downloadExport();
+            });
+        }
+
+        const analyticsFilters = document.getElementById('analytics-filters');
+        if (analyticsFilters) {
+            analyticsFilters.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.loadAnalytics();
+            });
+        }
+    }
+
+    render() {
+        const visible = this.isAdmin;
+        this.section.hidden = !visible;
+        if (this.navItem) this.navItem.hidden = !visible;
+        if (visible) this.showTab(this.activeTab);
+    }
+
+    showTab(name) {
+        this.activeTab = name;
+        this.section.querySelectorAll('[data-admin-tab]').forEach(tab => {
+            tab.classList.toggle('active', tab.getAttribute('data-admin-tab') === name);
+        });
+        this.section.querySelectorAll('[data-admin-panel]').forEach(panel => {
+            panel.hidden = panel.getAttribute('data-admin-panel') !== name;
+        });
+        if (this.loaders[name]) this.loaders[name]();
+    }
+
+    async request(path, options = {}) {
+        try {
+            const response = await this.auth.fetch(`${API_BASE_URL}${path}`, {
+                ...options,
+                headers: options.body ? { 'Content-Type': 'application/json', ...options.headers } : options.headers
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Admin request error:', error);
+            return { success: false, message: 'Request failed. Please try again.' };
+        }
+    }
+
+    // --- Inbox ---
+    async loadInbox() {
+        const list = document.getElementById('inbox-list');
+        const filter = document.getElementById('inbox-filter').value;
+        const params = new URLSearchParams({ limit: 50 });
+
+        if (filter === 'archived') {
+            params.set('archived', 'true');
+        } else if (filter) {
+            params.set('status', filter);
+        }
+
+        list.innerHTML = '<div class="loading">Loading messages...</div>';
+        const data = await this.request(`/contact?${params}`);
+
+        if (!data.success) {
+            list.innerHTML = '';
+            showNotification(data.message || 'Failed to load messages', 'error');
+            return;
+        }
+
+        this.updateUnreadBadge(data.unreadCount);
+        list.innerHTML = data.data.length === 0 ? '<p class="no-videos">No messages here.</p>' : '';
+        data.data.forEach(message => list.appendChild(this.createInboxItem(message)));
+    }
+
+    updateUnreadBadge(count) {
+        const badge = document.getElementById('inbox-unread-count');
+        if (!badge) return;
+        badge.hidden = !count;
+        badge.textContent = count;
+    }
+
+    createInboxItem(message) {
+        const item = document.createElement('div');
+        item.className = `inbox-item${message.status === 'new' ? ' unread' : ''}`;
+
+        const replies = (message.replies || []).map(reply => `
+            <div class="inbox-reply">
+                <div class="inbox-item-meta">Reply by ${escapeHtml(reply.sentBy ? reply.sentBy.name : 'team')} · ${new Date(reply.sentAt).toLocaleString()}</div>
+                ${escapeHtml(reply.body)}
+            </div>
+        `).join('');
+
+        item.innerHTML = `
+            <div class="inbox-item-header">
+                <div>
+                    <strong>${escapeHtml(message.subject)}</strong>
+                    <div class="inbox-item-meta">${escapeHtml(message.name)} &lt;${escapeHtml(message.email)}&gt;</div>
+                </div>
+                <div class="inbox-item-meta">${new Date(message.createdAt).toLocaleString()} · ${message.status}</div>
+            </div>
+            <div class="inbox-item-details" hidden>
+                <div class="inbox-item-body">${escapeHtml(message.message)}</div>
+                ${replies}
+                <div class="inbox-actions">
+                    <button type="button" class="admin-btn secondary" data-action="read">${message.status === 'new' ? 'Mark read' : 'Mark unread'}</button>
+                    <button type="button" class="admin-btn secondary" data-action="archive">${message.isArchived ? 'Unarchive' : 'Archive'}</button>
+                </div>
+                <form class="inbox-reply-form">
+                    <textarea placeholder="Write a reply..." required></textarea>
+                    <button type="submit" class="admin-btn">Send Reply</button>
+                </form>
+            </div>
+        `;
+
+        const details = item.querySelector('.inbox-item-details');
+        item.querySelector('.inbox-item-header').addEventListener('click', () => {
+            details.hidden = !details.hidden;
+            // Opening an unread message marks it read
+            if (!details.hidden && message.status === 'new') {
+                message.status = 'read';
+                item.classList.remove('unread');
+                item.querySelector('[data-action="read"]').textContent = 'Mark unread';
+                this.updateInboxMessage(message._id, 'read', { isRead: true }, false);
+            }
+        });
+
+        item.querySelector('[data-action="read"]').addEventListener('click', () => {
+            this.updateInboxMessage(message._id, 'read', { isRead: message.status === 'new' });
+        });
+
+        item.querySelector('[data-action="archive"]').addEventListener('click', () => {
+            this.updateInboxMessage(message._id, 'archive', { archived: !message.isArchived });
+        });
+
+        item.querySelector('.inbox-reply-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const textarea = e.target.querySelector('textarea');
+            const data = await this.request(`/contact/${message._id}/reply`, {
+                method: 'POST',
+                body: JSON.stringify({ body: textarea.value.trim() })
+            });
+
+            if (data.success) {
+                showNotification('Reply sent', 'success');
+                this.loadInbox();
+            } else {
+                showNotification(data.message || 'Reply failed', 'error');
+            }
+        });
+
+        return item;
+    }
+
+    async updateInboxMessage(id, action, body, reload = true) {
+        const data = await this.request(`/contact/${id}/${action}`, {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+        });
+
+        if (!data.success) {
+            showNotification(data.message || 'Update failed', 'error');
+            return;
+        }
+        if (reload) this.loadInbox();
+    }
+
+    // --- Comment moderation ---
+    async loadComments() {
+        const list = document.getElementById('comment-queue');
+        const status = document.getElementById('comment-filter').value;
+
+        list.innerHTML = '<div class="loading">Loading comments...</div>';
+        const data = await this.request(`/comments?status=${status}&limit=50`);
+
+        if (!data.success) {
+            list.innerHTML = '';
+            showNotification(data.message || 'Failed to load comments', 'error');
+            return;
+        }
+
+        const badge = document.getElementById('comment-pending-count');
+        badge.hidden = !data.pendingCount;
+        badge.textContent = data.pendingCount;
+
+        list.innerHTML = data.data.length === 0 ? '<p class="no-videos">No comments here.</p>' : '';
+        data.data.forEach(comment => list.appendChild(this.createQueueItem(comment)));
+    }
+
+    createQueueItem(comment) {
+        const item = document.createElement('div');
+        item.className = 'inbox-item';
+        const video = comment.video || {};
+
+        item.innerHTML = `
+            <div class="inbox-item-header">
+                <div>
+                    <strong>${escapeHtml(comment.author ? comment.author.name : 'Deleted user')}</strong>
+                    <div class="inbox-item-meta">on ${escapeHtml(video.title || 'a deleted solution')}${video.bookTitle ? ` · ${escapeHtml(video.bookTitle)} - ${escapeHtml(video.chapter)}` : ''}</div>
+                </div>
+                <div class="inbox-item-meta">${new Date(comment.createdAt).toLocaleString()}${comment.editedAt ? ' · edited' : ''}</div>
+            </div>
+            ${comment.parent ? `<div class="inbox-reply">In reply to: ${escapeHtml(comment.parent.body)}</div>` : ''}
+            <div class="inbox-item-body">${escapeHtml(comment.body)}</div>
+            <div class="inbox-actions">
+                ${comment.status !== 'approved' ? '<button type="button" class="admin-btn" data-status="approved">Approve</button>' : ''}
+                ${comment.status !== 'hidden' ? '<button type="button" class="admin-btn secondary" data-status="hidden">Hide</button>' : ''}
+            </div>
+        `;
+
+        item.querySelectorAll('[data-status]').forEach((button) => {
+            button.addEventListener('click', async () => {
+                const data = await this.request(`/comments/${comment._id}/moderate`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ status: button.getAttribute('data-status') })
+                });
+
+                if (!data.success) {
+                    showNotification(data.message || 'Update failed', 'error');
+                    return;
+                }
+                this.loadComments();
+            });
+        });
+
+        return item;
+    }
+
+    // --- Mistake reports ---
+    async loadReports() {
+        const list = document.getElementById('report-list');
+        const status = document.getElementById('report-filter').value;
+
+        list.innerHTML = '<div class="loading">Loading reports...</div>';
+        const data = await this.request(`/reports?status=${status}&limit=50`);
+
+        if (!data.success) {
+            list.innerHTML = '';
+            showNotification(data.message || 'Failed to load reports', 'error');
+            return;
+        }
+
+        const badge = document.getElementById('report-open-count');
+        badge.hidden = !data.openCount;
+        badge.textContent = data.openCount;
+
+        list.innerHTML = data.data.length === 0 ? '<p class="no-videos">No reports here.</p>' : '';
+        data.data.forEach(group => list.appendChild(this.createReportGroup(group)));
+    }
+
+    createReportGroup(group) {
+        const item = document.createElement('div');
+        item.className = 'inbox-item';
+        const { video } = group;
+        const formatTime = seconds => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+        item.innerHTML = `
+            <div class="inbox-item-header">
+                <div>
+                    <strong>${escapeHtml(video.title)}</strong>
+                    <div class="inbox-item-meta">${video.bookTitle ? `${escapeHtml(video.bookTitle)} - ${escapeHtml(video.chapter)} · ` : ''}${video.ratingCount ? `★ ${video.ratingAverage.toFixed(1)} (${video.ratingCount}) · ` : ''}${group.reasons.map(escapeHtml).join(', ')}</div>
+                </div>
+                <div class="inbox-item-meta">${group.count} report${group.count === 1 ? '' : 's'} · latest ${new Date(group.latestAt).toLocaleDateString()}</div>
+            </div>
+            ${group.reports.map(report => `
+                <div class="inbox-reply" data-report-id="${report._id}">
+                    <div class="inbox-item-meta">
+                        ${escapeHtml(report.reason)}${report.timestamp !== null ? ` at ${formatTime(report.timestamp)}` : ''}
+                        · ${escapeHtml(report.reporter ? report.reporter.name : 'Deleted user')} · ${new Date(report.createdAt).toLocaleString()}
+                        ${report.resolvedBy ? ` · ${escapeHtml(report.status)} by ${escapeHtml(report.resolvedBy.name)}` : ''}
+                    </div>
+                    ${report.details ? escapeHtml(report.details) : ''}
+                    ${report.resolutionNote ? `<div class="inbox-item-meta">Note: ${escapeHtml(report.resolutionNote)}</div>` : ''}
+                    <div class="inbox-actions">
+                        ${report.status === 'open' ? `
+                            <button type="button" class="admin-btn" data-status="resolved">Resolve</button>
+                            <button type="button" class="admin-btn secondary" data-status="dismissed">Dismiss</button>
+                        ` : '<button type="button" class="admin-btn secondary" data-status="open">Reopen</button>'}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        item.querySelectorAll('[data-status]').forEach((button) => {
+            button.addEventListener('click', async () => {
+                const status = button.getAttribute('data-status');
+                const note = status === 'open' ? '' : (prompt('Note for the team (optional)') || '');
+                const reportId = button.closest('[data-report-id]').getAttribute('data-report-id');
+
+                const data = await this.request(`/reports/${reportId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ status, note })
+                });
+
+                if (!data.success) {
+                    showNotification(data.message || 'Update failed', 'error');
+                    return;
+                }
+                this.loadReports();
+            });
+        });
+
+        return item;
+    }
+
+    // --- Trash ---
+    async loadTrash() {
+        const list = document.getElementById('trash-list');
+        const search = document.getElementById('trash-search').value.trim();
+        const params = new URLSearchParams({ limit: 50 });
+        if (search) params.set('search', search);
+
+        list.innerHTML = '<div class="loading">Loading trash...</div>';
+        const data = await this.request(`/videos/trash?${params}`);
+
+        if (!data.success) {
+            list.innerHTML = '';
+            showNotification(data.message || 'Failed to load trash', 'error');
+            return;
+        }
+
+        document.getElementById('trash-retention').textContent = data.retentionDays
+            ? `Deleted solutions are permanently removed ${data.retentionDays} days after deletion.`
+            : 'Deleted solutions stay here until you delete them permanently.';
+
+        list.innerHTML = data.data.length === 0 ? '<p class="no-videos">The trash is empty.</p>' : '';
+        data.data.forEach(video => list.appendChild(this.createTrashItem(video)));
+    }
+
+    createTrashItem(video) {
+        const item = document.createElement('div');
+        item.className = 'inbox-item';
+
+        item.innerHTML = `
+            <div class="inbox-item-header">
+                <div>
+                    <strong>${escapeHtml(video.title)}</strong>
+                    <div class="inbox-item-meta">${escapeHtml(video.type)}${video.bookTitle ? ` · ${escapeHtml(video.bookTitle)} - ${escapeHtml(video.chapter)}` : ''}</div>
+                </div>
+                <div class="inbox-item-meta">
+                    ${video.deletedAt ? `Deleted ${new Date(video.deletedAt).toLocaleDateString()}` : 'Deleted'}${video.deletedBy ? ` by ${escapeHtml(video.deletedBy.name)}` : ''}
+                    ${video.purgeAt ? ` · removed on ${new Date(video.purgeAt).toLocaleDateString()}` : ''}
+                </div>
+            </div>
+            <div class="inbox-actions">
+                <button type="button" class="admin-btn" data-action="restore">Restore</button>
+                <button type="button" class="admin-btn secondary" data-action="purge">Delete permanently</button>
+            </div>
+        `;
+
+        item.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+            const data = await this.request(`/videos/${video._id}/restore`, { method: 'POST' });
+
+            if (!data.success) {
+                showNotification(data.message || 'Restore failed', 'error');
+                return;
+            }
+            showNotification('Solution restored', 'success');
+            this.loadTrash();
+        });
+
+        item.querySelector('[data-action="purge"]').addEventListener('click', async () => {
+            if (!confirm(`Permanently delete "${video.title}" and its files? This cannot be undone.`)) return;
+
+            const data = await this.request(`/videos/${video._id}/permanent`, { method: 'DELETE' });
+
+            if (!data.success) {
+                showNotification(data.message || 'Delete failed', 'error');
+                return;
+            }
+            showNotification('Solution permanently deleted', 'success');
+            this.loadTrash();
+        });
+
+        return item;
+    }
+
+    // --- Export ---
+    async downloadExport() {
+        const button = document.getElementById('export-btn');
+        const params = new URLSearchParams({ format: document.getElementById('export-format').value });
+        const filters = {
+            bookTitle: 'export-book',
+            chapter: 'export-chapter',
+            subject: 'export-subject',
+            grade: 'export-grade',
+            difficulty: 'export-difficulty',
+            search: 'export-search'
+        };
+        Object.entries(filters).forEach(([name, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(name, value);
+        });
+
+        button.disabled = true;
+        try {
+            // Fetched rather than linked so the request carries the access token
+            const response = await this.auth.fetch(`${API_BASE_URL}/videos/export?${params}`);
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                showNotification(data.message || 'Export failed', 'error');
+                return;
+            }
+
+            const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName ? fileName[1] : `solutions.${params.get('format')}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification('Export failed. Please try again.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // --- Analytics ---
+    async loadAnalytics() {
+        const from = document.getElementById('analytics-from');
+        const to = document.getElementById('analytics-to');
+
+        // Default to the last 30 days
+        if (!to.value) to.value = new Date().toISOString().slice(0, 10);
+        if (!from.value) from.value = new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        const period = new URLSearchParams({ from: from.value, to: to.value });
+        const scope = document.getElementById('analytics-scope').value;
+        const groupBy = document.getElementById('analytics-group').value;
+        const interval = document.getElementById('analytics-interval').value;
+
+        const [views, top, growth, uploaders] = await Promise.all([
+            this.request(`/analytics/views?${period}`),
+            this.request(`/analytics/top?${period}&scope=${scope}`),
+            this.request(`/analytics/growth?${period}&groupBy=${groupBy}&interval=${interval}`),
+            this.request(`/analytics/uploaders?${period}`)
+        ]);
+
+        const failed = [views, top, growth, uploaders].find(data => !data.success);
+        if (failed) {
+            showNotification(failed.message || 'Failed to load analytics', 'error');
+            return;
+        }
+
+        document.getElementById('analytics-views-total').textContent = `(${views.total.toLocaleString()} views)`;
+        document.getElementById('analytics-views-chart').innerHTML = this.renderLineChart(views.data);
+
+        const topLabels = { video: 'Top solutions', book: 'Top books', chapter: 'Top chapters' };
+        document.getElementById('analytics-top-title').textContent = topLabels[top.scope];
+        document.getElementById('analytics-top-chart').innerHTML = this.renderBarChart(top.data.map(entry => ({
+            label: entry.book ? `${entry.book.title} · ${entry.title}` : entry.title,
+            value: entry.views
+        })));
+
+        document.getElementById('analytics-growth-total').textContent = `(+${growth.added} on ${growth.totalBefore})`;
+        document.getElementById('analytics-growth-chart').innerHTML = this.renderStackedChart(growth.buckets, growth.data);
+
+        document.getElementById('analytics-uploaders').innerHTML = this.renderUploaderTable(uploaders.data);
+    }
+
+    renderLineChart(series) {
+        if (series.every(point => point.views === 0)) return '<p class="no-videos">No views in this period.</p>';
+
+        const width = 640;
+        const height = 200;
+        const pad = { top: 10, right: 10, bottom: 24, left: 40 };
+        const max = Math.max(...series.map(point => point.views));
+        const step = series.length > 1 ? (width - pad.left - pad.right) / (series.length - 1) : 0;
+        const x = index => pad.left + index * step;
+        const y = value => height - pad.bottom - (value / max) * (height - pad.top - pad.bottom);
+
+        const points = series.map((point, index) => `${x(index)},${y(point.views)}`).join(' ');
+        const area = `${x(0)},${y(0)} ${points} ${x(series.length - 1)},${y(0)}`;
+        const first = series[0].date;
+        const last = series[series.length - 1].date;
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Views per day from ${first} to ${last}">
+                <line class="chart-axis" x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}"></line>
+                <text x="${pad.left - 6}" y="${y(max) + 4}" text-anchor="end">${max}</text>
+                <text x="${pad.left - 6}" y="${y(0)}" text-anchor="end">0</text>
+                <polygon class="chart-area" points="${area}"></polygon>
+                <polyline class="chart-line" points="${points}"></polyline>
+                ${series.map((point, index) => `<circle cx="${x(index)}" cy="${y(point.views)}" r="6" fill="transparent"><title>${point.date}: ${point.views} views</title></circle>`).join('')}
+                <text x="${pad.left}" y="${height - 6}">${first}</text>
+                <text x="${width - pad.right}" y="${height - 6}" text-anchor="end">${last}</text>
+            </svg>
+        `;
+    }
+
+    renderBarChart(entries) {
+        if (entries.length === 0) return '<p class="no-videos">No views in this period.</p>';
+
+        const width = 400;
+        const rowHeight = 26;
+        const labelWidth = 160;
+        const max = Math.max(...entries.map(entry => entry.value));
+        const barWidth = value => Math.max(2, (value / max) * (width - labelWidth - 50));
+        const truncate = text => (text.length > 26 ? `${text.slice(0, 25)}…` : text);
+
+        return `
+            <svg viewBox="0 0 ${width} ${entries.length * rowHeight}" role="img" aria-label="Most viewed">
+                ${entries.map((entry, index) => `
+                    <g transform="translate(0, ${index * rowHeight})">
+                        <title>${escapeHtml(entry.label)}: ${entry.value} views</title>
+                        <text x="0" y="17">${escapeHtml(truncate(entry.label))}</text>
+                        <rect class="chart-bar" x="${labelWidth}" y="5" width="${barWidth(entry.value)}" height="16" rx="3"></rect>
+                        <text x="${labelWidth + barWidth(entry.value) + 6}" y="17">${entry.value}</text>
+                    </g>
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    renderStackedChart(buckets, series) {
+        if (series.length === 0) return '<p class="no-videos">No new solutions in this period.</p>';
+
+        const colors = ['#7c3aed', '#2563eb', '#059669', '#d97706', '#dc2626', '#db2777', '#0891b2', '#65a30d'];
+        const width = 400;
+        const height = 200;
+        const pad = { top: 10, bottom: 24, left: 30 };
+        const totals = buckets.map((bucket, index) => series.reduce((sum, group) => sum + group.counts[index], 0));
+        const max = Math.max(...totals);
+        const slot = (width - pad.left) / buckets.length;
+        const scale = value => (value / max) * (height - pad.top - pad.bottom);
+
+        const bars = buckets.map((bucket, index) => {
+            let offset = height - pad.bottom;
+            return series.map((group, groupIndex) => {
+                const count = group.counts[index];
+                if (!count) return '';
+                offset -= scale(count);
+                return `<rect x="${pad.left + index * slot + slot * 0.15}" y="${offset}" width="${slot * 0.7}" height="${scale(count)}" fill="${colors[groupIndex % colors.length]}"><title>${escapeHtml(bucket)} · ${escapeHtml(group.group)}: ${count}</title></rect>`;
+            }).join('');
+        }).join('');
+
+        const legend = series.map((group, groupIndex) =>
+            `<span style="--swatch:${colors[groupIndex % colors.length]}">${escapeHtml(group.group)}</span>`
+        ).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="New solutions per period">
+                <line class="chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width}" y2="${height - pad.bottom}"></line>
+                <text x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${max}</text>
+                ${bars}
+                <text x="${pad.left}" y="${height - 6}">${escapeHtml(buckets[0])}</text>
+                <text x="${width}" y="${height - 6}" text-anchor="end">${escapeHtml(buckets[buckets.length - 1])}</text>
+            </svg>
+            <div class="chart-legend">${legend}</div>
+        `;
+    }
+
+    renderUploaderTable(rows) {
+        if (rows.length === 0) return '<p class="no-videos">No uploader activity in this period.</p>';
+
+        return `
+            <table class="analytics-table">
+                <thead>
+                    <tr><th>Uploader</th><th class="num">Uploads</th><th class="num">Views</th><th class="num">Likes</th><th class="num">Likes / view</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.uploader ? `${escapeHtml(row.uploader.name)} <span class="inbox-item-meta">${escapeHtml(row.uploader.role)}</span>` : '<span class="inbox-item-meta">Unknown</span>'}</td>
+                            <td class="num">${row.uploads}</td>
+                            <td class="num">${row.views.toLocaleString()}</td>
+                            <td class="num">${row.likes}</td>
+                            <td class="num">${(row.likesPerView * 100).toFixed(1)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+}
+
+// Initialize the managers when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const auth = new AuthClient();
+    window.videoManager = new VideoManager(auth);
+    window.playlistBrowser = new PlaylistBrowser(window.videoManager);
+    window.libraryManager = new LibraryManager(window.videoManager);
+    window.accountManager = new AccountManager(auth);
+    window.contactForm = new ContactForm();
+    window.adminPanel = new AdminPanel(auth);
+});
+
+// Make playVideo function globally accessible
+window.playVideo = function(youtubeUrl) {
+    window.open(youtubeUrl, '_blank');
+};
@@ -0,0 +1,213 @@
+/**
+ * Revision Controller
+ * Handles the change history of solutions and reverting to earlier revisions
+ */
+
+const Revision = require('./Revision');
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+const { canActOn } = require('./utils/permissions');
+const { resolveCatalog } = require('./utils/catalog');
+const { serializeVideo } = require('./utils/videoSerializer');
+const { getThumbnailUrl } = require('./utils/youtube');
+
+// Public fields of the uploader included in video responses
+const UPLOADER_FIELDS = 'name username role';
+
+/**
+ * Load a solution (trashed ones included) whose history the current user may see
+ * @returns {Promise<object|null>} - The solution, or null once a response was sent
+ */
+const findEditableVideoOr404 = async (req, res) => {
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      message: 'Video not found'
+    });
+    return null;
+  }
+
+  // Contributors may only see and revert their own uploads
+  if (!canActOn(req.user, 'videos:update', video.uploadedBy)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only edit solutions you uploaded'
+    });
+    return null;
+  }
+
+  return video;
+};
+
+// @desc    Get the change history of a solution, newest first
+// @route   GET /api/videos/:id/revisions
+// @access  Private (admin, editor, contributor for own uploads)
+const getRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await findEditableVideoOr404(req, res);
+    if (!video) return;
+
+    const pageNumber = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const query = { video: video._id };
+
+    const [revisions, totalCount] = await Promise.all([
+      Revision.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('author', 'name username')
+        .lean(),
+      Revision.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching revisions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Bring a solution's details back to how they were after an earlier revision
+// @route   POST /api/videos/:id/revisions/:revisionId/revert
+// @access  Private (admin, editor, contributor for own uploads)
+const revertVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await findEditableVideoOr404(req, res);
+    if (!video) return;
+
+    // Solutions in the trash keep their history but are reverted once restored
+    if (!video.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const revision = await Revision.findOne({ _id: req.params.revisionId, video: video._id }).lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const { snapshot } = revision;
+
+    // Files aren't versioned, so a solution can't go back to a type whose files are gone
+    if (snapshot.type && snapshot.type !== video.type) {
+      return res.status(409).json({
+        success: false,
+        message: `This revision has a different type (${snapshot.type}); upload its files again instead of reverting`
+      });
+    }
+
+    const update = {};
+    Revision.TRACKED_FIELDS
+      .filter(field => !Revision.NON_REVERTIBLE_FIELDS.includes(field))
+      .forEach((field) => {
+        update[field] = snapshot[field] === undefined ? null : snapshot[field];
+      });
+    if (!update.type) delete update.type;
+
+    // The thumbnail follows the YouTube video (updates skip the hook that derives it on save)
+    if (update.youtubeVideoId && update.youtubeVideoId !== video.youtubeVideoId) {
+      update.thumbnailUrl = getThumbnailUrl(update.youtubeVideoId);
+    }
+
+    // The book or chapter may have been renamed or removed since
+    if (snapshot.bookId || snapshot.bookTitle) {
+      Object.assign(update, await resolveCatalog({
+        bookId: snapshot.bookId,
+        chapterId: snapshot.chapterId,
+        bookTitle: snapshot.bookTitle,
+        chapter: snapshot.chapter
+      }, { createdBy: req.user._id }));
+    }
+
+    const before = Revision.takeSnapshot(video);
+    // Matching on isActive keeps a solution moved to the trash meanwhile out of reach
+    const reverted = await Video.findOneAndUpdate({ _id: video._id, isActive: true }, update, { new: true, runValidators: true })
+      .populate('uploadedBy', UPLOADER_FIELDS);
+
+    if (!reverted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    await Revision.record({
+      video: reverted,
+      before,
+      action: 'revert',
+      author: req.user._id,
+      revertedTo: revision._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Video reverted successfully',
+      data: await serializeVideo(reverted)
+    });
+
+  } catch (error) {
+    console.error('Revert video error:', error);
+
+    if (error.code === 'INVALID_CATALOG') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reverting video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  revertVideo
+};
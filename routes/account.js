@@ -0,0 +1,114 @@
+/**
+ * Account Routes
+ * Defines API endpoints for a signed-in user's own account
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getAccount,
+  updateAccount,
+  changePassword,
+  deleteAccount
+} = require('../accountController');
+const {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  getHistory,
+  getContinueWatching,
+  removeHistoryEntry,
+  clearHistory,
+  markCompleted,
+  unmarkCompleted,
+  getProgress
+} = require('../libraryController');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+const {
+  accountUpdateValidationRules,
+  changePasswordValidationRules,
+  deleteAccountValidationRules,
+  validateObjectId,
+  libraryQueryValidationRules,
+  progressQueryValidationRules
+} = require('../middleware/validation');
+
+// Every account route needs a signed-in user
+router.use(protect);
+
+// @route   GET /api/account
+// @desc    Get the signed-in user's account
+// @access  Private
+router.get('/', getAccount);
+
+// @route   PUT /api/account
+// @desc    Update name or email
+// @access  Private
+router.put('/', accountUpdateValidationRules(), updateAccount);
+
+// @route   PUT /api/account/password
+// @desc    Change password
+// @access  Private
+router.put('/password', changePasswordValidationRules(), changePassword);
+
+// @route   DELETE /api/account
+// @desc    Delete the signed-in user's account
+// @access  Private
+router.delete('/', deleteAccountValidationRules(), deleteAccount);
+
+// @route   GET /api/account/bookmarks
+// @desc    Get bookmarked solutions
+// @access  Private
+router.get('/bookmarks', libraryQueryValidationRules(), getBookmarks);
+
+// @route   PUT /api/account/bookmarks/:id
+// @desc    Bookmark a solution (idempotent)
+// @access  Private
+router.put('/bookmarks/:id', validateObjectId(), addBookmark);
+
+// @route   DELETE /api/account/bookmarks/:id
+// @desc    Remove a bookmark (idempotent)
+// @access  Private
+router.delete('/bookmarks/:id', validateObjectId(), removeBookmark);
+
+// @route   GET /api/account/history
+// @desc    Get recently opened solutions
+// @access  Private
+router.get('/history', libraryQueryValidationRules(), getHistory);
+
+// @route   GET /api/account/history/continue
+// @desc    Get the last solution opened in each book
+// @access  Private
+router.get('/history/continue', getContinueWatching);
+
+// @route   DELETE /api/account/history
+// @desc    Clear the history
+// @access  Private
+router.delete('/history', clearHistory);
+
+// @route   DELETE /api/account/history/:id
+// @desc    Remove a solution from the history
+// @access  Private
+router.delete('/history/:id', validateObjectId(), removeHistoryEntry);
+
+// @route   GET /api/account/progress
+// @desc    Get study progress per book and chapter
+// @access  Private
+router.get('/progress', progressQueryValidationRules(), getProgress);
+
+// @route   PUT /api/account/progress/:id
+// @desc    Mark a solution as done (idempotent)
+// @access  Private
+router.put('/progress/:id', validateObjectId(), markCompleted);
+
+// @route   DELETE /api/account/progress/:id
+// @desc    Mark a solution as not done (idempotent)
+// @access  Private
+router.delete('/progress/:id', validateObjectId(), unmarkCompleted);
+
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Analytics Routes
+ * Defines API endpoints for the admin analytics dashboard
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getViewsOverTime,
+  getTopContent,
+  getContentGrowth,
+  getUploaderEngagement
+} = require('../analyticsController');
+
+// Import middleware
+const { protect, requirePermission } = require('../middleware/auth');
+const { analyticsQueryValidationRules } = require('../middleware/validation');
+
+// Every report is admin-only
+router.use(protect, requirePermission('analytics:view'));
+
+// @route   GET /api/analytics/views
+// @desc    Get views per day in a period
+// @access  Private (admin)
+router.get('/views', analyticsQueryValidationRules(), getViewsOverTime);
+
+// @route   GET /api/analytics/top
+// @desc    Get the most viewed solutions, books or chapters in a period
+// @access  Private (admin)
+router.get('/top', analyticsQueryValidationRules(), getTopContent);
+
+// @route   GET /api/analytics/growth
+// @desc    Get new solutions over time by subject or class
+// @access  Private (admin)
+router.get('/growth', analyticsQueryValidationRules(), getContentGrowth);
+
+// @route   GET /api/analytics/uploaders
+// @desc    Get uploads, views and likes per uploader in a period
+// @access  Private (admin)
+router.get('/uploaders', analyticsQueryValidationRules(), getUploaderEngagement);
+
+
+module.exports = router;
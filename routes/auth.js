@@ -0,0 +1,105 @@
+/**
+ * Auth Routes
+ * Defines API endpoints for logging in and managing sessions
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import controllers
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getMe
+} = require('../authController');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+const {
+  loginValidationRules,
+  refreshTokenValidationRules,
+  registerValidationRules,
+  emailValidationRules,
+  emailTokenValidationRules,
+  resetPasswordValidationRules
+} = require('../middleware/validation');
+
+// Stricter rate limiting for credential checks
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 failed attempts per windowMs
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many login attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for endpoints that create accounts or send email
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// @route   POST /api/auth/register
+// @desc    Register a student account
+// @access  Public
+router.post('/register', emailLimiter, registerValidationRules(), register);
+
+// @route   POST /api/auth/login
+// @desc    Log in and receive access/refresh tokens
+// @access  Public
+router.post('/login', loginLimiter, loginValidationRules(), login);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate a refresh token and get a new access token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', refreshTokenValidationRules(), refresh);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke a refresh token
+// @access  Public (requires the refresh token being revoked)
+router.post('/logout', refreshTokenValidationRules(), logout);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address
+// @access  Public (requires the emailed token)
+router.post('/verify-email', emailTokenValidationRules(), verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', emailLimiter, emailValidationRules(), resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, emailValidationRules(), forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with an emailed reset token
+// @access  Public (requires the emailed token)
+router.post('/reset-password', resetPasswordValidationRules(), resetPassword);
+
+// @route   GET /api/auth/me
+// @desc    Get the currently authenticated user
+// @access  Private
+router.get('/me', protect, getMe);
+
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Book Routes
+ * Defines API endpoints for the book and chapter catalog
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getBooks,
+  getBook,
+  createBook,
+  updateBook,
+  deleteBook,
+  getChapters,
+  createChapter,
+  updateChapter,
+  deleteChapter
+} = require('../bookController');
+const { getQuestionSolutions } = require('../videoController');
+
+// Import middleware
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadMiddleware } = require('../middleware/upload');
+const {
+  bookCreateValidationRules,
+  bookUpdateValidationRules,
+  bookQueryValidationRules,
+  validateBookParam,
+  validateChapterId,
+  chapterCreateValidationRules,
+  chapterUpdateValidationRules,
+  questionLookupValidationRules
+} = require('../middleware/validation');
+
+// @route   GET /api/books
+// @desc    Get books with optional search, class and subject filters
+// @access  Public
+router.get('/', bookQueryValidationRules(), getBooks);
+
+// @route   GET /api/books/:book
+// @desc    Get a book (by ID or slug) with its chapters
+// @access  Public
+router.get('/:book', validateBookParam(), getBook);
+
+// @route   POST /api/books
+// @desc    Create a book with an optional cover image
+// @access  Private (admin, editor)
+router.post('/', protect, requirePermission('catalog:manage'), uploadMiddleware, bookCreateValidationRules(), createBook);
+
+// @route   PUT /api/books/:book
+// @desc    Update a book, optionally replacing its cover image
+// @access  Private (admin, editor)
+router.put('/:book', protect, requirePermission('catalog:manage'), validateBookParam(), uploadMiddleware, bookUpdateValidationRules(), updateBook);
+
+// @route   DELETE /api/books/:book
+// @desc    Delete a book without solutions
+// @access  Private (admin, editor)
+router.delete('/:book', protect, requirePermission('catalog:manage'), validateBookParam(), deleteBook);
+
+// @route   GET /api/books/:book/chapters
+// @desc    Get the chapters of a book in order
+// @access  Public
+router.get('/:book/chapters', validateBookParam(), getChapters);
+
+// @route   POST /api/books/:book/chapters
+// @desc    Add a chapter to a book
+// @access  Private (admin, editor)
+router.post('/:book/chapters', protect, requirePermission('catalog:manage'), validateBookParam(), chapterCreateValidationRules(), createChapter);
+
+// @route   PUT /api/books/:book/chapters/:chapterId
+// @desc    Rename or renumber a chapter
+// @access  Private (admin, editor)
+router.put('/:book/chapters/:chapterId', protect, requirePermission('catalog:manage'), validateBookParam(), validateChapterId(), chapterUpdateValidationRules(), updateChapter);
+
+// @route   DELETE /api/books/:book/chapters/:chapterId
+// @desc    Delete a chapter without solutions
+// @access  Private (admin, editor)
+router.delete('/:book/chapters/:chapterId', protect, requirePermission('catalog:manage'), validateBookParam(), validateChapterId(), deleteChapter);
+
+// @route   GET /api/books/:book/chapters/:chapter/questions/:q
+// @desc    Get every solution covering a question (chapter by number or ID; ?exercise= narrows it down)
+// @access  Public
+router.get('/:book/chapters/:chapter/questions/:q', validateBookParam(), questionLookupValidationRules(), getQuestionSolutions);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Comment Routes
+ * Defines API endpoints for editing, upvoting and moderating comments
+ * (listing and posting live under /api/videos/:id/comments)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  updateComment,
+  deleteComment,
+  upvoteComment,
+  removeCommentUpvote,
+  getModerationQueue,
+  moderateComment
+} = require('../commentController');
+
+// Import middleware
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  validateObjectId,
+  commentUpdateValidationRules,
+  commentModerationQueryValidationRules,
+  commentModerationValidationRules
+} = require('../middleware/validation');
+
+const moderateComments = [protect, requirePermission('comments:moderate')];
+
+// @route   GET /api/comments
+// @desc    Get the moderation queue
+// @access  Private (admin, editor)
+router.get('/', moderateComments, commentModerationQueryValidationRules(), getModerationQueue);
+
+// @route   PATCH /api/comments/:id
+// @desc    Edit a comment
+// @access  Private (author)
+router.patch('/:id', protect, validateObjectId(), commentUpdateValidationRules(), updateComment);
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete a comment and, for a thread, its replies
+// @access  Private (author, admin, editor)
+router.delete('/:id', protect, validateObjectId(), deleteComment);
+
+// @route   PUT /api/comments/:id/upvote
+// @desc    Upvote a comment (idempotent per user)
+// @access  Private (signed-in users)
+router.put('/:id/upvote', protect, validateObjectId(), upvoteComment);
+
+// @route   DELETE /api/comments/:id/upvote
+// @desc    Remove an upvote (idempotent per user)
+// @access  Private (signed-in users)
+router.delete('/:id/upvote', protect, validateObjectId(), removeCommentUpvote);
+
+// @route   PATCH /api/comments/:id/moderate
+// @desc    Approve or hide a comment
+// @access  Private (admin, editor)
+router.patch('/:id/moderate', moderateComments, validateObjectId(), commentModerationValidationRules(), moderateComment);
+
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Contact Routes
+ * Defines API endpoints for the Contact Us form and admin inbox
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import controllers
+const {
+  submitContactMessage,
+  getContactMessages,
+  markContactMessageRead,
+  archiveContactMessage,
+  replyToContactMessage
+} = require('../contactController');
+
+// Import middleware
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  validateObjectId,
+  contactValidationRules,
+  contactQueryValidationRules,
+  contactReadValidationRules,
+  contactArchiveValidationRules,
+  contactReplyValidationRules
+} = require('../middleware/validation');
+
+// Rate limiting for public submissions
+const contactLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 messages per windowMs
+  message: {
+    success: false,
+    message: 'Too many messages sent, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const manageContact = [protect, requirePermission('contact:manage')];
+
+// @route   POST /api/contact
+// @desc    Submit a Contact Us message
+// @access  Public
+router.post('/', contactLimiter, contactValidationRules(), submitContactMessage);
+
+// @route   GET /api/contact
+// @desc    Get contact messages for the admin inbox
+// @access  Private (admin)
+router.get('/', manageContact, contactQueryValidationRules(), getContactMessages);
+
+// @route   PATCH /api/contact/:id/read
+// @desc    Mark a message as read or unread
+// @access  Private (admin)
+router.patch('/:id/read', manageContact, validateObjectId(), contactReadValidationRules(), markContactMessageRead);
+
+// @route   PATCH /api/contact/:id/archive
+// @desc    Archive or unarchive a message
+// @access  Private (admin)
+router.patch('/:id/archive', manageContact, validateObjectId(), contactArchiveValidationRules(), archiveContactMessage);
+
+// @route   POST /api/contact/:id/reply
+// @desc    Reply to a message by email
+// @access  Private (admin)
+router.post('/:id/reply', manageContact, validateObjectId(), contactReplyValidationRules(), replyToContactMessage);
+
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Playlist Routes
+ * Defines API endpoints for ordered collections of solutions
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getPlaylists,
+  getPlaylist,
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistItem,
+  reorderPlaylistItems,
+  removePlaylistItem
+} = require('../playlistController');
+
+// Import middleware
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const {
+  playlistCreateValidationRules,
+  playlistUpdateValidationRules,
+  playlistQueryValidationRules,
+  validatePlaylistParam,
+  validatePlaylistItemId,
+  playlistItemValidationRules,
+  playlistOrderValidationRules
+} = require('../middleware/validation');
+
+// @route   GET /api/playlists
+// @desc    Get published playlists
+// @access  Public
+router.get('/', playlistQueryValidationRules(), getPlaylists);
+
+// @route   GET /api/playlists/:playlist
+// @desc    Get a published playlist (by ID or slug) with its solutions in order
+// @access  Public
+router.get('/:playlist', optionalAuth, validatePlaylistParam(), getPlaylist);
+
+// @route   POST /api/playlists
+// @desc    Create a playlist
+// @access  Private (admin)
+router.post('/', protect, requirePermission('playlists:manage'), playlistCreateValidationRules(), createPlaylist);
+
+// @route   PUT /api/playlists/:playlist
+// @desc    Update a playlist's title, description or published flag
+// @access  Private (admin)
+router.put('/:playlist', protect, requirePermission('playlists:manage'), validatePlaylistParam(), playlistUpdateValidationRules(), updatePlaylist);
+
+// @route   DELETE /api/playlists/:playlist
+// @desc    Delete a playlist
+// @access  Private (admin)
+router.delete('/:playlist', protect, requirePermission('playlists:manage'), validatePlaylistParam(), deletePlaylist);
+
+// @route   POST /api/playlists/:playlist/items
+// @desc    Add a solution to a playlist
+// @access  Private (admin)
+router.post('/:playlist/items', protect, requirePermission('playlists:manage'), validatePlaylistParam(), playlistItemValidationRules(), addPlaylistItem);
+
+// @route   PUT /api/playlists/:playlist/items/order
+// @desc    Reorder the items of a playlist
+// @access  Private (admin)
+router.put('/:playlist/items/order', protect, requirePermission('playlists:manage'), validatePlaylistParam(), playlistOrderValidationRules(), reorderPlaylistItems);
+
+// @route   DELETE /api/playlists/:playlist/items/:itemId
+// @desc    Remove an item from a playlist
+// @access  Private (admin)
+router.delete('/:playlist/items/:itemId', protect, requirePermission('playlists:manage'), validatePlaylistParam(), validatePlaylistItemId(), removePlaylistItem);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * Report Routes
+ * Defines API endpoints for triaging mistake reports
+ * (reports are filed under /api/videos/:id/reports)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getReportedVideos,
+  updateReport
+} = require('../feedbackController');
+
+// Import middleware
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  validateObjectId,
+  reportQueryValidationRules,
+  reportUpdateValidationRules
+} = require('../middleware/validation');
+
+// Every triage action needs the reports permission
+router.use(protect, requirePermission('reports:manage'));
+
+// @route   GET /api/reports
+// @desc    Get reported solutions, most reported first
+// @access  Private (admin, editor)
+router.get('/', reportQueryValidationRules(), getReportedVideos);
+
+// @route   PATCH /api/reports/:id
+// @desc    Resolve, dismiss or reopen a report
+// @access  Private (admin, editor)
+router.patch('/:id', validateObjectId(), reportUpdateValidationRules(), updateReport);
+
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Upload Routes
+ * Serves stored media files
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { serveUpload } = require('../mediaController');
+
+// @route   GET /uploads/*
+// @desc    Serve an uploaded file
+// @access  Public (private files need a valid signed URL)
+router.get('/*', serveUpload);
+
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * User Routes
+ * Defines admin API endpoints for managing accounts and roles
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getUsers,
+  createUser,
+  updateUser
+} = require('../userController');
+
+// Import middleware
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  validateObjectId,
+  userQueryValidationRules,
+  userCreateValidationRules,
+  userUpdateValidationRules
+} = require('../middleware/validation');
+
+// Every user management route is admin-only
+router.use(protect, requirePermission('users:manage'));
+
+// @route   GET /api/users
+// @desc    Get all users
+// @access  Private (admin)
+router.get('/', userQueryValidationRules(), getUsers);
+
+// @route   POST /api/users
+// @desc    Create a user with any role
+// @access  Private (admin)
+router.post('/', userCreateValidationRules(), createUser);
+
+// @route   PUT /api/users/:id
+// @desc    Update a user's name, role or active flag
+// @access  Private (admin)
+router.put('/:id', validateObjectId(), userUpdateValidationRules(), updateUser);
+
+
+module.exports = router;
@@ -1,74 +1,236 @@
-/**
- * Video Routes
- * Defines all API endpoints for video operations
- */
-
-const express = require('express');
-const router = express.Router();
-
-// Import controllers
-const {
-  getAllVideos,
-  getVideoById,
-  createVideo,
-  updateVideo,
-  deleteVideo,
-  getUniqueBooks,
-  getChaptersByBook,
-  getVideoStats
-} = require('../videoController');
-
-// Import middleware
-const { uploadMiddleware } = require('../middleware/upload');
-const {
-  videoValidationRules,
-  validateObjectId,
-  queryValidationRules,
-  validateBookTitle
-} = require('../middleware/validation');
-
-// @route   GET /api/videos
-// @desc    Get all videos with filtering and pagination
-// @access  Public
-router.get('/', queryValidationRules(), getAllVideos);
-
-// @route   GET /api/videos/stats
-// @desc    Get video statistics
-// @access  Public
-router.get('/stats', getVideoStats);
-
-// @route   GET /api/videos/metadata/books
-// @desc    Get unique book titles
-// @access  Public
-router.get('/metadata/books', getUniqueBooks);
-
-// @route   GET /api/videos/metadata/chapters/:bookTitle
-// @desc    Get chapters for a specific book
-// @access  Public
-router.get('/metadata/chapters/:bookTitle', validateBookTitle(), getChaptersByBook);
-
-// @route   GET /api/videos/:id
-// @desc    Get single video by ID
-// @access  Public
-router.get('/:id', validateObjectId(), getVideoById);
-
-// @route   POST /api/videos
-// @desc    Create new video
-// @access  Public (should be protected in production)
-router.post('/', uploadMiddleware, videoValidationRules(), createVideo);
-
-// @route   PUT /api/videos/:id
-// @desc    Update video
-// @access  Public (should be protected in production)
-router.put('/:id', validateObjectId(), uploadMiddleware, videoValidationRules(), updateVideo);
-
-// @route   DELETE /api/videos/:id
-// @desc    Delete video (soft delete)
-// @access  Public (should be protected in production)
-router.delete('/:id', validateObjectId(), deleteVideo);
-
-
-module.exports = router;
-
-
-
+/**
+ * Video Routes
+ * Defines all API endpoints for video operations
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import controllers
+const {
+  getAllVideos,
+  suggestVideos,
+  getVideoById,
+  createVideo,
+  updateVideo,
+  updateVideoStatus,
+  deleteVideo,
+  getTrash,
+  restoreVideo,
+  purgeVideo,
+  trackVideoView,
+  likeVideo,
+  unlikeVideo,
+  addVideoPages,
+  reorderVideoPages,
+  replaceVideoPage,
+  deleteVideoPage,
+  getUniqueBooks,
+  getChaptersByBook,
+  getVideoStats
+} = require('../videoController');
+const { getComments, createComment } = require('../commentController');
+const { rateVideo, unrateVideo, reportVideo } = require('../feedbackController');
+const { getRevisions, revertVideo } = require('../revisionController');
+const { importVideos } = require('../importController');
+const { exportVideos } = require('../exportController');
+
+// Import middleware
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { uploadMiddleware } = require('../middleware/upload');
+const {
+  videoValidationRules,
+  validateObjectId,
+  validatePageId,
+  validateRevisionId,
+  videoStatusValidationRules,
+  pageOrderValidationRules,
+  queryValidationRules,
+  suggestValidationRules,
+  validateBookTitle,
+  commentValidationRules,
+  commentQueryValidationRules,
+  ratingValidationRules,
+  reportValidationRules,
+  trashQueryValidationRules,
+  revisionQueryValidationRules,
+  importValidationRules,
+  exportValidationRules
+} = require('../middleware/validation');
+
+// Search-as-you-type sends a request per pause in typing, so it gets its own
+// allowance instead of the general API limit
+const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // limit each IP to 120 requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Comments and mistake reports are limited per IP to keep spam out of the review queues
+const feedbackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 comments or reports per windowMs
+  message: {
+    success: false,
+    message: 'Too many comments or reports sent, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// @route   GET /api/videos
+// @desc    Get all videos with filtering and pagination
+// @access  Public
+router.get('/', optionalAuth, queryValidationRules(), getAllVideos);
+
+// @route   GET /api/videos/suggest
+// @desc    Suggest books, chapters, tags and solutions for a partial search
+// @access  Public
+router.get('/suggest', suggestLimiter, suggestValidationRules(), suggestVideos);
+
+// @route   GET /api/videos/stats
+// @desc    Get video statistics
+// @access  Public
+router.get('/stats', getVideoStats);
+
+// @route   GET /api/videos/trash
+// @desc    Get the solutions in the trash
+// @access  Private (admin)
+router.get('/trash', protect, requirePermission('videos:delete'), trashQueryValidationRules(), getTrash);
+
+// @route   GET /api/videos/export
+// @desc    Download the solutions matching the listing filters as CSV, TSV, JSON or NDJSON
+// @access  Private (admin)
+router.get('/export', protect, requirePermission('catalog:export'), queryValidationRules(), exportValidationRules(), exportVideos);
+
+// @route   GET /api/videos/metadata/books
+// @desc    Get unique book titles
+// @access  Public
+router.get('/metadata/books', getUniqueBooks);
+
+// @route   GET /api/videos/metadata/chapters/:bookTitle
+// @desc    Get chapters for a specific book
+// @access  Public
+router.get('/metadata/chapters/:bookTitle', validateBookTitle(), getChaptersByBook);
+
+// @route   GET /api/videos/:id
+// @desc    Get single video by ID
+// @access  Public
+router.get('/:id', optionalAuth, validateObjectId(), getVideoById);
+
+// @route   POST /api/videos
+// @desc    Create new video
+// @access  Private (admin, editor, contributor)
+router.post('/', protect, requirePermission('videos:create'), uploadMiddleware, videoValidationRules(), createVideo);
+
+// @route   POST /api/videos/import
+// @desc    Import YouTube solutions from CSV or JSON (dryRun reports per-row errors and duplicates)
+// @access  Private (admin, editor, contributor)
+router.post('/import', protect, requirePermission('videos:create'), importValidationRules(), importVideos);
+
+// @route   PUT /api/videos/:id
+// @desc    Update video
+// @access  Private (admin, editor, contributor for own uploads)
+router.put('/:id', protect, requirePermission('videos:update'), validateObjectId(), uploadMiddleware, videoValidationRules(), updateVideo);
+
+// @route   PATCH /api/videos/:id/status
+// @desc    Publish, schedule, unpublish or archive a solution
+// @access  Private (admin, editor, contributor for own uploads)
+router.patch('/:id/status', protect, requirePermission('videos:update'), validateObjectId(), videoStatusValidationRules(), updateVideoStatus);
+
+// @route   DELETE /api/videos/:id
+// @desc    Delete video (soft delete)
+// @access  Private (admin)
+router.delete('/:id', protect, requirePermission('videos:delete'), validateObjectId(), deleteVideo);
+
+// @route   POST /api/videos/:id/restore
+// @desc    Restore a solution from the trash
+// @access  Private (admin)
+router.post('/:id/restore', protect, requirePermission('videos:delete'), validateObjectId(), restoreVideo);
+
+// @route   DELETE /api/videos/:id/permanent
+// @desc    Permanently delete a solution in the trash and its stored files
+// @access  Private (admin)
+router.delete('/:id/permanent', protect, requirePermission('videos:delete'), validateObjectId(), purgeVideo);
+
+// @route   GET /api/videos/:id/revisions
+// @desc    Get the change history of a solution
+// @access  Private (admin, editor, contributor for own uploads)
+router.get('/:id/revisions', protect, requirePermission('videos:update'), validateObjectId(), revisionQueryValidationRules(), getRevisions);
+
+// @route   POST /api/videos/:id/revisions/:revisionId/revert
+// @desc    Revert a solution's details to an earlier revision
+// @access  Private (admin, editor, contributor for own uploads)
+router.post('/:id/revisions/:revisionId/revert', protect, requirePermission('videos:update'), validateObjectId(), validateRevisionId(), revertVideo);
+
+// @route   POST /api/videos/:id/views
+// @desc    Record a view of a solution opened from a list
+// @access  Public
+router.post('/:id/views', optionalAuth, validateObjectId(), trackVideoView);
+
+// @route   PUT /api/videos/:id/like
+// @desc    Like a solution (idempotent per user or device)
+// @access  Public
+router.put('/:id/like', optionalAuth, validateObjectId(), likeVideo);
+
+// @route   DELETE /api/videos/:id/like
+// @desc    Remove a like (idempotent per user or device)
+// @access  Public
+router.delete('/:id/like', optionalAuth, validateObjectId(), unlikeVideo);
+
+// @route   GET /api/videos/:id/comments
+// @desc    Get the doubt threads of a solution
+// @access  Public
+router.get('/:id/comments', optionalAuth, validateObjectId(), commentQueryValidationRules(), getComments);
+
+// @route   POST /api/videos/:id/comments
+// @desc    Ask a doubt or reply in a thread
+// @access  Private (signed-in users)
+router.post('/:id/comments', feedbackLimiter, protect, validateObjectId(), commentValidationRules(), createComment);
+
+// @route   PUT /api/videos/:id/rating
+// @desc    Rate a solution from 1 to 5 stars
+// @access  Private (signed-in users)
+router.put('/:id/rating', protect, validateObjectId(), ratingValidationRules(), rateVideo);
+
+// @route   DELETE /api/videos/:id/rating
+// @desc    Remove your rating of a solution
+// @access  Private (signed-in users)
+router.delete('/:id/rating', protect, validateObjectId(), unrateVideo);
+
+// @route   POST /api/videos/:id/reports
+// @desc    Report a mistake in a solution
+// @access  Private (signed-in users)
+router.post('/:id/reports', feedbackLimiter, protect, validateObjectId(), reportValidationRules(), reportVideo);
+
+// @route   POST /api/videos/:id/pages
+// @desc    Append pages to an image solution
+// @access  Private (admin, editor, contributor for own uploads)
+router.post('/:id/pages', protect, requirePermission('videos:update'), validateObjectId(), uploadMiddleware, addVideoPages);
+
+// @route   PUT /api/videos/:id/pages/order
+// @desc    Reorder the pages of an image solution
+// @access  Private (admin, editor, contributor for own uploads)
+router.put('/:id/pages/order', protect, requirePermission('videos:update'), validateObjectId(), pageOrderValidationRules(), reorderVideoPages);
+
+// @route   PUT /api/videos/:id/pages/:pageId
+// @desc    Replace the image of one page
+// @access  Private (admin, editor, contributor for own uploads)
+router.put('/:id/pages/:pageId', protect, requirePermission('videos:update'), validateObjectId(), validatePageId(), uploadMiddleware, replaceVideoPage);
+
+// @route   DELETE /api/videos/:id/pages/:pageId
+// @desc    Delete one page of an image solution
+// @access  Private (admin, editor, contributor for own uploads)
+router.delete('/:id/pages/:pageId', protect, requirePermission('videos:update'), validateObjectId(), validatePageId(), deleteVideoPage);
+
+
+module.exports = router;
+
+
+
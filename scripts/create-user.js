@@ -0,0 +1,60 @@
+/**
+ * Create User Script
+ * Creates an account from the command line (used to bootstrap the first admin)
+ *
+ * Usage: npm run create-user -- --username admin --email admin@example.com --name "Admin" --password <password> [--role admin]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const User = require('../User');
+const { ROLES } = require('../utils/permissions');
+
+/**
+ * Parse "--key value" pairs from argv
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+    }
+  }
+  return args;
+};
+
+const run = async () => {
+  const { username, email, name, password, role = 'admin' } = parseArgs(process.argv.slice(2));
+
+  if (!username || !email || !password) {
+    console.error('Usage: npm run create-user -- --username <username> --email <email> --password <password> [--name <name>] [--role <role>]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    const user = await User.create({
+      username,
+      email,
+      name: name || username,
+      password,
+      role,
+      emailVerified: true
+    });
+    console.log(`✅ Created ${user.role} "${user.username}" (${user.id})`);
+  } catch (error) {
+    console.error('❌ Could not create user:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,72 @@
+/**
+ * Catalog Migration Script
+ * Files solutions that only have free-text bookTitle/chapter strings under
+ * Book and Chapter records, creating the records as needed. Titles that only
+ * differ in case, punctuation or words like "class" end up in the same book.
+ *
+ * Usage: npm run migrate:catalog [-- --dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Video = require('../Video');
+const Book = require('../Book');
+const Chapter = require('../Chapter');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const groups = await Video.aggregate([
+      { $match: { bookId: null } },
+      { $group: { _id: { bookTitle: '$bookTitle', chapter: '$chapter' }, count: { $sum: 1 } } },
+      { $sort: { '_id.bookTitle': 1, '_id.chapter': 1 } }
+    ]);
+
+    let migrated = 0;
+    for (const { _id: { bookTitle, chapter }, count } of groups) {
+      if (!bookTitle || !chapter) {
+        console.warn(`⚠️  Skipping ${count} solution(s) without a book title or chapter`);
+        continue;
+      }
+
+      if (dryRun) {
+        const existing = await Book.findByTitle(bookTitle);
+        const { number, name } = Chapter.parseLabel(chapter);
+        console.log(`${bookTitle} › ${chapter} (${count}) → ${existing ? existing.title : `new book "${bookTitle}"`}, chapter ${number === null ? '(appended)' : number}${name ? ` "${name}"` : ''}`);
+        continue;
+      }
+
+      const book = await Book.findOrCreateByTitle(bookTitle);
+      const chapterRecord = await Chapter.findOrCreateForBook(book._id, chapter);
+
+      const result = await Video.updateMany(
+        { bookId: null, bookTitle, chapter },
+        {
+          bookId: book._id,
+          chapterId: chapterRecord._id,
+          bookTitle: book.title,
+          chapter: chapterRecord.label
+        }
+      );
+
+      migrated += result.modifiedCount;
+    }
+
+    if (dryRun) {
+      console.log(`ℹ️  Dry run: ${groups.length} book/chapter combination(s) would be migrated`);
+    } else {
+      console.log(`✅ Filed ${migrated} solution(s) under catalog books and chapters`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -0,0 +1,40 @@
+/**
+ * Image Pages Migration Script
+ * Turns legacy single-image solutions into one-page solutions so every page
+ * can be reordered, replaced or deleted through the page routes
+ *
+ * Usage: npm run migrate:image-pages
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Video = require('../Video');
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const cursor = Video.find({
+      type: 'image',
+      fileUrl: { $ne: null },
+      'pages.0': { $exists: false }
+    }).cursor();
+
+    let migrated = 0;
+    for (let video = await cursor.next(); video; video = await cursor.next()) {
+      video.ensurePages();
+      await video.save();
+      migrated += 1;
+    }
+
+    console.log(`✅ Converted ${migrated} image solution(s) to pages`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
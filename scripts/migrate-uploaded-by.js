@@ -0,0 +1,47 @@
+/**
+ * Uploader Migration Script
+ * Converts legacy free-text `uploadedBy` values on videos into a User reference
+ *
+ * Usage: npm run migrate:uploaded-by -- [--username <admin username>]
+ * Without --username the oldest admin account is used.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const User = require('../User');
+const Video = require('../Video');
+
+const run = async () => {
+  const usernameIndex = process.argv.indexOf('--username');
+  const username = usernameIndex > -1 ? process.argv[usernameIndex + 1] : null;
+
+  await connectDB();
+
+  try {
+    const owner = username
+      ? await User.findOne({ username: username.toLowerCase() })
+      : await User.findOne({ role: 'admin' }).sort({ createdAt: 1 });
+
+    if (!owner) {
+      console.error('❌ No matching user found. Create an admin first with `npm run create-user`.');
+      process.exitCode = 1;
+      return;
+    }
+
+    // Go through the raw collection: legacy strings can't be cast to ObjectId by the model
+    const result = await Video.collection.updateMany(
+      { uploadedBy: { $type: 'string' } },
+      { $set: { uploadedBy: owner._id } }
+    );
+
+    console.log(`✅ Assigned ${result.modifiedCount} video(s) to "${owner.username}"`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -1,131 +1,174 @@
-/**
- * Topper's Hike Backend Server
- * Main server entry point for video streaming platform
- * Created for production-ready deployment
- */
-
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const compression = require('compression');
-const rateLimit = require('express-rate-limit');
-const path = require('path');
-require('dotenv').config();
-
-// Import configurations
-const connectDB = require('./database');
-
-// Import routes
-const videoRoutes = require('./routes/videos');
-
-// Initialize Express app
-const app = express();
-
-// Connect to MongoDB
-connectDB();
-
-// Security middleware
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https:"],
-      scriptSrc: ["'self'"],
-      mediaSrc: ["'self'", "https://www.youtube.com", "https://youtube.com"]
-    }
-  }
-}));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use('/api/', limiter);
-
-// CORS configuration
-const corsOptions = {
-  origin: process.env.NODE_ENV === 'production' 
-    ? process.env.FRONTEND_URL 
-    : ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:5500'],
-  credentials: true,
-  optionsSuccessStatus: 200
-};
-app.use(cors(corsOptions));
-
-// Compression middleware
-app.use(compression());
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Serve static files (frontend)
-app.use(express.static(path.join(__dirname, 'public')));
-
-// API Routes
-app.use('/api/videos', videoRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    message: 'Topper\'s Hike API is running',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// Serve frontend for all non-API routes
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err.stack);
-
-  if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(413).json({
-      error: 'File too large',
-      message: 'Please upload a file smaller than 10MB'
-    });
-  }
-
-  res.status(err.status || 500).json({
-    error: process.env.NODE_ENV === 'production' ? 'Internal Server Error' : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-  });
-});
-
-// Handle 404 for API routes
-app.use('/api/*', (req, res) => {
-  res.status(404).json({
-    error: 'API endpoint not found',
-    message: `Route ${req.originalUrl} not found`
-  });
-});
-
-// Start server
-const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Topper's Hike API server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-  });
-});
-
-
-module.exports = app;
+/**
+ * Topper's Hike Backend Server
+ * Main server entry point for video streaming platform
+ * Created for production-ready deployment
+ */
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const rateLimit = require('express-rate-limit');
+const path = require('path');
+require('dotenv').config();
+
+// Import configurations
+const connectDB = require('./database');
+const { getStorage } = require('./utils/storage');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { schedulePublishing } = require('./utils/publishScheduler');
+
+// Import routes
+const videoRoutes = require('./routes/videos');
+const bookRoutes = require('./routes/books');
+const playlistRoutes = require('./routes/playlists');
+const analyticsRoutes = require('./routes/analytics');
+const commentRoutes = require('./routes/comments');
+const reportRoutes = require('./routes/reports');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const accountRoutes = require('./routes/account');
+const contactRoutes = require('./routes/contact');
+const uploadRoutes = require('./routes/uploads');
+
+// Initialize Express app
+const app = express();
+
+// Client IPs (rate limits, anonymous likes, view counting) are read from X-Forwarded-For
+// only through trusted proxies: TRUST_PROXY is a hop count, "true", or a list of
+// addresses and subnets such as "loopback, 10.0.0.0/8"
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim());
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// Connect to MongoDB
+connectDB();
+
+// Security middleware
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      defaultSrc: ["'self'"],
+      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+      fontSrc: ["'self'", "https://fonts.gstatic.com"],
+      imgSrc: ["'self'", "data:", "blob:", "https:", ...getStorage().getOrigins()],
+      scriptSrc: ["'self'"],
+      frameSrc: ["'self'", ...getStorage().getOrigins()], // PDF viewer
+      mediaSrc: ["'self'", "https://www.youtube.com", "https://youtube.com"]
+    }
+  }
+}));
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => req.path === '/videos/suggest', // has its own limiter (routes/videos.js)
+});
+app.use('/api/', limiter);
+
+// CORS configuration
+const corsOptions = {
+  origin: process.env.NODE_ENV === 'production' 
+    ? process.env.FRONTEND_URL 
+    : ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:5500'],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+app.use(cors(corsOptions));
+
+// Compression middleware
+app.use(compression());
+
+// Body parsing middleware
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Serve static files (frontend)
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Serve uploaded media
+app.use('/uploads', uploadRoutes);
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/contact', contactRoutes);
+app.use('/api/videos', videoRoutes);
+app.use('/api/books', bookRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/reports', reportRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    message: 'Topper\'s Hike API is running',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// Serve frontend for all non-API routes
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  console.error('Error:', err.stack);
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      error: 'File too large',
+      message: 'Please upload a file smaller than 10MB'
+    });
+  }
+
+  res.status(err.status || 500).json({
+    error: process.env.NODE_ENV === 'production' ? 'Internal Server Error' : err.message,
+    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+  });
+});
+
+// Handle 404 for API routes
+app.use('/api/*', (req, res) => {
+  res.status(404).json({
+    error: 'API endpoint not found',
+    message: `Route ${req.originalUrl} not found`
+  });
+});
+
+// Start server
+const PORT = process.env.PORT || 3000;
+const server = app.listen(PORT, () => {
+  console.log(`🚀 Topper's Hike API server running on port ${PORT}`);
+  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+});
+
+// Purge solutions that have been in the trash longer than TRASH_RETENTION_DAYS
+scheduleTrashPurge();
+// Put scheduled solutions live when their publish date comes
+schedulePublishing();
+
+// Graceful shutdown
+process.on('SIGTERM', () => {
+  console.log('SIGTERM received, shutting down gracefully');
+  server.close(() => {
+    console.log('Process terminated');
+  });
+});
+
+
+module.exports = app;
@@ -0,0 +1,136 @@
+/**
+ * Refresh token rotation and reuse detection
+ */
+
+const { describe, it, beforeEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, buildUser, mockUsers } = require('./helpers');
+const User = require('../User');
+const RefreshToken = require('../RefreshToken');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+describe('POST /api/auth/refresh', () => {
+  let app;
+  let tokens;
+  let user;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+
+  // Keep refresh tokens in memory instead of MongoDB
+  const mockTokenStore = (t) => {
+    t.mock.method(RefreshToken, 'create', async (fields) => {
+      const record = {
+        revokedAt: null,
+        replacedByHash: null,
+        ...fields,
+        save: async () => record
+      };
+      tokens.push(record);
+      return record;
+    });
+    t.mock.method(RefreshToken, 'findOne', async ({ tokenHash }) => tokens.find(record => record.tokenHash === tokenHash) || null);
+    t.mock.method(RefreshToken, 'findOneAndUpdate', async ({ tokenHash, revokedAt }, update) => {
+      const record = tokens.find(entry => entry.tokenHash === tokenHash && entry.revokedAt === revokedAt);
+      return record ? Object.assign(record, update) : null;
+    });
+    t.mock.method(RefreshToken, 'revokeAllForSubject', async (subject) => {
+      tokens
+        .filter(record => record.subject === String(subject) && !record.revokedAt)
+        .forEach((record) => {
+          record.revokedAt = new Date();
+        });
+    });
+  };
+
+  const issue = async (fields = {}) => {
+    const raw = generateOpaqueToken();
+    await RefreshToken.create({
+      tokenHash: hashToken(raw),
+      subject: String(user._id),
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      ...fields
+    });
+    return raw;
+  };
+
+  const refresh = refreshToken => app.request('/api/auth/refresh', { method: 'POST', body: { refreshToken } });
+
+  beforeEach((t) => {
+    tokens = [];
+    user = buildUser({ role: 'editor' });
+    mockTokenStore(t);
+    mockUsers(t, [user]);
+  });
+
+  it('rotates the refresh token and revokes the one presented', async () => {
+    const original = await issue();
+
+    const res = await refresh(original);
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.notEqual(res.body.data.refreshToken, original);
+    assert.equal(res.body.data.user.role, 'editor');
+
+    const stored = tokens.find(record => record.tokenHash === hashToken(original));
+    assert.ok(stored.revokedAt);
+    assert.equal(stored.replacedByHash, hashToken(res.body.data.refreshToken));
+  });
+
+  it('treats a rotated token presented again as stolen and ends every session', async () => {
+    const original = await issue();
+    const otherDevice = await issue();
+    const rotated = (await refresh(original)).body.data.refreshToken;
+
+    const reuse = await refresh(original);
+
+    assert.equal(reuse.status, 401);
+    assert.equal(reuse.body.message, 'Refresh token has been revoked');
+    assert.ok(tokens.every(record => record.revokedAt), 'every session of the user is revoked');
+    assert.equal((await refresh(rotated)).status, 401);
+    assert.equal((await refresh(otherDevice)).status, 401);
+  });
+
+  it('lets only one of two concurrent requests with the same token through', async (t) => {
+    const original = await issue();
+    // Hold both requests until each has looked up the token
+    const waiting = [];
+    t.mock.method(User, 'findById', () => new Promise((resolve) => {
+      waiting.push(resolve);
+      if (waiting.length === 2) waiting.forEach(release => release(user));
+    }));
+
+    const responses = await Promise.all([refresh(original), refresh(original)]);
+
+    assert.deepEqual(responses.map(res => res.status).sort(), [200, 401]);
+    assert.ok(tokens.every(record => record.revokedAt), 'every session of the user is revoked');
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    const expired = await issue({ expiresAt: new Date(Date.now() - 1000) });
+
+    assert.equal((await refresh(generateOpaqueToken())).status, 401);
+    assert.equal((await refresh(expired)).status, 401);
+  });
+
+  it('revokes the sessions of a deactivated account', async () => {
+    const token = await issue();
+    user.isActive = false;
+
+    const res = await refresh(token);
+
+    assert.equal(res.status, 401);
+    assert.ok(tokens.every(record => record.revokedAt));
+  });
+
+  it('requires a refresh token', async () => {
+    const res = await app.request('/api/auth/refresh', { method: 'POST', body: {} });
+
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Filing solutions in the catalog: books and chapters created on the way
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const Book = require('../Book');
+const Chapter = require('../Chapter');
+const Revision = require('../Revision');
+const videoRoutes = require('../routes/videos');
+
+describe('POST /api/videos', () => {
+  let app;
+  let editor;
+  let created;
+  let deletions;
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  // The catalog is empty: every book and chapter is created
+  beforeEach((t) => {
+    editor = buildUser({ role: 'editor' });
+    mockUsers(t, [editor]);
+
+    created = [];
+    deletions = {};
+    const notFound = () => ({ session: async () => null, sort: () => ({ session: async () => null }) });
+    t.mock.method(Book, 'findByTitle', notFound);
+    t.mock.method(Chapter, 'findOne', notFound);
+    for (const Model of [Book, Chapter]) {
+      t.mock.method(Model.prototype, 'save', async function() {
+        created.push(this);
+        return this;
+      });
+      t.mock.method(Model, 'deleteMany', async (filter) => {
+        deletions[Model.modelName] = filter._id.$in.map(String);
+      });
+    }
+    t.mock.method(Revision, 'record', async () => {});
+  });
+
+  const create = body => app.request('/api/videos', {
+    method: 'POST',
+    headers: authHeader(editor),
+    body: {
+      title: 'Quadratic equations',
+      description: 'Worked solutions for every question',
+      bookTitle: 'Geometry',
+      chapter: 'Chapter 4',
+      type: 'video',
+      youtubeUrl: 'https://youtu.be/aaaaaaaaaaa',
+      ...body
+    }
+  });
+
+  it('checks the YouTube link before creating books and chapters', async () => {
+    const res = await create({ youtubeUrl: undefined });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(created, []);
+  });
+
+  it('removes the books and chapters it created when the solution is not saved', async (t) => {
+    t.mock.method(Video.prototype, 'save', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    const res = await create({});
+
+    assert.equal(res.status, 400);
+    const [book, chapter] = created;
+    assert.deepEqual(deletions[Book.modelName], [String(book._id)]);
+    assert.deepEqual(deletions[Chapter.modelName], [String(chapter._id)]);
+  });
+});
+
+describe('Chapter.findOrCreateForBook', () => {
+  const bookId = new mongoose.Types.ObjectId();
+  let chapters;
+
+  // Chapters of one book in memory, with the unique (book, number) index; stale reads
+  // hide the chapters a concurrent request saves
+  beforeEach((t) => {
+    chapters = [];
+    t.mock.method(Chapter, 'findOne', (filter) => {
+      const visible = chapters.filter(chapter => !chapter.concurrent);
+      const byName = visible.find(chapter => filter.name && filter.name.test(chapter.name)) || null;
+      const last = [...visible].sort((a, b) => b.number - a.number)[0] || null;
+      return { session: async () => byName, sort: () => ({ session: async () => last }) };
+    });
+    t.mock.method(Chapter.prototype, 'save', async function() {
+      if (chapters.some(chapter => chapter.number === this.number)) {
+        chapters.forEach((chapter) => {
+          chapter.concurrent = false;
+        });
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      chapters.push(this);
+      return this;
+    });
+  });
+
+  const saveConcurrently = fields => chapters.push(Object.assign(new Chapter({ book: bookId, ...fields }), { concurrent: true }));
+
+  it('returns the chapter a concurrent request created under the same name', async () => {
+    saveConcurrently({ number: 1, name: 'Answers' });
+
+    const chapter = await Chapter.findOrCreateForBook(bookId, 'Answers');
+
+    assert.equal(chapter.name, 'Answers');
+    assert.equal(chapters.length, 1);
+  });
+
+  it('appends after a chapter a concurrent request added meanwhile', async () => {
+    saveConcurrently({ number: 1, name: 'Revision' });
+
+    const chapter = await Chapter.findOrCreateForBook(bookId, 'Answers');
+
+    assert.equal(chapter.name, 'Answers');
+    assert.equal(chapter.number, 2);
+  });
+});
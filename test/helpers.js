@@ -0,0 +1,104 @@
+/**
+ * Test Helpers
+ * Runs routers on a throwaway HTTP server with the models stubbed, so tests need no database
+ */
+
+process.env.NODE_ENV = 'test';
+
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../User');
+const { signAccessToken } = require('../utils/tokens');
+
+// A model call a test forgot to stub fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+/**
+ * Start an app serving one router
+ * @param {string} mountPath - Path the router is mounted on, e.g. "/api/videos"
+ * @param {object} router - Express router
+ * @returns {Promise<object>} - { request(path, options), close() }
+ */
+const startApp = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(mountPath, router);
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+
+  // Paths are sent as written (no URL parsing), so "/a/../b" reaches the server unchanged
+  const request = (path, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path,
+      method,
+      headers: payload ? { 'Content-Type': 'application/json', ...headers } : headers
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          // Not a JSON response (files, exports)
+        }
+        resolve({ status: res.statusCode, headers: res.headers, text, body: json });
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Build a user document without saving it
+ * @param {object} fields - Fields to override (role defaults to admin)
+ * @returns {object} - User document
+ */
+const buildUser = (fields = {}) => new User({
+  name: 'Test User',
+  username: `user${Math.random().toString(36).slice(2, 8)}`,
+  email: `${Math.random().toString(36).slice(2, 8)}@example.com`,
+  password: 'not-used-in-tests',
+  role: 'admin',
+  isActive: true,
+  ...fields
+});
+
+/**
+ * Let the given users sign in: User.findById resolves them for the rest of the test
+ * @param {object} t - Test context (mocks are restored when it ends)
+ * @param {Array<object>} users - User documents
+ */
+const mockUsers = (t, users) => {
+  t.mock.method(User, 'findById', async id => users.find(user => String(user._id) === String(id)) || null);
+};
+
+/**
+ * Authorization header carrying an access token for a user
+ */
+const authHeader = user => ({ Authorization: `Bearer ${signAccessToken(user.toPrincipal())}` });
+
+module.exports = {
+  startApp,
+  buildUser,
+  mockUsers,
+  authHeader
+};
@@ -0,0 +1,151 @@
+/**
+ * Bulk imports: dry runs create nothing, imports save every row or none of them
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const Book = require('../Book');
+const Chapter = require('../Chapter');
+const Revision = require('../Revision');
+const videoRoutes = require('../routes/videos');
+
+const row = (fields = {}) => ({
+  title: 'Quadratic equations',
+  description: 'Worked solutions for every question',
+  bookTitle: 'Algebra 1',
+  chapter: 'Chapter 4',
+  youtubeUrl: 'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+  ...fields
+});
+
+describe('POST /api/videos/import', () => {
+  let app;
+  let admin;
+  let algebra;
+  let catalogCalls;
+  let saves;
+  let deletions;
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  // "Algebra 1" and one solution exist; other books and their chapters are created on the way
+  beforeEach((t) => {
+    admin = buildUser({ role: 'admin' });
+    mockUsers(t, [admin]);
+
+    algebra = new Book({ title: 'Algebra 1' });
+    catalogCalls = [];
+    saves = [];
+    deletions = {};
+
+    t.mock.method(Video, 'find', () => ({
+      select: () => ({
+        lean: async () => [{ _id: new mongoose.Types.ObjectId(), title: 'Already here', youtubeVideoId: 'ccccccccccc', isActive: true }]
+      })
+    }));
+    t.mock.method(Book, 'findByTitle', title => ({
+      select: async () => (title === algebra.title ? algebra : null)
+    }));
+    t.mock.method(Book, 'findOrCreateByTitle', async (title, fields, options) => {
+      catalogCalls.push(options);
+      if (title === algebra.title) return algebra;
+
+      const book = new Book({ title, ...fields });
+      if (options.created) options.created.push(book);
+      return book;
+    });
+    t.mock.method(Chapter, 'findOrCreateForBook', async (bookId, label, options) => {
+      catalogCalls.push(options);
+      const chapter = new Chapter({ book: bookId, number: 4 });
+      if (bookId !== algebra._id && options.created) options.created.push(chapter);
+      return chapter;
+    });
+    t.mock.method(Video.prototype, 'save', async function(options) {
+      saves.push({ video: this, options });
+      return this;
+    });
+    for (const Model of [Video, Book, Chapter]) {
+      t.mock.method(Model, 'deleteMany', async (filter) => {
+        deletions[Model.modelName] = filter._id.$in.map(String);
+      });
+    }
+    t.mock.method(Revision, 'record', async () => {});
+  });
+
+  // Stand-in for a server session; withTransaction decides whether transactions work
+  const mockSession = (t, withTransaction) => {
+    const session = { withTransaction, endSession: async () => {} };
+    t.mock.method(mongoose, 'startSession', async () => session);
+    return session;
+  };
+
+  const importRows = (rows, fields = {}) => app.request('/api/videos/import', {
+    method: 'POST',
+    headers: authHeader(admin),
+    body: { rows, ...fields }
+  });
+
+  it('reports what would happen on a dry run without creating anything', async () => {
+    const res = await importRows([
+      row({ bookTitle: 'Geometry' }),
+      row({ youtubeUrl: 'https://youtu.be/bbbbbbbbbbb' }),
+      row({ title: 'x', youtubeUrl: 'https://youtu.be/ddddddddddd' }),
+      row({ youtubeUrl: 'https://youtu.be/ccccccccccc' }),
+      row({ bookTitle: 'Geometry' })
+    ], { dryRun: true });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { total: 5, valid: 2, created: 0, invalid: 1, duplicates: 2 });
+    assert.deepEqual(res.body.rows.map(result => result.status), ['valid', 'valid', 'invalid', 'duplicate', 'duplicate']);
+    assert.deepEqual(res.body.rows[0].warnings, ['A new book "Geometry" will be created']);
+    assert.equal(res.body.rows[3].duplicateOf.title, 'Already here');
+    assert.deepEqual(res.body.rows[4].duplicateOf, { line: 1 });
+    assert.deepEqual(catalogCalls, []);
+    assert.deepEqual(saves, []);
+  });
+
+  it('files and saves the valid rows in one transaction', async (t) => {
+    const session = mockSession(t, async fn => fn());
+
+    const res = await importRows([
+      row({ bookTitle: 'Geometry' }),
+      row({ youtubeUrl: 'https://youtu.be/bbbbbbbbbbb' }),
+      row({ title: 'x', youtubeUrl: 'https://youtu.be/ddddddddddd' })
+    ]);
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.summary, { total: 3, valid: 2, created: 2, invalid: 1, duplicates: 0 });
+    assert.equal(catalogCalls.length, 4);
+    assert.ok(catalogCalls.every(options => options.session === session));
+    assert.ok(saves.every(({ options }) => options.session === session));
+    assert.deepEqual(saves.map(({ video }) => video.bookTitle), ['Geometry', 'Algebra 1']);
+  });
+
+  it('removes the solutions, books and chapters it created when a row fails without transactions', async (t) => {
+    mockSession(t, async () => {
+      throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 });
+    });
+    t.mock.method(Video.prototype, 'save', async function() {
+      if (saves.length > 0) throw new Error('Write failed');
+      saves.push({ video: this });
+      return this;
+    });
+
+    const res = await importRows([
+      row({ bookTitle: 'Geometry' }),
+      row({ youtubeUrl: 'https://youtu.be/bbbbbbbbbbb' })
+    ]);
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(deletions[Video.modelName], [String(saves[0].video._id)]);
+    assert.deepEqual(deletions[Book.modelName], [String(saves[0].video.bookId)]);
+    assert.deepEqual(deletions[Chapter.modelName], [String(saves[0].video.chapterId)]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Like deduplication for signed-in users and anonymous devices
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const Like = require('../Like');
+const videoRoutes = require('../routes/videos');
+
+const deviceId = () => `device-${new mongoose.Types.ObjectId()}`;
+
+// Anonymous likes of one solution allowed per network and hour
+process.env.ANONYMOUS_LIKES_PER_NETWORK = '3';
+
+describe('PUT /api/videos/:id/like', () => {
+  let app;
+  let likes;
+  let likeCount;
+  const videoId = String(new mongoose.Types.ObjectId());
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  // Likes in memory, with the unique indexes of the Like model
+  beforeEach((t) => {
+    likes = [];
+    likeCount = 0;
+    const sameLiker = (a, b) => String(a.video) === String(b.video) && (
+      (a.user && String(a.user) === String(b.user)) ||
+      (a.deviceHash && a.deviceHash === b.deviceHash)
+    );
+
+    t.mock.method(Video, 'findOne', () => ({ select: async () => ({ _id: videoId }) }));
+    t.mock.method(Video, 'findById', () => ({ select: async () => ({ likes: likeCount }) }));
+    t.mock.method(Video, 'updateOne', async (filter, update) => {
+      likeCount += update.$inc.likes;
+    });
+    t.mock.method(Like, 'create', async (fields) => {
+      if (likes.some(like => sameLiker(like, fields))) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      likes.push(fields);
+      return fields;
+    });
+    t.mock.method(Like, 'exists', async conditions => likes.some(like => Object.entries(conditions)
+      .every(([key, value]) => String(like[key]) === String(value))));
+    t.mock.method(Like, 'countFromNetwork', async (video, networkHash) => likes
+      .filter(like => String(like.video) === String(video) && like.networkHash === networkHash).length);
+  });
+
+  const like = headers => app.request(`/api/videos/${videoId}/like`, { method: 'PUT', headers });
+
+  it('counts a device once however often it likes', async () => {
+    const headers = { 'X-Device-Id': deviceId() };
+
+    assert.equal((await like(headers)).status, 200);
+    const again = await like(headers);
+
+    assert.equal(again.status, 200);
+    assert.deepEqual(again.body.data, { liked: true, likes: 1 });
+  });
+
+  it('counts other devices on the same network up to the network limit', async () => {
+    const devices = [deviceId(), deviceId(), deviceId()];
+    for (const device of devices) {
+      assert.equal((await like({ 'X-Device-Id': device })).status, 200);
+    }
+
+    const res = await like({ 'X-Device-Id': deviceId() });
+
+    assert.equal(res.status, 429);
+    assert.equal(likeCount, 3);
+    assert.equal((await like({ 'X-Device-Id': devices[0] })).status, 200, 'liking again still answers');
+  });
+
+  it('counts signed-in users by account', async (t) => {
+    const users = [buildUser({ role: 'student' }), buildUser({ role: 'student' })];
+    mockUsers(t, users);
+    await like({ 'X-Device-Id': deviceId() });
+
+    for (const user of users) {
+      assert.equal((await like(authHeader(user))).status, 200);
+    }
+
+    assert.equal(likeCount, 3);
+  });
+
+  it('needs an account or a device ID', async () => {
+    assert.equal((await like({})).status, 400);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Serving public, private and signed media from local storage
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The storage driver reads its settings once, before the first request
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+const { startApp } = require('./helpers');
+const { signPath } = require('../utils/storage/signing');
+const uploadRoutes = require('../routes/uploads');
+
+const writeFile = (key, contents) => {
+  const filePath = path.join(uploadsDir, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+};
+
+describe('GET /uploads/*', () => {
+  let app;
+
+  before(async () => {
+    writeFile('images/public.txt', 'public file');
+    writeFile('private/images/secret.txt', 'private file');
+    app = await startApp('/uploads', uploadRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  it('serves public files with long-lived caching', async () => {
+    const res = await app.request('/uploads/images/public.txt');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.text, 'public file');
+    assert.match(res.headers['cache-control'], /immutable/);
+  });
+
+  it('refuses private files without a signature', async () => {
+    const res = await app.request('/uploads/private/images/secret.txt');
+
+    assert.equal(res.status, 403);
+  });
+
+  it('serves private files through a signed URL without caching', async () => {
+    const res = await app.request(signPath('/uploads/private/images/secret.txt', 60));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.text, 'private file');
+    assert.equal(res.headers['cache-control'], 'private, no-store');
+  });
+
+  it('refuses expired signatures and signatures of other files', async () => {
+    const expired = signPath('/uploads/private/images/secret.txt', -10);
+    const otherFile = signPath('/uploads/private/images/other.txt', 60).replace('other.txt', 'secret.txt');
+
+    assert.equal((await app.request(expired)).status, 403);
+    assert.equal((await app.request(otherFile)).status, 403);
+  });
+
+  it('refuses paths that step into the private folder', async () => {
+    const paths = [
+      '/uploads/images/../private/images/secret.txt',
+      '/uploads/images/%2e%2e/private/images/secret.txt',
+      '/uploads/images/%2E%2E%2Fprivate%2Fimages%2Fsecret.txt',
+      '/uploads/./private/images/secret.txt',
+      '/uploads/images//../private/images/secret.txt'
+    ];
+
+    for (const requestPath of paths) {
+      const res = await app.request(requestPath);
+      assert.equal(res.status, 400, requestPath);
+      assert.doesNotMatch(res.text, /private file/, requestPath);
+    }
+  });
+
+  it('does not let a signature of a public path unlock a private file', async () => {
+    const res = await app.request(signPath('/uploads/images/%2e%2e/private/images/secret.txt', 60));
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('Signed URLs', () => {
+  it('refuse to sign without a configured secret outside development', (t) => {
+    const env = { ...process.env };
+    t.after(() => {
+      process.env = env;
+    });
+    delete process.env.STORAGE_SIGNING_SECRET;
+    delete process.env.JWT_SECRET;
+
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => signPath('/uploads/private/images/secret.txt', 60), /must be set/);
+
+    process.env.NODE_ENV = 'test';
+    assert.doesNotThrow(() => signPath('/uploads/private/images/secret.txt', 60));
+  });
+});
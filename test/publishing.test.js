@@ -0,0 +1,119 @@
+/**
+ * Publishing: the status only changes through PATCH /api/videos/:id/status
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const Revision = require('../Revision');
+const videoRoutes = require('../routes/videos');
+
+describe('Publishing', () => {
+  let app;
+  let editor;
+  let contributor;
+  let video;
+  let updates;
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach((t) => {
+    editor = buildUser({ role: 'editor' });
+    contributor = buildUser({ role: 'contributor' });
+    mockUsers(t, [editor, contributor]);
+
+    video = new Video({
+      title: 'Quadratic equations',
+      bookTitle: 'Algebra 1',
+      chapter: 'Chapter 4',
+      type: 'image',
+      uploadedBy: editor._id,
+      status: 'draft'
+    });
+
+    updates = [];
+    const select = async () => video;
+    t.mock.method(Video, 'findById', () => ({ select }));
+    t.mock.method(Video, 'findOne', () => ({ select }));
+    const update = (id, fields) => {
+      updates.push(fields);
+      Object.assign(video, fields);
+      return { populate: async () => video };
+    };
+    t.mock.method(Video, 'findByIdAndUpdate', update);
+    t.mock.method(Video, 'findOneAndUpdate', update);
+    t.mock.method(Revision, 'record', async () => {});
+  });
+
+  it('does not change the status through PUT /api/videos/:id', async () => {
+    const res = await app.request(`/api/videos/${video._id}`, {
+      method: 'PUT',
+      headers: authHeader(editor),
+      body: {
+        title: video.title,
+        description: 'Worked solutions for every question',
+        bookTitle: video.bookTitle,
+        chapter: video.chapter,
+        type: video.type,
+        status: 'published'
+      }
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /PATCH \/api\/videos\/:id\/status/);
+    assert.deepEqual(updates, []);
+  });
+
+  it('publishes through PATCH /api/videos/:id/status', async () => {
+    const res = await app.request(`/api/videos/${video._id}/status`, {
+      method: 'PATCH',
+      headers: authHeader(editor),
+      body: { status: 'published' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].status, 'published');
+    assert.ok(updates[0].publishedAt instanceof Date);
+  });
+
+  it('does not change the status when reverting to an earlier revision', async (t) => {
+    Object.assign(video, { status: 'published', publishedAt: new Date() });
+    const revision = {
+      _id: new mongoose.Types.ObjectId(),
+      video: video._id,
+      snapshot: { title: 'Quadratic equations (draft)', type: 'image', status: 'draft', publishedAt: null }
+    };
+    t.mock.method(Video, 'findById', async () => video);
+    t.mock.method(Revision, 'findOne', () => ({ lean: async () => revision }));
+
+    const res = await app.request(`/api/videos/${video._id}/revisions/${revision._id}/revert`, {
+      method: 'POST',
+      headers: authHeader(editor)
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].title, 'Quadratic equations (draft)');
+    assert.equal('status' in updates[0], false);
+    assert.equal('publishedAt' in updates[0], false);
+    assert.equal(video.status, 'published');
+  });
+
+  it('lets contributors publish only their own uploads', async () => {
+    const res = await app.request(`/api/videos/${video._id}/status`, {
+      method: 'PATCH',
+      headers: authHeader(contributor),
+      body: { status: 'published' }
+    });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(updates, []);
+  });
+});
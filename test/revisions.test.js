@@ -0,0 +1,81 @@
+/**
+ * Reverting a solution to an earlier revision
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const Revision = require('../Revision');
+const videoRoutes = require('../routes/videos');
+
+describe('POST /api/videos/:id/revisions/:revisionId/revert', () => {
+  let app;
+  let editor;
+  let video;
+  let updates;
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach((t) => {
+    editor = buildUser({ role: 'editor' });
+    mockUsers(t, [editor]);
+
+    video = new Video({
+      title: 'Quadratic equations',
+      type: 'video',
+      youtubeUrl: 'https://youtu.be/bbbbbbbbbbb',
+      youtubeVideoId: 'bbbbbbbbbbb',
+      thumbnailUrl: 'https://img.youtube.com/vi/bbbbbbbbbbb/maxresdefault.jpg',
+      uploadedBy: editor._id
+    });
+
+    updates = [];
+    t.mock.method(Video, 'findById', async () => video);
+    t.mock.method(Video, 'findOneAndUpdate', (filter, update) => {
+      updates.push(update);
+      return { populate: async () => Object.assign(video, update) };
+    });
+    t.mock.method(Revision, 'record', async () => {});
+  });
+
+  const revertTo = (snapshot, t) => {
+    const revision = { _id: new mongoose.Types.ObjectId(), video: video._id, snapshot };
+    t.mock.method(Revision, 'findOne', () => ({ lean: async () => revision }));
+
+    return app.request(`/api/videos/${video._id}/revisions/${revision._id}/revert`, {
+      method: 'POST',
+      headers: authHeader(editor)
+    });
+  };
+
+  it('brings back the thumbnail of an earlier YouTube video', async (t) => {
+    const res = await revertTo({
+      title: 'Quadratic equations',
+      type: 'video',
+      youtubeUrl: 'https://youtu.be/aaaaaaaaaaa',
+      youtubeVideoId: 'aaaaaaaaaaa'
+    }, t);
+
+    assert.equal(res.status, 200);
+    assert.equal(updates[0].youtubeVideoId, 'aaaaaaaaaaa');
+    assert.equal(updates[0].thumbnailUrl, 'https://img.youtube.com/vi/aaaaaaaaaaa/maxresdefault.jpg');
+  });
+
+  it('keeps the thumbnail when the YouTube video is the same', async (t) => {
+    const res = await revertTo({
+      title: 'Quadratic equations (draft)',
+      type: 'video',
+      youtubeUrl: video.youtubeUrl,
+      youtubeVideoId: video.youtubeVideoId
+    }, t);
+
+    assert.equal(res.status, 200);
+    assert.equal('thumbnailUrl' in updates[0], false);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Trash: edits can't reach the trash state, restoring and purging are for admins only
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const Revision = require('../Revision');
+const Book = require('../Book');
+const Chapter = require('../Chapter');
+const Like = require('../Like');
+const Rating = require('../Rating');
+const Report = require('../Report');
+const Comment = require('../Comment');
+const Bookmark = require('../Bookmark');
+const WatchHistory = require('../WatchHistory');
+const Completion = require('../Completion');
+const ViewEvent = require('../ViewEvent');
+const DailyStat = require('../DailyStat');
+const Playlist = require('../Playlist');
+const videoRoutes = require('../routes/videos');
+
+// Records that refer to a solution and go with it when it is purged
+const DEPENDENT_MODELS = [Like, Rating, Report, Revision, Comment, Bookmark, WatchHistory, Completion, ViewEvent, DailyStat];
+
+describe('Trash', () => {
+  let app;
+  let admin;
+  let editor;
+  let video;
+  let revisions;
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach((t) => {
+    admin = buildUser({ role: 'admin' });
+    editor = buildUser({ role: 'editor' });
+    mockUsers(t, [admin, editor]);
+
+    video = new Video({
+      title: 'Quadratic equations',
+      bookTitle: 'Algebra 1',
+      chapter: 'Chapter 4',
+      type: 'image',
+      uploadedBy: admin._id,
+      ratingAverage: 4.5,
+      ratingCount: 2
+    });
+
+    revisions = [];
+    t.mock.method(Revision, 'record', async (options) => {
+      revisions.push(options);
+    });
+  });
+
+  const trash = () => Object.assign(video, { isActive: false, deletedAt: new Date(), deletedBy: admin._id });
+
+  describe('PUT /api/videos/:id', () => {
+    let updates;
+
+    beforeEach((t) => {
+      updates = [];
+      const book = new Book({ title: 'Algebra 1' });
+      t.mock.method(Book, 'findOrCreateByTitle', async () => book);
+      t.mock.method(Chapter, 'findOrCreateForBook', async () => new Chapter({ book: book._id, number: 4 }));
+      t.mock.method(Video, 'findById', () => ({ select: async () => video }));
+      t.mock.method(Video, 'findOneAndUpdate', (filter, update) => {
+        updates.push({ filter, update });
+        return { populate: async () => video };
+      });
+    });
+
+    const update = (user, body) => app.request(`/api/videos/${video._id}`, {
+      method: 'PUT',
+      headers: authHeader(user),
+      body: {
+        title: video.title,
+        description: 'Worked solutions for every question',
+        bookTitle: video.bookTitle,
+        chapter: video.chapter,
+        type: video.type,
+        ...body
+      }
+    });
+
+    it('only writes the editable fields', async () => {
+      const res = await update(editor, {
+        title: 'Quadratic equations (revised)',
+        isActive: false,
+        deletedAt: new Date().toISOString(),
+        deletedBy: String(editor._id),
+        ratingAverage: 5,
+        ratingCount: 1000,
+        views: 1000,
+        uploadedBy: String(editor._id)
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(updates.length, 1);
+      assert.deepEqual(updates[0].filter, { _id: String(video._id), isActive: true });
+      assert.deepEqual(
+        Object.keys(updates[0].update).sort(),
+        ['bookId', 'bookTitle', 'chapter', 'chapterId', 'description', 'title', 'type']
+      );
+      assert.equal(updates[0].update.title, 'Quadratic equations (revised)');
+    });
+
+    it('does not edit a solution in the trash', async () => {
+      trash();
+
+      const res = await update(editor, { title: 'Edited in the trash', isActive: true });
+
+      assert.equal(res.status, 404);
+      assert.equal(updates.length, 0);
+    });
+  });
+
+  describe('POST /api/videos/:id/revisions/:revisionId/revert', () => {
+    let updates;
+    let revision;
+
+    beforeEach((t) => {
+      updates = [];
+      revision = { _id: video._id, video: video._id, snapshot: { title: 'Quadratic equations (draft)', type: 'image' } };
+      t.mock.method(Video, 'findById', async () => video);
+      t.mock.method(Revision, 'findOne', () => ({ lean: async () => revision }));
+      t.mock.method(Video, 'findOneAndUpdate', (filter, update) => {
+        updates.push({ filter, update });
+        return { populate: async () => video };
+      });
+    });
+
+    const revert = user => app.request(`/api/videos/${video._id}/revisions/${revision._id}/revert`, {
+      method: 'POST',
+      headers: authHeader(user)
+    });
+
+    it('only reverts solutions that are not in the trash', async () => {
+      assert.equal((await revert(editor)).status, 200);
+      assert.deepEqual(updates[0].filter, { _id: video._id, isActive: true });
+
+      trash();
+      updates = [];
+
+      assert.equal((await revert(editor)).status, 404);
+      assert.deepEqual(updates, []);
+    });
+  });
+
+  describe('POST /api/videos/:id/restore', () => {
+    let restored;
+
+    beforeEach((t) => {
+      restored = [];
+      t.mock.method(Video, 'findOneAndUpdate', (filter, update) => {
+        const match = String(filter._id) === String(video._id) && video.isActive === filter.isActive;
+        if (match) {
+          Object.assign(video, update);
+          restored.push(String(video._id));
+        }
+        return { populate: async () => (match ? video : null) };
+      });
+      t.mock.method(Video, 'exists', async () => ({ _id: video._id }));
+    });
+
+    const restore = user => app.request(`/api/videos/${video._id}/restore`, { method: 'POST', headers: authHeader(user) });
+
+    it('brings a solution back from the trash and records it', async () => {
+      trash();
+
+      const res = await restore(admin);
+
+      assert.equal(res.status, 200);
+      assert.equal(video.isActive, true);
+      assert.equal(video.deletedAt, null);
+      assert.equal(video.deletedBy, null);
+      assert.equal(revisions.length, 1);
+      assert.equal(revisions[0].action, 'restore');
+      assert.equal(revisions[0].before.isActive, false);
+    });
+
+    it('refuses a solution that is not in the trash', async () => {
+      const res = await restore(admin);
+
+      assert.equal(res.status, 409);
+      assert.equal(revisions.length, 0);
+    });
+
+    it('is for admins only', async () => {
+      trash();
+
+      const res = await restore(editor);
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(restored, []);
+    });
+  });
+
+  describe('DELETE /api/videos/:id/permanent', () => {
+    let deleted;
+
+    beforeEach((t) => {
+      deleted = [];
+      t.mock.method(Video, 'findById', async () => video);
+      t.mock.method(Video, 'findOneAndDelete', async (filter) => {
+        if (String(filter._id) !== String(video._id) || video.isActive !== filter.isActive) return null;
+        deleted.push({ model: Video.modelName, filter });
+        return video;
+      });
+      for (const Model of DEPENDENT_MODELS) {
+        t.mock.method(Model, 'deleteMany', async (filter) => {
+          deleted.push({ model: Model.modelName, filter });
+          return { deletedCount: 1 };
+        });
+      }
+      t.mock.method(Playlist, 'updateMany', async (filter) => {
+        deleted.push({ model: Playlist.modelName, filter });
+      });
+    });
+
+    const purge = user => app.request(`/api/videos/${video._id}/permanent`, { method: 'DELETE', headers: authHeader(user) });
+
+    it('deletes a trashed solution with everything that refers to it', async () => {
+      trash();
+
+      const res = await purge(admin);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        deleted.map(entry => entry.model).sort(),
+        [...DEPENDENT_MODELS, Playlist, Video].map(Model => Model.modelName).sort()
+      );
+      const videoDeletion = deleted.find(entry => entry.model === Video.modelName);
+      assert.deepEqual(videoDeletion.filter, { _id: video._id, isActive: false });
+    });
+
+    it('keeps a solution restored after it was checked', async (t) => {
+      t.mock.method(Video, 'findById', async () => ({ _id: video._id, isActive: false }));
+
+      const res = await purge(admin);
+
+      assert.equal(res.status, 409);
+      assert.deepEqual(deleted, []);
+    });
+
+    it('refuses a solution that is not in the trash', async () => {
+      const res = await purge(admin);
+
+      assert.equal(res.status, 409);
+      assert.deepEqual(deleted, []);
+    });
+
+    it('is for admins only', async () => {
+      trash();
+
+      const res = await purge(editor);
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(deleted, []);
+    });
+  });
+});
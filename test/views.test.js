@@ -0,0 +1,81 @@
+/**
+ * View counting: once per viewer and window, bots and staff left out
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startApp, buildUser, mockUsers, authHeader } = require('./helpers');
+const Video = require('../Video');
+const ViewEvent = require('../ViewEvent');
+const DailyStat = require('../DailyStat');
+const WatchHistory = require('../WatchHistory');
+const videoRoutes = require('../routes/videos');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0';
+
+describe('POST /api/videos/:id/views', () => {
+  let app;
+  let events;
+  let views;
+  const videoId = String(new mongoose.Types.ObjectId());
+
+  before(async () => {
+    app = await startApp('/api/videos', videoRoutes);
+  });
+
+  after(() => app.close());
+
+  // View events in memory, with the unique (video, viewer, window) index
+  beforeEach((t) => {
+    events = [];
+    views = 0;
+
+    t.mock.method(Video, 'findOne', () => ({ select: async () => ({ _id: videoId, bookId: null, chapterId: null }) }));
+    t.mock.method(Video, 'updateOne', async () => {
+      views += 1;
+    });
+    t.mock.method(DailyStat, 'recordView', async () => {});
+    t.mock.method(WatchHistory, 'record', async () => {});
+    t.mock.method(ViewEvent, 'create', async (fields) => {
+      if (events.some(event => event.viewerHash === fields.viewerHash && event.bucket === fields.bucket)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      events.push(fields);
+      return fields;
+    });
+  });
+
+  const view = headers => app.request(`/api/videos/${videoId}/views`, { method: 'POST', headers: { 'User-Agent': BROWSER, ...headers } });
+
+  it('counts an anonymous viewer once per window even with a new device ID each time', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      await view({ 'X-Device-Id': `device-${new mongoose.Types.ObjectId()}` });
+    }
+
+    assert.equal(views, 1);
+  });
+
+  it('counts signed-in viewers by account', async (t) => {
+    const students = [buildUser({ role: 'student' }), buildUser({ role: 'student' })];
+    mockUsers(t, students);
+
+    for (const student of students) {
+      const res = await view(authHeader(student));
+      assert.deepEqual(res.body.data, { counted: true });
+    }
+    await view(authHeader(students[0]));
+
+    assert.equal(views, 2);
+  });
+
+  it('leaves out bots and staff', async (t) => {
+    const editor = buildUser({ role: 'editor' });
+    mockUsers(t, [editor]);
+
+    await view({ 'User-Agent': 'Googlebot/2.1' });
+    await view(authHeader(editor));
+
+    assert.equal(views, 0);
+  });
+});
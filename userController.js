@@ -0,0 +1,178 @@
+/**
+ * User Controller
+ * Handles admin management of user accounts and roles
+ */
+
+const User = require('./User');
+const RefreshToken = require('./RefreshToken');
+const { validationResult } = require('express-validator');
+
+// @desc    Get all users with optional role filter
+// @route   GET /api/users
+// @access  Private (admin)
+const getUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 50);
+
+    const [users, totalCount] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalCount / pageSize),
+        totalCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create a user with any role
+// @route   POST /api/users
+// @access  Private (admin)
+const createUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, username, email, password, role } = req.body;
+
+    // Accounts created by an admin don't go through email verification
+    const user = await User.create({ name, username, email, password, role, emailVerified: true });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Create user error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with that username or email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update a user's name, role or active flag
+// @route   PUT /api/users/:id
+// @access  Private (admin)
+const updateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { name, role, isActive } = req.body;
+
+    // Keep admins from locking themselves out
+    if (id === req.user.id && ((role && role !== 'admin') || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote or deactivate your own account'
+      });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (role !== undefined) updateData.role = role;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const user = await User.findByIdAndUpdate(id, updateData, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // End existing sessions of deactivated accounts
+    if (isActive === false) {
+      await RefreshToken.revokeAllForSubject(user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  createUser,
+  updateUser
+};
@@ -0,0 +1,73 @@
+/**
+ * Catalog Utilities
+ * Resolves the book and chapter records a solution is filed under
+ */
+
+const Book = require('../Book');
+const Chapter = require('../Chapter');
+
+const catalogError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CATALOG';
+  return error;
+};
+
+/**
+ * Resolve the book and chapter of a solution
+ *
+ * IDs take precedence over free text. Free-text titles are matched against
+ * existing books (ignoring case, punctuation and words like "class") and
+ * created when missing, so clients that only send strings still file
+ * solutions in the catalog.
+ *
+ * @param {object} input - { bookId, chapterId, bookTitle, chapter }
+ * @param {object} options - { createdBy } for books created on the way, the { session } to work in
+ *                           and a { created } array that collects the books and chapters created
+ * @returns {Promise<object>} - { bookId, chapterId, bookTitle, chapter } with the strings taken from the records
+ */
+const resolveCatalog = async ({ bookId, chapterId, bookTitle, chapter }, { createdBy = null, session = null, created = null } = {}) => {
+  if (!bookId && !bookTitle) throw catalogError('Book is required');
+
+  const book = bookId
+    ? await Book.findById(bookId).session(session)
+    : await Book.findOrCreateByTitle(bookTitle, { createdBy }, { session, created });
+
+  if (!book) throw catalogError('Book not found');
+
+  let chapterRecord;
+  if (chapterId) {
+    chapterRecord = await Chapter.findOne({ _id: chapterId, book: book._id }).session(session);
+    if (!chapterRecord) throw catalogError('Chapter not found in this book');
+  } else {
+    if (!chapter) throw catalogError('Chapter is required');
+    chapterRecord = await Chapter.findOrCreateForBook(book._id, chapter, { session, created });
+  }
+
+  return {
+    bookId: book._id,
+    chapterId: chapterRecord._id,
+    bookTitle: book.title,
+    chapter: chapterRecord.label
+  };
+};
+
+/**
+ * Delete the books and chapters resolveCatalog created for a solution that couldn't be saved
+ * @param {Array} created - Records collected through the created option of resolveCatalog
+ */
+const removeCreatedCatalog = async (created) => {
+  if (created.length === 0) return;
+
+  const idsOf = Model => created.filter(record => record instanceof Model).map(record => record._id);
+  try {
+    await Chapter.deleteMany({ _id: { $in: idsOf(Chapter) } });
+    await Book.deleteMany({ _id: { $in: idsOf(Book) } });
+  } catch (error) {
+    console.error('Failed to remove created books and chapters:', error.message);
+  }
+};
+
+module.exports = {
+  resolveCatalog,
+  removeCreatedCatalog
+};
@@ -0,0 +1,107 @@
+/**
+ * CSV Utilities
+ * Parses and writes comma-separated text as used by spreadsheet apps (RFC 4180)
+ */
+
+const csvError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CSV';
+  return error;
+};
+
+/**
+ * Split CSV text into rows of cells
+ * Quoted cells may contain commas, line breaks and doubled quotes ("").
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells, blank lines left out
+ */
+const parseRows = (text) => {
+  const input = String(text).replace(/^\uFEFF/, ''); // BOM added by Excel
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw csvError('CSV has a quoted value that is never closed');
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text; the first row names the columns
+ * @returns {Array<object>} - One object per data row, keyed by column name
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) throw csvError('CSV is empty');
+
+  const columns = header.map(name => name.trim());
+
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column) record[column] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+// Spreadsheet apps treat text cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one row of CSV (or another delimiter, e.g. tabs)
+ * Text that would run as a formula is prefixed with a quote so it shows as typed.
+ * @param {Array} values - Cell values; null and undefined become empty cells
+ * @param {object} options - { delimiter }
+ * @returns {string} - The row, ending in CRLF
+ */
+const formatCsvRow = (values, { delimiter = ',' } = {}) => {
+  const cells = values.map((value) => {
+    let cell = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+
+    return /["\r\n]/.test(cell) || cell.includes(delimiter) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  });
+
+  return `${cells.join(delimiter)}\r\n`;
+};
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
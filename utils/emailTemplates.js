@@ -0,0 +1,109 @@
+/**
+ * Email Templates
+ * Builds the subject and bodies of transactional emails
+ */
+
+const { getAppUrl } = require('./mailer');
+
+/**
+ * Escape text for use inside the HTML body
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;'
+})[char]);
+
+/**
+ * Build a link-style email with a single call to action
+ */
+const actionEmail = ({ to, name, subject, intro, actionLabel, url, outro }) => ({
+  to,
+  subject,
+  text: `Hi ${name},\n\n${intro}\n\n${actionLabel}: ${url}\n\n${outro}\n\n— Topper's Hike`,
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${url}">${escapeHtml(actionLabel)}</a></p>
+    <p>${escapeHtml(outro)}</p>
+    <p>— Topper's Hike</p>
+  `
+});
+
+/**
+ * Email asking a new user to confirm their address
+ * @param {object} user - User document
+ * @param {string} token - Raw verification token
+ * @returns {object} - Message for sendMail
+ */
+const verificationEmail = (user, token) => actionEmail({
+  to: user.email,
+  name: user.name,
+  subject: "Verify your Topper's Hike account",
+  intro: "Thanks for signing up! Please confirm your email address to start saving your progress.",
+  actionLabel: 'Verify email address',
+  url: `${getAppUrl()}/verify-email?token=${token}`,
+  outro: "This link expires in 24 hours. If you didn't create an account, you can ignore this email."
+});
+
+/**
+ * Email with a password reset link
+ * @param {object} user - User document
+ * @param {string} token - Raw reset token
+ * @returns {object} - Message for sendMail
+ */
+const passwordResetEmail = (user, token) => actionEmail({
+  to: user.email,
+  name: user.name,
+  subject: "Reset your Topper's Hike password",
+  intro: 'We received a request to reset your password.',
+  actionLabel: 'Choose a new password',
+  url: `${getAppUrl()}/reset-password?token=${token}`,
+  outro: "This link expires in 1 hour. If you didn't ask for a reset, you can ignore this email."
+});
+
+/**
+ * Notification to the team about a new contact message
+ * @param {string} to - Team inbox address
+ * @param {object} contact - ContactMessage document
+ * @returns {object} - Message for sendMail
+ */
+const contactNotificationEmail = (to, contact) => ({
+  to,
+  replyTo: contact.email,
+  subject: `[Contact] ${contact.subject}`,
+  text: `New message from ${contact.name} <${contact.email}>:\n\n${contact.message}`,
+  html: `
+    <p>New message from <strong>${escapeHtml(contact.name)}</strong> &lt;${escapeHtml(contact.email)}&gt;:</p>
+    <blockquote>${escapeHtml(contact.message).replace(/\n/g, '<br>')}</blockquote>
+  `
+});
+
+/**
+ * Reply from the team to someone who used the contact form
+ * @param {object} contact - ContactMessage document
+ * @param {string} body - Reply text
+ * @returns {object} - Message for sendMail
+ */
+const contactReplyEmail = (contact, body) => ({
+  to: contact.email,
+  replyTo: process.env.CONTACT_NOTIFY_EMAIL || undefined,
+  subject: `Re: ${contact.subject}`,
+  text: `Hi ${contact.name},\n\n${body}\n\n— Topper's Hike\n\n> ${contact.message.replace(/\n/g, '\n> ')}`,
+  html: `
+    <p>Hi ${escapeHtml(contact.name)},</p>
+    <p>${escapeHtml(body).replace(/\n/g, '<br>')}</p>
+    <p>— Topper's Hike</p>
+    <blockquote>${escapeHtml(contact.message).replace(/\n/g, '<br>')}</blockquote>
+  `
+});
+
+module.exports = {
+  escapeHtml,
+  verificationEmail,
+  passwordResetEmail,
+  contactNotificationEmail,
+  contactReplyEmail
+};
@@ -0,0 +1,64 @@
+/**
+ * Image Processing Utility
+ * Generates resized WebP variants of uploaded solution images
+ */
+
+const sharp = require('sharp');
+
+// Target widths of the generated variants (images are never upscaled)
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  card: 640,
+  full: 1600
+};
+
+const WEBP_QUALITY = 80;
+
+/**
+ * Resize and re-encode an uploaded image
+ *
+ * Orientation from EXIF is applied to the pixels and all metadata (EXIF, GPS,
+ * camera details) is dropped, since sharp only keeps metadata when asked to.
+ *
+ * @param {Buffer} buffer - Original upload
+ * @returns {Promise<object>} - { width, height, variants: { name: { buffer, width, height, size } } }
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    const invalid = new Error('The uploaded file is not a readable image');
+    invalid.code = 'INVALID_IMAGE';
+    throw invalid;
+  }
+
+  // Orientations 5-8 are rotated by 90°, so width and height swap
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const variants = {};
+
+  for (const [name, targetWidth] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: targetWidth, withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = {
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      size: info.size
+    };
+  }
+
+  return { width, height, variants };
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  processImage
+};
@@ -0,0 +1,97 @@
+/**
+ * Mailer Utility
+ * Sends transactional email through a pluggable transport
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   smtp    - deliver through SMTP_HOST/SMTP_PORT (default in production)
+ *   console - print the raw message to stdout (default in development)
+ *   file    - write each message as an .eml file to MAIL_OUTBOX_DIR
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Name of the configured transport
+ * @returns {string}
+ */
+const getTransportName = () => {
+  return process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+};
+
+/**
+ * Build (once) the nodemailer transport for the configured mode
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  const transportName = getTransportName();
+
+  if (transportName === 'smtp') {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  } else if (transportName === 'console' || transportName === 'file') {
+    // Render the message to a buffer; delivery is handled in sendMail
+    transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix'
+    });
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+  }
+
+  return transporter;
+};
+
+/**
+ * Base URL of the site, used to build links in emails
+ * @returns {string}
+ */
+const getAppUrl = () => {
+  const url = process.env.APP_URL || process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return url.replace(/\/+$/, '');
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html, replyTo }
+ * @returns {Promise<object>} - Transport info
+ */
+const sendMail = async (message) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || "Topper's Hike <no-reply@toppershike.local>",
+    ...message
+  });
+
+  const transportName = getTransportName();
+
+  if (transportName === 'console') {
+    console.log(`📧 Email to ${message.to}:\n${info.message.toString()}`);
+  }
+
+  if (transportName === 'file') {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+
+    await fs.mkdir(outboxDir, { recursive: true });
+    await fs.writeFile(path.join(outboxDir, fileName), info.message);
+    console.log(`📧 Email to ${message.to} written to ${path.join(outboxDir, fileName)}`);
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendMail,
+  getAppUrl
+};
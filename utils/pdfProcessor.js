@@ -0,0 +1,98 @@
+/**
+ * PDF Processing Utility
+ * Reads the page count of uploaded PDF solutions and renders a preview of the first page
+ */
+
+const path = require('path');
+const { processImage } = require('./imageProcessor');
+
+// Width the first page is rendered at before the image variants are generated
+const PREVIEW_RENDER_WIDTH = 1600;
+
+// Fonts that PDFs reference without embedding them
+const PDFJS_ROOT = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const STANDARD_FONT_DATA_URL = path.join(PDFJS_ROOT, 'standard_fonts') + path.sep;
+const CMAP_URL = path.join(PDFJS_ROOT, 'cmaps') + path.sep;
+
+// pdfjs-dist is only published as an ES module, so it is loaded on first use
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * Render the first page of an open document to PNG
+ * @param {object} document - pdfjs document proxy
+ * @returns {Promise<Buffer>} - PNG image
+ */
+const renderFirstPage = async (document) => {
+  const page = await document.getPage(1);
+  const { width } = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: PREVIEW_RENDER_WIDTH / width });
+
+  const { canvas, context } = document.canvasFactory.create(
+    Math.ceil(viewport.width),
+    Math.ceil(viewport.height)
+  );
+
+  // PDF pages are transparent unless they paint a background themselves
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvas, canvasContext: context, viewport }).promise;
+
+  return canvas.toBuffer('image/png');
+};
+
+/**
+ * Read an uploaded PDF and generate preview variants of its first page
+ *
+ * A PDF that opens but can't be rendered (e.g. unsupported features) is still
+ * accepted, just without a preview.
+ *
+ * @param {Buffer} buffer - Original upload
+ * @returns {Promise<object>} - { pageCount, preview } where preview is a processImage result or null
+ */
+const processPdf = async (buffer) => {
+  const pdfjs = await loadPdfjs();
+
+  let document;
+  try {
+    document = await pdfjs.getDocument({
+      data: new Uint8Array(buffer), // pdfjs takes ownership of the array it is given
+      isEvalSupported: false,
+      disableFontFace: true,
+      standardFontDataUrl: STANDARD_FONT_DATA_URL,
+      cMapUrl: CMAP_URL,
+      verbosity: pdfjs.VerbosityLevel.ERRORS
+    }).promise;
+  } catch (error) {
+    const invalid = new Error('The uploaded file is not a readable PDF');
+    invalid.code = 'INVALID_PDF';
+    throw invalid;
+  }
+
+  try {
+    let preview = null;
+
+    try {
+      preview = await processImage(await renderFirstPage(document));
+    } catch (error) {
+      console.warn('PDF preview rendering failed:', error.message);
+    }
+
+    return {
+      pageCount: document.numPages,
+      preview
+    };
+  } finally {
+    await document.destroy();
+  }
+};
+
+module.exports = {
+  processPdf
+};
@@ -0,0 +1,64 @@
+/**
+ * Role-Based Permissions
+ * Central map of which roles may perform which actions
+ */
+
+const ROLES = ['admin', 'editor', 'contributor', 'student'];
+
+// Roles allowed to sign in to the upload/admin area
+const STAFF_ROLES = ['admin', 'editor', 'contributor'];
+
+// A ":own" suffix grants the permission only on resources the user owns
+const PERMISSIONS = {
+  'videos:create': ['admin', 'editor', 'contributor'],
+  'videos:update': ['admin', 'editor'],
+  'videos:update:own': ['contributor'],
+  'videos:delete': ['admin'],
+  'users:manage': ['admin'],
+  'contact:manage': ['admin'],
+  'catalog:manage': ['admin', 'editor'],
+  'catalog:export': ['admin'],
+  'playlists:manage': ['admin'],
+  'analytics:view': ['admin'],
+  'comments:moderate': ['admin', 'editor'],
+  'comments:answer': ['admin'],
+  'comments:update:own': ['admin', 'editor', 'contributor', 'student'],
+  'comments:delete': ['admin', 'editor'],
+  'comments:delete:own': ['admin', 'editor', 'contributor', 'student'],
+  'reports:manage': ['admin', 'editor']
+};
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {object} user - Authenticated user (needs a role)
+ * @param {string} permission - Permission name, e.g. "videos:update"
+ * @returns {boolean} - True if granted
+ */
+const hasPermission = (user, permission) => {
+  if (!user || !user.role) return false;
+
+  const roles = PERMISSIONS[permission] || [];
+  return roles.includes(user.role);
+};
+
+/**
+ * Check whether a user may act on a specific resource
+ * @param {object} user - Authenticated user
+ * @param {string} permission - Permission name, e.g. "videos:update"
+ * @param {*} ownerId - ID of the user who owns the resource
+ * @returns {boolean} - True if granted globally or through ownership
+ */
+const canActOn = (user, permission, ownerId) => {
+  if (hasPermission(user, permission)) return true;
+
+  const ownsResource = Boolean(ownerId) && String(ownerId) === String(user && user.id);
+  return ownsResource && hasPermission(user, `${permission}:own`);
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  hasPermission,
+  canActOn
+};
@@ -0,0 +1,47 @@
+/**
+ * Publish Scheduler
+ * Flips scheduled solutions to published once their publish date has passed
+ */
+
+const Video = require('../Video');
+
+// How often due solutions are looked for; public routes already hide them until publishedAt
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Publish every scheduled solution whose publish date has passed
+ * @returns {Promise<number>} - Number of solutions published
+ */
+const publishDueVideos = async () => {
+  const { modifiedCount } = await Video.updateMany(
+    { status: 'scheduled', publishedAt: { $lte: new Date() } },
+    { status: 'published' }
+  );
+
+  return modifiedCount;
+};
+
+/**
+ * Run the scheduler now and then every minute
+ * @returns {object} - The interval timer
+ */
+const schedulePublishing = () => {
+  const run = async () => {
+    try {
+      const published = await publishDueVideos();
+      if (published > 0) console.log(`📅 Published ${published} scheduled solution(s)`);
+    } catch (error) {
+      console.error('Scheduled publishing error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishDueVideos,
+  schedulePublishing
+};
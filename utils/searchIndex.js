@@ -0,0 +1,323 @@
+/**
+ * Search Index
+ * In-memory MiniSearch index used to rank solutions for full-text search
+ *
+ * The index only ranks: callers re-query MongoDB with their own filters, so a
+ * stale entry can never expose a hidden solution. Writes through the Video
+ * model update the index of the current process, and the whole index is
+ * rebuilt once it is older than SEARCH_INDEX_TTL_MINUTES so writes made by
+ * other processes show up too.
+ */
+
+const MiniSearch = require('minisearch');
+const { escapeHtml } = require('./emailTemplates');
+const { escapeRegex } = require('./validators');
+
+const SEARCH_FIELDS = ['title', 'bookTitle', 'chapter', 'exercise', 'tags', 'subject', 'description'];
+
+// How much a match in each field counts towards the score
+const FIELD_BOOSTS = {
+  title: 3,
+  bookTitle: 2,
+  tags: 2,
+  chapter: 1.5,
+  exercise: 1.5,
+  subject: 1,
+  description: 1
+};
+
+// Upper bound on ranked IDs handed to MongoDB in one query
+const MAX_RESULTS = 1000;
+
+const SNIPPET_LENGTH = 160;
+
+let index = null;
+let builtAt = 0;
+let buildPromise = null;
+
+const getTtlMs = () => (parseInt(process.env.SEARCH_INDEX_TTL_MINUTES, 10) || 5) * 60 * 1000;
+
+// Lowercase and collapse whitespace so phrases match regardless of layout
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const createIndex = () => new MiniSearch({
+  fields: SEARCH_FIELDS,
+  storeFields: ['text'],
+  extractField: (document, field) => document[field],
+  searchOptions: {
+    boost: FIELD_BOOSTS,
+    prefix: (term) => term.length >= 2,
+    fuzzy: (term) => (term.length >= 4 ? 0.2 : false)
+  }
+});
+
+/**
+ * Convert a video to an index document
+ */
+const toDocument = (video) => {
+  const document = { id: String(video._id) };
+
+  SEARCH_FIELDS.forEach((field) => {
+    const value = video[field];
+    document[field] = Array.isArray(value) ? value.join(' ') : (value || '');
+  });
+
+  // Kept for phrase matching
+  document.text = SEARCH_FIELDS.map(field => normalizeText(document[field])).join(' | ');
+
+  return document;
+};
+
+/**
+ * Load every solution into a fresh index
+ */
+const buildIndex = async () => {
+  // Required here to avoid a cycle: the Video model keeps this index up to date
+  const Video = require('../Video');
+
+  const videos = await Video.find({}).select(SEARCH_FIELDS.join(' ')).lean();
+  const freshIndex = createIndex();
+  freshIndex.addAll(videos.map(toDocument));
+
+  index = freshIndex;
+  builtAt = Date.now();
+  return index;
+};
+
+/**
+ * Current index, (re)built when missing or expired
+ * @returns {Promise<MiniSearch>}
+ */
+const getIndex = async () => {
+  if (index && Date.now() - builtAt < getTtlMs()) return index;
+
+  if (!buildPromise) {
+    buildPromise = buildIndex().finally(() => {
+      buildPromise = null;
+    });
+  }
+
+  return buildPromise;
+};
+
+/**
+ * Add or refresh one video in the index (no-op until the index is first built)
+ * @param {object} video - Video document
+ */
+const indexVideo = (video) => {
+  if (!index) return;
+
+  const document = toDocument(video);
+  if (index.has(document.id)) index.discard(document.id);
+  index.add(document);
+};
+
+/**
+ * Drop one video from the index
+ * @param {string} id - Video ID
+ */
+const removeVideo = (id) => {
+  if (index && index.has(String(id))) index.discard(String(id));
+};
+
+/**
+ * Force a rebuild on the next search (after bulk writes)
+ */
+const invalidate = () => {
+  builtAt = 0;
+};
+
+/**
+ * Split a raw query into searchable text and "quoted phrases"
+ */
+const parseQuery = (query) => {
+  const phrases = [];
+  const text = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+    if (normalizeText(phrase)) phrases.push(normalizeText(phrase));
+    return ` ${phrase} `;
+  });
+
+  return { text: text.replace(/"/g, ' ').trim(), phrases };
+};
+
+/**
+ * Rank solutions for a query
+ *
+ * All terms are required first; when nothing matches every term the search
+ * falls back to matching any of them. Quoted phrases must appear verbatim.
+ *
+ * @param {string} query - Raw user query
+ * @returns {Promise<Array<object>>} - [{ id, score, terms }], best match first
+ */
+const search = async (query) => {
+  const { text, phrases } = parseQuery(query);
+  if (!text) return [];
+
+  const searchIndex = await getIndex();
+  const filter = phrases.length > 0
+    ? (result) => phrases.every(phrase => result.text.includes(phrase))
+    : undefined;
+
+  let results = searchIndex.search(text, { combineWith: 'AND', filter });
+  if (results.length === 0) {
+    results = searchIndex.search(text, { combineWith: 'OR', filter });
+  }
+
+  return results
+    .slice(0, MAX_RESULTS)
+    .map(({ id, score, terms }) => ({ id, score, terms }));
+};
+
+/**
+ * Suggestion candidates: books, chapters and tags of visible solutions with their counts
+ * (cached for SUGGESTION_CACHE_MS since they are read on every keystroke)
+ */
+const SUGGESTION_CACHE_MS = 60 * 1000;
+let facetCache = null;
+let facetPromise = null;
+
+const loadFacets = async () => {
+  const Video = require('../Video');
+  const visible = Video.publicFilter();
+
+  const [chapters, tags] = await Promise.all([
+    Video.aggregate([
+      { $match: visible },
+      {
+        $group: {
+          _id: { bookId: '$bookId', chapterId: '$chapterId', bookTitle: '$bookTitle', chapter: '$chapter' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Video.aggregate([
+      { $match: visible },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const books = new Map();
+  chapters.forEach(({ _id, count }) => {
+    const key = String(_id.bookId || _id.bookTitle);
+    const book = books.get(key) || { bookId: _id.bookId || null, bookTitle: _id.bookTitle, count: 0 };
+    book.count += count;
+    books.set(key, book);
+  });
+
+  return {
+    books: [...books.values()],
+    chapters: chapters.map(({ _id, count }) => ({
+      bookId: _id.bookId || null,
+      chapterId: _id.chapterId || null,
+      bookTitle: _id.bookTitle,
+      chapter: _id.chapter,
+      count
+    })),
+    tags: tags.filter(({ _id }) => _id).map(({ _id, count }) => ({ tag: _id, count })),
+    loadedAt: Date.now()
+  };
+};
+
+const getFacets = async () => {
+  if (facetCache && Date.now() - facetCache.loadedAt < SUGGESTION_CACHE_MS) return facetCache;
+
+  if (!facetPromise) {
+    facetPromise = loadFacets()
+      .then((facets) => {
+        facetCache = facets;
+        return facets;
+      })
+      .finally(() => {
+        facetPromise = null;
+      });
+  }
+
+  return facetPromise;
+};
+
+/**
+ * Pick the entries whose label has a word starting with each word of the query, best first
+ * (labels starting with the query, then the most used, then the shortest)
+ */
+const matchFacet = (entries, getLabel, query, limit) => {
+  const normalized = normalizeText(query);
+  const patterns = normalized.split(' ').map(word => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(word)}`, 'iu'));
+
+  return entries
+    .filter(entry => patterns.every(pattern => pattern.test(getLabel(entry))))
+    .map(entry => ({ entry, prefix: normalizeText(getLabel(entry)).startsWith(normalized) }))
+    .sort((a, b) => (b.prefix - a.prefix) ||
+      (b.entry.count - a.entry.count) ||
+      (getLabel(a.entry).length - getLabel(b.entry).length))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Books, chapters and tags matching a partial query
+ * @param {string} query - What the user has typed so far
+ * @param {number} limit - Maximum entries per group
+ * @returns {Promise<object>} - { books, chapters, tags }
+ */
+const suggestFacets = async (query, limit = 5) => {
+  const facets = await getFacets();
+
+  return {
+    books: matchFacet(facets.books, entry => entry.bookTitle, query, limit),
+    chapters: matchFacet(facets.chapters, entry => `${entry.bookTitle} ${entry.chapter}`, query, limit),
+    tags: matchFacet(facets.tags, entry => entry.tag, query, limit)
+  };
+};
+
+/**
+ * Escape text and wrap matched terms in <mark>, optionally cut to a snippet around the first match
+ * @param {string} text - Field value
+ * @param {Array<string>} terms - Matched terms (as returned by search)
+ * @param {number} [maxLength] - Snippet length; the full text is used when omitted
+ * @returns {string} - HTML
+ */
+const highlight = (text, terms, maxLength) => {
+  let source = String(text || '');
+  if (terms.length === 0) return escapeHtml(source);
+
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+
+  if (maxLength && source.length > maxLength) {
+    const first = source.search(pattern);
+    const start = Math.max(0, Math.min(first - Math.floor(maxLength / 4), source.length - maxLength));
+    source = `${start > 0 ? '…' : ''}${source.slice(start, start + maxLength)}${start + maxLength < source.length ? '…' : ''}`;
+  }
+
+  let html = '';
+  let last = 0;
+  for (const match of source.matchAll(pattern)) {
+    html += `${escapeHtml(source.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(source.slice(last));
+};
+
+/**
+ * Highlighted title and description snippet of a search result
+ * @param {object} video - Video fields
+ * @param {Array<string>} terms - Matched terms
+ * @returns {object} - { title, description }
+ */
+const highlightVideo = (video, terms) => ({
+  title: highlight(video.title, terms),
+  description: highlight(video.description, terms, SNIPPET_LENGTH)
+});
+
+module.exports = {
+  SEARCH_FIELDS,
+  search,
+  suggestFacets,
+  highlight,
+  highlightVideo,
+  indexVideo,
+  removeVideo,
+  invalidate
+};
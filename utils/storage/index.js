@@ -0,0 +1,150 @@
+/**
+ * Media Storage
+ * Picks the storage driver from STORAGE_DRIVER and offers helpers shared by
+ * the upload middleware, controllers and the /uploads route
+ *
+ * Every driver implements:
+ *   put(key, buffer, { contentType, visibility }) -> { key, size }
+ *   get(key)                                      -> Buffer
+ *   remove(key)
+ *   getUrl(key, { visibility, expiresIn })        -> URL (signed for private files)
+ *   getOrigins()                                  -> origins media is served from
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+// Keys of private files start with this prefix so they are never served unsigned
+const PRIVATE_PREFIX = 'private/';
+
+// Path the /uploads route is mounted on
+const UPLOADS_PATH = '/uploads';
+
+let driver = null;
+
+/**
+ * Get the configured storage driver (created once)
+ * @returns {object} - Storage driver
+ */
+const getStorage = () => {
+  if (driver) return driver;
+
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+
+  if (driverName === 'local') {
+    driver = createLocalStorage({ root: process.env.UPLOADS_DIR || 'uploads', publicPath: UPLOADS_PATH });
+  } else if (driverName === 's3') {
+    driver = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+  }
+
+  return driver;
+};
+
+/**
+ * Build a unique storage key for an uploaded file
+ * @param {string} originalName - Original file name (for the extension)
+ * @param {object} options - { folder, visibility }
+ * @returns {string} - Key such as "images/2025/01/<uuid>.jpg"
+ */
+const generateKey = (originalName, { folder = 'images', visibility = 'public' } = {}) => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const key = `${folder}/${now.getUTCFullYear()}/${month}/${uuidv4()}${ext}`;
+
+  return visibility === 'private' ? `${PRIVATE_PREFIX}${key}` : key;
+};
+
+/**
+ * Check a storage key taken from a URL
+ * Keys never contain empty, "." or ".." segments; accepting them would let
+ * "images/../private/x" pass the visibility check as a public key.
+ * @param {string} key - Key as requested
+ * @returns {string|null} - The key, or null when it isn't a valid storage key
+ */
+const normalizeKey = (key) => {
+  if (typeof key !== 'string' || /[\\\0]/.test(key)) return null;
+
+  const segments = key.split('/');
+  if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) return null;
+
+  return segments.join('/');
+};
+
+/**
+ * Visibility of a stored file, derived from its key
+ * @param {string} key - Storage key
+ * @returns {string} - "public" or "private"
+ */
+const getVisibility = (key) => (key && key.startsWith(PRIVATE_PREFIX) ? 'private' : 'public');
+
+/**
+ * Store a buffer under a new key
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { originalName, contentType, folder, visibility }
+ * @returns {Promise<object>} - { key, url, size, contentType }
+ */
+const storeBuffer = async (buffer, { originalName, contentType, folder, visibility = 'public' } = {}) => {
+  const storage = getStorage();
+  const key = generateKey(originalName, { folder, visibility });
+
+  await storage.put(key, buffer, { contentType, visibility });
+
+  return {
+    key,
+    // Private files get a stable, unsigned path; responses sign it with getFileUrl
+    url: visibility === 'public' ? await storage.getUrl(key) : `${UPLOADS_PATH}/${key}`,
+    size: buffer.length,
+    contentType
+  };
+};
+
+/**
+ * Current URL for a stored file (signed and expiring for private files)
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} - URL
+ */
+const getFileUrl = async (key) => {
+  if (!key) return null;
+  return getStorage().getUrl(key, { visibility: getVisibility(key) });
+};
+
+/**
+ * Remove stored files, ignoring (but logging) individual failures
+ * @param {string[]} keys - Storage keys
+ */
+const removeFiles = async (keys) => {
+  const storage = getStorage();
+
+  await Promise.all(keys.filter(Boolean).map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    }
+  }));
+};
+
+module.exports = {
+  PRIVATE_PREFIX,
+  UPLOADS_PATH,
+  getStorage,
+  generateKey,
+  normalizeKey,
+  getVisibility,
+  storeBuffer,
+  getFileUrl,
+  removeFiles
+};
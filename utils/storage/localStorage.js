@@ -0,0 +1,68 @@
+/**
+ * Local Disk Storage Driver
+ * Stores media under UPLOADS_DIR and serves it from /uploads
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { signPath } = require('./signing');
+
+/**
+ * Create a local disk storage driver
+ * @param {object} options - { root, publicPath }
+ * @returns {object} - Storage driver
+ */
+const createLocalStorage = ({ root = 'uploads', publicPath = '/uploads' } = {}) => {
+  const rootDir = path.resolve(root);
+
+  /**
+   * Resolve a key to a path inside the uploads root
+   * Rejects traversal and any key that resolving would rewrite ("a/../b", "./a", "a//b"),
+   * so a key always names the file its visibility prefix was checked on.
+   */
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep) || path.relative(rootDir, filePath).split(path.sep).join('/') !== key) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+
+    async put(key, buffer) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolvePath(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async getUrl(key, { visibility = 'public', expiresIn } = {}) {
+      const urlPath = `${publicPath}/${key}`;
+      return visibility === 'private' ? signPath(urlPath, expiresIn) : urlPath;
+    },
+
+    resolvePath,
+
+    // Origins the browser loads media from (for the CSP)
+    getOrigins() {
+      return [];
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,85 @@
+/**
+ * S3 Storage Driver
+ * Stores media in an S3-compatible bucket (AWS S3, MinIO, ...)
+ */
+
+const { getSignedUrlTtl } = require('./signing');
+
+// Public objects never change (keys are unique), so browsers may cache them for good
+const PUBLIC_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Create an S3 storage driver
+ * @param {object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, publicUrl }
+ * @returns {object} - Storage driver
+ */
+const createS3Storage = (options) => {
+  // Required lazily so local-disk deployments don't load the AWS SDK
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } = options;
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  // Base URL public objects are reachable under
+  const publicBaseUrl = (options.publicUrl || (endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType, visibility = 'public' } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: visibility === 'public' ? PUBLIC_CACHE_CONTROL : 'private, no-store'
+      }));
+      return { key, size: buffer.length };
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getUrl(key, { visibility = 'public', expiresIn = getSignedUrlTtl() } = {}) {
+      if (visibility === 'public') {
+        return `${publicBaseUrl}/${key}`;
+      }
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    // Origins the browser loads media from (for the CSP)
+    getOrigins() {
+      const origins = [new URL(publicBaseUrl).origin];
+      if (endpoint) origins.push(new URL(endpoint).origin);
+      return [...new Set(origins)];
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,70 @@
+/**
+ * Signed URL Helpers
+ * HMAC-signed, expiring URLs for media served by this app
+ */
+
+const crypto = require('crypto');
+
+// Only used in development and tests; anyone reading the code could sign URLs with it
+const DEV_SIGNING_SECRET = 'toppers-hike-dev-storage-secret';
+
+/**
+ * Secret used to sign media URLs
+ */
+const getSigningSecret = () => {
+  const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (secret) return secret;
+
+  if (!['development', 'test'].includes(process.env.NODE_ENV)) {
+    throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET must be set outside development');
+  }
+
+  return DEV_SIGNING_SECRET;
+};
+
+/**
+ * Default lifetime of signed URLs in seconds
+ * @returns {number}
+ */
+const getSignedUrlTtl = () => parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 3600;
+
+const createSignature = (urlPath, expires) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${urlPath}:${expires}`)
+    .digest('hex');
+};
+
+/**
+ * Append an expiry and signature to a URL path
+ * @param {string} urlPath - Path such as /uploads/private/images/x.jpg
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string} - Signed URL path
+ */
+const signPath = (urlPath, expiresIn = getSignedUrlTtl()) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${urlPath}?expires=${expires}&signature=${createSignature(urlPath, expires)}`;
+};
+
+/**
+ * Check a signed URL's expiry and signature
+ * @param {string} urlPath - Path without the query string
+ * @param {string} expires - Unix timestamp from the query string
+ * @param {string} signature - Signature from the query string
+ * @returns {boolean} - True if valid and not expired
+ */
+const verifySignedPath = (urlPath, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(createSignature(urlPath, expiresAt));
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  signPath,
+  verifySignedPath,
+  getSignedUrlTtl
+};
@@ -0,0 +1,114 @@
+/**
+ * Token Utilities
+ * Helpers for issuing and verifying JWT access tokens and opaque refresh tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../RefreshToken');
+
+const DEV_JWT_SECRET = 'toppers-hike-dev-secret-change-me';
+
+/**
+ * Resolve the JWT signing secret
+ * @returns {string} - Secret from JWT_SECRET (a fixed fallback is only allowed outside production)
+ */
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
+  return DEV_JWT_SECRET;
+};
+
+/**
+ * Access token lifetime (any value understood by jsonwebtoken, e.g. "15m")
+ * @returns {string}
+ */
+const getAccessTokenTtl = () => process.env.JWT_EXPIRES_IN || '15m';
+
+/**
+ * Refresh token lifetime in milliseconds
+ * @returns {number}
+ */
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Sign a short-lived access token
+ * @param {object} user - Authenticated principal ({ id, username, role })
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { username: user.username, role: user.role, type: 'access' },
+    getJwtSecret(),
+    { subject: String(user.id), expiresIn: getAccessTokenTtl() }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT from the Authorization header
+ * @returns {object} - Decoded payload (throws on invalid/expired tokens)
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getJwtSecret());
+
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+
+  return payload;
+};
+
+/**
+ * Generate a random opaque token (refresh tokens, one-time links)
+ * @returns {string} - Hex encoded token
+ */
+const generateOpaqueToken = () => crypto.randomBytes(40).toString('hex');
+
+/**
+ * Hash an opaque token for storage so leaked database rows can't be replayed
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a fresh access/refresh token pair and store the refresh token
+ * @param {object} user - Principal ({ id, username, role })
+ * @param {object} req - Express request (for IP and user agent)
+ * @param {string} refreshToken - Refresh token to store (a new one by default)
+ * @returns {Promise<object>} - { accessToken, refreshToken, tokenType, expiresIn }
+ */
+const issueTokens = async (user, req, refreshToken = generateOpaqueToken()) => {
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    subject: String(user.id),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: getAccessTokenTtl()
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  generateOpaqueToken,
+  hashToken,
+  issueTokens,
+  getAccessTokenTtl,
+  getRefreshTokenTtlMs
+};
@@ -0,0 +1,113 @@
+/**
+ * Trash
+ * Permanently removes deleted solutions together with their stored files and
+ * everything that refers to them, and purges the trash on a schedule
+ */
+
+const Video = require('../Video');
+const Like = require('../Like');
+const Rating = require('../Rating');
+const Report = require('../Report');
+const Revision = require('../Revision');
+const Comment = require('../Comment');
+const Bookmark = require('../Bookmark');
+const WatchHistory = require('../WatchHistory');
+const Completion = require('../Completion');
+const ViewEvent = require('../ViewEvent');
+const DailyStat = require('../DailyStat');
+const Playlist = require('../Playlist');
+const { removeFiles } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the retention job looks for expired items
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Days a deleted solution stays in the trash; 0 keeps it until an admin deletes it
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+/**
+ * Delete solutions for good: their records, the records that refer to them and their stored files
+ * Only solutions still in the trash are deleted, so one restored since it was loaded stays as it is.
+ * @param {Array} videos - Video documents
+ * @returns {Promise<number>} - Number of solutions deleted
+ */
+const purgeVideos = async (videos) => {
+  const purged = [];
+  for (const video of videos) {
+    const deleted = await Video.findOneAndDelete({ _id: video._id, isActive: false });
+    if (deleted) purged.push(deleted);
+  }
+  if (purged.length === 0) return 0;
+
+  const ids = purged.map(video => video._id);
+  const keys = purged.flatMap(video => Video.collectStorageKeys(video));
+
+  await Promise.all([
+    Like.deleteMany({ video: { $in: ids } }),
+    Rating.deleteMany({ video: { $in: ids } }),
+    Report.deleteMany({ video: { $in: ids } }),
+    Revision.deleteMany({ video: { $in: ids } }),
+    Comment.deleteMany({ video: { $in: ids } }),
+    Bookmark.deleteMany({ video: { $in: ids } }),
+    WatchHistory.deleteMany({ video: { $in: ids } }),
+    Completion.deleteMany({ video: { $in: ids } }),
+    ViewEvent.deleteMany({ video: { $in: ids } }),
+    DailyStat.deleteMany({ scope: 'video', ref: { $in: ids } }),
+    Playlist.updateMany({ 'items.video': { $in: ids } }, { $pull: { items: { video: { $in: ids } } } })
+  ]);
+
+  // Files go last, once nothing refers to them
+  await removeFiles(keys);
+
+  return purged.length;
+};
+
+/**
+ * Purge the solutions deleted longer ago than the retention period
+ * (solutions deleted before deletion dates were recorded are left to the admins)
+ * @returns {Promise<number>} - Number of solutions purged
+ */
+const purgeExpiredTrash = async () => {
+  const retentionDays = getRetentionDays();
+  if (retentionDays === 0) return 0;
+
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const expired = await Video.find({ isActive: false, deletedAt: { $lt: cutoff } });
+
+  return purgeVideos(expired);
+};
+
+/**
+ * Run the retention job now and then every few hours
+ * @returns {object|null} - The interval timer, or null when the trash is kept indefinitely
+ */
+const scheduleTrashPurge = () => {
+  if (getRetentionDays() === 0) return null;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) console.log(`🗑️  Purged ${purged} solution(s) from the trash`);
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeVideos,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,93 @@
+/**
+ * Video Query Utilities
+ * Builds the MongoDB filter and sort of solution listings from query parameters
+ */
+
+const Video = require('../Video');
+const searchIndex = require('./searchIndex');
+const { hasPermission } = require('./permissions');
+const { escapeRegex } = require('./validators');
+
+/**
+ * Build the filter of a solution listing
+ * Visitors see published solutions; staff may ask for another status.
+ * @param {object} params - Validated query parameters (bookTitle, chapter, bookId, chapterId,
+ *   exercise, question, type, subject, grade, difficulty, search, status)
+ * @param {object|null} user - Authenticated user, if any
+ * @returns {Promise<object>} - { query, ranked } where ranked lists search results by
+ *   relevance (null without a search), or { status, message } when not allowed
+ */
+const buildVideoQuery = async (params, user) => {
+  const {
+    bookTitle,
+    chapter,
+    bookId,
+    chapterId,
+    exercise,
+    question,
+    type,
+    subject,
+    grade,
+    difficulty,
+    search,
+    status
+  } = params;
+
+  let query = Video.publicFilter();
+  if (status) {
+    if (!hasPermission(user, 'videos:update') && !hasPermission(user, 'videos:update:own')) {
+      return { status: 403, message: 'You do not have permission to list unpublished solutions' };
+    }
+
+    query = { isActive: true, status: status === 'published' ? { $in: ['published', null] } : status };
+    // Contributors only see their own drafts
+    if (!hasPermission(user, 'videos:update')) query.uploadedBy = user._id;
+  }
+
+  // Add filters
+  if (bookTitle) query.bookTitle = new RegExp(escapeRegex(bookTitle), 'i');
+  if (chapter) query.chapter = new RegExp(escapeRegex(chapter), 'i');
+  if (bookId) query.bookId = bookId;
+  if (chapterId) query.chapterId = chapterId;
+  if (exercise) query.exercise = new RegExp(`^${escapeRegex(exercise)}$`, 'i');
+  if (question) Object.assign(query, Video.coveringQuestion(question));
+  if (type) query.type = type;
+  if (subject) query.subject = new RegExp(escapeRegex(subject), 'i');
+  if (grade) query.grade = grade;
+  if (difficulty) query.difficulty = difficulty;
+
+  // Full-text search ranks candidates in the search index; MongoDB still applies every filter
+  let ranked = null;
+  if (search) {
+    ranked = await searchIndex.search(search);
+    query._id = { $in: ranked.map(result => result.id) };
+  }
+
+  return { query, ranked };
+};
+
+/**
+ * Build the sort of a solution listing
+ * @param {string} sortBy - Field to sort on ('relevance' falls back to createdAt)
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {object} - Mongoose sort options
+ */
+const buildVideoSort = (sortBy = 'createdAt', sortOrder = 'desc') => {
+  const sortOptions = {};
+  const direction = sortOrder === 'desc' ? -1 : 1;
+
+  if (sortBy === 'rating') {
+    // Between equal averages, the one more people rated wins
+    sortOptions.ratingAverage = direction;
+    sortOptions.ratingCount = direction;
+  } else {
+    sortOptions[sortBy === 'relevance' ? 'createdAt' : sortBy] = direction;
+  }
+
+  return sortOptions;
+};
+
+module.exports = {
+  buildVideoQuery,
+  buildVideoSort
+};
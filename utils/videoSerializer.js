@@ -0,0 +1,74 @@
+/**
+ * Video Serializer
+ * Prepares solutions for API responses
+ */
+
+const { getFileUrl, getVisibility } = require('./storage');
+const { getLiker } = require('./visitor');
+const Like = require('../Like');
+const Rating = require('../Rating');
+const Bookmark = require('../Bookmark');
+const Completion = require('../Completion');
+
+/**
+ * Replace the stored URLs of privately stored image fields with signed ones
+ */
+const signImageFields = async (fields) => {
+  if (!fields.storageKey || getVisibility(fields.storageKey) !== 'private') return;
+
+  fields.fileUrl = await getFileUrl(fields.storageKey);
+
+  if (fields.imageVariants) {
+    for (const variant of Object.values(fields.imageVariants)) {
+      if (variant && variant.key) variant.url = await getFileUrl(variant.key);
+    }
+  }
+};
+
+/**
+ * Convert a video for a response, signing URLs of privately stored files
+ * @param {object} video - Video document or lean object
+ * @returns {Promise<object>} - Plain object safe to send
+ */
+const serializeVideo = async (video) => {
+  const data = typeof video.toJSON === 'function' ? video.toJSON() : video;
+
+  await signImageFields(data);
+
+  for (const page of data.pages || []) {
+    await signImageFields(page);
+  }
+
+  return data;
+};
+
+/**
+ * Mark serialized solutions with what the requesting visitor did with them
+ * (likedByMe, myRating, bookmarked and completed)
+ * @param {Array<object>} videos - Serialized solutions, changed in place
+ * @param {object} req - Request (req.user is set for signed-in users)
+ */
+const attachViewerState = async (videos, req) => {
+  const videoIds = videos.map(video => video._id);
+  const userId = req.user ? req.user._id : null;
+
+  const [likedIds, ratings, bookmarkedIds, completedIds] = await Promise.all([
+    Like.findLikedIds(getLiker(req), videoIds),
+    Rating.findUserRatings(userId, videoIds),
+    Bookmark.findBookmarkedIds(userId, videoIds),
+    Completion.findCompletedIds(userId, videoIds)
+  ]);
+
+  videos.forEach((video) => {
+    const id = String(video._id);
+    video.likedByMe = likedIds.has(id);
+    video.myRating = ratings.get(id) || null;
+    video.bookmarked = bookmarkedIds.has(id);
+    video.completed = completedIds.has(id);
+  });
+};
+
+module.exports = {
+  serializeVideo,
+  attachViewerState
+};
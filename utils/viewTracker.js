@@ -0,0 +1,81 @@
+/**
+ * View Tracker
+ * Counts solution views once per viewer and time window, ignoring bots
+ *
+ * A counted view is stored as a ViewEvent whose unique index (solution,
+ * viewer, window) makes repeat views within VIEW_DEDUP_WINDOW_MINUTES a no-op,
+ * even for concurrent requests. Only then are the view counter and the daily
+ * rollups incremented.
+ */
+
+const Video = require('../Video');
+const ViewEvent = require('../ViewEvent');
+const DailyStat = require('../DailyStat');
+const { STAFF_ROLES } = require('./permissions');
+const { hashToken } = require('./tokens');
+
+// Crawlers, link previews, monitoring and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|python-urllib|httpclient|okhttp|axios|node-fetch|go-http-client|java\//i;
+
+const getWindowMs = () => (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 30) * 60 * 1000;
+const getRetentionMs = () => (parseInt(process.env.VIEW_EVENT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a request comes from an automated client
+ * @param {object} req - Express request
+ * @returns {boolean} - True for bots and requests without a user agent
+ */
+const isBot = (req) => {
+  const userAgent = req.get('user-agent');
+  return !userAgent || BOT_PATTERN.test(userAgent);
+};
+
+/**
+ * Stable hash of who is viewing: the account, otherwise IP and user agent
+ * (not the X-Device-Id header, which a client could change on every request)
+ */
+const getViewerHash = (req) => {
+  if (req.user) return hashToken(`user:${req.user._id}`);
+
+  return hashToken(`ip:${req.ip}:${req.get('user-agent')}`);
+};
+
+/**
+ * Count a view of a solution unless it is a repeat, a bot or a staff member
+ * @param {object} video - Video document (needs _id, bookId, chapterId)
+ * @param {object} req - Express request (after optionalAuth)
+ * @returns {Promise<boolean>} - True when the view was counted
+ */
+const recordView = async (video, req) => {
+  // Staff open solutions to review and edit them
+  if (isBot(req) || (req.user && STAFF_ROLES.includes(req.user.role))) return false;
+
+  const now = new Date();
+
+  try {
+    await ViewEvent.create({
+      video: video._id,
+      viewerHash: getViewerHash(req),
+      bucket: Math.floor(now.getTime() / getWindowMs()),
+      bookId: video.bookId || null,
+      chapterId: video.chapterId || null,
+      expiresAt: new Date(now.getTime() + getRetentionMs())
+    });
+  } catch (error) {
+    // Already counted in this window
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Promise.all([
+    Video.updateOne({ _id: video._id }, { $inc: { views: 1 } }),
+    DailyStat.recordView({ videoId: video._id, bookId: video.bookId, chapterId: video.chapterId }, now)
+  ]);
+
+  return true;
+};
+
+module.exports = {
+  isBot,
+  recordView
+};
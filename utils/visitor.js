@@ -0,0 +1,53 @@
+/**
+ * Visitor Identification
+ * Tells visitors apart for per-person counters such as likes
+ *
+ * Signed-in users are identified by their account. Anonymous visitors send a
+ * random device ID (generated and kept in localStorage by the frontend) in the
+ * X-Device-Id header; only its hash is stored. The header is chosen by the
+ * client, so anonymous likes are also limited per IP address (see TRUST_PROXY
+ * for deployments behind a reverse proxy).
+ */
+
+const { hashToken } = require('./tokens');
+
+const DEVICE_HEADER = 'x-device-id';
+
+// Random IDs such as UUIDs; anything else is ignored
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * Hash of the device ID sent with a request
+ * @param {object} req - Express request
+ * @returns {string|null} - SHA-256 hex digest, or null when no valid ID was sent
+ */
+const getDeviceHash = (req) => {
+  const deviceId = req.get(DEVICE_HEADER);
+  return deviceId && DEVICE_ID_PATTERN.test(deviceId) ? hashToken(deviceId) : null;
+};
+
+/**
+ * Hash of the IP address a request comes from
+ * @param {object} req - Express request
+ * @returns {string} - SHA-256 hex digest
+ */
+const getNetworkHash = req => hashToken(`ip:${req.ip}`);
+
+/**
+ * Who is acting: the signed-in user, otherwise the anonymous device and its network
+ * @param {object} req - Express request (after optionalAuth or protect)
+ * @returns {object|null} - { userId } or { deviceHash, networkHash }; null when the visitor can't be told apart
+ */
+const getLiker = (req) => {
+  if (req.user) return { userId: req.user._id };
+
+  const deviceHash = getDeviceHash(req);
+  return deviceHash ? { deviceHash, networkHash: getNetworkHash(req) } : null;
+};
+
+module.exports = {
+  DEVICE_HEADER,
+  getDeviceHash,
+  getNetworkHash,
+  getLiker
+};
@@ -1,497 +1,1718 @@
-/**
- * Video Controller
- * Handles all business logic for video/solution operations
- */
-
-const Video = require('./Video');
-const { validationResult } = require('express-validator');
-const path = require('path');
-const fs = require('fs').promises;
-/**
- * Extract YouTube video ID from various YouTube URL formats
- */
-const extractYoutubeVideoId = (url) => {
-  console.log('Extracting YouTube ID from URL:', url); // Debug log
-  
-  // Handle multiple YouTube URL formats
-  const patterns = [
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([^&\n?#]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtu\.be\/([^&\n?#]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([^&\n?#]+)/,
-    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/v\/([^&\n?#]+)/
-  ];
-  
-  for (let pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) {
-      console.log('Extracted YouTube ID:', match[1]); // Debug log
-      return match[1];
-    }
-  }
-  
-  console.log('Failed to extract YouTube ID from:', url); // Debug log
-  return null;
-};
-
-
-
-// @desc    Get all videos with filtering, sorting, and pagination
-// @route   GET /api/videos
-// @access  Public
-const getAllVideos = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      bookTitle,
-      chapter,
-      type,
-      subject,
-      grade,
-      difficulty,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query object
-    const query = { isActive: true };
-
-    // Add filters
-    if (bookTitle) query.bookTitle = new RegExp(bookTitle, 'i');
-    if (chapter) query.chapter = new RegExp(chapter, 'i');
-    if (type) query.type = type;
-    if (subject) query.subject = new RegExp(subject, 'i');
-    if (grade) query.grade = grade;
-    if (difficulty) query.difficulty = difficulty;
-
-    // Add search functionality
-    if (search) {
-      query.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { bookTitle: new RegExp(search, 'i') },
-        { chapter: new RegExp(search, 'i') },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Pagination
-    const pageNumber = parseInt(page, 10) || 1;
-    const pageSize = Math.min(parseInt(limit, 10) || 10, 50); // Max 50 items per page
-    const skip = (pageNumber - 1) * pageSize;
-
-    // Sort
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Execute query
-    const [videos, totalCount] = await Promise.all([
-      Video.find(query)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(pageSize)
-        .lean(),
-      Video.countDocuments(query)
-    ]);
-
-    // Calculate pagination metadata
-    const totalPages = Math.ceil(totalCount / pageSize);
-    const hasNextPage = pageNumber < totalPages;
-    const hasPrevPage = pageNumber > 1;
-
-    res.status(200).json({
-      success: true,
-      data: videos,
-      pagination: {
-        currentPage: pageNumber,
-        totalPages,
-        totalCount,
-        hasNextPage,
-        hasPrevPage,
-        nextPage: hasNextPage ? pageNumber + 1 : null,
-        prevPage: hasPrevPage ? pageNumber - 1 : null
-      },
-      filters: {
-        bookTitle,
-        chapter,
-        type,
-        subject,
-        grade,
-        difficulty,
-        search
-      }
-    });
-
-  } catch (error) {
-    console.error('Get all videos error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching videos',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Get single video by ID
-// @route   GET /api/videos/:id
-// @access  Public
-const getVideoById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const video = await Video.findById(id);
-
-    if (!video || !video.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Video not found'
-      });
-    }
-
-    // Increment view count
-    await video.incrementViews();
-
-    res.status(200).json({
-      success: true,
-      data: video
-    });
-
-  } catch (error) {
-    console.error('Get video by ID error:', error);
-
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid video ID format'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching video',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Create new video
-// @route   POST /api/videos
-// @access  Public (should be protected in production)
-const createVideo = async (req, res) => {
-  try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const {
-      title,
-      description,
-      bookTitle,
-      chapter,
-      type,
-      youtubeUrl,
-      tags,
-      difficulty,
-      subject,
-      grade
-    } = req.body;
-
-    // Create video data
-    const videoData = {
-      title: title || bookTitle, //use bookTitle as title if title not provided
-      description,
-      bookTitle,
-      chapter,
-      type,
-      difficulty,
-      subject,
-      grade,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : []
-    };
-
-    // Handle video type
-    if (type === 'video') {
-  if (!youtubeUrl) {
-    return res.status(400).json({
-      success: false,
-      message: 'YouTube URL is required for video type'
-    });
-  }
-  
-  // Extract YouTube video ID from URL
-  const youtubeVideoId = extractYoutubeVideoId(youtubeUrl);
-  if (!youtubeVideoId) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid YouTube URL format'
-    });
-  }
-  
-  videoData.youtubeUrl = youtubeUrl;
-  videoData.youtubeVideoId = youtubeVideoId;
-}
-
-    // Handle image type with file upload
-    if (type === 'image' && req.file) {
-      videoData.fileUrl = `/uploads/${req.file.filename}`;
-      videoData.fileName = req.file.originalname;
-      videoData.fileSize = req.file.size;
-    }
-
-    const video = new Video(videoData);
-    const savedVideo = await video.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Video created successfully',
-      data: savedVideo
-    });
-
-  } catch (error) {
-    console.error('Create video error:', error);
-
-    // Handle duplicate key error
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Video with similar details already exists'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error creating video',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Update video
-// @route   PUT /api/videos/:id
-// @access  Public (should be protected in production)
-const updateVideo = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const updateData = { ...req.body };
-
-    // Handle tags
-    if (updateData.tags && typeof updateData.tags === 'string') {
-      updateData.tags = updateData.tags.split(',').map(tag => tag.trim());
-    }
-
-    const video = await Video.findByIdAndUpdate(
-      id,
-      updateData,
-      { 
-        new: true, 
-        runValidators: true 
-      }
-    );
-
-    if (!video) {
-      return res.status(404).json({
-        success: false,
-        message: 'Video not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'Video updated successfully',
-      data: video
-    });
-
-  } catch (error) {
-    console.error('Update video error:', error);
-
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid video ID format'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error updating video',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Delete video (soft delete)
-// @route   DELETE /api/videos/:id
-// @access  Public (should be protected in production)
-const deleteVideo = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const video = await Video.findByIdAndUpdate(
-      id,
-      { isActive: false },
-      { new: true }
-    );
-
-    if (!video) {
-      return res.status(404).json({
-        success: false,
-        message: 'Video not found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'Video deleted successfully'
-    });
-
-  } catch (error) {
-    console.error('Delete video error:', error);
-
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid video ID format'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting video',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Get unique book titles
-// @route   GET /api/videos/metadata/books
-// @access  Public
-const getUniqueBooks = async (req, res) => {
-  try {
-    const books = await Video.distinct('bookTitle', { isActive: true });
-
-    res.status(200).json({
-      success: true,
-      data: books.sort()
-    });
-
-  } catch (error) {
-    console.error('Get unique books error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching book titles',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Get chapters for a specific book
-// @route   GET /api/videos/metadata/chapters/:bookTitle
-// @access  Public
-const getChaptersByBook = async (req, res) => {
-  try {
-    const { bookTitle } = req.params;
-
-    const chapters = await Video.distinct('chapter', { 
-      bookTitle: new RegExp(bookTitle, 'i'),
-      isActive: true 
-    });
-
-    res.status(200).json({
-      success: true,
-      data: chapters.sort()
-    });
-
-  } catch (error) {
-    console.error('Get chapters by book error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching chapters',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-// @desc    Get video statistics
-// @route   GET /api/videos/stats
-// @access  Public
-const getVideoStats = async (req, res) => {
-  try {
-    const [
-      totalVideos,
-      totalImages,
-      totalViews,
-      bookStats,
-      recentVideos
-    ] = await Promise.all([
-      Video.countDocuments({ type: 'video', isActive: true }),
-      Video.countDocuments({ type: 'image', isActive: true }),
-      Video.aggregate([
-        { $match: { isActive: true } },
-        { $group: { _id: null, totalViews: { $sum: '$views' } } }
-      ]),
-      Video.aggregate([
-        { $match: { isActive: true } },
-        { $group: { _id: '$bookTitle', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 }
-      ]),
-      Video.find({ isActive: true })
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .select('title bookTitle chapter createdAt views')
-    ]);
-
-    res.status(200).json({
-      success: true,
-      data: {
-        totals: {
-          videos: totalVideos,
-          images: totalImages,
-          views: totalViews[0]?.totalViews || 0,
-          total: totalVideos + totalImages
-        },
-        topBooks: bookStats,
-        recentVideos
-      }
-    });
-
-  } catch (error) {
-    console.error('Get video stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching statistics',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
-};
-
-module.exports = {
-  getAllVideos,
-  getVideoById,
-  createVideo,
-  updateVideo,
-  deleteVideo,
-  getUniqueBooks,
-  getChaptersByBook,
-  getVideoStats
-
-};
-
+/**
+ * Video Controller
+ * Handles all business logic for video/solution operations
+ */
+
+const Video = require('./Video');
+const { validationResult } = require('express-validator');
+const { canActOn } = require('./utils/permissions');
+const { MAX_PAGES, persistImages, persistPdf } = require('./middleware/upload');
+const { getVisibility, removeFiles } = require('./utils/storage');
+const { serializeVideo, attachViewerState } = require('./utils/videoSerializer');
+const searchIndex = require('./utils/searchIndex');
+const { escapeRegex } = require('./utils/validators');
+const { buildVideoQuery, buildVideoSort } = require('./utils/videoQuery');
+const { resolveCatalog, removeCreatedCatalog } = require('./utils/catalog');
+const Book = require('./Book');
+const Chapter = require('./Chapter');
+const Playlist = require('./Playlist');
+const Like = require('./Like');
+const Revision = require('./Revision');
+const WatchHistory = require('./WatchHistory');
+const { getLiker } = require('./utils/visitor');
+const { recordView } = require('./utils/viewTracker');
+const { getRetentionDays, purgeVideos } = require('./utils/trash');
+/**
+ * Extract YouTube video ID from various YouTube URL formats
+ */
+const extractYoutubeVideoId = (url) => {
+  console.log('Extracting YouTube ID from URL:', url); // Debug log
+  
+  // Handle multiple YouTube URL formats
+  const patterns = [
+    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([^&\n?#]+)/,
+    /(?:https?:\/\/)?(?:www\.)?youtu\.be\/([^&\n?#]+)/,
+    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([^&\n?#]+)/,
+    /(?:https?:\/\/)?(?:www\.)?youtube\.com\/v\/([^&\n?#]+)/
+  ];
+  
+  for (let pattern of patterns) {
+    const match = url.match(pattern);
+    if (match && match[1]) {
+      console.log('Extracted YouTube ID:', match[1]); // Debug log
+      return match[1];
+    }
+  }
+  
+  console.log('Failed to extract YouTube ID from:', url); // Debug log
+  return null;
+};
+
+// Public fields of the uploader included in video responses
+const UPLOADER_FIELDS = 'name username role';
+
+// Fields a client may change through PUT /api/videos/:id; ownership, counters, ratings,
+// stored files and the trash state are set by the server only
+const EDITABLE_FIELDS = [
+  'title', 'description', 'bookId', 'chapterId', 'bookTitle', 'chapter', 'exercise', 'questions',
+  'type', 'youtubeUrl', 'tags', 'difficulty', 'subject', 'grade'
+];
+
+/**
+ * Store uploaded images and describe each of them with the fields of a page
+ */
+const storePages = async (files, visibility) => {
+  const images = await persistImages(files, { visibility });
+
+  return images.map((image, index) => ({
+    fileUrl: image.variants.full.url,
+    storageKey: image.variants.full.key,
+    fileName: files[index].originalname,
+    fileSize: files[index].size,
+    width: image.width,
+    height: image.height,
+    imageVariants: image.variants
+  }));
+};
+
+/**
+ * Store an uploaded PDF and describe it with the Video fields it fills in
+ */
+const storePdfFields = async (file, visibility) => {
+  const pdf = await persistPdf(file, { visibility });
+
+  return {
+    fileUrl: pdf.url,
+    storageKey: pdf.key,
+    fileName: file.originalname,
+    fileSize: file.size,
+    pageCount: pdf.pageCount,
+    width: pdf.preview ? pdf.preview.width : null,
+    height: pdf.preview ? pdf.preview.height : null,
+    imageVariants: pdf.preview ? pdf.preview.variants : {}
+  };
+};
+
+// Error for uploads that don't fit the solution type
+const invalidUpload = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_UPLOAD';
+  return error;
+};
+
+/**
+ * Store the uploaded files of an image or PDF solution and describe them with Video fields
+ */
+const storeSolutionFiles = async (files, type, visibility) => {
+  const pdfCount = files.filter(file => file.mimetype === 'application/pdf').length;
+
+  if (type === 'pdf') {
+    if (files.length !== 1 || pdfCount !== 1) {
+      throw invalidUpload('PDF solutions take exactly one PDF file');
+    }
+
+    return { ...(await storePdfFields(files[0], visibility)), pages: [] };
+  }
+
+  if (pdfCount > 0) {
+    throw invalidUpload('PDF files can only be uploaded as a PDF solution');
+  }
+
+  const pages = await storePages(files, visibility);
+  return { ...Video.getCoverFields(pages[0]), pages, pageCount: null };
+};
+
+// Error codes of input that was rejected while being processed
+const INVALID_INPUT_CODES = ['INVALID_IMAGE', 'INVALID_PDF', 'INVALID_UPLOAD', 'INVALID_CATALOG'];
+
+/**
+ * Load an image solution the current user may edit the pages of
+ * @returns {Promise<object>} - { video } or { status, message } when it can't be edited
+ */
+const findEditableImageSolution = async (id, user) => {
+  const video = await Video.findById(id);
+
+  if (!video || !video.isActive) {
+    return { status: 404, message: 'Video not found' };
+  }
+
+  // Contributors may only edit their own uploads
+  if (!canActOn(user, 'videos:update', video.uploadedBy)) {
+    return { status: 403, message: 'You can only edit solutions you uploaded' };
+  }
+
+  if (video.type !== 'image') {
+    return { status: 400, message: 'Only image solutions have pages' };
+  }
+
+  video.ensurePages();
+
+  return { video };
+};
+
+/**
+ * Record a revision of a solution without failing the request that changed it
+ */
+const recordRevision = async (options) => {
+  try {
+    await Revision.record(options);
+  } catch (error) {
+    console.error('Record revision error:', error);
+  }
+};
+
+// @desc    Get all videos with filtering, sorting, and pagination
+// @route   GET /api/videos
+// @access  Public
+const getAllVideos = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      bookTitle,
+      chapter,
+      bookId,
+      chapterId,
+      exercise,
+      question,
+      type,
+      subject,
+      grade,
+      difficulty,
+      search,
+      status,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build query object: visitors see published solutions; staff can list the other states
+    const filter = await buildVideoQuery(req.query, req.user);
+    if (!filter.query) {
+      return res.status(filter.status).json({
+        success: false,
+        message: filter.message
+      });
+    }
+    const { query, ranked } = filter;
+
+    // Search results are ordered by relevance unless another sort is asked for
+    const sortByRelevance = Boolean(search) && (!req.query.sortBy || sortBy === 'relevance');
+
+    // Pagination
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = Math.min(parseInt(limit, 10) || 10, 50); // Max 50 items per page
+    const skip = (pageNumber - 1) * pageSize;
+
+    let videos;
+    let totalCount;
+
+    if (sortByRelevance) {
+      // Keep the ranked order of the results that pass the filters, then load one page
+      const matching = await Video.find(query).select('_id').lean();
+      const matchingIds = new Set(matching.map(video => String(video._id)));
+      const orderedIds = ranked.map(result => result.id).filter(id => matchingIds.has(id));
+      const pageIds = orderedIds.slice(skip, skip + pageSize);
+
+      const pageVideos = await Video.find({ _id: { $in: pageIds } })
+        .populate('uploadedBy', UPLOADER_FIELDS)
+        .lean();
+      const videosById = new Map(pageVideos.map(video => [String(video._id), video]));
+
+      videos = pageIds.map(id => videosById.get(id)).filter(Boolean);
+      totalCount = orderedIds.length;
+    } else {
+      // Sort
+      const sortOptions = buildVideoSort(sortBy, sortOrder);
+
+      // Execute query
+      [videos, totalCount] = await Promise.all([
+        Video.find(query)
+          .sort(sortOptions)
+          .skip(skip)
+          .limit(pageSize)
+          .populate('uploadedBy', UPLOADER_FIELDS)
+          .lean(),
+        Video.countDocuments(query)
+      ]);
+    }
+
+    const data = await Promise.all(videos.map(serializeVideo));
+
+    // Show which playlists each solution is part of and what the visitor did with it
+    const [memberships] = await Promise.all([
+      Playlist.getMemberships(data.map(video => video._id)),
+      attachViewerState(data, req)
+    ]);
+    data.forEach((video) => {
+      video.playlists = memberships.get(String(video._id)) || [];
+    });
+
+    // Attach the relevance score and highlighted snippets to search results
+    if (ranked) {
+      const rankedById = new Map(ranked.map(result => [result.id, result]));
+
+      data.forEach((video) => {
+        const result = rankedById.get(String(video._id));
+        video.search = {
+          score: result.score,
+          highlights: searchIndex.highlightVideo(video, result.terms)
+        };
+      });
+    }
+
+    // Calculate pagination metadata
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const hasNextPage = pageNumber < totalPages;
+    const hasPrevPage = pageNumber > 1;
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage,
+        hasPrevPage,
+        nextPage: hasNextPage ? pageNumber + 1 : null,
+        prevPage: hasPrevPage ? pageNumber - 1 : null
+      },
+      filters: {
+        bookTitle,
+        chapter,
+        bookId,
+        chapterId,
+        exercise,
+        question,
+        type,
+        subject,
+        grade,
+        difficulty,
+        search,
+        status,
+        sortBy: sortByRelevance ? 'relevance' : sortBy
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all videos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching videos',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Entries per group in search suggestions
+const SUGGESTION_LIMIT = 5;
+
+// @desc    Suggest books, chapters, tags and solutions while typing a search
+// @route   GET /api/videos/suggest
+// @access  Public
+const suggestVideos = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q } = req.query;
+
+    const [facets, ranked] = await Promise.all([
+      searchIndex.suggestFacets(q, SUGGESTION_LIMIT),
+      searchIndex.search(q)
+    ]);
+
+    // The index also holds hidden solutions, so the best few are checked against MongoDB
+    const candidateIds = ranked.slice(0, SUGGESTION_LIMIT * 4).map(result => result.id);
+    const candidates = await Video.find({ _id: { $in: candidateIds }, ...Video.publicFilter() })
+      .select('title bookTitle chapter type')
+      .lean();
+    const candidatesById = new Map(candidates.map(video => [String(video._id), video]));
+
+    const solutions = ranked
+      .filter(result => candidatesById.has(result.id))
+      .slice(0, SUGGESTION_LIMIT)
+      .map((result) => {
+        const video = candidatesById.get(result.id);
+        return {
+          _id: video._id,
+          title: video.title,
+          bookTitle: video.bookTitle,
+          chapter: video.chapter,
+          type: video.type,
+          highlight: searchIndex.highlight(video.title, result.terms)
+        };
+      });
+
+    // Short shared caching keeps repeated keystrokes cheap
+    res.set('Cache-Control', 'public, max-age=30');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: q,
+        ...facets,
+        solutions
+      }
+    });
+
+  } catch (error) {
+    console.error('Suggest videos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suggestions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get single video by ID
+// @route   GET /api/videos/:id
+// @access  Public
+const getVideoById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await Video.findById(id).populate('uploadedBy', UPLOADER_FIELDS);
+
+    // Staff who may edit an unpublished solution get a preview of it
+    const isPublic = Video.isPublic(video);
+    const canPreview = Boolean(video && video.isActive && req.user &&
+      canActOn(req.user, 'videos:update', video.uploadedBy && video.uploadedBy._id));
+
+    if (!isPublic && !canPreview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const data = await serializeVideo(video);
+    if (!isPublic) data.preview = true;
+
+    // Count the view (once per viewer and window; a tracking failure shouldn't fail the request)
+    try {
+      if (isPublic && await recordView(video, req)) data.views += 1;
+    } catch (error) {
+      console.error('Record view error:', error);
+    }
+
+    // Signed-in users get the solution in their history
+    if (req.user && isPublic) {
+      try {
+        await WatchHistory.record(req.user._id, video);
+      } catch (error) {
+        console.error('Record history error:', error);
+      }
+    }
+
+    const [memberships] = await Promise.all([
+      Playlist.getMemberships([video._id]),
+      attachViewerState([data], req)
+    ]);
+    data.playlists = memberships.get(String(video._id));
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get video by ID error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Create new video
+// @route   POST /api/videos
+// @access  Private (admin, editor, contributor)
+const createVideo = async (req, res) => {
+  let storedFiles = null;
+  const createdCatalog = [];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      title,
+      description,
+      type,
+      youtubeUrl,
+      tags,
+      difficulty,
+      subject,
+      grade,
+      exercise,
+      questions
+    } = req.body;
+
+    const publishing = Video.resolvePublishing(req.body);
+    if (!publishing.fields) {
+      return res.status(publishing.status).json({
+        success: false,
+        message: publishing.message
+      });
+    }
+
+    // Check the YouTube link before filing anything in the catalog
+    let youtubeVideoId = null;
+    if (type === 'video') {
+      if (!youtubeUrl) {
+        return res.status(400).json({
+          success: false,
+          message: 'YouTube URL is required for video type'
+        });
+      }
+
+      // Extract YouTube video ID from URL
+      youtubeVideoId = extractYoutubeVideoId(youtubeUrl);
+      if (!youtubeVideoId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid YouTube URL format'
+        });
+      }
+    }
+
+    // File the solution under its book and chapter records (removed again if it can't be saved)
+    const catalog = await resolveCatalog(req.body, { createdBy: req.user._id, created: createdCatalog });
+
+    // Create video data
+    const videoData = {
+      title: title || catalog.bookTitle, //use bookTitle as title if title not provided
+      description,
+      ...catalog,
+      exercise: exercise || null,
+      ...Video.parseQuestionRange(questions),
+      type,
+      difficulty,
+      subject,
+      grade,
+      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+      ...publishing.fields,
+      uploadedBy: req.user._id
+    };
+
+    if (type === 'video') {
+      videoData.youtubeUrl = youtubeUrl;
+      videoData.youtubeVideoId = youtubeVideoId;
+    }
+
+    // Handle image (one file per page) and PDF types with file upload
+    if ((type === 'image' || type === 'pdf') && req.files.length > 0) {
+      storedFiles = await storeSolutionFiles(req.files, type, req.body.fileVisibility);
+      Object.assign(videoData, storedFiles);
+    }
+
+    const video = new Video(videoData);
+    const savedVideo = await video.save();
+    await recordRevision({ video: savedVideo, action: 'create', author: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Video created successfully',
+      data: await serializeVideo(savedVideo)
+    });
+
+  } catch (error) {
+    console.error('Create video error:', error);
+
+    // Don't leave the stored files, books or chapters behind when the document couldn't be saved
+    await removeFiles(Video.collectStorageKeys(storedFiles));
+    await removeCreatedCatalog(createdCatalog);
+
+    if (INVALID_INPUT_CODES.includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Video with similar details already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update video (the status is changed through PATCH /api/videos/:id/status)
+// @route   PUT /api/videos/:id
+// @access  Private (admin, editor, contributor for own uploads)
+const updateVideo = async (req, res) => {
+  let storedFiles = null;
+
+  try {
+    const { id } = req.params;
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The status has its own route, so the status checks stay in one place
+    if (req.body.status !== undefined || req.body.publishedAt !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Publish, schedule or unpublish a solution through PATCH /api/videos/:id/status'
+      });
+    }
+
+    const existing = await Video.findById(id)
+      .select(`uploadedBy storageKey imageVariants pages ${Revision.TRACKED_FIELDS.join(' ')}`);
+
+    // Solutions in the trash are edited again once restored
+    if (!existing || !existing.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    // Contributors may only edit their own uploads
+    if (!canActOn(req.user, 'videos:update', existing.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit solutions you uploaded'
+      });
+    }
+
+    const updateData = {};
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        updateData[field] = req.body[field];
+      });
+
+    // The covered questions are sent as one range, e.g. "Q1-Q5"; an empty value clears them
+    if (updateData.questions !== undefined) {
+      Object.assign(updateData, Video.parseQuestionRange(updateData.questions));
+      delete updateData.questions;
+    }
+    if (updateData.exercise === '') updateData.exercise = null;
+
+    // A new YouTube link replaces the video ID and thumbnail taken from the old one
+    if (updateData.youtubeUrl) {
+      updateData.youtubeVideoId = extractYoutubeVideoId(updateData.youtubeUrl);
+      if (!updateData.youtubeVideoId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid YouTube URL format'
+        });
+      }
+      updateData.thumbnailUrl = `https://img.youtube.com/vi/${updateData.youtubeVideoId}/maxresdefault.jpg`;
+    }
+
+    // Re-file the solution when its book or chapter changes
+    if (['bookId', 'chapterId', 'bookTitle', 'chapter'].some(field => updateData[field])) {
+      Object.assign(updateData, await resolveCatalog({
+        bookId: updateData.bookId || (updateData.bookTitle ? null : existing.bookId),
+        bookTitle: updateData.bookTitle,
+        chapterId: updateData.chapterId,
+        chapter: updateData.chapter
+      }, { createdBy: req.user._id }));
+    }
+
+    // Uploading new files replaces the PDF or every page (use the page routes for single pages)
+    const type = updateData.type || existing.type;
+    if ((type === 'image' || type === 'pdf') && req.files.length > 0) {
+      storedFiles = await storeSolutionFiles(req.files, type, req.body.fileVisibility);
+      Object.assign(updateData, storedFiles);
+    }
+
+    // Handle tags
+    if (updateData.tags && typeof updateData.tags === 'string') {
+      updateData.tags = updateData.tags.split(',').map(tag => tag.trim());
+    }
+
+    // Matching on isActive keeps a solution moved to the trash meanwhile out of reach
+    const video = await Video.findOneAndUpdate(
+      { _id: id, isActive: true },
+      updateData,
+      { 
+        new: true, 
+        runValidators: true 
+      }
+    ).populate('uploadedBy', UPLOADER_FIELDS);
+
+    if (!video) {
+      await removeFiles(Video.collectStorageKeys(storedFiles));
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    await recordRevision({
+      video,
+      before: Revision.takeSnapshot(existing),
+      action: 'update',
+      author: req.user._id
+    });
+
+    // The previous files are no longer referenced
+    if (storedFiles) {
+      await removeFiles(existing.getStorageKeys());
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Video updated successfully',
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Update video error:', error);
+
+    await removeFiles(Video.collectStorageKeys(storedFiles));
+
+    if (INVALID_INPUT_CODES.includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Publish, schedule, unpublish or archive a solution
+// @route   PATCH /api/videos/:id/status
+// @access  Private (admin, editor, contributor for own uploads)
+const updateVideoStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Video.findOne({ _id: req.params.id, isActive: true })
+      .select(`uploadedBy ${Revision.TRACKED_FIELDS.join(' ')}`);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (!canActOn(req.user, 'videos:update', existing.uploadedBy)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit solutions you uploaded'
+      });
+    }
+
+    const publishing = Video.resolvePublishing(req.body, existing);
+    if (!publishing.fields) {
+      return res.status(publishing.status).json({
+        success: false,
+        message: publishing.message
+      });
+    }
+
+    const video = await Video.findByIdAndUpdate(existing._id, publishing.fields, { new: true, runValidators: true })
+      .populate('uploadedBy', UPLOADER_FIELDS);
+
+    await recordRevision({
+      video,
+      before: Revision.takeSnapshot(existing),
+      action: 'update',
+      author: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Video ${video.status === 'scheduled' ? 'scheduled' : `set to ${video.status}`}`,
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Update video status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete video (soft delete: moves it to the trash)
+// @route   DELETE /api/videos/:id
+// @access  Private (admin)
+const deleteVideo = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Deleting again keeps the original deletion date, so the retention period isn't restarted
+    const trashed = await Video.findOneAndUpdate(
+      { _id: id, isActive: true },
+      { isActive: false, deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    );
+    const video = trashed || await Video.findById(id).select('_id');
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    if (trashed) {
+      await recordRevision({
+        video: trashed,
+        before: { ...Revision.takeSnapshot(trashed), isActive: true },
+        action: 'delete',
+        author: req.user._id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Video moved to the trash'
+    });
+
+  } catch (error) {
+    console.error('Delete video error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the solutions in the trash, most recently deleted first
+// @route   GET /api/videos/trash
+// @access  Private (admin)
+const getTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search } = req.query;
+    const pageNumber = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const query = { isActive: false };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ title: pattern }, { bookTitle: pattern }, { chapter: pattern }];
+    }
+
+    const [videos, totalCount] = await Promise.all([
+      Video.find(query)
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('uploadedBy', UPLOADER_FIELDS)
+        .populate('deletedBy', UPLOADER_FIELDS)
+        .lean(),
+      Video.countDocuments(query)
+    ]);
+
+    const data = await Promise.all(videos.map(serializeVideo));
+
+    // When each item will be purged; null while the trash is kept indefinitely
+    const retentionDays = getRetentionDays();
+    data.forEach((video) => {
+      video.purgeAt = retentionDays > 0 && video.deletedAt
+        ? new Date(new Date(video.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+        : null;
+    });
+
+    const totalPages = Math.ceil(totalCount / pageSize);
+
+    res.status(200).json({
+      success: true,
+      data,
+      retentionDays,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Restore a solution from the trash
+// @route   POST /api/videos/:id/restore
+// @access  Private (admin)
+const restoreVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findOneAndUpdate(
+      { _id: req.params.id, isActive: false },
+      { isActive: true, deletedAt: null, deletedBy: null },
+      { new: true }
+    ).populate('uploadedBy', UPLOADER_FIELDS);
+
+    if (!video) {
+      const exists = await Video.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Video is not in the trash' : 'Video not found'
+      });
+    }
+
+    await recordRevision({
+      video,
+      before: { ...Revision.takeSnapshot(video), isActive: false },
+      action: 'restore',
+      author: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Video restored successfully',
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Restore video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete a solution in the trash for good, with its files, likes, ratings, comments and reports
+// @route   DELETE /api/videos/:id/permanent
+// @access  Private (admin)
+const purgeVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findById(req.params.id);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    // Only trashed solutions can be purged, so a stray request can't wipe a live one
+    if (video.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move the video to the trash before deleting it permanently'
+      });
+    }
+
+    // A restore between the check above and the purge keeps the solution
+    if (await purgeVideos([video]) === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The video was restored and was not deleted'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Video permanently deleted'
+    });
+
+  } catch (error) {
+    console.error('Purge video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Record a view of a solution opened from a list (counted once per viewer and window)
+//          and add it to a signed-in viewer's history
+// @route   POST /api/videos/:id/views
+// @access  Public
+const trackVideoView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('bookId chapterId');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    const [counted] = await Promise.all([
+      recordView(video, req),
+      req.user ? WatchHistory.record(req.user._id, video) : null
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { counted }
+    });
+
+  } catch (error) {
+    console.error('Track video view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording view',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Period over which anonymous likes from one network are limited
+const NETWORK_LIKE_WINDOW_MS = 60 * 60 * 1000;
+
+// Anonymous likes of one solution allowed per network and period; a school or
+// household behind one IP address still gets a like per person
+const getNetworkLikeLimit = () => parseInt(process.env.ANONYMOUS_LIKES_PER_NETWORK, 10) || 30;
+
+/**
+ * Answer a like/unlike request with the solution's current like count
+ */
+const sendLikeState = async (res, videoId, liked) => {
+  const video = await Video.findById(videoId).select('likes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      liked,
+      likes: video ? video.likes : 0
+    }
+  });
+};
+
+// @desc    Like a solution (liking again has no effect)
+// @route   PUT /api/videos/:id/like
+// @access  Public (signed-in users, or anonymous visitors with a device ID)
+const likeVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const liker = getLiker(req);
+    if (!liker) {
+      return res.status(400).json({
+        success: false,
+        message: 'Log in or send a device ID to like solutions'
+      });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, ...Video.publicFilter() }).select('_id');
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
+      });
+    }
+
+    // Device IDs are chosen by the client, so new anonymous likes from one network are rate limited
+    if (liker.networkHash) {
+      const since = new Date(Date.now() - NETWORK_LIKE_WINDOW_MS);
+      const alreadyLiked = await Like.exists({ ...Like.likerFilter(liker), video: video._id });
+
+      if (!alreadyLiked && await Like.countFromNetwork(video._id, liker.networkHash, since) >= getNetworkLikeLimit()) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many likes from your network. Try again later, or log in to add your like.'
+        });
+      }
+    }
+
+    try {
+      await Like.create({
+        video: video._id,
+        user: liker.userId,
+        deviceHash: liker.deviceHash,
+        networkHash: liker.networkHash
+      });
+      await Video.updateOne({ _id: video._id }, { $inc: { likes: 1 } });
+    } catch (error) {
+      // Already liked: the unique indexes keep the count from going up twice
+      if (error.code !== 11000) throw error;
+    }
+
+    await sendLikeState(res, video._id, true);
+
+  } catch (error) {
+    console.error('Like video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error liking video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Remove a like (unliking again has no effect)
+// @route   DELETE /api/videos/:id/like
+// @access  Public (signed-in users, or anonymous visitors with a device ID)
+const unlikeVideo = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const liker = getLiker(req);
+    if (!liker) {
+      return res.status(400).json({
+        success: false,
+        message: 'Log in or send a device ID to like solutions'
+      });
+    }
+
+    // Only the request that actually removed the like lowers the count
+    const removed = await Like.findOneAndDelete({ ...Like.likerFilter(liker), video: req.params.id });
+    if (removed) {
+      await Video.updateOne({ _id: req.params.id, likes: { $gt: 0 } }, { $inc: { likes: -1 } });
+    }
+
+    await sendLikeState(res, req.params.id, false);
+
+  } catch (error) {
+    console.error('Unlike video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unliking video',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Add pages to an image solution
+// @route   POST /api/videos/:id/pages
+// @access  Private (admin, editor, contributor for own uploads)
+const addVideoPages = async (req, res) => {
+  let storedPages = null;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image is required'
+      });
+    }
+
+    const { video, status, message } = await findEditableImageSolution(req.params.id, req.user);
+    if (!video) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const before = Revision.takeSnapshot(video);
+
+    if (video.pages.length + req.files.length > MAX_PAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A solution can have at most ${MAX_PAGES} pages`
+      });
+    }
+
+    // New pages share the visibility of the existing ones
+    storedPages = await storePages(req.files, getVisibility(video.storageKey));
+    video.pages.push(...storedPages);
+    await video.save();
+    await video.populate('uploadedBy', UPLOADER_FIELDS);
+    await recordRevision({ video, before, action: 'update', author: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: `${storedPages.length} page(s) added`,
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Add video pages error:', error);
+
+    await removeFiles(Video.collectStorageKeys({ pages: storedPages }));
+
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The pages were changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding pages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Reorder the pages of an image solution
+// @route   PUT /api/videos/:id/pages/order
+// @access  Private (admin, editor, contributor for own uploads)
+const reorderVideoPages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { video, status, message } = await findEditableImageSolution(req.params.id, req.user);
+    if (!video) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const before = Revision.takeSnapshot(video);
+
+    // The new order has to list every existing page exactly once
+    const { order } = req.body;
+    const currentIds = video.pages.map(page => String(page._id));
+    const isPermutation = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(pageId => currentIds.includes(pageId));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every page of the solution exactly once'
+      });
+    }
+
+    const pagesById = new Map(video.pages.map(page => [String(page._id), page.toObject()]));
+    video.pages = order.map(pageId => pagesById.get(pageId));
+    await video.save();
+    await video.populate('uploadedBy', UPLOADER_FIELDS);
+    await recordRevision({ video, before, action: 'update', author: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Pages reordered',
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Reorder video pages error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The pages were changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering pages',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Replace the image of one page
+// @route   PUT /api/videos/:id/pages/:pageId
+// @access  Private (admin, editor, contributor for own uploads)
+const replaceVideoPage = async (req, res) => {
+  let storedPages = null;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.files.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exactly one image is required to replace a page'
+      });
+    }
+
+    const { video, status, message } = await findEditableImageSolution(req.params.id, req.user);
+    if (!video) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const before = Revision.takeSnapshot(video);
+
+    const page = video.pages.id(req.params.pageId);
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    const previousKeys = Video.collectStorageKeys(page);
+
+    storedPages = await storePages(req.files, getVisibility(page.storageKey));
+    page.set(storedPages[0]);
+    video.markModified('pages');
+    await video.save();
+    await video.populate('uploadedBy', UPLOADER_FIELDS);
+    await recordRevision({ video, before, action: 'update', author: req.user._id });
+
+    await removeFiles(previousKeys);
+
+    res.status(200).json({
+      success: true,
+      message: 'Page replaced',
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Replace video page error:', error);
+
+    await removeFiles(Video.collectStorageKeys({ pages: storedPages }));
+
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The pages were changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error replacing page',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Delete one page of an image solution
+// @route   DELETE /api/videos/:id/pages/:pageId
+// @access  Private (admin, editor, contributor for own uploads)
+const deleteVideoPage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { video, status, message } = await findEditableImageSolution(req.params.id, req.user);
+    if (!video) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const before = Revision.takeSnapshot(video);
+
+    const page = video.pages.id(req.params.pageId);
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    if (video.pages.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A solution needs at least one page; delete the solution instead'
+      });
+    }
+
+    const removedKeys = Video.collectStorageKeys(page);
+
+    video.pages.pull(page._id);
+    await video.save();
+    await video.populate('uploadedBy', UPLOADER_FIELDS);
+    await recordRevision({ video, before, action: 'update', author: req.user._id });
+
+    await removeFiles(removedKeys);
+
+    res.status(200).json({
+      success: true,
+      message: 'Page deleted',
+      data: await serializeVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Delete video page error:', error);
+
+    if (error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The pages were changed by someone else, please reload and try again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting page',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get unique book titles
+// @route   GET /api/videos/metadata/books
+// @access  Public
+const getUniqueBooks = async (req, res) => {
+  try {
+    // Books with at least one visible solution, one entry per catalog record
+    const bookIds = await Video.distinct('bookId', Video.publicFilter());
+    const books = await Book.find({ _id: { $in: bookIds }, isActive: true })
+      .sort({ title: 1 })
+      .select('title');
+
+    res.status(200).json({
+      success: true,
+      data: books.map(book => book.title)
+    });
+
+  } catch (error) {
+    console.error('Get unique books error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching book titles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get chapters for a specific book
+// @route   GET /api/videos/metadata/chapters/:bookTitle
+// @access  Public
+const getChaptersByBook = async (req, res) => {
+  try {
+    const { bookTitle } = req.params;
+
+    const book = await Book.findByTitle(bookTitle);
+
+    if (!book) {
+      return res.status(200).json({
+        success: true,
+        data: []
+      });
+    }
+
+    // Chapters with visible solutions, in chapter order rather than alphabetical
+    const chapterIds = await Video.distinct('chapterId', { bookId: book._id, ...Video.publicFilter() });
+    const chapters = await Chapter.find({ _id: { $in: chapterIds } }).sort({ number: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: chapters.map(chapter => chapter.label)
+    });
+
+  } catch (error) {
+    console.error('Get chapters by book error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching chapters',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get every solution covering one question of a chapter
+// @route   GET /api/books/:book/chapters/:chapter/questions/:q
+// @access  Public
+const getQuestionSolutions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { chapter: chapterParam, q: question } = req.params;
+    const { exercise } = req.query;
+
+    const book = await Book.findByIdOrSlug(req.params.book);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book not found'
+      });
+    }
+
+    // Chapters are addressed by number, as printed in the book, or by ID
+    const chapter = await Chapter.findOne(/^\d+$/.test(chapterParam)
+      ? { book: book._id, number: parseInt(chapterParam, 10) }
+      : { book: book._id, _id: chapterParam });
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+
+    const query = {
+      chapterId: chapter._id,
+      ...Video.publicFilter(),
+      ...Video.coveringQuestion(question)
+    };
+    if (exercise) query.exercise = new RegExp(`^${escapeRegex(exercise)}$`, 'i');
+
+    // Narrowest ranges first: a solution to just this question before one covering many
+    const videos = await Video.find(query)
+      .populate('uploadedBy', UPLOADER_FIELDS)
+      .lean();
+    videos.sort((a, b) => ((a.questionTo - a.questionFrom) - (b.questionTo - b.questionFrom)) ||
+      String(a.exercise || '').localeCompare(String(b.exercise || ''), undefined, { numeric: true }) ||
+      (b.createdAt - a.createdAt));
+
+    res.status(200).json({
+      success: true,
+      data: await Promise.all(videos.map(serializeVideo)),
+      question: {
+        book: { _id: book._id, title: book.title, slug: book.slug },
+        chapter: { _id: chapter._id, number: chapter.number, label: chapter.label },
+        exercise: exercise || null,
+        question
+      }
+    });
+
+  } catch (error) {
+    console.error('Get question solutions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching solutions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get video statistics
+// @route   GET /api/videos/stats
+// @access  Public
+const getVideoStats = async (req, res) => {
+  try {
+    const visible = Video.publicFilter();
+
+    const [
+      totalVideos,
+      totalImages,
+      totalPdfs,
+      totalViews,
+      bookStats,
+      recentVideos
+    ] = await Promise.all([
+      Video.countDocuments({ type: 'video', ...visible }),
+      Video.countDocuments({ type: 'image', ...visible }),
+      Video.countDocuments({ type: 'pdf', ...visible }),
+      Video.aggregate([
+        { $match: visible },
+        { $group: { _id: null, totalViews: { $sum: '$views' } } }
+      ]),
+      Video.aggregate([
+        { $match: visible },
+        { $group: { _id: '$bookTitle', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ]),
+      Video.find(visible)
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select('title bookTitle chapter createdAt views')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totals: {
+          videos: totalVideos,
+          images: totalImages,
+          pdfs: totalPdfs,
+          views: totalViews[0]?.totalViews || 0,
+          total: totalVideos + totalImages + totalPdfs
+        },
+        topBooks: bookStats,
+        recentVideos
+      }
+    });
+
+  } catch (error) {
+    console.error('Get video stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching statistics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAllVideos,
+  suggestVideos,
+  getVideoById,
+  createVideo,
+  updateVideo,
+  updateVideoStatus,
+  deleteVideo,
+  getTrash,
+  restoreVideo,
+  purgeVideo,
+  trackVideoView,
+  likeVideo,
+  unlikeVideo,
+  addVideoPages,
+  reorderVideoPages,
+  replaceVideoPage,
+  deleteVideoPage,
+  getUniqueBooks,
+  getChaptersByBook,
+  getQuestionSolutions,
+  getVideoStats
+
+};
+